@@ -0,0 +1,490 @@
+/**
+ * Migration Script: Copy customers and orders between storage backends
+ *
+ * Copies every customer with its orders from one backend to another
+ * (firestore, supabase, pocketbase), page by page. Progress is saved after
+ * each page, so an interrupted run continues where it stopped when it is
+ * started again. Records that cannot be converted are skipped and logged to
+ * .migration/<from>-to-<to>.failures.jsonl. At the end the target is read back
+ * and its counts and totals are compared with what was copied.
+ *
+ * Usage: node scripts/migrateData.js --from firestore --to supabase [--page-size 100] [--restart] [--dry-run]
+ *   --page-size  Customers per page, at most 1000
+ *   --restart    Ignore saved progress and start over (the target must be empty)
+ *   --dry-run    Read and convert the source only; nothing is written
+ *
+ * Credentials (.env.local):
+ *   supabase   - VITE_SUPABASE_URL, SUPABASE_SERVICE_KEY
+ *   firestore  - FIREBASE_* service account variables, or firebase-service-account.json
+ *   pocketbase - POCKETBASE_URL (default http://127.0.0.1:8090), POCKETBASE_ADMIN_EMAIL, POCKETBASE_ADMIN_PASSWORD
+ */
+
+import { config } from 'dotenv';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, appendFileSync, rmSync } from 'fs';
+import { toStoredOrderDate } from '../src/utils/orderDates.js';
+
+// Load environment variables from .env.local
+config({ path: '.env.local' });
+
+const COLLECTION_NAME = 'customers';
+const STATE_DIR = '.migration';
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000; // Supabase (PostgREST) and PocketBase return at most 1000 rows per request
+
+let hasProgress = false; // A progress file exists, so a failed run can be resumed
+
+const ORDER_COLUMNS = 'order_id, raw_id, order_date, total_amount, channel, status, status_category, pos_user, gestor_name, gestor_zone, batch_id, email_original, phone_original, identity_original, order_items(line_number, sku, description, quantity, total)';
+const CUSTOMER_COLUMNS = 'customer_id, name, email, phone, city, identity, email_original, phone_original, identity_original';
+
+// Removes surrounding quotes and literal \n (same handling as the api/ functions)
+const formatPrivateKey = (key) => key.replace(/^['"]|['"]$/g, '').replace(/\\n/g, '\n');
+
+// ============================================
+// Backends
+// ============================================
+// Each one reads pages of raw records ordered by customer id (readPage), turns a raw
+// record into { customerId, name, email, phone, city, identity, *Original, orders } (toCustomer)
+// and writes converted customers, replacing the ones with the same id (writePage).
+
+const createSupabaseBackend = async () => {
+    const { createClient } = await import('@supabase/supabase-js');
+    const url = process.env.VITE_SUPABASE_URL;
+    const serviceKey = process.env.SUPABASE_SERVICE_KEY;
+    if (!url || !serviceKey) {
+        throw new Error('Missing VITE_SUPABASE_URL or SUPABASE_SERVICE_KEY in .env.local');
+    }
+
+    // Service role: bypasses RLS, so every customer is read and written
+    const supabase = createClient(url, serviceKey, {
+        auth: { autoRefreshToken: false, persistSession: false }
+    });
+
+    return {
+        readPage: async (cursor, pageSize) => {
+            let query = supabase
+                .from(COLLECTION_NAME)
+                .select(`${CUSTOMER_COLUMNS}, orders(${ORDER_COLUMNS})`)
+                .order('customer_id')
+                .limit(pageSize);
+            if (cursor !== null) query = query.gt('customer_id', cursor);
+
+            const { data, error } = await query;
+            if (error) throw error;
+            return { records: data, nextCursor: data.length > 0 ? data[data.length - 1].customer_id : cursor };
+        },
+        recordId: (row) => row.customer_id,
+        toCustomer: (row) => ({
+            customerId: row.customer_id,
+            name: row.name,
+            email: row.email,
+            phone: row.phone,
+            city: row.city,
+            identity: row.identity,
+            emailOriginal: row.email_original,
+            phoneOriginal: row.phone_original,
+            identityOriginal: row.identity_original,
+            orders: (row.orders || []).map(order => ({
+                orderId: order.order_id,
+                rawId: order.raw_id,
+                orderDate: order.order_date,
+                totalAmount: order.total_amount,
+                items: (order.order_items || [])
+                    .slice()
+                    .sort((a, b) => a.line_number - b.line_number)
+                    .map(({ sku, description, quantity, total }) => ({ sku, description, quantity, total })),
+                channel: order.channel,
+                status: order.status,
+                statusCategory: order.status_category,
+                posUser: order.pos_user,
+                gestorName: order.gestor_name,
+                gestorZone: order.gestor_zone,
+                batchId: order.batch_id,
+                emailOriginal: order.email_original,
+                phoneOriginal: order.phone_original,
+                identityOriginal: order.identity_original
+            }))
+        }),
+        // write_customer_rows upserts each customer and replaces its orders in one transaction
+        writePage: async (customers) => {
+            const { error } = await supabase.rpc('write_customer_rows', {
+                p_rows: customers.map(customer => ({
+                    customer_id: customer.customerId,
+                    name: customer.name,
+                    email: customer.email || null,
+                    phone: customer.phone || null,
+                    city: customer.city || null,
+                    identity: customer.identity || null,
+                    email_original: customer.emailOriginal || null,
+                    phone_original: customer.phoneOriginal || null,
+                    identity_original: customer.identityOriginal || null,
+                    orders: customer.orders
+                }))
+            });
+            if (error) throw error;
+        }
+    };
+};
+
+const createFirestoreBackend = async () => {
+    const { initializeApp, cert } = await import('firebase-admin/app');
+    const { getFirestore, FieldPath, FieldValue } = await import('firebase-admin/firestore');
+
+    const credential = process.env.FIREBASE_PRIVATE_KEY
+        ? cert({
+            projectId: process.env.FIREBASE_PROJECT_ID,
+            clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+            privateKey: formatPrivateKey(process.env.FIREBASE_PRIVATE_KEY)
+        })
+        : cert('./firebase-service-account.json');
+
+    const db = getFirestore(initializeApp({ credential }));
+    db.settings({ ignoreUndefinedProperties: true }); // Firestore rejects undefined values
+
+    return {
+        readPage: async (cursor, pageSize) => {
+            let query = db.collection(COLLECTION_NAME).orderBy(FieldPath.documentId()).limit(pageSize);
+            if (cursor !== null) query = query.startAfter(cursor);
+
+            const snapshot = await query.get();
+            return { records: snapshot.docs, nextCursor: snapshot.empty ? cursor : snapshot.docs[snapshot.size - 1].id };
+        },
+        recordId: (document) => document.id,
+        toCustomer: (document) => {
+            const customer = document.data();
+            return {
+                customerId: document.id,
+                name: customer.name,
+                email: customer.email,
+                phone: customer.phone,
+                city: customer.city,
+                identity: customer.identity,
+                emailOriginal: customer.emailOriginal,
+                phoneOriginal: customer.phoneOriginal,
+                identityOriginal: customer.identityOriginal,
+                orders: customer.orders || []
+            };
+        },
+        writePage: async (customers) => {
+            // A write batch takes at most 500 operations
+            for (let i = 0; i < customers.length; i += 400) {
+                const batch = db.batch();
+                customers.slice(i, i + 400).forEach(customer => {
+                    batch.set(db.collection(COLLECTION_NAME).doc(customer.customerId), {
+                        name: customer.name,
+                        email: customer.email,
+                        phone: customer.phone,
+                        city: customer.city,
+                        identity: customer.identity,
+                        emailOriginal: customer.emailOriginal,
+                        phoneOriginal: customer.phoneOriginal,
+                        identityOriginal: customer.identityOriginal,
+                        orders: customer.orders,
+                        lastUpdated: FieldValue.serverTimestamp()
+                    });
+                });
+                await batch.commit();
+            }
+        }
+    };
+};
+
+const createPocketBaseBackend = async () => {
+    const { default: PocketBase } = await import('pocketbase');
+    const pb = new PocketBase(process.env.POCKETBASE_URL || 'http://127.0.0.1:8090');
+    pb.autoCancellation(false);
+
+    if (process.env.POCKETBASE_ADMIN_EMAIL && process.env.POCKETBASE_ADMIN_PASSWORD) {
+        await pb.collection('_superusers').authWithPassword(process.env.POCKETBASE_ADMIN_EMAIL, process.env.POCKETBASE_ADMIN_PASSWORD);
+    }
+
+    return {
+        readPage: async (cursor, pageSize) => {
+            const result = await pb.collection(COLLECTION_NAME).getList(1, pageSize, {
+                filter: cursor !== null ? pb.filter('customerId > {:cursor}', { cursor }) : '',
+                sort: 'customerId'
+            });
+            const records = result.items;
+            return { records, nextCursor: records.length > 0 ? records[records.length - 1].customerId : cursor };
+        },
+        recordId: (record) => record.customerId || record.id,
+        toCustomer: (record) => ({
+            customerId: record.customerId,
+            name: record.name,
+            email: record.email,
+            phone: record.phone,
+            city: record.city,
+            identity: record.identity,
+            emailOriginal: record.emailOriginal,
+            phoneOriginal: record.phoneOriginal,
+            identityOriginal: record.identityOriginal,
+            // Stored as a JSON string by pocketbaseUtils
+            orders: typeof record.orders === 'string' ? JSON.parse(record.orders || '[]') : (record.orders || [])
+        }),
+        writePage: async (customers) => {
+            await Promise.all(customers.map(async (customer) => {
+                const data = {
+                    customerId: customer.customerId,
+                    name: customer.name,
+                    email: customer.email,
+                    phone: customer.phone,
+                    city: customer.city,
+                    identity: customer.identity,
+                    emailOriginal: customer.emailOriginal,
+                    phoneOriginal: customer.phoneOriginal,
+                    identityOriginal: customer.identityOriginal,
+                    orders: JSON.stringify(customer.orders)
+                };
+
+                const existing = await pb.collection(COLLECTION_NAME)
+                    .getFirstListItem(pb.filter('customerId = {:id}', { id: customer.customerId }))
+                    .catch(() => null);
+
+                if (existing) {
+                    await pb.collection(COLLECTION_NAME).update(existing.id, data);
+                } else {
+                    await pb.collection(COLLECTION_NAME).create(data);
+                }
+            }));
+        }
+    };
+};
+
+const BACKENDS = {
+    supabase: createSupabaseBackend,
+    firestore: createFirestoreBackend,
+    pocketbase: createPocketBaseBackend
+};
+
+// ============================================
+// Conversion
+// ============================================
+
+const emptyTotals = () => ({ customers: 0, orders: 0, items: 0, amount: 0 });
+
+// Amounts are added in cents, as Supabase stores them (NUMERIC(14,2)), so extra source decimals still match
+const addTotals = (totals, customer) => {
+    totals.customers++;
+    customer.orders.forEach(order => {
+        totals.orders++;
+        totals.items += (order.items || []).length;
+        totals.amount += Math.round((Number(order.totalAmount) || 0) * 100) / 100;
+    });
+};
+
+/**
+ * Validate and normalize a customer read from the source.
+ * Invalid orders are dropped and reported; an order id seen before (in any customer)
+ * is reported as a duplicate, since the targets keep one order per id.
+ * @returns {Object} { customer (null when it cannot be migrated), failures }
+ */
+const convertCustomer = (customer, seenOrderIds) => {
+    if (!customer.customerId) {
+        return { customer: null, failures: [{ customerId: null, reason: 'Customer without id', record: customer }] };
+    }
+
+    const failures = [];
+    const orders = [];
+    (customer.orders || []).forEach(order => {
+        const orderId = order?.orderId != null ? String(order.orderId).trim() : '';
+        const fail = (reason) => failures.push({ customerId: customer.customerId, orderId: orderId || null, reason, record: order });
+
+        if (!orderId) return fail('Order without orderId');
+        if (seenOrderIds.has(orderId)) return fail('Duplicate orderId (already copied with another customer)');
+
+        // Same canonical date as the app stores (Firestore may hold Timestamps)
+        const orderDate = toStoredOrderDate(order.orderDate?.toDate?.() ?? order.orderDate);
+        if (order.orderDate && !orderDate) return fail(`Invalid orderDate: ${order.orderDate}`);
+
+        const totalAmount = Number(order.totalAmount ?? 0);
+        if (!Number.isFinite(totalAmount)) return fail(`Invalid totalAmount: ${order.totalAmount}`);
+
+        if (order.items != null && !Array.isArray(order.items)) return fail('items is not a list');
+
+        seenOrderIds.add(orderId);
+        orders.push({
+            orderId,
+            rawId: order.rawId || null,
+            orderDate,
+            totalAmount,
+            items: (order.items || []).map(item => ({
+                sku: item.sku || '',
+                description: item.description || '',
+                quantity: Number(item.quantity) || 0,
+                total: Number(item.total) || 0
+            })),
+            channel: order.channel || null,
+            status: order.status || '',
+            statusCategory: order.statusCategory || 'delivered',
+            posUser: order.posUser || '',
+            gestorName: order.gestorName || null,
+            gestorZone: order.gestorZone || null,
+            batchId: order.batchId || null,
+            emailOriginal: order.emailOriginal || '',
+            phoneOriginal: order.phoneOriginal || '',
+            identityOriginal: order.identityOriginal || ''
+        });
+    });
+
+    return {
+        customer: {
+            customerId: String(customer.customerId),
+            name: customer.name || 'Sin nombre',
+            email: customer.email || '',
+            phone: customer.phone || '',
+            city: customer.city || '',
+            identity: customer.identity || '',
+            emailOriginal: customer.emailOriginal || '',
+            phoneOriginal: customer.phoneOriginal || '',
+            identityOriginal: customer.identityOriginal || '',
+            orders
+        },
+        failures
+    };
+};
+
+// ============================================
+// Migration
+// ============================================
+
+const parseArgs = (argv) => {
+    const args = { pageSize: DEFAULT_PAGE_SIZE, restart: false, dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--from') args.from = argv[++i];
+        else if (argv[i] === '--to') args.to = argv[++i];
+        else if (argv[i] === '--page-size') args.pageSize = parseInt(argv[++i], 10);
+        else if (argv[i] === '--restart') args.restart = true;
+        else if (argv[i] === '--dry-run') args.dryRun = true;
+        else throw new Error(`Unknown option: ${argv[i]}`);
+    }
+
+    if (!BACKENDS[args.from] || !BACKENDS[args.to]) {
+        throw new Error(`--from and --to must be one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    if (args.from === args.to) throw new Error('--from and --to must be different backends');
+    if (!(args.pageSize > 0)) throw new Error('--page-size must be a positive number');
+    if (args.pageSize > MAX_PAGE_SIZE) throw new Error(`--page-size can be at most ${MAX_PAGE_SIZE}`);
+    return args;
+};
+
+/**
+ * Read the whole target back and total it.
+ * Only an empty page ends the read: a backend may return fewer rows than asked for.
+ */
+const totalTarget = async (target, pageSize) => {
+    const totals = emptyTotals();
+    let cursor = null;
+
+    for (;;) {
+        const { records, nextCursor } = await target.readPage(cursor, pageSize);
+        if (records.length === 0) return totals;
+        records.forEach(record => addTotals(totals, { orders: [], ...target.toCustomer(record) }));
+        cursor = nextCursor;
+    }
+};
+
+async function migrate() {
+    const { from, to, pageSize, restart, dryRun } = parseArgs(process.argv.slice(2));
+    const progressPath = `${STATE_DIR}/${from}-to-${to}.progress.json`;
+    const failuresPath = `${STATE_DIR}/${from}-to-${to}.failures.jsonl`;
+
+    console.log(`🚚 Migrating customers: ${from} → ${to}${dryRun ? ' (dry run)' : ''}\n`);
+    mkdirSync(STATE_DIR, { recursive: true });
+
+    const source = await BACKENDS[from]();
+    const target = dryRun ? null : await BACKENDS[to]();
+
+    // Dry runs never resume nor leave progress behind
+    let progress = !dryRun && !restart && existsSync(progressPath)
+        ? JSON.parse(readFileSync(progressPath, 'utf8'))
+        : null;
+
+    if (progress) {
+        hasProgress = true;
+        console.log(`↪️  Resuming after customer "${progress.cursor}" (${progress.totals.customers} customers already copied)`);
+    } else {
+        if (target) {
+            const { records } = await target.readPage(null, 1);
+            if (records.length > 0) {
+                throw new Error(`The ${to} target already has customers. Clear it first so the totals can be verified.`);
+            }
+        }
+        progress = { from, to, cursor: null, done: false, pages: 0, totals: emptyTotals(), failures: 0, seenOrderIds: [], startedAt: new Date().toISOString() };
+        rmSync(failuresPath, { force: true });
+    }
+
+    const seenOrderIds = new Set(progress.seenOrderIds);
+    const saveProgress = () => {
+        if (dryRun) return;
+        writeFileSync(progressPath, JSON.stringify({ ...progress, seenOrderIds: [...seenOrderIds], updatedAt: new Date().toISOString() }));
+        hasProgress = true;
+    };
+    const logFailure = (failure) => {
+        progress.failures++;
+        appendFileSync(failuresPath, JSON.stringify({ source: from, ...failure }) + '\n');
+    };
+
+    while (!progress.done) {
+        const { records, nextCursor } = await source.readPage(progress.cursor, pageSize);
+
+        // Only an empty page ends the copy: a backend may return fewer rows than asked for
+        if (records.length === 0) {
+            progress.done = true;
+            saveProgress();
+            break;
+        }
+
+        const customers = [];
+        const pageFailures = [];
+        records.forEach(record => {
+            try {
+                const { customer, failures } = convertCustomer(source.toCustomer(record), seenOrderIds);
+                pageFailures.push(...failures);
+                if (customer) customers.push(customer);
+            } catch (error) {
+                pageFailures.push({ customerId: source.recordId(record), reason: `Could not read record: ${error.message}` });
+            }
+        });
+
+        if (target && customers.length > 0) {
+            await target.writePage(customers);
+        }
+
+        // Logged once the page is stored, so a resumed page is not reported twice
+        pageFailures.forEach(logFailure);
+        customers.forEach(customer => addTotals(progress.totals, customer));
+        progress.cursor = nextCursor;
+        progress.pages++;
+        saveProgress();
+
+        console.log(`✅ Page ${progress.pages}: ${customers.length}/${records.length} customers (${progress.totals.customers} customers, ${progress.totals.orders} orders so far)`);
+    }
+
+    console.log(`\n🎉 Copied ${progress.totals.customers} customers and ${progress.totals.orders} orders`);
+    if (progress.failures > 0) {
+        console.log(`⚠️  ${progress.failures} records could not be converted, see ${failuresPath}`);
+    }
+    if (dryRun) return true;
+
+    // Verify: the target must hold exactly what was copied
+    console.log(`\n🔍 Verifying ${to}...`);
+    const targetTotals = await totalTarget(target, pageSize);
+    const rows = Object.keys(progress.totals).map(key => {
+        const expected = key === 'amount' ? Math.round(progress.totals[key] * 100) / 100 : progress.totals[key];
+        const actual = key === 'amount' ? Math.round(targetTotals[key] * 100) / 100 : targetTotals[key];
+        return { key, copied: expected, [to]: actual, ok: expected === actual };
+    });
+    console.table(rows);
+
+    const verified = rows.every(row => row.ok);
+    console.log(verified ? '✅ Counts and totals match' : '❌ Counts or totals differ: the progress file was kept, check the target before running again');
+    if (verified) rmSync(progressPath, { force: true });
+    return verified;
+}
+
+migrate()
+    .then(verified => process.exit(verified ? 0 : 1))
+    .catch(error => {
+        console.error('\n❌ Migration failed:', error.message);
+        if (hasProgress) console.error('Progress is saved after every page: run the same command again to resume.');
+        process.exit(1);
+    });
@@ -1,13 +1,19 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import FileUpload from './components/FileUpload';
 import Dashboard from './components/Dashboard';
 import Login from './components/Login';
 import AdminPanel from './components/AdminPanel';
 import ForcePasswordChange from './components/ForcePasswordChange';
 import ThemeToggle from './components/ThemeToggle';
+import ImportValidationReport from './components/ImportValidationReport';
 import { useTheme } from './hooks/useTheme';
-import { parseExcel, cleanAlbatrossData, processRMSData, joinDatasets, filterDataByDate } from './utils/dataProcessing';
-import { saveCustomersToFirestore, saveCustomersToFirestoreIncremental, loadCustomersFromFirestore, clearAllData, getLatestOrderDate } from './utils/supabaseUtils';
+import { getCustomerRepository } from './utils/customerRepository';
+import { loadOrderSummary } from './utils/orderQueries';
+import { loadNonProductSkus } from './utils/nonProductSkus';
+import { loadProductCatalog } from './utils/productCatalogStore';
+import { openOrderCache, syncOrderCache, holdOrdersInMemory } from './utils/orderCache';
+import { createImportWorker } from './utils/importWorkerClient';
+import { createImportBatch, snapshotAllCustomers, finishImportBatch } from './utils/importBatches';
 import { getCurrentUser, onAuthStateChange, logout } from './utils/authUtils';
 import { Cloud, CloudOff, RefreshCw, Trash2, LogOut, User, Shield } from 'lucide-react';
 import { AnimatePresence, motion } from 'framer-motion';
@@ -23,12 +29,20 @@ function App() {
   });
 
   // Data and UI state
-  const [data, setData] = useState(null);
+  const [summary, setSummary] = useState(null); // Totals and filter options; dashboards query their own slice
   const [isProcessing, setIsProcessing] = useState(false);
   const [activeView, setActiveView] = useState('dashboard'); // 'dashboard' | 'admin'
+  const [pendingImport, setPendingImport] = useState(null); // Parsed files waiting for admin confirmation
+  const [importProgress, setImportProgress] = useState(null); // { stage, message, current, total } while the worker runs
+  const importWorkerRef = useRef(null);
+  const [canAbortImport, setCanAbortImport] = useState(false); // Only while the worker parses or joins; saving cannot be stopped
+  const userIdRef = useRef(null); // Owner of the local cache
+  const [storageFeatures, setStorageFeatures] = useState(null); // features of the configured storage provider
   const [syncStatus, setSyncStatus] = useState({
     lastSync: null,
     isLoading: false,
+    isSyncing: false, // Background sync of the local cache
+    isOffline: false, // Showing the cached copy because the server could not be reached
     error: null
   });
 
@@ -41,66 +55,106 @@ function App() {
       if (authData) {
         console.log('🔧 App: User authenticated:', authData.profile.username);
         setAuthState({ loading: false, user: authData.user, profile: authData.profile });
+        userIdRef.current = authData.user.uid;
         loadFromCloud();
       } else {
         console.log('🔧 App: No user authenticated');
         setAuthState({ loading: false, user: null, profile: null });
-        setData(null);
+        userIdRef.current = null;
+        setSummary(null);
       }
     });
 
+    // Sync again when the connection comes back; flag the cached copy as stale when it drops
+    const handleOnline = () => {
+      if (userIdRef.current) loadFromCloud({ background: true });
+    };
+    const handleOffline = () => setSyncStatus(prev => ({ ...prev, isOffline: true }));
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
     return () => {
       console.log('🔧 App: Cleaning up auth listener');
       unsubscribe();
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
     };
   }, []);
 
-  const loadFromCloud = async () => {
-    setSyncStatus(prev => ({ ...prev, isLoading: true, error: null }));
+  // Open the local cache right away, then download only what changed since the last sync
+  const loadFromCloud = async ({ background = false } = {}) => {
+    // Summary of the cached orders (or of the server when there is no cache); false when there are none
+    const showSummary = async () => {
+      const result = await loadOrderSummary();
+      if (!result.success) throw new Error(result.error);
+      if (result.summary.orderCount === 0) return false;
+
+      // loadedAt changes on every reload so the dashboards refetch their slice
+      setSummary({ ...result.summary, loadedAt: result.timestamp.getTime() });
+      return true;
+    };
+
+    setSyncStatus(prev => ({ ...prev, isLoading: !background, isSyncing: background, error: null }));
     try {
-      const result = await loadCustomersFromFirestore();
-      if (result.success && result.customers.length > 0) {
-        setData(result.customers);
-        setSyncStatus({
-          lastSync: result.timestamp,
-          isLoading: false,
-          error: null
-        });
-        console.log(`Loaded ${result.count} customers from cloud`);
-        return { success: true, hasData: true, count: result.count };
-      } else {
-        setSyncStatus(prev => ({ ...prev, isLoading: false }));
-        return { success: true, hasData: false, count: 0 };
+      const repository = await getCustomerRepository();
+      setStorageFeatures(repository.features);
+      // Non-product SKUs shape every total below and the catalog resolves 'categoria:...' searches
+      // (the last known copies stay in use when offline)
+      await Promise.all([loadNonProductSkus(), loadProductCatalog()]);
+
+      // Providers without server-side queries: load everything and filter it in the browser
+      if (!repository.features.serverQueries) {
+        const result = await repository.loadCustomers();
+        if (!result.success) throw new Error(result.error);
+        holdOrdersInMemory(result.customers);
+
+        const hasData = await showSummary();
+        setSyncStatus({ lastSync: result.timestamp, isLoading: false, isSyncing: false, isOffline: false, error: null });
+        console.log(`Loaded ${result.count} orders from ${repository.name}`);
+        return { success: true, hasData };
+      }
+
+      const cache = await openOrderCache(userIdRef.current);
+      if (cache.hasCache && await showSummary()) {
+        setSyncStatus(prev => ({ ...prev, lastSync: new Date(cache.meta.syncedAt), isLoading: false, isSyncing: true }));
+      }
+
+      const sync = await syncOrderCache(userIdRef.current);
+      if (!sync.success && cache.hasCache) {
+        // Keep working read-only on the cached copy until the connection is back
+        setSyncStatus(prev => ({ ...prev, isLoading: false, isSyncing: false, isOffline: true, error: sync.error }));
+        return { success: true, hasData: true, offline: true };
       }
+
+      const hasData = await showSummary();
+      setSyncStatus({
+        lastSync: sync.success ? new Date(sync.meta.syncedAt) : new Date(),
+        isLoading: false,
+        isSyncing: false,
+        isOffline: false,
+        error: null
+      });
+      if (hasData) {
+        console.log(`Loaded ${sync.success ? sync.meta.orderCount : 'server'} orders (${sync.success && !sync.full ? 'delta sync' : 'full load'})`);
+      }
+      return { success: true, hasData };
     } catch (error) {
       console.error('Error loading from cloud:', error);
       setSyncStatus({
         lastSync: null,
         isLoading: false,
+        isSyncing: false,
+        isOffline: !navigator.onLine,
         error: error.message
       });
       return { success: false, hasData: false, error: error.message };
     }
   };
 
-  const saveToCloud = async (processedData) => {
-    try {
-      const result = await saveCustomersToFirestore(processedData);
-      if (result.success) {
-        setSyncStatus({
-          lastSync: result.timestamp,
-          isLoading: false,
-          error: null
-        });
-        console.log(`Saved ${result.count} customers to cloud`);
-      }
-    } catch (error) {
-      console.error('Error saving to cloud:', error);
-      setSyncStatus(prev => ({
-        ...prev,
-        error: error.message
-      }));
-    }
+  // Reload after a rollback/restore from the import history (the table may now be empty)
+  const handleHistoryChanged = async () => {
+    const result = await loadFromCloud();
+    if (result.success && !result.hasData) setSummary(null);
   };
 
   const handleClearCloud = async () => {
@@ -110,9 +164,10 @@ function App() {
 
     setSyncStatus(prev => ({ ...prev, isLoading: true }));
     try {
-      const result = await clearAllData();
+      const repository = await getCustomerRepository();
+      const result = await repository.clearAllData();
       if (result.success) {
-        setData(null);
+        setSummary(null);
         setSyncStatus({
           lastSync: null,
           isLoading: false,
@@ -131,77 +186,179 @@ function App() {
     }
   };
 
-  const handleFilesUploaded = async (albatrossFile, rmsFile, isIncremental = false) => {
+  const releaseImportWorker = () => {
+    importWorkerRef.current?.terminate();
+    importWorkerRef.current = null;
+    setCanAbortImport(false);
+  };
+
+  // Step 1: Parse and validate in the import worker. Nothing is written until the admin confirms the report.
+  // albatrossSource is { file, sheetName }; rmsSources is a list of them (monthly files are combined)
+  const handleFilesUploaded = async (albatrossSource, rmsSources, isIncremental = false, columnMappings = {}) => {
+    if (syncStatus.isOffline) {
+      alert('Sin conexión: los datos están en modo solo lectura. Vuelve a intentarlo cuando se recupere la conexión.');
+      return;
+    }
+    releaseImportWorker();
+    const worker = createImportWorker();
+    importWorkerRef.current = worker;
+    setCanAbortImport(true);
+
     setIsProcessing(true);
+    setImportProgress({ stage: 'read', message: 'Leyendo archivos...' });
     try {
-      console.log(`Starting file processing in ${isIncremental ? 'INCREMENTAL' : 'FULL'} mode...`);
+      const { report, diagnostics } = await worker.analyze(albatrossSource, rmsSources, columnMappings, setImportProgress);
+      console.log(`Validation: ${report.errorCount} errors, ${report.warningCount} warnings`);
+      if (diagnostics) {
+        console.log(`Join match rate: ${(diagnostics.matchRate * 100).toFixed(1)}%, ${diagnostics.orphanRms.length} orphan RMS orders`);
+      }
+
+      setPendingImport({
+        report,
+        diagnostics,
+        isIncremental,
+        fileNames: {
+          albatross: albatrossSource.file.name,
+          rms: rmsSources.map(source => source.file.name).join(', ')
+        }
+      });
+    } catch (error) {
+      releaseImportWorker();
+      if (error.code === 'IMPORT_CANCELLED') {
+        console.log('🛑 Import cancelled while reading files');
+      } else {
+        console.error("Error reading files:", error);
+        alert(`No se pudieron leer los archivos: ${error.message}`);
+      }
+    } finally {
+      setImportProgress(null);
+      setIsProcessing(false);
+    }
+  };
+
+  const handleCancelImport = () => {
+    releaseImportWorker();
+    setPendingImport(null);
+  };
 
-      // Parse Files
-      const rawAlbatross = await parseExcel(albatrossFile);
-      const rawRMS = await parseExcel(rmsFile);
-      console.log('Files parsed successfully');
+  // Stop the worker while it is still parsing or joining
+  const handleAbortImport = () => {
+    importWorkerRef.current?.cancel();
+    importWorkerRef.current = null;
+    setCanAbortImport(false);
+  };
 
-      // Clean Albatross
-      let cleanedAlbatross = cleanAlbatrossData(rawAlbatross);
-      console.log('Albatross data cleaned');
+  // Step 2: Join and save once the validation report is confirmed
+  const handleConfirmImport = async () => {
+    if (!pendingImport) return;
+    const { isIncremental, report, fileNames } = pendingImport;
+    const worker = importWorkerRef.current;
+    setPendingImport(null);
 
-      // Process RMS
-      const processedRMS = processRMSData(rawRMS);
-      console.log('RMS data processed');
+    setIsProcessing(true);
+    try {
+      console.log(`Starting file processing in ${isIncremental ? 'INCREMENTAL' : 'FULL'} mode...`);
 
       // Join Data
-      let finalData = joinDatasets(cleanedAlbatross, processedRMS);
+      setImportProgress({ stage: 'join', message: 'Uniendo pedidos...' });
+      const finalData = await worker.join(setImportProgress);
       console.log('Data joined successfully. Total records:', finalData.length);
 
+      // From here on the data is being written; it can no longer be cancelled
+      releaseImportWorker();
+      setImportProgress(null);
+
+      const repository = await getCustomerRepository();
+
+      // Record the import so it can be rolled back from the admin panel (when the provider keeps a history)
+      let batchId = null;
+      if (repository.features.importHistory) {
+        const batchResult = await createImportBatch({
+          uploadedBy: authState.profile.username,
+          uploadedByName: authState.profile.displayName,
+          mode: isIncremental ? 'incremental' : 'full',
+          fileNames,
+          rowCounts: report.rowCounts,
+          orderCount: finalData.length
+        });
+        if (!batchResult.success) throw new Error(`No se pudo registrar la importación: ${batchResult.error}`);
+        batchId = batchResult.batch.id;
+      }
+
       if (isIncremental) {
+        // Orders are merged by orderId/rawId, so overlapping or late files are safe to upload
         console.log('🔄 Running in INCREMENTAL mode...');
-        const latestDate = await getLatestOrderDate();
-        if (latestDate) {
-          console.log(`Latest date in Firestore: ${latestDate.toLocaleDateString('es-HN')}`);
-          finalData = filterDataByDate(finalData, latestDate);
-          console.log(`Filtered to ${finalData.length} new orders`);
-        } else {
-          console.warn('No existing data found, treating as full upload');
-        }
-
-        const saveResult = await saveCustomersToFirestoreIncremental(finalData);
-        if (saveResult.success) {
-          setSyncStatus({
-            lastSync: saveResult.timestamp,
-            isLoading: false,
-            error: null
+        const saveResult = await repository.saveCustomersIncremental(finalData, { batchId });
+        if (batchId) {
+          await finishImportBatch(batchId, {
+            status: saveResult.success ? 'completed' : 'failed',
+            result: saveResult.success
+              ? { inserted: saveResult.inserted, updated: saveResult.updated, skipped: saveResult.skipped }
+              : { error: saveResult.error },
+            customerIds: saveResult.customerIds || []
           });
-          console.log(`Saved ${saveResult.count} customers incrementally`);
         }
+        if (!saveResult.success) throw new Error(saveResult.error);
+
+        setSyncStatus({
+          lastSync: saveResult.timestamp,
+          isLoading: false,
+          error: null
+        });
+        console.log(`Saved ${saveResult.count} customers incrementally`);
+        alert(`Carga incremental completada: ${saveResult.inserted} pedidos nuevos, ${saveResult.updated} actualizados y ${saveResult.skipped} sin cambios.`);
 
         await loadFromCloud();
       } else {
-        console.log('🗑️ Running in FULL mode - Clearing existing data...');
-        const clearResult = await clearAllData();
-        if (clearResult.success) {
-          console.log(`✅ Cleared ${clearResult.deletedCount} existing records`);
+        // Back up the current table first; without it a wrong file could not be undone
+        if (batchId) {
+          try {
+            await snapshotAllCustomers(batchId);
+          } catch (error) {
+            await finishImportBatch(batchId, { status: 'failed', result: { error: error.message } });
+            throw new Error(`No se pudo respaldar los datos actuales: ${error.message}`);
+          }
         }
 
-        setData(finalData);
+        // Supabase stages the rows and swaps them in at once: a failure leaves the current data live
+        console.log('🔁 Running in FULL mode - Replacing the dataset...');
+        const saveResult = await repository.replaceCustomers(finalData, { batchId, onProgress: setImportProgress });
+        if (batchId) {
+          await finishImportBatch(batchId, {
+            status: saveResult.success ? 'completed' : 'failed',
+            result: saveResult.success ? { customers: saveResult.count } : { error: saveResult.error }
+          });
+        }
+        if (!saveResult.success) {
+          throw new Error(repository.features.atomicReplace
+            ? `No se pudo guardar la carga completa; los datos anteriores siguen activos. ${saveResult.error}`
+            : `No se pudo guardar la carga completa; vuelve a subir los archivos. ${saveResult.error}`);
+        }
 
-        saveToCloud(finalData).catch(error => {
-          console.warn('Cloud save failed (non-critical):', error);
-          setSyncStatus(prev => ({
-            ...prev,
-            error: 'No se pudo guardar en la nube: ' + error.message
-          }));
+        setSyncStatus({
+          lastSync: saveResult.timestamp,
+          isLoading: false,
+          error: null
         });
+        console.log(`Replaced cloud data with ${saveResult.count} customers`);
+        await loadFromCloud();
       }
     } catch (error) {
-      console.error("Error processing files:", error);
-      alert("Hubo un error al procesar los archivos. Revisa la consola para más detalles.");
+      releaseImportWorker();
+      if (error.code === 'IMPORT_CANCELLED') {
+        console.log('🛑 Import cancelled while joining');
+      } else {
+        console.error("Error processing files:", error);
+        alert(`Hubo un error al procesar los archivos: ${error.message}`);
+      }
     } finally {
+      setImportProgress(null);
       setIsProcessing(false);
     }
   };
 
   const handleBack = () => {
-    setData(null);
+    setSummary(null);
   };
 
   const handleLogout = async () => {
@@ -209,32 +366,28 @@ function App() {
 
     const result = await logout();
     if (result.success) {
-      setData(null);
+      setSummary(null);
       setActiveView('dashboard');
     }
   };
 
-  const formattedLastOrderDate = (() => {
-    if (!data || data.length === 0) return null;
-
-    let latestTime = null;
-    data.forEach((order) => {
-      const date = new Date(order.orderDate);
-      if (!isNaN(date.getTime())) {
-        if (latestTime === null || date.getTime() > latestTime) {
-          latestTime = date.getTime();
-        }
-      }
-    });
+  const formattedLastOrderDate = summary?.latestOrderDate
+    ? new Date(summary.latestOrderDate).toLocaleString('es-HN', {
+      day: '2-digit',
+      month: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+    : null;
 
-    if (latestTime === null) return null;
-    return new Date(latestTime).toLocaleString('es-HN', {
+  const formattedLastSync = syncStatus.lastSync
+    ? syncStatus.lastSync.toLocaleString('es-HN', {
       day: '2-digit',
       month: '2-digit',
       hour: '2-digit',
       minute: '2-digit'
-    });
-  })();
+    })
+    : null;
 
   // Loading state during auth initialization
   if (authState.loading || (isProcessing || syncStatus.isLoading)) {
@@ -250,9 +403,37 @@ function App() {
           <h3 className="text-xl font-bold text-slate-800 dark:text-slate-100 mb-2">
             {authState.loading ? 'Iniciando...' : isProcessing ? 'Procesando tus datos' : 'Sincronizando con la nube'}
           </h3>
-          <p className="text-slate-500 dark:text-slate-400 text-sm animate-pulse">
-            Esto puede tomar unos segundos...
-          </p>
+          {importProgress ? (
+            <div className="flex flex-col items-center w-72">
+              <p className="text-slate-500 dark:text-slate-400 text-sm mb-3 text-center">
+                {importProgress.message}
+              </p>
+              {importProgress.total > 0 && (
+                <div className="w-full h-1.5 bg-slate-200 dark:bg-slate-800 rounded-full overflow-hidden mb-4">
+                  <div
+                    className="h-full bg-indigo-600 dark:bg-indigo-500 rounded-full transition-all duration-300"
+                    style={{ width: `${Math.round((importProgress.current / importProgress.total) * 100)}%` }}
+                  />
+                </div>
+              )}
+              {canAbortImport ? (
+                <button
+                  onClick={handleAbortImport}
+                  className="px-4 py-2 rounded-xl text-sm font-semibold text-slate-600 dark:text-slate-300 border border-slate-200 dark:border-slate-700 hover:text-rose-600 hover:border-rose-200 dark:hover:border-rose-500/30 hover:bg-rose-50 dark:hover:bg-rose-900/30 transition-colors"
+                >
+                  Cancelar importación
+                </button>
+              ) : (
+                <p className="text-xs text-slate-400 dark:text-slate-500 text-center">
+                  Guardando los datos: ya no se puede cancelar
+                </p>
+              )}
+            </div>
+          ) : (
+            <p className="text-slate-500 dark:text-slate-400 text-sm animate-pulse">
+              Esto puede tomar unos segundos...
+            </p>
+          )}
         </div>
       </div>
     );
@@ -343,7 +524,20 @@ function App() {
             {isAdmin && (
               <>
                 <div className="flex items-center gap-2 px-3 border-l border-r border-slate-200/60 dark:border-slate-700/60">
-                  {syncStatus.lastSync ? (
+                  {syncStatus.isOffline && syncStatus.lastSync ? (
+                    <div
+                      className="flex items-center gap-1.5 text-amber-600 dark:text-amber-400 bg-amber-50 dark:bg-amber-500/10 px-2 py-0.5 rounded-full text-[10px] font-bold tracking-wide uppercase"
+                      title="Sin conexión: se muestran los datos guardados en este equipo (solo lectura)"
+                    >
+                      <CloudOff size={12} strokeWidth={3} />
+                      <span>Offline · desactualizado desde {formattedLastSync}</span>
+                    </div>
+                  ) : syncStatus.isSyncing ? (
+                    <div className="flex items-center gap-1.5 text-indigo-600 dark:text-indigo-400 bg-indigo-50 dark:bg-indigo-500/10 px-2 py-0.5 rounded-full text-[10px] font-bold tracking-wide uppercase">
+                      <RefreshCw size={12} strokeWidth={3} className="animate-spin" />
+                      <span>Sincronizando</span>
+                    </div>
+                  ) : syncStatus.lastSync ? (
                     <div className="flex items-center gap-1.5 text-emerald-600 dark:text-emerald-400 bg-emerald-50 dark:bg-emerald-500/10 px-2 py-0.5 rounded-full text-[10px] font-bold tracking-wide uppercase">
                       <Cloud size={12} strokeWidth={3} />
                       <span>Sincronizado</span>
@@ -364,14 +558,14 @@ function App() {
 
                 <div className="flex items-center gap-1">
                   <button
-                    onClick={loadFromCloud}
+                    onClick={() => loadFromCloud()}
                     className="p-1.5 text-slate-400 hover:text-indigo-600 dark:hover:text-indigo-400 hover:bg-slate-100 dark:hover:bg-slate-800 rounded-full transition-colors"
                     title="Recargar desde la nube"
                   >
                     <RefreshCw size={14} />
                   </button>
 
-                  {data && (
+                  {summary && !syncStatus.isOffline && (
                     <button
                       onClick={handleClearCloud}
                       className="p-1.5 text-slate-400 hover:text-rose-600 hover:bg-rose-50 dark:hover:bg-rose-900/30 rounded-full transition-colors"
@@ -409,9 +603,14 @@ function App() {
               exit={{ opacity: 0, y: -20 }}
               transition={{ duration: 0.3 }}
             >
-              <AdminPanel currentUser={authState.profile} />
+              <AdminPanel
+                currentUser={authState.profile}
+                onDataChanged={handleHistoryChanged}
+                showImportHistory={storageFeatures?.importHistory ?? true}
+                showCustomerMerging={storageFeatures?.customerMerging ?? true}
+              />
             </motion.div>
-          ) : !data ? (
+          ) : !summary ? (
             <motion.div
               key="upload"
               initial={{ opacity: 0, scale: 0.95, filter: 'blur(10px)' }}
@@ -430,7 +629,7 @@ function App() {
                 <FileUpload
                   onFilesUploaded={handleFilesUploaded}
                   currentUser={authState.profile}
-                  onGoToDashboard={loadFromCloud}
+                  onGoToDashboard={() => loadFromCloud()}
                 />
               )}
             </motion.div>
@@ -443,7 +642,7 @@ function App() {
               transition={{ duration: 0.5, ease: [0.22, 1, 0.36, 1] }}
             >
               <Dashboard
-                data={data}
+                summary={summary}
                 onBack={isAdmin ? handleBack : undefined}
                 userRole={authState.profile.role}
                 userName={authState.profile.displayName}
@@ -453,6 +652,17 @@ function App() {
           )}
         </AnimatePresence>
       </main>
+
+      {/* Pre-import validation */}
+      {pendingImport && (
+        <ImportValidationReport
+          report={pendingImport.report}
+          diagnostics={pendingImport.diagnostics}
+          fileNames={pendingImport.fileNames}
+          onConfirm={handleConfirmImport}
+          onCancel={handleCancelImport}
+        />
+      )}
     </div>
   );
 }
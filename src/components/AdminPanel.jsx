@@ -6,8 +6,12 @@ import {
 } from 'lucide-react';
 import { getAllUsers, createUser, updateUser, deleteUser } from '../utils/authUtils';
 import { getGestoresByZona } from '../config/gestores';
+import ImportHistory from './ImportHistory';
+import DuplicateCustomers from './DuplicateCustomers';
+import NonProductSkus from './NonProductSkus';
+import ProductCatalog from './ProductCatalog';
 
-const AdminPanel = ({ currentUser }) => {
+const AdminPanel = ({ currentUser, onDataChanged, showImportHistory = true, showCustomerMerging = true }) => {
     const [users, setUsers] = useState([]);
     const [loading, setLoading] = useState(true);
     const [searchTerm, setSearchTerm] = useState('');
@@ -365,6 +369,18 @@ const AdminPanel = ({ currentUser }) => {
                 </div>
             )}
 
+            {/* Import History (only providers that keep import batches) */}
+            {showImportHistory && <ImportHistory onDataChanged={onDataChanged} />}
+
+            {/* Duplicate customer review (only providers that keep customer merges) */}
+            {showCustomerMerging && <DuplicateCustomers currentUser={currentUser} onDataChanged={onDataChanged} />}
+
+            {/* Non-product SKUs (delivery, bags, service fees) */}
+            <NonProductSkus currentUser={currentUser} onDataChanged={onDataChanged} />
+
+            {/* Product catalog (categories, brands, therapeutic classes) */}
+            <ProductCatalog onDataChanged={onDataChanged} />
+
             {/* Modal */}
             <AnimatePresence>
                 {showModal && (
@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Ban, Undo2, Percent, ShoppingBag, Users, Package, User, Calendar, Download, Loader2 } from 'lucide-react';
+import * as XLSX from 'xlsx';
+import GlassDatePicker from './GlassDatePicker';
+import { loadCancellationStats } from '../utils/orderQueries';
+
+const formatCount = (value) => Number(value || 0).toLocaleString('es-HN');
+const formatRate = (value) => `${(Number(value || 0) * 100).toLocaleString('es-HN', { maximumFractionDigits: 1 })}%`;
+
+// Rate color: green up to 5%, amber up to 15%, red above
+const rateClassName = (rate) => {
+    if (rate > 0.15) return 'text-rose-600 dark:text-rose-400';
+    if (rate > 0.05) return 'text-amber-600 dark:text-amber-400';
+    return 'text-emerald-600 dark:text-emerald-400';
+};
+
+const KpiCard = ({ icon, value, label, className, delay = 0 }) => (
+    <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay }}
+        className={`bg-gradient-to-br ${className} rounded-2xl p-6 text-white shadow-lg`}
+    >
+        <div className="flex items-center justify-between mb-2">
+            {icon}
+            <span className="text-3xl font-bold">{value}</span>
+        </div>
+        <p className="text-sm font-medium opacity-90">{label}</p>
+    </motion.div>
+);
+
+const RateTable = ({ icon, title, rows, columns, emptyText }) => (
+    <div className="bg-white/80 dark:bg-slate-900/80 backdrop-blur-xl rounded-[2rem] p-6 shadow-xl border border-white/60 dark:border-slate-800">
+        <h3 className="text-xl font-bold text-slate-800 dark:text-white flex items-center gap-2 mb-4">
+            <span className="w-8 h-8 rounded-lg bg-rose-100 dark:bg-rose-500/20 text-rose-600 dark:text-rose-400 flex items-center justify-center">
+                {icon}
+            </span>
+            {title}
+        </h3>
+        {rows.length === 0 ? (
+            <p className="text-sm text-slate-500 dark:text-slate-400 py-6 text-center">{emptyText}</p>
+        ) : (
+            <div className="max-h-[420px] overflow-y-auto custom-scrollbar">
+                <table className="w-full text-sm">
+                    <thead className="sticky top-0 bg-white dark:bg-slate-900">
+                        <tr className="text-left text-xs font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider">
+                            {columns.map(column => (
+                                <th key={column.label} className="py-2 pr-3">{column.label}</th>
+                            ))}
+                            <th className="py-2 text-right">Pedidos</th>
+                            <th className="py-2 text-right">Cancel.</th>
+                            <th className="py-2 text-right">Devol.</th>
+                            <th className="py-2 text-right">Tasa</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-100 dark:divide-slate-800">
+                        {rows.map((row, index) => (
+                            <tr key={index} className="text-slate-700 dark:text-slate-300">
+                                {columns.map(column => (
+                                    <td key={column.label} className="py-2 pr-3 max-w-[220px] truncate" title={String(column.value(row) || '')}>
+                                        {column.value(row)}
+                                    </td>
+                                ))}
+                                <td className="py-2 text-right font-mono">{formatCount(row.orderCount)}</td>
+                                <td className="py-2 text-right font-mono">{formatCount(row.cancelled)}</td>
+                                <td className="py-2 text-right font-mono">{formatCount(row.returned)}</td>
+                                <td className={`py-2 text-right font-bold ${rateClassName(Number(row.rate))}`}>{formatRate(row.rate)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        )}
+    </div>
+);
+
+const GESTOR_COLUMNS = [
+    { label: 'Zona', value: row => row.zone },
+    { label: 'Gestor', value: row => row.gestor }
+];
+
+const SKU_COLUMNS = [
+    { label: 'SKU', value: row => row.sku },
+    { label: 'Producto', value: row => row.description }
+];
+
+const CUSTOMER_COLUMNS = [
+    { label: 'Cliente', value: row => row.name },
+    { label: 'Celular', value: row => row.phone }
+];
+
+const toSheetRows = (rows, columns) => rows.map(row => ({
+    ...Object.fromEntries(columns.map(column => [column.label, column.value(row)])),
+    'Pedidos': Number(row.orderCount),
+    'Cancelados': Number(row.cancelled),
+    'Devueltos': Number(row.returned),
+    'Tasa (%)': Math.round(Number(row.rate) * 1000) / 10
+}));
+
+/**
+ * Cancellation and return rates per gestor, SKU and customer
+ * (cancelled + returned out of every closed order; see cancellation_stats in supabase_setup.sql)
+ */
+const CancellationAnalysis = ({ summary }) => {
+    const [dateRange, setDateRange] = useState({ start: '', end: '' });
+    const [result, setResult] = useState({ requestKey: null, stats: null, error: null });
+
+    const requestKey = JSON.stringify({ dateRange, loadedAt: summary?.loadedAt || null });
+
+    useEffect(() => {
+        let cancelled = false;
+        const request = JSON.parse(requestKey);
+        loadCancellationStats({ startDate: request.dateRange.start, endDate: request.dateRange.end }).then(response => {
+            if (cancelled) return;
+            setResult({ requestKey, stats: response.success ? response.stats : null, error: response.success ? null : response.error });
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [requestKey]);
+
+    const loading = result.requestKey !== requestKey;
+    const stats = result.stats;
+
+    const handleExport = () => {
+        if (!stats) return;
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(toSheetRows(stats.byGestor, GESTOR_COLUMNS)), 'Gestores');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(toSheetRows(stats.bySku, SKU_COLUMNS)), 'SKUs');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(toSheetRows(stats.byCustomer, CUSTOMER_COLUMNS)), 'Clientes');
+        XLSX.writeFile(workbook, `Cancelaciones_${new Date().toISOString().split('T')[0]}.xlsx`);
+    };
+
+    return (
+        <div className="space-y-6">
+            {/* Filters */}
+            <div className="flex flex-col md:flex-row gap-4 items-start md:items-end justify-between px-4">
+                <div className="flex flex-col gap-2">
+                    <label className="text-xs font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider flex items-center gap-1.5">
+                        <Calendar size={12} />
+                        Rango de Fechas
+                    </label>
+                    <div className="flex items-center gap-2">
+                        <GlassDatePicker
+                            value={dateRange.start}
+                            onChange={(newStart) => setDateRange({ ...dateRange, start: newStart })}
+                        />
+                        <span className="text-slate-400 font-bold">-</span>
+                        <GlassDatePicker
+                            value={dateRange.end}
+                            onChange={(newEnd) => setDateRange({ ...dateRange, end: newEnd })}
+                        />
+                    </div>
+                </div>
+                <div className="flex items-center gap-3">
+                    {loading && <Loader2 size={18} className="animate-spin text-indigo-600" />}
+                    <button
+                        onClick={handleExport}
+                        disabled={!stats}
+                        className="flex items-center gap-2 px-4 py-2 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm font-semibold text-slate-700 dark:text-slate-200 hover:border-indigo-300 dark:hover:border-indigo-500 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        <Download size={16} />
+                        Exportar
+                    </button>
+                </div>
+            </div>
+
+            {result.error && (
+                <div className="px-4 text-sm text-rose-600 dark:text-rose-400">
+                    No se pudieron cargar las cancelaciones: {result.error}
+                </div>
+            )}
+
+            {stats && (
+                <>
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                        <KpiCard icon={<ShoppingBag size={24} className="opacity-80" />} value={formatCount(stats.totals.orderCount)} label="Pedidos cerrados" className="from-indigo-500 to-purple-600 dark:from-indigo-600 dark:to-purple-700" />
+                        <KpiCard icon={<Ban size={24} className="opacity-80" />} value={formatCount(stats.totals.cancelled)} label="Cancelados" className="from-rose-500 to-pink-600 dark:from-rose-600 dark:to-pink-700" delay={0.1} />
+                        <KpiCard icon={<Undo2 size={24} className="opacity-80" />} value={formatCount(stats.totals.returned)} label="Devueltos" className="from-amber-500 to-orange-600 dark:from-amber-600 dark:to-orange-700" delay={0.2} />
+                        <KpiCard icon={<Percent size={24} className="opacity-80" />} value={formatRate(stats.totals.rate)} label="Tasa de cancelación" className="from-emerald-500 to-teal-600 dark:from-emerald-600 dark:to-teal-700" delay={0.3} />
+                    </div>
+
+                    <RateTable
+                        icon={<Users size={16} />}
+                        title="Por Gestor"
+                        rows={stats.byGestor}
+                        columns={GESTOR_COLUMNS}
+                        emptyText="Sin pedidos cerrados en el periodo"
+                    />
+                    <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+                        <RateTable
+                            icon={<Package size={16} />}
+                            title="Por SKU"
+                            rows={stats.bySku}
+                            columns={SKU_COLUMNS}
+                            emptyText="Sin productos con suficientes pedidos"
+                        />
+                        <RateTable
+                            icon={<User size={16} />}
+                            title="Clientes con cancelaciones"
+                            rows={stats.byCustomer}
+                            columns={CUSTOMER_COLUMNS}
+                            emptyText="Ningún cliente con cancelaciones o devoluciones"
+                        />
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default CancellationAnalysis;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { CHURN_LEVELS } from '../utils/churnModel';
+
+const LEVEL_CLASSES = {
+    high: 'bg-rose-50 dark:bg-rose-500/10 text-rose-700 dark:text-rose-400 border-rose-200 dark:border-rose-500/30',
+    medium: 'bg-amber-50 dark:bg-amber-500/10 text-amber-700 dark:text-amber-400 border-amber-200 dark:border-amber-500/30',
+    low: 'bg-emerald-50 dark:bg-emerald-500/10 text-emerald-700 dark:text-emerald-400 border-emerald-200 dark:border-emerald-500/30'
+};
+
+/**
+ * Churn risk of a customer (see utils/churnModel.js): level and risk percentage
+ */
+const ChurnBadge = ({ churn }) => {
+    if (!churn) return <span className="text-xs text-slate-400 dark:text-slate-500">—</span>;
+
+    return (
+        <span
+            className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-bold border whitespace-nowrap ${LEVEL_CLASSES[churn.level]}`}
+            title={`Probabilidad de que siga comprando: ${Math.round(churn.aliveProbability * 100)}%`}
+        >
+            {CHURN_LEVELS[churn.level].label} · {Math.round(churn.risk * 100)}%
+        </span>
+    );
+};
+
+export default ChurnBadge;
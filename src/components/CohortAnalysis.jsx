@@ -0,0 +1,298 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { CalendarRange, Users, Repeat, Download, Loader2, MapPin, Building2, Search } from 'lucide-react';
+import * as XLSX from 'xlsx';
+import { useOrderQuery } from '../hooks/useOrderQuery';
+import { loadCustomerPurchaseHistory } from '../utils/orderQueries';
+import { expandCatalogTerms } from '../utils/productCatalog';
+import { buildCohorts, toCohortSheets, getCohortLabel } from '../utils/cohorts';
+
+const MATRICES = [
+    { id: 'retention', label: 'Retención' },
+    { id: 'revenue', label: 'Ingresos' }
+];
+
+const formatCount = (value) => Number(value || 0).toLocaleString('es-HN');
+const formatShare = (share) => `${(share * 100).toLocaleString('es-HN', { maximumFractionDigits: 1 })}%`;
+const formatAmount = (value) => `L. ${Math.round(value).toLocaleString('es-HN')}`;
+
+// Cell color by intensity (share of the cohort, or of the largest revenue cell)
+const cellClassName = (intensity) => {
+    if (intensity >= 0.5) return 'bg-indigo-600 text-white';
+    if (intensity >= 0.3) return 'bg-indigo-400 text-white';
+    if (intensity >= 0.15) return 'bg-indigo-200 dark:bg-indigo-500/50 text-indigo-900 dark:text-white';
+    if (intensity > 0) return 'bg-indigo-50 dark:bg-indigo-500/20 text-indigo-900 dark:text-indigo-200';
+    return 'bg-slate-50 dark:bg-slate-800/50 text-slate-400 dark:text-slate-500';
+};
+
+/**
+ * Cohort retention: customers grouped by the month of their first order, followed month by month
+ * (see utils/cohorts.js). Zone, city and SKUs choose the customers and orders counted; the cohort
+ * is always the customer's first purchase of anything, anywhere
+ */
+const CohortAnalysis = ({ summary }) => {
+    const [selectedZone, setSelectedZone] = useState(null); // null = nothing loaded yet, 'all' = every zone
+    const [selectedCity, setSelectedCity] = useState('');
+    const [skuQuery, setSkuQuery] = useState('');
+    const [matrix, setMatrix] = useState('retention');
+
+    const zones = useMemo(
+        () => [...new Set((summary?.gestores || []).map(({ zone }) => zone))].sort(),
+        [summary]
+    );
+
+    const terms = useMemo(
+        () => skuQuery.split(/[\n,]+/).map(term => term.trim().toLowerCase()).filter(Boolean),
+        [skuQuery]
+    );
+
+    // Each customer's first delivered purchase over every order (customer_purchase_history) sets the cohort
+    const [history, setHistory] = useState({ loadedAt: undefined, firstPurchases: {} });
+    const loadedAt = summary?.loadedAt || null;
+    useEffect(() => {
+        let cancelled = false;
+        loadCustomerPurchaseHistory().then(response => {
+            if (cancelled) return;
+            const firstPurchases = response.success
+                ? Object.fromEntries(response.histories.map(({ customerId, firstPurchase }) => [customerId, firstPurchase]))
+                : {};
+            setHistory({ loadedAt, firstPurchases });
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [loadedAt]);
+
+    // Orders counted: the ones in the zone and city, with the SKUs searched
+    const orderFilters = useMemo(() => {
+        if (!selectedZone) return null;
+        const skus = expandCatalogTerms(terms);
+        if (terms.length > 0 && skus.length === 0) return null;
+
+        return {
+            ...(selectedZone === 'all' ? {} : { zone: selectedZone }),
+            cities: selectedCity ? [selectedCity] : [],
+            skus
+        };
+    }, [selectedZone, selectedCity, terms]);
+
+    const { orders, loading: ordersLoading, error } = useOrderQuery(orderFilters, { reloadKey: summary?.loadedAt });
+    const loading = ordersLoading || history.loadedAt !== loadedAt;
+
+    const result = useMemo(
+        () => buildCohorts(orders, { terms, firstPurchases: history.firstPurchases }),
+        [orders, terms, history.firstPurchases]
+    );
+    const { cohorts, averageRetention, maxOffset } = result;
+
+    const offsets = Array.from({ length: cohorts.length > 0 ? maxOffset + 1 : 0 }, (_, offset) => offset);
+    const maxRevenue = cohorts.reduce((max, cohort) => Math.max(max, ...cohort.revenue), 0);
+
+    const handleExport = () => {
+        const sheets = toCohortSheets(result);
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(sheets.retention), 'Retención (%)');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(sheets.revenue), 'Ingresos');
+        XLSX.writeFile(workbook, `Cohortes_${new Date().toISOString().split('T')[0]}.xlsx`);
+    };
+
+    return (
+        <div className="space-y-6">
+            {/* Filters */}
+            <div className="flex flex-col md:flex-row gap-4 items-start md:items-end justify-between px-4">
+                <div className="flex flex-col md:flex-row gap-4">
+                    <div className="flex flex-col gap-2">
+                        <label className="text-xs font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider flex items-center gap-1.5">
+                            <MapPin size={12} />
+                            Zona
+                        </label>
+                        <select
+                            value={selectedZone || ''}
+                            onChange={(e) => setSelectedZone(e.target.value || null)}
+                            className="px-3 py-2 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm font-semibold text-slate-700 dark:text-slate-200 outline-none focus:ring-2 focus:ring-indigo-500/50 cursor-pointer min-w-[200px]"
+                        >
+                            <option value="">Selecciona una zona</option>
+                            <option value="all">Todas las zonas</option>
+                            {zones.map(zone => (
+                                <option key={zone} value={zone}>{zone}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="flex flex-col gap-2">
+                        <label className="text-xs font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider flex items-center gap-1.5">
+                            <Building2 size={12} />
+                            Ciudad
+                        </label>
+                        <select
+                            value={selectedCity}
+                            onChange={(e) => setSelectedCity(e.target.value)}
+                            className="px-3 py-2 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm font-semibold text-slate-700 dark:text-slate-200 outline-none focus:ring-2 focus:ring-indigo-500/50 cursor-pointer min-w-[180px]"
+                        >
+                            <option value="">Todas las ciudades</option>
+                            {(summary?.cities || []).map(city => (
+                                <option key={city} value={city}>{city}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="flex flex-col gap-2">
+                        <label className="text-xs font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider flex items-center gap-1.5">
+                            <Search size={12} />
+                            SKU
+                        </label>
+                        <input
+                            type="text"
+                            value={skuQuery}
+                            onChange={(e) => setSkuQuery(e.target.value)}
+                            placeholder="SKU, varios separados por coma o categoria:..."
+                            className="px-3 py-2 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm text-slate-700 dark:text-slate-200 outline-none focus:ring-2 focus:ring-indigo-500/50 min-w-[260px]"
+                        />
+                    </div>
+                </div>
+                <div className="flex items-center gap-3">
+                    {loading && <Loader2 size={18} className="animate-spin text-indigo-600" />}
+                    <button
+                        onClick={handleExport}
+                        disabled={cohorts.length === 0}
+                        className="flex items-center gap-2 px-4 py-2 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm font-semibold text-slate-700 dark:text-slate-200 hover:border-indigo-300 dark:hover:border-indigo-500 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        <Download size={16} />
+                        Exportar cohortes
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="px-4 text-sm text-rose-600 dark:text-rose-400">
+                    No se pudieron cargar los pedidos: {error}
+                </div>
+            )}
+
+            {!orderFilters ? (
+                <div className="text-center py-16 text-slate-500 dark:text-slate-400">
+                    {selectedZone ? 'Ningún producto del catálogo coincide con la búsqueda' : 'Selecciona una zona para calcular las cohortes'}
+                </div>
+            ) : (
+                <>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div className="bg-gradient-to-br from-indigo-500 to-purple-600 dark:from-indigo-600 dark:to-purple-700 rounded-2xl p-6 text-white shadow-lg">
+                            <div className="flex items-center justify-between mb-2">
+                                <CalendarRange size={24} className="opacity-80" />
+                                <span className="text-3xl font-bold">{formatCount(cohorts.length)}</span>
+                            </div>
+                            <p className="text-sm font-medium opacity-90">Cohortes (meses de primera compra)</p>
+                        </div>
+                        <div className="bg-gradient-to-br from-emerald-500 to-teal-600 dark:from-emerald-600 dark:to-teal-700 rounded-2xl p-6 text-white shadow-lg">
+                            <div className="flex items-center justify-between mb-2">
+                                <Users size={24} className="opacity-80" />
+                                <span className="text-3xl font-bold">{formatCount(result.customerCount)}</span>
+                            </div>
+                            <p className="text-sm font-medium opacity-90">Clientes</p>
+                        </div>
+                        <div className="bg-gradient-to-br from-amber-500 to-orange-600 dark:from-amber-600 dark:to-orange-700 rounded-2xl p-6 text-white shadow-lg">
+                            <div className="flex items-center justify-between mb-2">
+                                <Repeat size={24} className="opacity-80" />
+                                <span className="text-3xl font-bold">{averageRetention[1] != null ? formatShare(averageRetention[1]) : '—'}</span>
+                            </div>
+                            <p className="text-sm font-medium opacity-90">Vuelven a comprar al mes siguiente</p>
+                        </div>
+                    </div>
+
+                    {!loading && cohorts.length === 0 ? (
+                        <div className="text-center py-12 text-slate-500 dark:text-slate-400">
+                            No hay pedidos con estos filtros
+                        </div>
+                    ) : (
+                        <div className="bg-white/80 dark:bg-slate-900/80 backdrop-blur-xl rounded-[2rem] p-6 shadow-xl border border-white/60 dark:border-slate-800">
+                            <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 mb-4">
+                                <div>
+                                    <h3 className="text-xl font-bold text-slate-800 dark:text-white">
+                                        {matrix === 'retention' ? 'Retención por cohorte' : 'Ingresos por cohorte'}
+                                    </h3>
+                                    <p className="text-xs text-slate-500 dark:text-slate-400 mt-0.5">
+                                        {matrix === 'retention'
+                                            ? `Porcentaje de cada cohorte que compró${terms.length > 0 ? ' los productos buscados' : ''} en cada mes desde su primera compra (mes 0)`
+                                            : `Ventas de cada cohorte en cada mes desde su primera compra${terms.length > 0 ? ' (solo los productos buscados)' : ''}`}
+                                        {(terms.length > 0 || selectedZone !== 'all' || selectedCity) && (
+                                            <span className="block">
+                                                La cohorte es el mes de la primera compra del cliente en cualquier zona, ciudad o producto; los filtros solo eligen qué clientes y pedidos se cuentan
+                                            </span>
+                                        )}
+                                    </p>
+                                </div>
+                                <div className="flex gap-1 p-1 bg-slate-100 dark:bg-slate-950 rounded-xl">
+                                    {MATRICES.map(option => (
+                                        <button
+                                            key={option.id}
+                                            onClick={() => setMatrix(option.id)}
+                                            className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition-colors ${matrix === option.id
+                                                ? 'bg-white dark:bg-slate-800 text-indigo-600 dark:text-indigo-400 shadow-sm'
+                                                : 'text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-300'}`}
+                                        >
+                                            {option.label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                            <div className="max-h-[560px] overflow-auto custom-scrollbar">
+                                <table className="text-xs border-separate border-spacing-0.5">
+                                    <thead className="sticky top-0 bg-white dark:bg-slate-900 z-10">
+                                        <tr className="text-left font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider">
+                                            <th className="py-2 pr-3 sticky left-0 bg-white dark:bg-slate-900">Cohorte</th>
+                                            <th className="py-2 pr-3 text-right">Clientes</th>
+                                            {matrix === 'revenue' && <th className="py-2 pr-3 text-right">Total</th>}
+                                            {offsets.map(offset => (
+                                                <th key={offset} className="py-2 px-1 text-center whitespace-nowrap">Mes {offset}</th>
+                                            ))}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {cohorts.map(cohort => (
+                                            <tr key={cohort.month} className="text-slate-700 dark:text-slate-300">
+                                                <td className="py-1.5 pr-3 font-semibold whitespace-nowrap capitalize sticky left-0 bg-white dark:bg-slate-900">
+                                                    {getCohortLabel(cohort.month)}
+                                                </td>
+                                                <td className="py-1.5 pr-3 text-right font-mono">{formatCount(cohort.size)}</td>
+                                                {matrix === 'revenue' && (
+                                                    <td className="py-1.5 pr-3 text-right font-mono whitespace-nowrap">{formatAmount(cohort.totalRevenue)}</td>
+                                                )}
+                                                {offsets.map(offset => (
+                                                    offset < cohort.active.length ? (
+                                                        <td
+                                                            key={offset}
+                                                            className={`py-1.5 px-2 text-center font-mono whitespace-nowrap rounded ${matrix === 'retention'
+                                                                ? cellClassName(cohort.retention[offset])
+                                                                : cellClassName(maxRevenue > 0 ? cohort.revenue[offset] / maxRevenue : 0)}`}
+                                                            title={`${formatCount(cohort.active[offset])} de ${formatCount(cohort.size)} clientes · ${formatAmount(cohort.revenue[offset])}`}
+                                                        >
+                                                            {matrix === 'retention' ? formatShare(cohort.retention[offset]) : formatAmount(cohort.revenue[offset])}
+                                                        </td>
+                                                    ) : (
+                                                        <td key={offset} />
+                                                    )
+                                                ))}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                    {matrix === 'retention' && (
+                                        <tfoot>
+                                            <tr className="font-bold text-slate-700 dark:text-slate-200">
+                                                <td className="py-2 pr-3 sticky left-0 bg-white dark:bg-slate-900">Promedio</td>
+                                                <td className="py-2 pr-3 text-right font-mono">{formatCount(result.customerCount)}</td>
+                                                {offsets.map(offset => (
+                                                    <td key={offset} className="py-2 px-2 text-center font-mono whitespace-nowrap">
+                                                        {averageRetention[offset] != null ? formatShare(averageRetention[offset]) : ''}
+                                                    </td>
+                                                ))}
+                                            </tr>
+                                        </tfoot>
+                                    )}
+                                </table>
+                            </div>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default CohortAnalysis;
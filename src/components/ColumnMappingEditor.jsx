@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { Columns, Save, Trash2, AlertCircle, CheckCircle } from 'lucide-react';
+import { motion } from 'framer-motion';
+import { IMPORT_FIELDS } from '../config/columnMappings';
+
+const SOURCES = [
+    { id: 'albatross', label: 'Albatross' },
+    { id: 'rms', label: 'RMS' }
+];
+
+const ColumnMappingEditor = ({
+    headers,
+    mappings,
+    scores,
+    onChange,
+    profiles,
+    activeProfile,
+    onSelectProfile,
+    onSaveProfile,
+    onDeleteProfile
+}) => {
+    const [profileName, setProfileName] = useState(activeProfile || '');
+
+    const handleSave = () => {
+        const name = profileName.trim();
+        if (!name) return;
+        onSaveProfile(name);
+    };
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="mb-10 bg-white/50 dark:bg-slate-800/50 backdrop-blur-sm rounded-2xl p-6 border border-slate-200 dark:border-slate-700 text-left"
+        >
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+                <div className="flex items-center gap-2">
+                    <Columns size={18} className="text-indigo-500" />
+                    <h3 className="font-bold text-slate-900 dark:text-white">Mapeo de Columnas</h3>
+                </div>
+
+                {/* Profiles */}
+                <div className="flex flex-wrap items-center gap-2">
+                    <select
+                        value={activeProfile}
+                        onChange={(e) => {
+                            onSelectProfile(e.target.value);
+                            setProfileName(e.target.value);
+                        }}
+                        className="px-3 py-2 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm font-semibold text-slate-700 dark:text-slate-200 outline-none"
+                    >
+                        <option value="">Detección automática</option>
+                        {Object.keys(profiles).sort().map(name => (
+                            <option key={name} value={name}>{name}</option>
+                        ))}
+                    </select>
+                    <input
+                        type="text"
+                        value={profileName}
+                        onChange={(e) => setProfileName(e.target.value)}
+                        placeholder="Nombre del perfil"
+                        className="px-3 py-2 w-44 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm text-slate-700 dark:text-slate-200 outline-none"
+                    />
+                    <button
+                        onClick={handleSave}
+                        disabled={!profileName.trim()}
+                        className="flex items-center gap-1.5 px-3 py-2 rounded-xl bg-indigo-600 text-white text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                        title="Guardar perfil"
+                    >
+                        <Save size={14} />
+                        Guardar
+                    </button>
+                    {activeProfile && (
+                        <button
+                            onClick={() => {
+                                onDeleteProfile(activeProfile);
+                                setProfileName('');
+                            }}
+                            className="p-2 rounded-xl text-slate-400 hover:text-rose-600 hover:bg-rose-50 dark:hover:bg-rose-900/30 transition-colors"
+                            title="Eliminar perfil"
+                        >
+                            <Trash2 size={14} />
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            <div className="grid md:grid-cols-2 gap-6">
+                {SOURCES.map(source => {
+                    const sourceHeaders = headers[source.id] || [];
+                    const fields = IMPORT_FIELDS[source.id];
+
+                    return (
+                        <div key={source.id}>
+                            <h4 className="text-xs font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider mb-3">
+                                {source.label}
+                            </h4>
+                            {sourceHeaders.length === 0 ? (
+                                <p className="text-sm text-slate-400 dark:text-slate-500">
+                                    Selecciona el archivo para detectar sus columnas.
+                                </p>
+                            ) : (
+                                <div className="space-y-2">
+                                    {Object.entries(fields).map(([field, def]) => {
+                                        const selected = mappings[source.id]?.[field] || '';
+                                        const score = scores[source.id]?.[field];
+                                        const isMissing = def.required && !selected;
+
+                                        return (
+                                            <div key={field} className="flex items-center gap-3">
+                                                <label className="w-40 shrink-0 text-sm font-medium text-slate-700 dark:text-slate-300">
+                                                    {def.label}
+                                                    {def.required && <span className="text-rose-500"> *</span>}
+                                                </label>
+                                                <select
+                                                    value={selected}
+                                                    onChange={(e) => onChange(source.id, field, e.target.value)}
+                                                    className={`flex-1 min-w-0 px-3 py-1.5 bg-white dark:bg-slate-900 border rounded-lg text-sm text-slate-700 dark:text-slate-200 outline-none ${isMissing
+                                                        ? 'border-rose-300 dark:border-rose-500/50'
+                                                        : 'border-slate-200 dark:border-slate-700'
+                                                        }`}
+                                                >
+                                                    <option value="">— Sin asignar —</option>
+                                                    {sourceHeaders.map(header => (
+                                                        <option key={header} value={header}>{header}</option>
+                                                    ))}
+                                                </select>
+                                                {isMissing ? (
+                                                    <span className="text-rose-500 shrink-0" title="Columna requerida">
+                                                        <AlertCircle size={16} />
+                                                    </span>
+                                                ) : selected ? (
+                                                    <span
+                                                        className={`shrink-0 ${score !== undefined && score < 1 ? 'text-amber-500' : 'text-emerald-500'}`}
+                                                        title={score !== undefined && score < 1 ? `Coincidencia aproximada (${Math.round(score * 100)}%)` : 'Coincidencia exacta'}
+                                                    >
+                                                        <CheckCircle size={16} />
+                                                    </span>
+                                                ) : (
+                                                    <span className="w-4 shrink-0" />
+                                                )}
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </motion.div>
+    );
+};
+
+export default ColumnMappingEditor;
@@ -0,0 +1,86 @@
+import React from 'react';
+import { GitCompare } from 'lucide-react';
+import GlassDatePicker from './GlassDatePicker';
+import { COMPARISON_PRESETS, QUICK_RANGES } from '../config/periodComparison';
+import { getQuickRange, formatRange } from '../utils/periodComparison';
+
+/**
+ * Compare mode controls next to a date range: quick current ranges, the compare toggle and
+ * the period compared against (see config/periodComparison.js)
+ * @param {Object} comparison - { enabled, preset, custom: { start, end } }
+ * @param {Object|null} comparisonRange - Resolved range compared against (getComparisonRange)
+ */
+const ComparisonControls = ({ dateRange, onDateRangeChange, comparison, onComparisonChange, comparisonRange }) => {
+    const update = (changes) => onComparisonChange({ ...comparison, ...changes });
+
+    return (
+        <div className="flex flex-col gap-2 w-full md:w-auto">
+            <label className="text-xs font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider flex items-center gap-1.5">
+                <GitCompare size={12} />
+                Comparar Períodos
+            </label>
+            <div className="flex flex-wrap items-center gap-2">
+                {Object.entries(QUICK_RANGES).map(([id, { label }]) => {
+                    const range = getQuickRange(id);
+                    const isActive = dateRange.start === range.start && dateRange.end === range.end;
+                    return (
+                        <button
+                            key={id}
+                            onClick={() => onDateRangeChange(range)}
+                            className={`px-3 py-2 rounded-xl text-xs font-semibold border transition-all ${isActive
+                                ? 'bg-indigo-600 text-white border-indigo-600 shadow-md shadow-indigo-500/20'
+                                : 'bg-white dark:bg-slate-900 text-slate-600 dark:text-slate-300 border-slate-200 dark:border-slate-700 hover:border-indigo-300 dark:hover:border-indigo-500'
+                            }`}
+                        >
+                            {label}
+                        </button>
+                    );
+                })}
+                <button
+                    onClick={() => update({ enabled: !comparison.enabled })}
+                    className={`px-3 py-2 rounded-xl text-xs font-semibold border transition-all ${comparison.enabled
+                        ? 'bg-violet-600 text-white border-violet-600 shadow-md shadow-violet-500/20'
+                        : 'bg-white dark:bg-slate-900 text-slate-600 dark:text-slate-300 border-slate-200 dark:border-slate-700 hover:border-violet-300 dark:hover:border-violet-500'
+                    }`}
+                >
+                    {comparison.enabled ? 'Comparando' : 'Comparar'}
+                </button>
+                {comparison.enabled && (
+                    <select
+                        value={comparison.preset}
+                        onChange={(e) => update({ preset: e.target.value })}
+                        className="px-3 py-2 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-xs font-semibold text-slate-700 dark:text-slate-200 outline-none focus:ring-2 focus:ring-violet-500/50 cursor-pointer"
+                    >
+                        {Object.entries(COMPARISON_PRESETS).map(([preset, { label }]) => (
+                            <option key={preset} value={preset}>{label}</option>
+                        ))}
+                    </select>
+                )}
+            </div>
+            {comparison.enabled && comparison.preset === 'custom' && (
+                <div className="flex items-center gap-2">
+                    <GlassDatePicker
+                        value={comparison.custom.start}
+                        onChange={(start) => update({ custom: { ...comparison.custom, start } })}
+                    />
+                    <span className="text-slate-400 font-bold">-</span>
+                    <GlassDatePicker
+                        value={comparison.custom.end}
+                        onChange={(end) => update({ custom: { ...comparison.custom, end } })}
+                    />
+                </div>
+            )}
+            {comparison.enabled && (
+                <p className="text-xs text-slate-500 dark:text-slate-400">
+                    {!dateRange.start || !dateRange.end
+                        ? 'Elige las dos fechas del rango actual para comparar'
+                        : comparisonRange
+                            ? `${formatRange(dateRange)} frente a ${formatRange(comparisonRange)}`
+                            : 'Elige las dos fechas del período a comparar'}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default ComparisonControls;
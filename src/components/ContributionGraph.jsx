@@ -2,6 +2,7 @@ import React, { useMemo, useState } from 'react';
 import { format, startOfWeek, eachDayOfInterval, startOfYear, endOfMonth, getYear } from 'date-fns';
 import { es } from 'date-fns/locale';
 import { ShoppingBag, DollarSign, X } from 'lucide-react';
+import { getProductItems, getProductAmount } from '../utils/productLines';
 
 const ContributionGraph = ({ orders }) => {
     const [tooltip, setTooltip] = useState(null);
@@ -17,22 +18,14 @@ const ContributionGraph = ({ orders }) => {
             const orderDate = new Date(order.orderDate);
             const dateKey = format(orderDate, 'yyyy-MM-dd');
 
-            // Filter out delivery service items
-            const filteredItems = order.items?.filter(item => item.sku !== '20000025') || [];
+            // Filter out non-product lines (delivery, bags, service fees)
+            const filteredItems = getProductItems(order.items);
 
             // Skip order if no items left after filtering
             if (filteredItems.length === 0) return;
 
-            // Calculate delivery service charge to subtract
-            const deliveryCharge = order.items?.reduce((sum, item) => {
-                if (item.sku === '20000025') {
-                    return sum + (parseFloat(item.lineTotal) || 0);
-                }
-                return sum;
-            }, 0) || 0;
-
-            // Use original total minus delivery charge
-            const orderTotal = (parseFloat(order.totalAmount) || 0) - deliveryCharge;
+            // Use the order total without its non-product lines
+            const orderTotal = getProductAmount(order);
 
             if (!contributionMap[dateKey]) {
                 contributionMap[dateKey] = {
@@ -337,12 +330,9 @@ const ContributionGraph = ({ orders }) => {
                         {/* Orders */}
                         <div className="space-y-2 max-h-[200px] overflow-y-auto custom-scrollbar">
                             {tooltip.contribution.orders.map((order, idx) => {
-                                // Get unique items (excluding delivery service)
+                                // Get unique items (non-product lines were removed above)
                                 const itemsMap = {};
                                 order.items?.forEach(item => {
-                                    // Skip delivery service SKU
-                                    if (item.sku === '20000025') return;
-
                                     const key = item.sku || item.description;
                                     if (!itemsMap[key]) {
                                         itemsMap[key] = {
@@ -1,13 +1,20 @@
 import React, { useMemo, useState, useEffect } from 'react';
 import { createPortal } from 'react-dom';
-import { X, TrendingUp, ShoppingBag, DollarSign, Calendar, Package, Layers, Download } from 'lucide-react';
+import { X, TrendingUp, ShoppingBag, DollarSign, Calendar, Package, Layers, Download, Target } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import ContributionGraph from './ContributionGraph';
 import { format, getMonth, getYear } from 'date-fns';
 import { es } from 'date-fns/locale';
 import * as XLSX from 'xlsx';
+import { getProductItems, getProductAmount } from '../utils/productLines';
 
-const ContributionModal = ({ isOpen, onClose, customerName, orders, searchQuery = '' }) => {
+const formatAmount = (value) => `L. ${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Purchase history of one customer. lifetimeValue and churn are the projection and churn score of
+ * the dashboard table (see utils/lifetimeValue.js), shown when given
+ */
+const ContributionModal = ({ isOpen, onClose, customerName, orders, searchQuery = '', lifetimeValue = null, churn = null }) => {
     // Tab state: 'all' or 'sku'
     const [activeTab, setActiveTab] = useState('all');
 
@@ -72,11 +79,11 @@ const ContributionModal = ({ isOpen, onClose, customerName, orders, searchQuery
         const lastYearOrders = displayOrders.filter(o => new Date(o.orderDate).getFullYear() === lastYear);
 
         const totalOrders = displayOrders.length;
-        const totalAmount = displayOrders.reduce((sum, o) => sum + (parseFloat(o.totalAmount) || 0), 0);
+        const totalAmount = displayOrders.reduce((sum, o) => sum + getProductAmount(o), 0);
         const avgOrderValue = totalOrders > 0 ? totalAmount / totalOrders : 0;
 
-        const currentYearTotal = currentYearOrders.reduce((sum, o) => sum + (parseFloat(o.totalAmount) || 0), 0);
-        const lastYearTotal = lastYearOrders.reduce((sum, o) => sum + (parseFloat(o.totalAmount) || 0), 0);
+        const currentYearTotal = currentYearOrders.reduce((sum, o) => sum + getProductAmount(o), 0);
+        const lastYearTotal = lastYearOrders.reduce((sum, o) => sum + getProductAmount(o), 0);
 
         // Calculate first and last purchase dates
         const dates = displayOrders.map(o => new Date(o.orderDate)).sort((a, b) => a - b);
@@ -110,11 +117,8 @@ const ContributionModal = ({ isOpen, onClose, customerName, orders, searchQuery
             // Get phone from order data
             const phone = order.phone || order.celular || '';
 
-            // Process each item in the order
-            const items = order.items || [];
-
-            // Filter out delivery service items
-            const filteredItems = items.filter(item => item.sku !== '20000025');
+            // Process each product line (delivery, bags and service fees are left out)
+            const filteredItems = getProductItems(order.items);
 
             // Only process if there are items after filtering (skip delivery-only orders)
             if (filteredItems.length > 0) {
@@ -298,6 +302,44 @@ const ContributionModal = ({ isOpen, onClose, customerName, orders, searchQuery
                                 </div>
                             </div>
 
+                            {/* Projected Lifetime Value */}
+                            {lifetimeValue && (
+                                <div className="bg-gradient-to-r from-indigo-50 to-violet-50 dark:from-indigo-950/30 dark:to-violet-950/30 p-5 rounded-2xl border border-indigo-200 dark:border-indigo-800 mb-8">
+                                    <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                                        <div>
+                                            <div className="flex items-center gap-2 text-indigo-600 dark:text-indigo-400 mb-1">
+                                                <Target size={18} />
+                                                <span className="text-xs font-bold uppercase tracking-wider">Valor Proyectado · Próximos 12 meses</span>
+                                            </div>
+                                            <div className="text-3xl font-bold text-indigo-900 dark:text-indigo-300">
+                                                {formatAmount(lifetimeValue.value)}
+                                            </div>
+                                        </div>
+                                        <div className="grid grid-cols-3 gap-6 text-sm">
+                                            <div>
+                                                <div className="text-xs font-semibold text-slate-500 dark:text-slate-400">Compras esperadas</div>
+                                                <div className="font-bold text-slate-900 dark:text-white">
+                                                    {lifetimeValue.expectedPurchases.toLocaleString('es-HN', { maximumFractionDigits: 1 })}
+                                                </div>
+                                            </div>
+                                            <div>
+                                                <div className="text-xs font-semibold text-slate-500 dark:text-slate-400">Ticket promedio</div>
+                                                <div className="font-bold text-slate-900 dark:text-white">{formatAmount(lifetimeValue.averageTicket)}</div>
+                                            </div>
+                                            {churn && (
+                                                <div>
+                                                    <div className="text-xs font-semibold text-slate-500 dark:text-slate-400">Sigue comprando</div>
+                                                    <div className="font-bold text-slate-900 dark:text-white">{Math.round(churn.aliveProbability * 100)}%</div>
+                                                </div>
+                                            )}
+                                        </div>
+                                    </div>
+                                    <p className="text-xs text-slate-500 dark:text-slate-400 mt-3">
+                                        Según su ritmo de compra, la probabilidad de que siga comprando y su ticket promedio por día de compra
+                                    </p>
+                                </div>
+                            )}
+
                             {/* Contribution Graphs */}
                             <div className="space-y-8">
                                 {/* Combined Years Graph */}
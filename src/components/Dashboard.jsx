@@ -1,33 +1,57 @@
 import React, { useState, useMemo, useEffect, useRef } from 'react';
-import { Search, Download, Filter, ShoppingBag, ArrowLeft, User, Users, Phone, Mail, Calendar, MapPin, X, ChevronLeft, ChevronRight, ArrowUp, ArrowDown, ArrowUpDown, BarChart3, TrendingUp, Activity, Package, Hash } from 'lucide-react';
+import { Search, Download, Filter, ShoppingBag, ArrowLeft, User, Users, Phone, Mail, Calendar, MapPin, X, ChevronLeft, ChevronRight, ArrowUp, ArrowDown, ArrowUpDown, BarChart3, TrendingUp, Activity, Package, Hash, Ban, Tags, Layers, BellRing, TrendingDown, CalendarRange } from 'lucide-react';
 import { filterData, exportToExcel } from '../utils/dataProcessing';
 import { getSuggestions } from '../utils/searchSuggestions';
+import { getCustomerGroupKey } from '../utils/customerIdentity';
+import { ORDER_STATUS_CATEGORIES, getOrderStatusCategory } from '../config/orderStatuses';
+import { getProductItems, getProductAmount } from '../utils/productLines';
+import { expandCatalogTerms, parseCatalogTerm, getProductCatalog } from '../utils/productCatalog';
+import { PRODUCT_ATTRIBUTES } from '../config/productCatalog';
+import { scorePurchaseHistories, CHURN_LEVELS } from '../utils/churnModel';
+import { projectLifetimeValue } from '../utils/lifetimeValue';
+import { getComparisonRange, formatRange } from '../utils/periodComparison';
+import { DEFAULT_COMPARISON_PRESET } from '../config/periodComparison';
+import { useOrderQuery } from '../hooks/useOrderQuery';
+import { loadCustomerPurchaseHistory } from '../utils/orderQueries';
 import MonthVisualizer from './MonthVisualizer';
 import ProductDetailsModal from './ProductDetailsModal';
 import ContributionModal from './ContributionModal';
 import ContributionGraph from './ContributionGraph';
 import RFMAnalysis from './RFMAnalysis';
 import GestoresAnalysis from './GestoresAnalysis';
+import CancellationAnalysis from './CancellationAnalysis';
+import ReplenishmentReminders from './ReplenishmentReminders';
+import ChurnBadge from './ChurnBadge';
+import InvalidContacts from './InvalidContacts';
+import CohortAnalysis from './CohortAnalysis';
+import ProductDashboard from './ProductDashboard';
 import GlassDatePicker from './GlassDatePicker';
+import ComparisonControls from './ComparisonControls';
+import PeriodComparison from './PeriodComparison';
 import { motion, AnimatePresence } from 'framer-motion';
 import { format } from 'date-fns';
 import { es } from 'date-fns/locale';
 
-const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted = false }) => {
+const Dashboard = ({ summary, onBack, userRole = 'admin', userName, isRestricted = false }) => {
     const [query, setQuery] = useState('');
     const [onlyRecurring, setOnlyRecurring] = useState(false);
     const [selectedMonth, setSelectedMonth] = useState(null);
     const [selectedCustomer, setSelectedCustomer] = useState(null);
-    const [viewMode, setViewMode] = useState('table'); // 'table' or 'rfm'
+    const [viewMode, setViewMode] = useState('table'); // 'table', 'rfm', 'gestores', 'cancellations', 'replenishment', 'cohorts' or 'product'
+    const [includeCancelled, setIncludeCancelled] = useState(false); // Delivered orders only by default
+    const hasOwnFilters = ['gestores', 'cancellations', 'replenishment', 'cohorts'].includes(viewMode); // Tabs that hide the search bar
 
     // New filter states
     const [selectedCities, setSelectedCities] = useState([]);
     const [minQuantity, setMinQuantity] = useState('');
     const [topSKUsFilter, setTopSKUsFilter] = useState('all'); // 'all', 'top5', 'top10', 'top20'
+    const [churnFilter, setChurnFilter] = useState('all'); // 'all' or a churn level (utils/churnModel.js)
+    const [exportGroupBy, setExportGroupBy] = useState('sku'); // 'sku' or a catalog attribute (config/productCatalog.js)
     const [dateRange, setDateRange] = useState({
         start: '',
         end: ''
     });
+    const [comparison, setComparison] = useState({ enabled: false, preset: DEFAULT_COMPARISON_PRESET, custom: { start: '', end: '' } });
 
     // Pagination state
     const [currentPage, setCurrentPage] = useState(1);
@@ -42,6 +66,7 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
     // Search suggestions state
     const [showSuggestions, setShowSuggestions] = useState(false);
     const [suggestions, setSuggestions] = useState(null);
+    const [openedProduct, setOpenedProduct] = useState(null); // { sku, description } opened from the SKU suggestions
     const searchRef = useRef(null);
     const gestoresRef = useRef(null);
 
@@ -57,17 +82,28 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
         return () => clearTimeout(timer);
     }, []);
 
-    // Generate suggestions when query changes
+    // Generate suggestions when query changes (searched on the server, debounced)
     useEffect(() => {
-        if (query.length >= 2) {
-            const results = getSuggestions(data, query);
-            setSuggestions(results);
-            setShowSuggestions(true);
-        } else {
+        if (query.length < 2) {
             setSuggestions(null);
             setShowSuggestions(false);
+            return;
         }
-    }, [query, data]);
+
+        let cancelled = false;
+        const timer = setTimeout(() => {
+            getSuggestions(query).then(results => {
+                if (cancelled) return;
+                setSuggestions(results);
+                setShowSuggestions(true);
+            });
+        }, 250);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [query]);
 
     // Close suggestions when clicking outside
     useEffect(() => {
@@ -87,6 +123,13 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
         setShowSuggestions(false);
     };
 
+    // Opening a product shows its own page (the search still finds its customers in the table)
+    const handleProductOpen = (sku, description) => {
+        setOpenedProduct({ sku, description });
+        setViewMode('product');
+        handleSuggestionClick(sku);
+    };
+
     const handleSort = (key) => {
         let direction = 'asc';
         if (sortConfig.key === key && sortConfig.direction === 'asc') {
@@ -95,27 +138,81 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
         setSortConfig({ key, direction });
     };
 
-    // Auto-set view to 'gestores' for restricted users
+    // Auto-set view to 'gestores' for restricted users (they also get the replenishment reminders)
     useEffect(() => {
-        if (isRestricted && viewMode !== 'gestores') {
+        if (isRestricted && viewMode !== 'gestores' && viewMode !== 'replenishment') {
             setViewMode('gestores');
         }
     }, [isRestricted]);
 
+    // 0. Fetch only the orders the search can show: one term searches SKU/name/email/phone/identity,
+    // several terms are a SKU list. Catalog terms ('categoria:...') become the SKUs they match.
+    // Date range and cities are applied on the server too.
+    const orderFilters = useMemo(() => {
+        const rawTerms = query.split(/[\n,]+/).map(t => t.trim()).filter(Boolean);
+        const terms = expandCatalogTerms(rawTerms);
+        if (query.trim().length < 3 || terms.length === 0) return null;
+
+        const hasCatalogTerm = rawTerms.some(term => parseCatalogTerm(term));
+        return {
+            ...(terms.length === 1 && !hasCatalogTerm ? { search: terms[0] } : { skus: terms }),
+            startDate: dateRange.start,
+            endDate: dateRange.end,
+            cities: selectedCities,
+            includeCancelled
+        };
+    }, [query, dateRange, selectedCities, includeCancelled]);
+
+    const { orders: data, loading: isSearching, error: searchError } = useOrderQuery(orderFilters, { reloadKey: summary?.loadedAt });
+
+    // Churn score and projected 12-month value come from each customer's delivered purchase history
+    // (one row per customer, see customer_purchase_history), scored once per data load:
+    // the search and date range never change a customer's figures
+    const [purchaseHistories, setPurchaseHistories] = useState([]);
+    useEffect(() => {
+        let cancelled = false;
+        loadCustomerPurchaseHistory().then(response => {
+            if (!cancelled) setPurchaseHistories(response.success ? response.histories : []);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [summary?.loadedAt]);
+    const customerScores = useMemo(() => Object.fromEntries(
+        projectLifetimeValue(scorePurchaseHistories(purchaseHistories)).map(({ key, churn, clv }) => [key, { churn, clv }])
+    ), [purchaseHistories]);
+
     // 1. Filter Data (Search)
     const filteredData = useMemo(() => {
         return filterData(data, query);
     }, [data, query]);
 
+    // Compare mode: the same search over the period compared against (see utils/periodComparison.js)
+    const comparisonRange = useMemo(
+        () => (comparison.enabled ? getComparisonRange(dateRange, comparison.preset, comparison.custom) : null),
+        [comparison, dateRange]
+    );
+
+    const previousFilters = useMemo(
+        () => (orderFilters && comparisonRange ? { ...orderFilters, startDate: comparisonRange.start, endDate: comparisonRange.end } : null),
+        [orderFilters, comparisonRange]
+    );
+
+    const { orders: previousData, loading: isComparing } = useOrderQuery(previousFilters, { reloadKey: summary?.loadedAt });
+
+    const previousFilteredData = useMemo(() => {
+        return filterData(previousData, query);
+    }, [previousData, query]);
+
     // 2. Group by Customer
     const customers = useMemo(() => {
         const map = {};
         filteredData.forEach(order => {
-            const key = order.email || order.phone || order.name;
-            if (!key) return;
+            const key = getCustomerGroupKey(order);
 
             if (!map[key]) {
                 map[key] = {
+                    key,
                     name: order.name,
                     email: order.email,
                     phone: order.phone,
@@ -126,7 +223,7 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                 };
             }
             map[key].orders.push(order);
-            map[key].totalInvestment += (order.totalAmount || 0);
+            map[key].totalInvestment += getProductAmount(order);
 
             if (order.identity && order.identity !== 'No se encontró' && (map[key].identity === 'No se encontró')) {
                 map[key].identity = order.identity;
@@ -136,32 +233,8 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
         return Object.values(map);
     }, [filteredData]);
 
-    // Calculate Top SKUs from all data
-    const topSKUs = useMemo(() => {
-        const skuMap = {};
-
-        // Aggregate all SKUs across all orders
-        data.forEach(order => {
-            order.items?.forEach(item => {
-                const sku = item.sku || item.description;
-                if (!sku) return;
-
-                if (!skuMap[sku]) {
-                    skuMap[sku] = {
-                        sku: sku,
-                        description: item.description || sku,
-                        totalQuantity: 0,
-                        totalRevenue: 0
-                    };
-                }
-                skuMap[sku].totalQuantity += item.quantity || 0;
-                skuMap[sku].totalRevenue += item.lineTotal || 0;
-            });
-        });
-
-        // Sort by quantity and return array
-        return Object.values(skuMap).sort((a, b) => b.totalQuantity - a.totalQuantity);
-    }, [data]);
+    // Top SKUs across all orders (computed on the server, see order_summary)
+    const topSKUs = useMemo(() => summary?.topSkus || [], [summary]);
 
     // 3. Apply Filters (City, Quantity, Recurring)
     const displayList = useMemo(() => {
@@ -191,11 +264,13 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                 return {
                     ...c,
                     orders: filteredOrders,
-                    totalInvestment: filteredOrders.reduce((sum, order) => sum + (parseFloat(order.totalAmount) || 0), 0)
+                    totalInvestment: filteredOrders.reduce((sum, order) => sum + getProductAmount(order), 0)
                 };
             })
             .filter(c => c.orders.length > 0);
 
+        list = list.map(c => ({ ...c, churn: null, clv: null, ...customerScores[c.key] }));
+
         // Apply City Filter
         if (selectedCities.length > 0) {
             list = list.filter(c => selectedCities.includes(c.city));
@@ -209,7 +284,7 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                 // Calculate total quantity across all orders for any matching SKU in their items
                 let totalQuantity = 0;
                 c.orders.forEach(order => {
-                    order.items?.forEach(item => {
+                    getProductItems(order.items).forEach(item => {
                         totalQuantity += item.quantity || 0;
                     });
                 });
@@ -238,8 +313,13 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
             });
         }
 
+        // Apply Churn Risk Filter
+        if (churnFilter !== 'all') {
+            list = list.filter(c => c.churn?.level === churnFilter);
+        }
+
         return list;
-    }, [customers, selectedCities, minQuantity, onlyRecurring, topSKUsFilter, topSKUs, query, dateRange]);
+    }, [customers, customerScores, selectedCities, minQuantity, onlyRecurring, topSKUsFilter, topSKUs, churnFilter, query, dateRange]);
 
     // 5. Apply Sorting
     const sortedList = useMemo(() => {
@@ -252,6 +332,12 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                 if (sortConfig.key === 'orderCount') {
                     aValue = a.orders.length;
                     bValue = b.orders.length;
+                } else if (sortConfig.key === 'churnRisk') {
+                    aValue = a.churn?.risk ?? -1;
+                    bValue = b.churn?.risk ?? -1;
+                } else if (sortConfig.key === 'projectedValue') {
+                    aValue = a.clv?.value ?? -1;
+                    bValue = b.clv?.value ?? -1;
                 } else {
                     aValue = a[sortConfig.key];
                     bValue = b[sortConfig.key];
@@ -282,7 +368,7 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
     // Reset to page 1 when filters change
     useEffect(() => {
         setCurrentPage(1);
-    }, [query, selectedCities, minQuantity, onlyRecurring, topSKUsFilter, dateRange]);
+    }, [query, selectedCities, minQuantity, onlyRecurring, topSKUsFilter, churnFilter, dateRange]);
 
     // 4. Calculate Global Date Range
     const displayDateRange = useMemo(() => {
@@ -317,10 +403,13 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
         setSelectedCities([]);
         setMinQuantity('');
         setTopSKUsFilter('all');
+        setChurnFilter('all');
+        setIncludeCancelled(false);
         setDateRange({
             start: '',
             end: ''
         });
+        setComparison(prev => ({ ...prev, enabled: false }));
         setShowSuggestions(false);
     };
 
@@ -363,6 +452,27 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
             onRemove: () => setDateRange({ start: '', end: '' })
         });
     }
+    if (comparisonRange) {
+        activeFilterChips.push({
+            key: 'comparison',
+            label: `Comparando con: ${formatRange(comparisonRange)}`,
+            onRemove: () => setComparison(prev => ({ ...prev, enabled: false }))
+        });
+    }
+    if (includeCancelled) {
+        activeFilterChips.push({
+            key: 'includeCancelled',
+            label: 'Incluye cancelados/devueltos',
+            onRemove: () => setIncludeCancelled(false)
+        });
+    }
+    if (churnFilter !== 'all') {
+        activeFilterChips.push({
+            key: 'churn',
+            label: `Riesgo de abandono: ${CHURN_LEVELS[churnFilter].label}`,
+            onRemove: () => setChurnFilter('all')
+        });
+    }
     if (topSKUsFilter !== 'all') {
         activeFilterChips.push({
             key: 'topSkus',
@@ -376,7 +486,7 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
         if (viewMode === 'gestores' && gestoresRef.current) {
             gestoresRef.current.exportReport();
         } else {
-            exportToExcel(displayList, query);
+            exportToExcel(displayList, query, exportGroupBy);
         }
     };
 
@@ -433,7 +543,7 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
 
                     <button
                         onClick={handleExport}
-                        disabled={viewMode !== 'gestores' && displayList.length === 0}
+                        disabled={viewMode === 'cancellations' || viewMode === 'replenishment' || viewMode === 'cohorts' || viewMode === 'product' || (viewMode !== 'gestores' && displayList.length === 0)}
                         className="flex items-center gap-2 px-6 py-2.5 bg-slate-900 dark:bg-slate-800 text-white rounded-full shadow-lg shadow-slate-900/20 dark:shadow-black/40 hover:bg-slate-800 dark:hover:bg-slate-700 hover:-translate-y-0.5 transition-all text-sm font-bold disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:translate-y-0"
                     >
                         <Download size={16} />
@@ -461,7 +571,7 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                                     className="flex items-center gap-2"
                                 >
                                     <span className="bg-emerald-50 dark:bg-emerald-500/10 text-emerald-700 dark:text-emerald-400 px-2 py-0.5 rounded-full text-xs font-bold uppercase tracking-wider">
-                                        {displayList.length} Resultados
+                                        {isSearching ? 'Buscando...' : `${displayList.length} Resultados`}
                                     </span>
                                     {onlyRecurring && <span className="bg-indigo-50 dark:bg-indigo-500/10 text-indigo-700 dark:text-indigo-400 px-2 py-0.5 rounded-full text-xs font-bold uppercase tracking-wider">Filtro Activo</span>}
                                 </motion.span>
@@ -476,8 +586,8 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
 
                     {/* Controls Bar */}
                     <div className="flex flex-col md:flex-row gap-4 w-full lg:w-auto bg-white/40 dark:bg-slate-900/40 backdrop-blur-xl p-2 rounded-2xl shadow-[0_8px_32px_0_rgba(31,38,135,0.2)] dark:shadow-[0_8px_32px_0_rgba(0,0,0,0.5)] border border-white/30 dark:border-slate-700/50 transition-all duration-300 overflow-visible">
-                        {/* Search Input - hidden on Gestores tab */}
-                        {viewMode !== 'gestores' && (
+                        {/* Search Input - hidden on the Gestores and Cancelaciones tabs */}
+                        {!hasOwnFilters && (
                             <>
                                 <div ref={searchRef} className="relative w-full md:w-96 group">
                                     <div
@@ -493,7 +603,7 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                                     <input
                                         type="text"
                                         className="w-full pl-11 pr-4 py-3 bg-slate-50 dark:bg-slate-950 border-transparent rounded-xl focus:bg-white dark:focus:bg-slate-900 focus:ring-2 focus:ring-indigo-100 dark:focus:ring-indigo-500/20 focus:border-indigo-200 dark:focus:border-indigo-500/30 transition-all outline-none text-slate-700 dark:text-slate-200 placeholder:text-slate-400 dark:placeholder:text-slate-600 font-medium"
-                                        placeholder="Buscar por SKU, Email, Teléfono..."
+                                        placeholder="Buscar por SKU, categoría, Email, Teléfono..."
                                         value={query}
                                         onChange={(e) => setQuery(e.target.value)}
                                         onFocus={() => query.length >= 2 && setShowSuggestions(true)}
@@ -523,7 +633,7 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                                                                 {suggestions.skus.map((item, idx) => (
                                                                     <button
                                                                         key={`sku-${idx}`}
-                                                                        onClick={() => handleSuggestionClick(item.sku)}
+                                                                        onClick={() => handleProductOpen(item.sku, item.description)}
                                                                         className="w-full px-4 py-2.5 hover:bg-indigo-50 dark:hover:bg-indigo-500/10 transition-colors flex items-center justify-between gap-3 text-left group"
                                                                     >
                                                                         <div className="flex-1 min-w-0">
@@ -545,6 +655,39 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                                                         </div>
                                                     )}
 
+                                                    {/* Catalog Section */}
+                                                    {suggestions.catalog.length > 0 && (
+                                                        <div className="border-b border-slate-100 dark:border-slate-800">
+                                                            <div className="px-4 py-2 bg-slate-50 dark:bg-slate-950 flex items-center gap-2">
+                                                                <Tags size={14} className="text-amber-500" />
+                                                                <span className="text-xs font-bold text-slate-600 dark:text-slate-400 uppercase tracking-wider">
+                                                                    Catálogo ({suggestions.catalog.length})
+                                                                </span>
+                                                            </div>
+                                                            <div className="py-1">
+                                                                {suggestions.catalog.map((item) => (
+                                                                    <button
+                                                                        key={item.term}
+                                                                        onClick={() => handleSuggestionClick(item.term)}
+                                                                        className="w-full px-4 py-2.5 hover:bg-amber-50 dark:hover:bg-amber-500/10 transition-colors flex items-center justify-between gap-3 text-left"
+                                                                    >
+                                                                        <div className="flex-1 min-w-0">
+                                                                            <div className="font-semibold text-sm text-slate-800 dark:text-slate-200 truncate">
+                                                                                {item.value}
+                                                                            </div>
+                                                                            <div className="text-xs text-slate-500 dark:text-slate-400">
+                                                                                {item.label}
+                                                                            </div>
+                                                                        </div>
+                                                                        <span className="text-xs font-bold text-amber-600 dark:text-amber-400 bg-amber-50 dark:bg-amber-500/10 px-2 py-1 rounded-full shrink-0">
+                                                                            {item.productCount} {item.productCount === 1 ? 'producto' : 'productos'}
+                                                                        </span>
+                                                                    </button>
+                                                                ))}
+                                                            </div>
+                                                        </div>
+                                                    )}
+
                                                     {/* Customers Section */}
                                                     {suggestions.customers.length > 0 && (
                                                         <div className="border-b border-slate-100 dark:border-slate-800">
@@ -653,6 +796,10 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                                                                     <div className="w-1.5 h-1.5 rounded-full bg-violet-400 dark:bg-violet-500"></div>
                                                                     <span><strong className="font-semibold">Lista de SKUs</strong> separados por <code className="px-1 py-0.5 bg-white/60 dark:bg-slate-900/60 rounded text-[10px] font-mono text-violet-600 dark:text-violet-400">,</code></span>
                                                                 </div>
+                                                                <div className="flex items-center gap-2">
+                                                                    <div className="w-1.5 h-1.5 rounded-full bg-amber-400 dark:bg-amber-500"></div>
+                                                                    <span><strong className="font-semibold">Catálogo</strong>: <code className="px-1 py-0.5 bg-white/60 dark:bg-slate-900/60 rounded text-[10px] font-mono text-amber-600 dark:text-amber-400">categoria:</code>, <code className="px-1 py-0.5 bg-white/60 dark:bg-slate-900/60 rounded text-[10px] font-mono text-amber-600 dark:text-amber-400">marca:</code>, <code className="px-1 py-0.5 bg-white/60 dark:bg-slate-900/60 rounded text-[10px] font-mono text-amber-600 dark:text-amber-400">tratamiento:cronico</code>...</span>
+                                                                </div>
                                                             </div>
                                                         </div>
                                                         <button
@@ -707,7 +854,13 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                             {[
                                 { id: 'table', label: 'Tabla', icon: BarChart3 },
                                 ...(isRestricted ? [] : [{ id: 'rfm', label: 'Análisis RFM', icon: TrendingUp }]),
-                                { id: 'gestores', label: 'Gestores', icon: Users }
+                                { id: 'gestores', label: 'Gestores', icon: Users },
+                                { id: 'replenishment', label: 'Reposición', icon: BellRing },
+                                ...(isRestricted ? [] : [
+                                    { id: 'cohorts', label: 'Cohortes', icon: CalendarRange },
+                                    { id: 'cancellations', label: 'Cancelaciones', icon: Ban }
+                                ]),
+                                ...(openedProduct ? [{ id: 'product', label: openedProduct.sku, icon: Package }] : [])
                             ].map((tab) => (
                                 <button
                                     key={tab.id}
@@ -731,11 +884,28 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                                 </button>
                             ))}
                         </div>
+
+                        {/* Order status toggle - metrics count delivered orders unless it is on */}
+                        {viewMode !== 'cancellations' && viewMode !== 'replenishment' && viewMode !== 'cohorts' && viewMode !== 'product' && (
+                            <button
+                                onClick={() => setIncludeCancelled(!includeCancelled)}
+                                className={`
+                                    flex items-center justify-center gap-2 px-4 py-2 rounded-xl text-sm font-semibold transition-all border whitespace-nowrap
+                                    ${includeCancelled
+                                        ? 'bg-rose-50 dark:bg-rose-500/20 border-rose-200 dark:border-rose-500/30 text-rose-700 dark:text-rose-300 shadow-sm'
+                                        : 'bg-white dark:bg-slate-900 border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-400 hover:bg-slate-50 dark:hover:bg-slate-800'}
+                                `}
+                                title="Por defecto solo se cuentan los pedidos entregados"
+                            >
+                                <Ban size={16} />
+                                Incluir cancelados/devueltos
+                            </button>
+                        )}
                     </div>
                 </div>
 
                 {/* Advanced Filters Section */}
-                {viewMode !== 'gestores' && query.length >= 3 && (
+                {!hasOwnFilters && viewMode !== 'product' && query.length >= 3 && (
                     <motion.div
                         initial={{ opacity: 0, y: -10 }}
                         animate={{ opacity: 1, y: 0 }}
@@ -790,6 +960,15 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                             </div>
                         </div>
 
+                        {/* Period Comparison */}
+                        <ComparisonControls
+                            dateRange={dateRange}
+                            onDateRangeChange={setDateRange}
+                            comparison={comparison}
+                            onComparisonChange={setComparison}
+                            comparisonRange={comparisonRange}
+                        />
+
                         {/* Quantity Filter */}
                         <div className="flex flex-col gap-2 w-full md:w-auto">
                             <label className="text-xs font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider flex items-center gap-1.5">
@@ -809,8 +988,46 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                             </div>
                         </div>
 
+                        {/* Churn Risk Filter */}
+                        <div className="flex flex-col gap-2 w-full md:w-auto">
+                            <label className="text-xs font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider flex items-center gap-1.5">
+                                <TrendingDown size={12} />
+                                Riesgo de Abandono
+                            </label>
+                            <select
+                                value={churnFilter}
+                                onChange={(e) => setChurnFilter(e.target.value)}
+                                className="px-3 py-2 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm font-semibold text-slate-700 dark:text-slate-200 outline-none focus:ring-2 focus:ring-indigo-500/50 cursor-pointer"
+                            >
+                                <option value="all">Todos</option>
+                                {Object.entries(CHURN_LEVELS).map(([level, { label }]) => (
+                                    <option key={level} value={level}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        {/* Export grouping (catalog attributes, once a catalog is imported) */}
+                        {getProductCatalog().length > 0 && (
+                            <div className="flex flex-col gap-2 w-full md:w-auto">
+                                <label className="text-xs font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider flex items-center gap-1.5">
+                                    <Layers size={12} />
+                                    Agrupar Exportación
+                                </label>
+                                <select
+                                    value={exportGroupBy}
+                                    onChange={(e) => setExportGroupBy(e.target.value)}
+                                    className="px-3 py-2 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm font-semibold text-slate-700 dark:text-slate-200 outline-none focus:ring-2 focus:ring-indigo-500/50 cursor-pointer"
+                                >
+                                    <option value="sku">Por SKU</option>
+                                    {Object.entries(PRODUCT_ATTRIBUTES).map(([attribute, { label }]) => (
+                                        <option key={attribute} value={attribute}>Por {label.toLowerCase()}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+
                         {/* Clear Filters Button */}
-                        {(selectedCities.length > 0 || minQuantity !== '' || dateRange.start !== '' || dateRange.end !== '') && (
+                        {(selectedCities.length > 0 || minQuantity !== '' || churnFilter !== 'all' || dateRange.start !== '' || dateRange.end !== '') && (
                             <motion.button
                                 initial={{ scale: 0.9, opacity: 0 }}
                                 animate={{ scale: 1, opacity: 1 }}
@@ -826,7 +1043,7 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                 }
 
                 {/* Active Filters Chips */}
-                {viewMode !== 'gestores' && activeFilterChips.length > 0 && (
+                {!hasOwnFilters && activeFilterChips.length > 0 && (
                     <motion.div
                         initial={{ opacity: 0, y: -8 }}
                         animate={{ opacity: 1, y: 0 }}
@@ -854,7 +1071,7 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                 )}
             </header >
 
-            {/* Conditional Content: Table, RFM or Gestores */}
+            {/* Conditional Content: Table, RFM, Gestores or Cancelaciones */}
             < AnimatePresence mode="wait" >
                 {viewMode === 'table' ? (
                     <motion.div
@@ -864,6 +1081,17 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                         exit={{ opacity: 0, y: -10, filter: 'blur(5px)' }}
                         transition={{ duration: 0.3, ease: "easeInOut" }}
                     >
+                        {/* Period Comparison KPIs */}
+                        {previousFilters && !isSearching && (
+                            <PeriodComparison
+                                currentOrders={filteredData}
+                                previousOrders={previousFilteredData}
+                                currentRange={dateRange}
+                                comparisonRange={comparisonRange}
+                                loading={isComparing}
+                            />
+                        )}
+
                         {/* Table Area */}
                         <div className="bg-white/20 dark:bg-slate-900/20 backdrop-blur-3xl rounded-[2rem] shadow-[0_20px_60px_0_rgba(31,38,135,0.25)] dark:shadow-[0_20px_60px_0_rgba(0,0,0,0.6)] border border-white/30 dark:border-slate-700/40 overflow-hidden transition-all duration-300 mb-8 hover:shadow-[0_25px_70px_0_rgba(31,38,135,0.35)] dark:hover:shadow-[0_25px_70px_0_rgba(0,0,0,0.7)]">
                             <div className="overflow-x-auto custom-scrollbar">
@@ -909,6 +1137,34 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                                                     )}
                                                 </div>
                                             </th>
+                                            <th
+                                                onClick={() => handleSort('projectedValue')}
+                                                className="px-6 py-6 w-48 text-right cursor-pointer hover:bg-slate-100/50 dark:hover:bg-slate-800/50 transition-colors select-none"
+                                                title="Compras esperadas en los próximos 12 meses por su ticket promedio"
+                                            >
+                                                <div className="flex items-center justify-end gap-2">
+                                                    Valor 12 meses
+                                                    {sortConfig.key === 'projectedValue' ? (
+                                                        sortConfig.direction === 'asc' ? <ArrowUp size={14} className="text-indigo-500" /> : <ArrowDown size={14} className="text-indigo-500" />
+                                                    ) : (
+                                                        <ArrowUpDown size={14} className="opacity-60" />
+                                                    )}
+                                                </div>
+                                            </th>
+                                            <th
+                                                onClick={() => handleSort('churnRisk')}
+                                                className="px-6 py-6 w-40 cursor-pointer hover:bg-slate-100/50 dark:hover:bg-slate-800/50 transition-colors select-none"
+                                                title="Probabilidad de que el cliente deje de comprar, según su propio ritmo de compra"
+                                            >
+                                                <div className="flex items-center gap-2">
+                                                    Riesgo
+                                                    {sortConfig.key === 'churnRisk' ? (
+                                                        sortConfig.direction === 'asc' ? <ArrowUp size={14} className="text-indigo-500" /> : <ArrowDown size={14} className="text-indigo-500" />
+                                                    ) : (
+                                                        <ArrowUpDown size={14} className="opacity-60" />
+                                                    )}
+                                                </div>
+                                            </th>
                                             <th
                                                 onClick={() => handleSort('orderCount')}
                                                 className="px-6 py-6 min-w-[300px] cursor-pointer hover:bg-slate-100/50 dark:hover:bg-slate-800/50 transition-colors select-none"
@@ -965,6 +1221,7 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                                                                         </div>
                                                                     )}
                                                                 </div>
+                                                                <InvalidContacts orders={customer.orders} />
                                                             </div>
                                                         </div>
                                                     </div>
@@ -983,11 +1240,30 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
 
                                                 <td className="px-6 py-6 align-top text-right">
                                                     <div className="font-bold text-slate-900 dark:text-slate-100 text-lg tracking-tight">
-                                                        L. {customer.orders.reduce((acc, o) => acc + (parseFloat(o.totalAmount) || 0), 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                                                        L. {customer.totalInvestment.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
                                                     </div>
                                                     <div className="text-xs text-slate-400 dark:text-slate-500 font-medium">Total acumulado</div>
                                                 </td>
 
+                                                <td className="px-6 py-6 align-top text-right">
+                                                    {customer.clv ? (
+                                                        <>
+                                                            <div className="font-bold text-indigo-700 dark:text-indigo-300 tracking-tight">
+                                                                L. {customer.clv.value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                                                            </div>
+                                                            <div className="text-xs text-slate-400 dark:text-slate-500 font-medium">
+                                                                {customer.clv.expectedPurchases.toLocaleString('es-HN', { maximumFractionDigits: 1 })} compras esperadas
+                                                            </div>
+                                                        </>
+                                                    ) : (
+                                                        <span className="text-xs text-slate-400 dark:text-slate-500">—</span>
+                                                    )}
+                                                </td>
+
+                                                <td className="px-6 py-6 align-top">
+                                                    <ChurnBadge churn={customer.churn} />
+                                                </td>
+
                                                 <td className="px-6 py-6 align-top">
                                                     <div className="flex items-center gap-3">
                                                         <MonthVisualizer
@@ -1011,13 +1287,23 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                                         {/* Empty State */}
                                         {displayList.length === 0 && (
                                             <tr>
-                                                <td colSpan={4} className="py-24 text-center">
+                                                <td colSpan={6} className="py-24 text-center">
                                                     <div className="flex flex-col items-center max-w-md mx-auto">
                                                         <div className="w-24 h-24 bg-slate-50 dark:bg-slate-800 rounded-full flex items-center justify-center mb-6 animate-pulse transition-colors">
                                                             <Search size={40} className="text-slate-200 dark:text-slate-600" />
                                                         </div>
 
-                                                        {query.length >= 3 ? (
+                                                        {query.length >= 3 && isSearching ? (
+                                                            <>
+                                                                <h3 className="text-lg font-bold text-slate-900 dark:text-white mb-2">Buscando...</h3>
+                                                                <p className="text-slate-500 dark:text-slate-400">Consultando los pedidos que coinciden con los filtros.</p>
+                                                            </>
+                                                        ) : query.length >= 3 && searchError ? (
+                                                            <>
+                                                                <h3 className="text-lg font-bold text-slate-900 dark:text-white mb-2">No se pudo completar la búsqueda</h3>
+                                                                <p className="text-slate-500 dark:text-slate-400">{searchError}</p>
+                                                            </>
+                                                        ) : query.length >= 3 ? (
                                                             <>
                                                                 <h3 className="text-lg font-bold text-slate-900 dark:text-white mb-2">No se encontraron resultados</h3>
                                                                 <p className="text-slate-500 dark:text-slate-400">Intenta buscar con otro nombre, SKU o número de teléfono.</p>
@@ -1158,6 +1444,8 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                             customerName={selectedCustomer?.name || ''}
                             orders={selectedCustomer?.orders || []}
                             searchQuery={query}
+                            lifetimeValue={selectedCustomer?.clv}
+                            churn={selectedCustomer?.churn}
                         />
                     </motion.div>
                 ) : viewMode === 'rfm' ? (
@@ -1172,7 +1460,7 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                     >
                         <RFMAnalysis customers={displayList} searchQuery={query} />
                     </motion.div>
-                ) : (
+                ) : viewMode === 'gestores' ? (
                     /* Gestores Analysis View */
                     <motion.div
                         key="gestores"
@@ -1184,11 +1472,70 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                     >
                         <GestoresAnalysis
                             ref={gestoresRef}
-                            data={data}
+                            summary={summary}
                             isRestricted={isRestricted}
                             restrictedUser={isRestricted ? userName : null}
+                            includeCancelled={includeCancelled}
                         />
                     </motion.div>
+                ) : viewMode === 'replenishment' ? (
+                    /* Replenishment Reminders View */
+                    <motion.div
+                        key="replenishment"
+                        initial={{ opacity: 0, y: 10, filter: 'blur(5px)' }}
+                        animate={{ opacity: 1, y: 0, filter: 'blur(0px)' }}
+                        exit={{ opacity: 0, y: -10, filter: 'blur(5px)' }}
+                        transition={{ duration: 0.3, ease: "easeInOut" }}
+                        className="mb-8"
+                    >
+                        <ReplenishmentReminders
+                            summary={summary}
+                            isRestricted={isRestricted}
+                            restrictedUser={isRestricted ? userName : null}
+                        />
+                    </motion.div>
+                ) : viewMode === 'cohorts' ? (
+                    /* Cohort Retention View */
+                    <motion.div
+                        key="cohorts"
+                        initial={{ opacity: 0, y: 10, filter: 'blur(5px)' }}
+                        animate={{ opacity: 1, y: 0, filter: 'blur(0px)' }}
+                        exit={{ opacity: 0, y: -10, filter: 'blur(5px)' }}
+                        transition={{ duration: 0.3, ease: "easeInOut" }}
+                        className="mb-8"
+                    >
+                        <CohortAnalysis summary={summary} />
+                    </motion.div>
+                ) : viewMode === 'product' && openedProduct ? (
+                    /* Product Page View */
+                    <motion.div
+                        key={`product-${openedProduct.sku}`}
+                        initial={{ opacity: 0, y: 10, filter: 'blur(5px)' }}
+                        animate={{ opacity: 1, y: 0, filter: 'blur(0px)' }}
+                        exit={{ opacity: 0, y: -10, filter: 'blur(5px)' }}
+                        transition={{ duration: 0.3, ease: "easeInOut" }}
+                        className="mb-8"
+                    >
+                        <ProductDashboard
+                            sku={openedProduct.sku}
+                            description={openedProduct.description}
+                            summary={summary}
+                            onOpenProduct={handleProductOpen}
+                            onBack={() => setViewMode('table')}
+                        />
+                    </motion.div>
+                ) : (
+                    /* Cancellation Analysis View */
+                    <motion.div
+                        key="cancellations"
+                        initial={{ opacity: 0, y: 10, filter: 'blur(5px)' }}
+                        animate={{ opacity: 1, y: 0, filter: 'blur(0px)' }}
+                        exit={{ opacity: 0, y: -10, filter: 'blur(5px)' }}
+                        transition={{ duration: 0.3, ease: "easeInOut" }}
+                        className="mb-8"
+                    >
+                        <CancellationAnalysis summary={summary} />
+                    </motion.div>
                 )}
             </AnimatePresence >
 
@@ -1246,7 +1593,7 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                                             <span className="text-xs font-bold uppercase tracking-wider">Total Invertido</span>
                                         </div>
                                         <div className="text-2xl font-bold text-emerald-900 dark:text-emerald-300">
-                                            L. {selectedCustomer.orders.reduce((sum, order) => sum + parseFloat(order.totalAmount || 0), 0).toLocaleString('es-HN', { minimumFractionDigits: 2 })}
+                                            L. {selectedCustomer.orders.reduce((sum, order) => sum + getProductAmount(order), 0).toLocaleString('es-HN', { minimumFractionDigits: 2 })}
                                         </div>
                                     </div>
                                     <div className="bg-gradient-to-br from-violet-50 to-violet-100 dark:from-violet-950/30 dark:to-violet-900/20 p-4 rounded-xl border border-violet-200 dark:border-violet-800">
@@ -1255,7 +1602,7 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                                             <span className="text-xs font-bold uppercase tracking-wider">Promedio</span>
                                         </div>
                                         <div className="text-2xl font-bold text-violet-900 dark:text-violet-300">
-                                            L. {(selectedCustomer.orders.reduce((sum, order) => sum + parseFloat(order.totalAmount || 0), 0) / selectedCustomer.orders.length).toLocaleString('es-HN', { minimumFractionDigits: 2 })}
+                                            L. {(selectedCustomer.orders.reduce((sum, order) => sum + getProductAmount(order), 0) / selectedCustomer.orders.length).toLocaleString('es-HN', { minimumFractionDigits: 2 })}
                                         </div>
                                     </div>
                                 </div>
@@ -1283,6 +1630,11 @@ const Dashboard = ({ data, onBack, userRole = 'admin', userName, isRestricted =
                                                         <span className="text-xs font-normal px-2 py-0.5 bg-indigo-100 dark:bg-indigo-900/50 text-indigo-700 dark:text-indigo-300 rounded-full">
                                                             {format(new Date(order.orderDate), 'dd MMM yyyy', { locale: es })}
                                                         </span>
+                                                        {getOrderStatusCategory(order) !== 'delivered' && (
+                                                            <span className="text-xs font-semibold px-2 py-0.5 bg-rose-100 dark:bg-rose-900/50 text-rose-700 dark:text-rose-300 rounded-full">
+                                                                {order.status || ORDER_STATUS_CATEGORIES[getOrderStatusCategory(order)].label}
+                                                            </span>
+                                                        )}
                                                     </div>
                                                     <div className="font-bold text-emerald-600 dark:text-emerald-400">
                                                         L. {parseFloat(order.totalAmount || 0).toLocaleString('es-HN', { minimumFractionDigits: 2 })}
@@ -0,0 +1,38 @@
+import React from 'react';
+import { ArrowUp, ArrowDown, Minus } from 'lucide-react';
+import { getDelta } from '../utils/periodComparison';
+
+const TREND_CLASSES = {
+    up: 'bg-emerald-50 dark:bg-emerald-500/10 text-emerald-700 dark:text-emerald-400 border-emerald-200 dark:border-emerald-500/30',
+    down: 'bg-rose-50 dark:bg-rose-500/10 text-rose-700 dark:text-rose-400 border-rose-200 dark:border-rose-500/30',
+    flat: 'bg-slate-50 dark:bg-slate-800 text-slate-600 dark:text-slate-400 border-slate-200 dark:border-slate-700'
+};
+
+const TREND_ICONS = {
+    up: <ArrowUp size={12} />,
+    down: <ArrowDown size={12} />,
+    flat: <Minus size={12} />
+};
+
+const formatChange = (change) => `${change > 0 ? '+' : ''}${(change * 100).toLocaleString('es-HN', { maximumFractionDigits: 1 })}%`;
+
+/**
+ * Change of a figure against the period compared (see utils/periodComparison.js):
+ * percentage with the trend, previous value and absolute delta in the title
+ */
+const DeltaBadge = ({ current, previous, formatValue = value => Number(value || 0).toLocaleString('es-HN') }) => {
+    const { delta, change } = getDelta(current, previous);
+    const trend = delta > 0 ? 'up' : delta < 0 ? 'down' : 'flat';
+
+    return (
+        <span
+            className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-bold border whitespace-nowrap ${TREND_CLASSES[trend]}`}
+            title={`Período comparado: ${formatValue(previous)} (${delta >= 0 ? '+' : '-'}${formatValue(Math.abs(delta))})`}
+        >
+            {TREND_ICONS[trend]}
+            {change !== null ? formatChange(change) : delta !== 0 ? 'Nuevo' : '0%'}
+        </span>
+    );
+};
+
+export default DeltaBadge;
@@ -0,0 +1,245 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { UserCheck, GitMerge, Split, UserX, Loader2, RefreshCw, Mail, Phone, IdCard, MapPin } from 'lucide-react';
+import {
+    loadDuplicateSuggestions,
+    mergeCustomers,
+    markNotDuplicates,
+    loadCustomerMerges,
+    splitCustomer
+} from '../utils/customerMerges';
+
+const MATCH_LABELS = {
+    identity: 'Mismo DNI',
+    phone: 'Mismo celular',
+    email: 'Mismo correo'
+};
+
+const formatCount = (value) => (value || 0).toLocaleString('es-HN');
+
+const pairId = (suggestion) => `${suggestion.a.customer_id}|${suggestion.b.customer_id}`;
+
+const CustomerCard = ({ customer, onKeep, disabled }) => (
+    <div className="flex-1 min-w-0 rounded-xl border border-slate-200 dark:border-slate-700 p-4">
+        <h4 className="font-semibold text-slate-900 dark:text-white truncate">{customer.name || 'Sin nombre'}</h4>
+        <div className="mt-2 space-y-1 text-xs text-slate-500 dark:text-slate-400">
+            <p className="flex items-center gap-1.5 truncate"><Mail size={12} />{customer.email || '—'}</p>
+            <p className="flex items-center gap-1.5"><Phone size={12} />{customer.phone || '—'}</p>
+            <p className="flex items-center gap-1.5"><IdCard size={12} />{customer.identity || '—'}</p>
+            <p className="flex items-center gap-1.5"><MapPin size={12} />{customer.city || '—'}</p>
+        </div>
+        <div className="flex items-center justify-between mt-3">
+            <span className="text-xs text-slate-500 dark:text-slate-400">{formatCount(customer.orderCount)} pedidos</span>
+            <button
+                onClick={onKeep}
+                disabled={disabled}
+                className="flex items-center gap-1.5 px-3 py-1.5 text-sm font-semibold text-indigo-600 dark:text-indigo-400 hover:bg-indigo-50 dark:hover:bg-indigo-900/30 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent"
+                title="Unir el otro cliente en este"
+            >
+                <GitMerge size={16} />
+                Conservar este
+            </button>
+        </div>
+    </div>
+);
+
+const DuplicateCustomers = ({ currentUser, onDataChanged }) => {
+    const [suggestions, setSuggestions] = useState([]);
+    const [merges, setMerges] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [busyId, setBusyId] = useState(null);
+
+    const applyResults = ([suggestionResult, mergeResult]) => {
+        if (suggestionResult.success) setSuggestions(suggestionResult.suggestions);
+        if (mergeResult.success) setMerges(mergeResult.merges);
+        setLoading(false);
+    };
+
+    const loadAll = async () => {
+        setLoading(true);
+        applyResults(await Promise.all([loadDuplicateSuggestions(), loadCustomerMerges()]));
+    };
+
+    useEffect(() => {
+        Promise.all([loadDuplicateSuggestions(), loadCustomerMerges()]).then(applyResults);
+    }, []);
+
+    const handleMerge = async (suggestion, target, source) => {
+        if (!confirm(`¿Unir "${source.name}" en "${target.name}"? Sus ${formatCount(source.orderCount)} pedidos pasarán a "${target.name}" y las próximas cargas lo mantendrán unido.`)) {
+            return;
+        }
+
+        setBusyId(pairId(suggestion));
+        const result = await mergeCustomers(target.customer_id, source.customer_id, currentUser?.username);
+        setBusyId(null);
+
+        if (result.success) {
+            await loadAll();
+            onDataChanged?.();
+        } else {
+            alert('Error al unir los clientes: ' + result.error);
+        }
+    };
+
+    const handleDismiss = async (suggestion) => {
+        setBusyId(pairId(suggestion));
+        const result = await markNotDuplicates(suggestion.a.customer_id, suggestion.b.customer_id, currentUser?.username);
+        setBusyId(null);
+
+        if (result.success) {
+            setSuggestions(prev => prev.filter(item => pairId(item) !== pairId(suggestion)));
+        } else {
+            alert('Error al descartar la sugerencia: ' + result.error);
+        }
+    };
+
+    const handleSplit = async (merge) => {
+        const name = merge.source_data?.name || merge.source_customer_id;
+        if (!confirm(`¿Separar a "${name}"? Recuperará los pedidos que tenía al unirse y no se volverá a sugerir como duplicado.`)) {
+            return;
+        }
+
+        setBusyId(merge.source_customer_id);
+        const result = await splitCustomer(merge.source_customer_id, currentUser?.username);
+        setBusyId(null);
+
+        if (result.success) {
+            alert(`Cliente separado: ${formatCount(result.movedOrders)} pedidos devueltos.`);
+            await loadAll();
+            onDataChanged?.();
+        } else {
+            alert('Error al separar el cliente: ' + result.error);
+        }
+    };
+
+    return (
+        <div className="mt-12">
+            <div className="flex items-center justify-between mb-6">
+                <div>
+                    <h2 className="text-2xl font-bold text-slate-900 dark:text-white flex items-center gap-3">
+                        <UserCheck size={26} strokeWidth={2.5} />
+                        Clientes Duplicados
+                    </h2>
+                    <p className="text-slate-500 dark:text-slate-400 mt-1 text-sm">
+                        Clientes que comparten DNI, celular o correo. Las uniones se respetan en las próximas cargas y pueden separarse
+                    </p>
+                </div>
+                <button
+                    onClick={loadAll}
+                    disabled={loading}
+                    className="p-2 text-slate-400 hover:text-indigo-600 dark:hover:text-indigo-400 hover:bg-slate-100 dark:hover:bg-slate-800 rounded-lg transition-colors disabled:opacity-50"
+                    title="Recargar sugerencias"
+                >
+                    <RefreshCw size={18} />
+                </button>
+            </div>
+
+            {loading ? (
+                <div className="flex items-center justify-center py-12">
+                    <Loader2 size={32} className="animate-spin text-indigo-600" />
+                </div>
+            ) : (
+                <>
+                    {suggestions.length === 0 ? (
+                        <div className="text-center py-12 text-slate-500 dark:text-slate-400">
+                            No hay duplicados por revisar
+                        </div>
+                    ) : (
+                        <div className="grid grid-cols-1 gap-4">
+                            {suggestions.map((suggestion) => {
+                                const isBusy = busyId === pairId(suggestion);
+                                const disabled = busyId !== null;
+
+                                return (
+                                    <motion.div
+                                        key={pairId(suggestion)}
+                                        initial={{ opacity: 0, y: 20 }}
+                                        animate={{ opacity: 1, y: 0 }}
+                                        className="bg-white/70 dark:bg-slate-900/70 backdrop-blur-xl border border-white/50 dark:border-slate-800 rounded-2xl p-5 shadow-lg"
+                                    >
+                                        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                                            <div className="flex flex-wrap gap-2">
+                                                {suggestion.kinds.map(kind => (
+                                                    <span key={kind} className="px-2.5 py-0.5 rounded-full text-xs font-semibold bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-400">
+                                                        {MATCH_LABELS[kind]}
+                                                    </span>
+                                                ))}
+                                            </div>
+                                            {isBusy ? (
+                                                <Loader2 size={18} className="animate-spin text-indigo-600" />
+                                            ) : (
+                                                <button
+                                                    onClick={() => handleDismiss(suggestion)}
+                                                    disabled={disabled}
+                                                    className="flex items-center gap-1.5 px-3 py-1.5 text-sm font-semibold text-slate-500 dark:text-slate-400 hover:bg-slate-100 dark:hover:bg-slate-800 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent"
+                                                    title="No volver a sugerir esta pareja"
+                                                >
+                                                    <UserX size={16} />
+                                                    No son la misma persona
+                                                </button>
+                                            )}
+                                        </div>
+                                        <div className="flex flex-col md:flex-row gap-3">
+                                            <CustomerCard
+                                                customer={suggestion.a}
+                                                disabled={disabled}
+                                                onKeep={() => handleMerge(suggestion, suggestion.a, suggestion.b)}
+                                            />
+                                            <CustomerCard
+                                                customer={suggestion.b}
+                                                disabled={disabled}
+                                                onKeep={() => handleMerge(suggestion, suggestion.b, suggestion.a)}
+                                            />
+                                        </div>
+                                    </motion.div>
+                                );
+                            })}
+                        </div>
+                    )}
+
+                    {merges.length > 0 && (
+                        <div className="mt-8">
+                            <h3 className="text-lg font-semibold text-slate-900 dark:text-white mb-3">Uniones realizadas</h3>
+                            <div className="grid grid-cols-1 gap-3">
+                                {merges.map((merge) => (
+                                    <div
+                                        key={merge.source_customer_id}
+                                        className="flex flex-col md:flex-row md:items-center justify-between gap-3 bg-white/70 dark:bg-slate-900/70 border border-white/50 dark:border-slate-800 rounded-xl px-5 py-3"
+                                    >
+                                        <div className="min-w-0 text-sm">
+                                            <p className="text-slate-900 dark:text-white truncate">
+                                                <span className="font-semibold">{merge.source_data?.name || merge.source_customer_id}</span>
+                                                {' → '}
+                                                <span className="text-slate-500 dark:text-slate-400">{merge.target_customer_id}</span>
+                                            </p>
+                                            <p className="text-xs text-slate-500 dark:text-slate-400 mt-0.5">
+                                                {new Date(merge.merged_at).toLocaleString('es-HN')}
+                                                {merge.merged_by && ` · @${merge.merged_by}`}
+                                                {` · ${formatCount(merge.order_ids?.length)} pedidos`}
+                                            </p>
+                                        </div>
+                                        {busyId === merge.source_customer_id ? (
+                                            <Loader2 size={18} className="animate-spin text-indigo-600" />
+                                        ) : (
+                                            <button
+                                                onClick={() => handleSplit(merge)}
+                                                disabled={busyId !== null}
+                                                className="flex items-center gap-1.5 px-3 py-2 text-sm font-semibold text-rose-600 dark:text-rose-400 hover:bg-rose-50 dark:hover:bg-rose-900/30 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent shrink-0"
+                                                title="Deshacer la unión y devolverle sus pedidos"
+                                            >
+                                                <Split size={16} />
+                                                Separar
+                                            </button>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default DuplicateCustomers;
@@ -1,11 +1,24 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Upload, FileSpreadsheet, CheckCircle, X, ArrowRight, Zap, RefreshCw, BarChart3 } from 'lucide-react';
+import { Upload, FileSpreadsheet, CheckCircle, X, ArrowRight, Zap, RefreshCw, BarChart3, Columns, AlertCircle, Plus } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { getLatestOrderDate } from '../utils/supabaseUtils';
+import { customerRepository } from '../utils/customerRepository';
+import { readFileInfo } from '../utils/dataProcessing';
+import { getDelimiterLabel } from '../utils/csvParsing';
+import {
+    detectColumnMapping,
+    loadMappingProfiles,
+    saveMappingProfile,
+    deleteMappingProfile,
+    getActiveProfileName,
+    setActiveProfileName
+} from '../utils/columnMapping';
+import { IMPORT_FIELDS } from '../config/columnMappings';
+import ColumnMappingEditor from './ColumnMappingEditor';
 
 const FileUpload = ({ onFilesUploaded, currentUser, onGoToDashboard }) => {
-    const [albatrossFile, setAlbatrossFile] = useState(null);
-    const [rmsFile, setRmsFile] = useState(null);
+    // Selected files per type: { file, sheetNames, sheetName, headers, format, encoding, delimiter }
+    // Albatross takes one file; RMS can combine several monthly files
+    const [sources, setSources] = useState({ albatross: [], rms: [] });
     const [isIncremental, setIsIncremental] = useState(false);
     const [latestDate, setLatestDate] = useState(null);
     const [loadingDate, setLoadingDate] = useState(true);
@@ -15,6 +28,13 @@ const FileUpload = ({ onFilesUploaded, currentUser, onGoToDashboard }) => {
     const fileInputRef = useRef(null);
     const [showResetConfirm, setShowResetConfirm] = useState(false); // For database reset
 
+    // Column mapping state (field → header per file)
+    const [columnMappings, setColumnMappings] = useState({ albatross: {}, rms: {} });
+    const [mappingScores, setMappingScores] = useState({ albatross: {}, rms: {} });
+    const [mappingProfiles, setMappingProfiles] = useState(() => loadMappingProfiles());
+    const [activeProfile, setActiveProfile] = useState(() => getActiveProfileName());
+    const [showMappingEditor, setShowMappingEditor] = useState(false);
+
     // Allow ANY admin to upload, not just 'adminpf'
     const isSuperAdmin = currentUser?.role === 'admin';
 
@@ -41,24 +61,150 @@ const FileUpload = ({ onFilesUploaded, currentUser, onGoToDashboard }) => {
     // Load latest date on mount
     useEffect(() => {
         const fetchLatestDate = async () => {
-            const date = await getLatestOrderDate();
+            const date = await customerRepository.getLatestOrderDate();
             setLatestDate(date);
             setLoadingDate(false);
         };
         fetchLatestDate();
     }, []);
 
-    const handleFileChange = (e, type) => {
-        const file = e.target.files[0];
-        if (file) {
-            if (type === 'albatross') setAlbatrossFile(file);
-            else setRmsFile(file);
+    // Detect the mapping for one file, preferring the active profile
+    const applyDetection = (type, headers, profileName = activeProfile) => {
+        const preferred = mappingProfiles[profileName]?.[type] || {};
+        const { mapping, scores } = detectColumnMapping(headers, type, preferred);
+        setColumnMappings(prev => ({ ...prev, [type]: mapping }));
+        setMappingScores(prev => ({ ...prev, [type]: scores }));
+        return mapping;
+    };
+
+    // Mapping is detected on the first file of each type; the rest must share its columns
+    const fileHeaders = {
+        albatross: sources.albatross[0]?.headers || [],
+        rms: sources.rms[0]?.headers || []
+    };
+
+    const detectForFirstFile = (type, headers) => {
+        const mapping = applyDetection(type, headers);
+
+        // Open the editor right away if something required could not be matched
+        const hasMissing = Object.entries(IMPORT_FIELDS[type]).some(([field, def]) => def.required && !mapping[field]);
+        if (hasMissing) setShowMappingEditor(true);
+    };
+
+    const clearMapping = (type) => {
+        setColumnMappings(prev => ({ ...prev, [type]: {} }));
+        setMappingScores(prev => ({ ...prev, [type]: {} }));
+    };
+
+    const handleFileChange = async (e, type) => {
+        const files = Array.from(e.target.files || []);
+        e.target.value = ''; // Allow picking the same file again after removing it
+        if (files.length === 0) return;
+
+        const selected = type === 'albatross' ? files.slice(0, 1) : files;
+        const added = [];
+        for (const file of selected) {
+            try {
+                added.push({ file, ...await readFileInfo(file) });
+            } catch (error) {
+                console.error('Error reading headers:', error);
+                setMessage({
+                    type: 'error',
+                    text: `No se pudieron leer las columnas de ${file.name}.`
+                });
+            }
         }
+        if (added.length === 0) return;
+
+        const replacesFirst = type === 'albatross' || sources.rms.length === 0;
+        setSources(prev => ({
+            ...prev,
+            [type]: type === 'albatross' ? added : [...prev.rms, ...added]
+        }));
+        if (replacesFirst) detectForFirstFile(type, added[0].headers);
     };
 
+    const handleSheetChange = async (type, index, sheetName) => {
+        const source = sources[type][index];
+        try {
+            const info = await readFileInfo(source.file, sheetName);
+            setSources(prev => ({
+                ...prev,
+                [type]: prev[type].map((item, i) => (i === index ? { file: item.file, ...info } : item))
+            }));
+            if (index === 0) detectForFirstFile(type, info.headers);
+        } catch (error) {
+            console.error('Error reading sheet:', error);
+            setMessage({
+                type: 'error',
+                text: `No se pudo leer la hoja "${sheetName}" de ${source.file.name}.`
+            });
+        }
+    };
+
+    const handleClearFile = (type, index = 0) => {
+        const remaining = sources[type].filter((_, i) => i !== index);
+        setSources(prev => ({ ...prev, [type]: remaining }));
+
+        if (remaining.length === 0) clearMapping(type);
+        else if (index === 0) applyDetection(type, remaining[0].headers);
+    };
+
+    const handleMappingChange = (type, field, header) => {
+        setColumnMappings(prev => ({ ...prev, [type]: { ...prev[type], [field]: header || undefined } }));
+        setMappingScores(prev => ({ ...prev, [type]: { ...prev[type], [field]: 1 } }));
+    };
+
+    const handleSelectProfile = (name) => {
+        setActiveProfile(name);
+        setActiveProfileName(name);
+        ['albatross', 'rms'].forEach(type => {
+            if (fileHeaders[type].length > 0) applyDetection(type, fileHeaders[type], name);
+        });
+    };
+
+    const handleSaveProfile = (name) => {
+        // Fields without a column in the current file keep what the profile already had
+        const previous = mappingProfiles[name] || {};
+        const profiles = saveMappingProfile(name, {
+            albatross: { ...previous.albatross, ...columnMappings.albatross },
+            rms: { ...previous.rms, ...columnMappings.rms }
+        });
+        setMappingProfiles(profiles);
+        setActiveProfile(name);
+    };
+
+    const handleDeleteProfile = (name) => {
+        setMappingProfiles(deleteMappingProfile(name));
+        setActiveProfile('');
+    };
+
+    // Required columns still unassigned for the selected files
+    const missingColumns = ['albatross', 'rms'].flatMap(type => {
+        if (fileHeaders[type].length === 0) return [];
+        return Object.entries(IMPORT_FIELDS[type])
+            .filter(([field, def]) => def.required && !columnMappings[type][field])
+            .map(([, def]) => `${type === 'rms' ? 'RMS' : 'Albatross'}: ${def.label}`);
+    });
+
+    // Extra RMS files that lack a column the mapping needs
+    const mismatchedFiles = sources.rms.slice(1)
+        .filter(source => Object.entries(IMPORT_FIELDS.rms).some(([field, def]) => {
+            const header = columnMappings.rms[field];
+            return def.required && header && !source.headers.includes(header);
+        }))
+        .map(source => source.file.name);
+
+    const canProcess = sources.albatross.length > 0 && sources.rms.length > 0
+        && missingColumns.length === 0 && mismatchedFiles.length === 0;
+
     const handleProcess = () => {
-        if (albatrossFile && rmsFile) {
-            onFilesUploaded(albatrossFile, rmsFile, isIncremental);
+        if (canProcess) {
+            const toUpload = ({ file, sheetName }) => ({ file, sheetName });
+            onFilesUploaded(toUpload(sources.albatross[0]), sources.rms.map(toUpload), isIncremental, {
+                albatross: fileHeaders.albatross.length > 0 ? columnMappings.albatross : null,
+                rms: fileHeaders.rms.length > 0 ? columnMappings.rms : null
+            });
         }
     };
 
@@ -170,7 +316,7 @@ const FileUpload = ({ onFilesUploaded, currentUser, onGoToDashboard }) => {
                         <p className="text-sm text-slate-600 dark:text-slate-400">
                             <span className="font-semibold">Último registro:</span> <span className="font-bold text-indigo-600 dark:text-indigo-400">{latestDate.toLocaleDateString('es-HN', { year: 'numeric', month: 'long', day: 'numeric' })} a las {latestDate.toLocaleTimeString('es-HN', { hour: '2-digit', minute: '2-digit' })}</span>
                             <br />
-                            <span className="text-xs mt-1 inline-block">Se subirán solo pedidos posteriores a esta fecha</span>
+                            <span className="text-xs mt-1 inline-block">Los pedidos nuevos se agregan, los que cambiaron se actualizan y los repetidos se omiten</span>
                         </p>
                     </motion.div>
                 )}
@@ -180,41 +326,82 @@ const FileUpload = ({ onFilesUploaded, currentUser, onGoToDashboard }) => {
                     <UploadCard
                         title="Archivo Albatross"
                         description="Reporte de pedidos (CSV/Excel)"
-                        file={albatrossFile}
+                        sources={sources.albatross}
                         onChange={(e) => handleFileChange(e, 'albatross')}
-                        onClear={() => setAlbatrossFile(null)}
+                        onClear={(index) => handleClearFile('albatross', index)}
+                        onSheetChange={(index, sheetName) => handleSheetChange('albatross', index, sheetName)}
                         idx={0}
                     />
 
-                    {/* RMS Upload */}
+                    {/* RMS Upload (several monthly files can be combined) */}
                     <UploadCard
                         title="Archivo RMS"
-                        description="Detalle de facturación (CSV/Excel)"
-                        file={rmsFile}
+                        description="Detalle de facturación (CSV/Excel, uno o varios meses)"
+                        sources={sources.rms}
                         onChange={(e) => handleFileChange(e, 'rms')}
-                        onClear={() => setRmsFile(null)}
+                        onClear={(index) => handleClearFile('rms', index)}
+                        onSheetChange={(index, sheetName) => handleSheetChange('rms', index, sheetName)}
+                        multiple
                         idx={1}
                     />
                 </div>
 
+                {/* Column Mapping */}
+                <div className="mb-6 flex flex-col items-center gap-3">
+                    <button
+                        onClick={() => setShowMappingEditor(prev => !prev)}
+                        className="inline-flex items-center gap-2 text-sm font-semibold text-slate-500 dark:text-slate-400 hover:text-indigo-600 dark:hover:text-indigo-400 transition-colors"
+                    >
+                        <Columns size={16} />
+                        {showMappingEditor ? 'Ocultar mapeo de columnas' : 'Configurar mapeo de columnas'}
+                        {activeProfile && <span className="text-xs px-2 py-0.5 rounded-full bg-indigo-50 dark:bg-indigo-500/10 text-indigo-600 dark:text-indigo-400">{activeProfile}</span>}
+                    </button>
+                    {missingColumns.length > 0 && (
+                        <p className="flex items-center gap-1.5 text-sm font-medium text-rose-600 dark:text-rose-400">
+                            <AlertCircle size={14} />
+                            Faltan columnas requeridas: {missingColumns.join(', ')}
+                        </p>
+                    )}
+                    {mismatchedFiles.length > 0 && (
+                        <p className="flex items-center gap-1.5 text-sm font-medium text-rose-600 dark:text-rose-400">
+                            <AlertCircle size={14} />
+                            Estos archivos RMS no tienen las mismas columnas que el primero: {mismatchedFiles.join(', ')}
+                        </p>
+                    )}
+                </div>
+
+                {showMappingEditor && (
+                    <ColumnMappingEditor
+                        headers={fileHeaders}
+                        mappings={columnMappings}
+                        scores={mappingScores}
+                        onChange={handleMappingChange}
+                        profiles={mappingProfiles}
+                        activeProfile={activeProfile}
+                        onSelectProfile={handleSelectProfile}
+                        onSaveProfile={handleSaveProfile}
+                        onDeleteProfile={handleDeleteProfile}
+                    />
+                )}
+
                 <div className="flex justify-center">
                     <motion.button
                         whileHover={{ scale: 1.02, translateY: -2 }}
                         whileTap={{ scale: 0.98 }}
                         onClick={handleProcess}
-                        disabled={!albatrossFile || !rmsFile}
+                        disabled={!canProcess}
                         className={`
                             group relative px-12 py-5 rounded-2xl font-bold text-lg shadow-xl shadow-indigo-500/20 transition-all flex items-center gap-3 overflow-hidden
-                            ${albatrossFile && rmsFile
+                            ${canProcess
                                 ? 'bg-slate-900 dark:bg-slate-800 text-white cursor-pointer hover:shadow-indigo-500/40'
                                 : 'bg-slate-100 dark:bg-slate-800 text-slate-400 dark:text-slate-600 cursor-not-allowed'}
                         `}
                     >
                         <span className="relative z-10">{isIncremental ? 'Actualizar Datos' : 'Procesar Información'}</span>
-                        {albatrossFile && rmsFile && <ArrowRight className="relative z-10 group-hover:translate-x-1 transition-transform" size={20} />}
+                        {canProcess && <ArrowRight className="relative z-10 group-hover:translate-x-1 transition-transform" size={20} />}
 
                         {/* Button Shine Effect */}
-                        {albatrossFile && rmsFile && (
+                        {canProcess && (
                             <div className="absolute inset-0 -translate-x-full group-hover:translate-x-full transition-transform duration-1000 bg-gradient-to-r from-transparent via-white/10 to-transparent z-0" />
                         )}
                     </motion.button>
@@ -233,7 +420,15 @@ const FileUpload = ({ onFilesUploaded, currentUser, onGoToDashboard }) => {
     );
 };
 
-const UploadCard = ({ title, description, file, onChange, onClear, idx }) => {
+// Format detected for a file, e.g. "CSV · Latin-1 · punto y coma"
+const describeSource = (source) => {
+    if (source.format !== 'csv') return 'Excel';
+    return `CSV · ${source.encoding} · ${getDelimiterLabel(source.delimiter)}`;
+};
+
+const UploadCard = ({ title, description, sources, onChange, onClear, onSheetChange, multiple = false, idx }) => {
+    const hasFiles = sources.length > 0;
+
     return (
         <motion.div
             initial={{ opacity: 0, y: 20 }}
@@ -241,36 +436,64 @@ const UploadCard = ({ title, description, file, onChange, onClear, idx }) => {
             transition={{ delay: 0.3 + (idx * 0.1), duration: 0.5 }}
             className={`
                 relative h-64 rounded-3xl border-2 border-dashed transition-all duration-300 flex flex-col items-center justify-center text-center group overflow-hidden
-                ${file
+                ${hasFiles
                     ? 'border-emerald-400/50 dark:border-emerald-500/30 bg-emerald-50/30 dark:bg-emerald-500/10'
                     : 'border-slate-200 dark:border-slate-700 hover:border-indigo-400/50 hover:bg-indigo-50/30 dark:hover:bg-indigo-900/10 bg-white/50 dark:bg-slate-800/50'}
             `}
         >
             <AnimatePresence mode="wait">
-                {file ? (
+                {hasFiles ? (
                     <motion.div
                         key="file-uploaded"
                         initial={{ scale: 0.8, opacity: 0 }}
                         animate={{ scale: 1, opacity: 1 }}
                         exit={{ scale: 0.8, opacity: 0 }}
-                        className="flex flex-col items-center relative z-10 px-8 w-full"
+                        className="flex flex-col items-center relative z-10 px-6 w-full h-full justify-center py-4"
                     >
                         <motion.div
                             initial={{ scale: 0 }} animate={{ scale: 1 }}
-                            className="w-20 h-20 bg-emerald-100 dark:bg-emerald-500/20 rounded-[2rem] flex items-center justify-center mb-4 text-emerald-600 dark:text-emerald-400 shadow-sm"
+                            className="w-14 h-14 shrink-0 bg-emerald-100 dark:bg-emerald-500/20 rounded-[1.5rem] flex items-center justify-center mb-3 text-emerald-600 dark:text-emerald-400 shadow-sm"
                         >
-                            <CheckCircle size={36} strokeWidth={2.5} />
+                            <CheckCircle size={28} strokeWidth={2.5} />
                         </motion.div>
-                        <h3 className="font-bold text-slate-800 dark:text-slate-200 text-lg mb-1 truncate w-full p-2">{file.name}</h3>
-                        <p className="text-emerald-600 dark:text-emerald-400 text-xs font-bold uppercase tracking-wide bg-emerald-100/50 dark:bg-emerald-500/20 px-3 py-1 rounded-full">Listo para procesar</p>
 
-                        <button
-                            onClick={onClear}
-                            className="absolute -top-12 -right-2 p-2 text-slate-400 hover:text-rose-500 hover:bg-rose-50 dark:hover:bg-rose-900/30 rounded-full transition-all"
-                            title="Eliminar archivo"
-                        >
-                            <X size={20} />
-                        </button>
+                        <div className="w-full space-y-2 overflow-y-auto custom-scrollbar min-h-0">
+                            {sources.map((source, index) => (
+                                <div key={`${source.file.name}-${index}`} className="flex items-center gap-2 bg-white/60 dark:bg-slate-900/40 rounded-xl px-3 py-2 text-left">
+                                    <div className="flex-1 min-w-0">
+                                        <p className="font-bold text-slate-800 dark:text-slate-200 text-sm truncate">{source.file.name}</p>
+                                        <p className="text-[10px] font-semibold text-emerald-600 dark:text-emerald-400 uppercase tracking-wide">{describeSource(source)}</p>
+                                    </div>
+                                    {source.sheetNames.length > 1 && (
+                                        <select
+                                            value={source.sheetName}
+                                            onChange={(e) => onSheetChange(index, e.target.value)}
+                                            className="max-w-[8rem] px-2 py-1 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-lg text-xs text-slate-700 dark:text-slate-200 outline-none"
+                                            title="Hoja a importar"
+                                        >
+                                            {source.sheetNames.map(name => (
+                                                <option key={name} value={name}>{name}</option>
+                                            ))}
+                                        </select>
+                                    )}
+                                    <button
+                                        onClick={() => onClear(index)}
+                                        className="p-1 text-slate-400 hover:text-rose-500 hover:bg-rose-50 dark:hover:bg-rose-900/30 rounded-full transition-all shrink-0"
+                                        title="Eliminar archivo"
+                                    >
+                                        <X size={16} />
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+
+                        {multiple && (
+                            <label className="cursor-pointer mt-3 inline-flex items-center gap-1.5 text-xs font-bold text-indigo-600 dark:text-indigo-400 hover:text-indigo-700 dark:hover:text-indigo-300">
+                                <Plus size={14} />
+                                Agregar otro mes
+                                <input type="file" className="hidden" accept=".xlsx, .xls, .csv" multiple onChange={onChange} />
+                            </label>
+                        )}
                     </motion.div>
                 ) : (
                     <motion.div
@@ -287,16 +510,16 @@ const UploadCard = ({ title, description, file, onChange, onClear, idx }) => {
                         <p className="text-slate-500 dark:text-slate-400 text-sm mb-8 leading-snug">{description}</p>
                         <label className="cursor-pointer relative z-20">
                             <span className="px-8 py-3 rounded-xl bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 text-slate-700 dark:text-slate-200 font-bold text-sm shadow-sm hover:shadow-lg hover:-translate-y-1 hover:border-indigo-200 dark:hover:border-indigo-500/50 transition-all inline-block">
-                                Seleccionar Archivo
+                                {multiple ? 'Seleccionar Archivos' : 'Seleccionar Archivo'}
                             </span>
-                            <input type="file" className="hidden" accept=".xlsx, .xls, .csv" onChange={onChange} />
+                            <input type="file" className="hidden" accept=".xlsx, .xls, .csv" multiple={multiple} onChange={onChange} />
                         </label>
                     </motion.div>
                 )}
             </AnimatePresence>
 
             {/* Background Hover Effect */}
-            {!file && (
+            {!hasFiles && (
                 <div className="absolute inset-0 bg-gradient-to-tr from-indigo-50/0 via-indigo-50/0 to-indigo-50/50 dark:to-indigo-500/10 opacity-0 group-hover:opacity-100 transition-opacity duration-500 pointer-events-none" />
             )}
         </motion.div>
@@ -9,10 +9,100 @@ import { getZonas, getGestoresByZona } from '../config/gestores';
 import MonthVisualizer from './MonthVisualizer';
 import ContributionGraph from './ContributionGraph';
 import GlassDatePicker from './GlassDatePicker';
+import ComparisonControls from './ComparisonControls';
+import DeltaBadge from './DeltaBadge';
+import TopSkusComparison from './TopSkusComparison';
+import { useOrderQuery } from '../hooks/useOrderQuery';
+import { queryAllOrders } from '../utils/orderQueries';
+import { getCustomerGroupKey } from '../utils/customerIdentity';
+import { getProductItems, getProductAmount } from '../utils/productLines';
+import { getComparisonRange } from '../utils/periodComparison';
+import { DEFAULT_COMPARISON_PRESET } from '../config/periodComparison';
+
+const formatCount = (value) => Number(value || 0).toLocaleString('es-HN');
+const formatAmount = (value) => `L. ${Number(value || 0).toLocaleString('es-HN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Group orders by customer with their product total and last purchase
+const groupByCustomer = (orders) => {
+    const map = {};
+    orders.forEach(order => {
+        const key = getCustomerGroupKey(order);
+
+        if (!map[key]) {
+            map[key] = {
+                customerId: order.customerId,
+                name: order.customerName || order.name || 'Sin nombre',
+                email: order.email || '',
+                phone: order.phone || '',
+                identity: order.identity || '',
+                city: order.city || '',
+                orders: [],
+                totalSpent: 0,
+                lastPurchase: null
+            };
+        }
+
+        map[key].orders.push(order);
+        map[key].totalSpent += getProductAmount(order);
+
+        const orderDate = new Date(order.orderDate);
+        if (!map[key].lastPurchase || orderDate > new Date(map[key].lastPurchase)) {
+            map[key].lastPurchase = order.orderDate;
+        }
+    });
+
+    return Object.values(map);
+};
+
+// Filter customers by search term (Identidad, Nombre, Teléfono, SKU, Descripción)
+const searchCustomers = (customers, searchTerm) => {
+    if (!searchTerm.trim()) return customers;
+
+    const terms = searchTerm
+        .toLowerCase()
+        .split(/[\n,]+/)
+        .map(t => t.trim())
+        .filter(Boolean);
+
+    if (terms.length === 0) return customers;
+
+    return customers.filter(customer => {
+        const name = (customer.name || '').toLowerCase();
+        const identity = (customer.identity || '').toLowerCase();
+        const phone = (customer.phone || '').toLowerCase();
+
+        const basicMatch = terms.some(term =>
+            name.includes(term) || identity.includes(term) || phone.includes(term)
+        );
+
+        const productMatch = customer.orders.some(order =>
+            (order.items || []).some(item => {
+                const sku = String(item.sku || '').toLowerCase();
+                const description = String(item.description || '').toLowerCase();
+                return terms.some(term => sku.includes(term) || description.includes(term));
+            })
+        );
+
+        return basicMatch || productMatch;
+    });
+};
+
+const getMetrics = (customers) => {
+    const totalClientes = customers.length;
+    const totalPedidos = customers.reduce((sum, c) => sum + c.orders.length, 0);
+    const totalVentas = customers.reduce((sum, c) => sum + c.totalSpent, 0);
+    const promedioCliente = totalClientes > 0 ? totalVentas / totalClientes : 0;
+
+    return {
+        totalClientes,
+        totalPedidos,
+        totalVentas,
+        promedioCliente
+    };
+};
 
-const GestoresAnalysis = ({ data, isRestricted = false, restrictedUser = null }) => {
+const GestoresAnalysis = ({ summary, isRestricted = false, restrictedUser = null, includeCancelled = false }) => {
     const [selectedMonthData, setSelectedMonthData] = useState(null);
-    const [isZoneLoading, setIsZoneLoading] = useState(false);
 
     // Initialize with restricted user filter if applicable
     const [selectedZone, setSelectedZone] = useState('all');
@@ -26,6 +116,7 @@ const GestoresAnalysis = ({ data, isRestricted = false, restrictedUser = null })
         start: '',
         end: ''
     });
+    const [comparison, setComparison] = useState({ enabled: false, preset: DEFAULT_COMPARISON_PRESET, custom: { start: '', end: '' } });
 
     const filterButtonRef = useRef(null);
 
@@ -42,15 +133,15 @@ const GestoresAnalysis = ({ data, isRestricted = false, restrictedUser = null })
         if (isRestricted && restrictedUser) {
             // Find the zone for this gestor
             const allZones = getZonas(); // Assuming this returns objects or strings
-            // We need to scan data or config to find the zone. 
-            // Using data is safer as config might be outdated, but let's try to infer from data first.
-            const userOrder = data.find(o => o.gestorName === restrictedUser);
-            if (userOrder && userOrder.gestorZone) {
-                setSelectedZone(userOrder.gestorZone);
+            // We need to scan data or config to find the zone.
+            // The gestores seen in the orders (order summary) are safer, as config might be outdated.
+            const userGestor = (summary?.gestores || []).find(g => g.gestor === restrictedUser);
+            if (userGestor && userGestor.zone !== 'Sin Zona') {
+                setSelectedZone(userGestor.zone);
             }
             setSelectedGestor(restrictedUser);
         }
-    }, [isRestricted, restrictedUser, data]);
+    }, [isRestricted, restrictedUser, summary]);
 
     // PERF: useCallback to prevent function recreation
     const toggleZone = useCallback((zone) => {
@@ -70,30 +161,49 @@ const GestoresAnalysis = ({ data, isRestricted = false, restrictedUser = null })
 
     const handleZoneSelect = useCallback((zone) => {
         if (isRestricted) return;
-        setIsZoneLoading(true);
         setSelectedZone(zone);
         setSelectedGestor('all');
         setIsFilterOpen(false);
         setSearchTerm('');
     }, [isRestricted]);
 
-    useEffect(() => {
-        if (!isZoneLoading) return;
-        const timer = setTimeout(() => setIsZoneLoading(false), 450);
-        return () => clearTimeout(timer);
-    }, [isZoneLoading, selectedZone, selectedGestor, dateRange]);
+    // Only the selected gestor/zone (and date range) is fetched, with the full
+    // gestor history of those customers for the shared-customer badge
+    const orderFilters = useMemo(() => {
+        if (selectedGestor === 'all' && selectedZone === 'all') return null;
+
+        const hasDateRange = Boolean(dateRange.start && dateRange.end);
+        return {
+            ...(selectedGestor !== 'all' ? { gestor: selectedGestor } : { zone: selectedZone }),
+            startDate: hasDateRange ? dateRange.start : null,
+            endDate: hasDateRange ? dateRange.end : null,
+            includeCancelled
+        };
+    }, [selectedGestor, selectedZone, dateRange, includeCancelled]);
+
+    const {
+        orders: data,
+        gestorHistory: customerGestorHistory,
+        loading: isZoneLoading
+    } = useOrderQuery(orderFilters, { reloadKey: summary?.loadedAt, withGestorHistory: true });
+
+    const comparisonRange = useMemo(
+        () => (comparison.enabled ? getComparisonRange(dateRange, comparison.preset, comparison.custom) : null),
+        [comparison, dateRange]
+    );
+
+    const previousFilters = useMemo(
+        () => (orderFilters && comparisonRange ? { ...orderFilters, startDate: comparisonRange.start, endDate: comparisonRange.end } : null),
+        [orderFilters, comparisonRange]
+    );
+
+    const { orders: previousData, loading: isComparing } = useOrderQuery(previousFilters, { reloadKey: summary?.loadedAt });
 
     // Group gestores by zone
     const gestoresByZone = useMemo(() => {
         const grouped = {};
 
-        data.forEach(order => {
-            const zone = order.gestorZone || 'Sin Zona';
-            const gestor = order.gestorName || 'Sin Asignar';
-
-            // Skip 'Sin Asignar' gestores
-            if (gestor === 'Sin Asignar') return;
-
+        (summary?.gestores || []).forEach(({ zone, gestor }) => {
             if (!grouped[zone]) {
                 grouped[zone] = new Set();
             }
@@ -110,7 +220,7 @@ const GestoresAnalysis = ({ data, isRestricted = false, restrictedUser = null })
         });
 
         return result;
-    }, [data]);
+    }, [summary]);
 
     // Filter zones/gestores based on search
     const filteredZones = useMemo(() => {
@@ -136,58 +246,8 @@ const GestoresAnalysis = ({ data, isRestricted = false, restrictedUser = null })
             return [];
         }
 
-        let filtered = data;
-
-        // Filter by gestor or by whole zone
-        if (selectedGestor !== 'all') {
-            filtered = filtered.filter(order => order.gestorName === selectedGestor);
-        } else if (selectedZone !== 'all') {
-            filtered = filtered.filter(order => order.gestorZone === selectedZone);
-        }
-
-        // Filter by date range
-        if (dateRange.start && dateRange.end) {
-            const start = new Date(dateRange.start);
-            start.setHours(0, 0, 0, 0);
-            const end = new Date(dateRange.end);
-            end.setHours(23, 59, 59, 999);
-
-            filtered = filtered.filter(order => {
-                const orderDate = new Date(order.orderDate);
-                return orderDate >= start && orderDate <= end;
-            });
-        }
-
-        // Group by customer
-        const map = {};
-        filtered.forEach(order => {
-            const key = order.email || order.phone || order.name;
-            if (!key) return;
-
-            if (!map[key]) {
-                map[key] = {
-                    name: order.customerName || order.name || 'Sin nombre',
-                    email: order.email || '',
-                    phone: order.phone || '',
-                    identity: order.identity || '',
-                    city: order.city || '',
-                    orders: [],
-                    totalSpent: 0,
-                    lastPurchase: null
-                };
-            }
-
-            map[key].orders.push(order);
-            map[key].totalSpent += parseFloat(order.totalAmount) || 0;
-
-            const orderDate = new Date(order.orderDate);
-            if (!map[key].lastPurchase || orderDate > new Date(map[key].lastPurchase)) {
-                map[key].lastPurchase = order.orderDate;
-            }
-        });
-
-        // Convert to array and apply sorting
-        const customers = Object.values(map);
+        // Gestor/zone and date range are already applied by the server query
+        const customers = groupByCustomer(data);
 
         // Apply sorting based on sortBy and sortDirection
         if (sortBy === 'total') {
@@ -204,55 +264,25 @@ const GestoresAnalysis = ({ data, isRestricted = false, restrictedUser = null })
 
         return customers;
 
-    }, [data, selectedGestor, selectedZone, sortBy, sortDirection, dateRange]); // Added dateRange
+    }, [data, selectedGestor, selectedZone, sortBy, sortDirection]);
 
     // Filter customers by search term (Identidad, Nombre, Teléfono, SKU, Descripción)
-    const searchedCustomers = useMemo(() => {
-        if (!customerSearchTerm.trim()) return filteredCustomers;
-
-        const terms = customerSearchTerm
-            .toLowerCase()
-            .split(/[\n,]+/)
-            .map(t => t.trim())
-            .filter(Boolean);
-
-        if (terms.length === 0) return filteredCustomers;
-
-        return filteredCustomers.filter(customer => {
-            const name = (customer.name || '').toLowerCase();
-            const identity = (customer.identity || '').toLowerCase();
-            const phone = (customer.phone || '').toLowerCase();
-
-            const basicMatch = terms.some(term =>
-                name.includes(term) || identity.includes(term) || phone.includes(term)
-            );
-
-            const productMatch = customer.orders.some(order =>
-                (order.items || []).some(item => {
-                    const sku = String(item.sku || '').toLowerCase();
-                    const description = String(item.description || '').toLowerCase();
-                    return terms.some(term => sku.includes(term) || description.includes(term));
-                })
-            );
-
-            return basicMatch || productMatch;
-        });
-    }, [filteredCustomers, customerSearchTerm]);
+    const searchedCustomers = useMemo(
+        () => searchCustomers(filteredCustomers, customerSearchTerm),
+        [filteredCustomers, customerSearchTerm]
+    );
 
     // Calculate metrics
-    const metrics = useMemo(() => {
-        const totalClientes = searchedCustomers.length;
-        const totalPedidos = searchedCustomers.reduce((sum, c) => sum + c.orders.length, 0);
-        const totalVentas = searchedCustomers.reduce((sum, c) => sum + c.totalSpent, 0);
-        const promedioCliente = totalClientes > 0 ? totalVentas / totalClientes : 0;
+    const metrics = useMemo(() => getMetrics(searchedCustomers), [searchedCustomers]);
 
-        return {
-            totalClientes,
-            totalPedidos,
-            totalVentas,
-            promedioCliente
-        };
-    }, [searchedCustomers]);
+    // Compare mode: the same customers search over the period compared against
+    const previousCustomers = useMemo(
+        () => (previousFilters ? searchCustomers(groupByCustomer(previousData), customerSearchTerm) : []),
+        [previousFilters, previousData, customerSearchTerm]
+    );
+
+    const previousMetrics = useMemo(() => getMetrics(previousCustomers), [previousCustomers]);
+    const showComparison = Boolean(previousFilters) && !isZoneLoading && !isComparing;
 
     // Calculate date range for month visualizer
     const displayDateRange = useMemo(() => {
@@ -277,37 +307,6 @@ const GestoresAnalysis = ({ data, isRestricted = false, restrictedUser = null })
         return { min: new Date(minTime), max: new Date(maxTime) };
     }, [searchedCustomers]);
 
-    // Analyze full history to detect shared customers
-    // This runs on ALL data, not just filtered orders
-    const customerGestorHistory = useMemo(() => {
-        const history = {};
-
-        data.forEach(order => {
-            const key = order.email || order.phone || order.name || order.customerName;
-            if (!key) return;
-
-            if (!history[key]) {
-                history[key] = {
-                    gestores: {}, // { "Karen Lino": 5, "Other": 2 }
-                    totalGestores: 0
-                };
-            }
-
-            const gName = order.gestorName || 'Sin Asignar';
-            if (!history[key].gestores[gName]) {
-                history[key].gestores[gName] = 0;
-                history[key].totalGestores++; // Increment unique gestor count
-            }
-            history[key].gestores[gName]++;
-
-            // Track if user was manually entered or has a generic/shared email if needed
-            // But for now, strictly based on gestorName
-        });
-
-        return history;
-    }, [data]); // PERF FIX: Removed selectedGestor dependency - calculate once for all data
-
-
     const [selectedCustomerHistory, setSelectedCustomerHistory] = useState(null);
 
     // Pagination logic
@@ -344,6 +343,17 @@ const GestoresAnalysis = ({ data, isRestricted = false, restrictedUser = null })
         });
     };
 
+    // Full history of one customer (every gestor, no date filter), fetched on demand
+    const handleOpenHistory = async (customer, allHistory) => {
+        const result = await queryAllOrders({ customerIds: [customer.customerId] });
+        if (!result.success) {
+            alert('Error al cargar el historial del cliente: ' + result.error);
+            return;
+        }
+
+        setSelectedCustomerHistory({ customer, allHistory, fullOrders: result.orders });
+    };
+
     // Export Handler
     const handleExport = () => {
         if (!searchedCustomers.length) return;
@@ -360,7 +370,7 @@ const GestoresAnalysis = ({ data, isRestricted = false, restrictedUser = null })
             'Última Compra': c.lastPurchase ? format(new Date(c.lastPurchase), 'dd/MM/yyyy') : '-',
             'Total Comprado (L)': c.totalSpent,
             'Última Compra': c.lastPurchase ? format(new Date(c.lastPurchase), 'dd/MM/yyyy') : '-',
-            'Productos Comprados': [...new Set(c.orders.flatMap(o => (o.items || []).map(i => i.description || i.sku)))].join(', ')
+            'Productos Comprados': [...new Set(c.orders.flatMap(o => getProductItems(o.items).map(i => i.description || i.sku)))].join(', ')
         }));
 
         const ws = XLSX.utils.json_to_sheet(exportData);
@@ -425,6 +435,15 @@ const GestoresAnalysis = ({ data, isRestricted = false, restrictedUser = null })
                     </div>
                 </div>
 
+                {/* Period Comparison */}
+                <ComparisonControls
+                    dateRange={dateRange}
+                    onDateRangeChange={setDateRange}
+                    comparison={comparison}
+                    onComparisonChange={setComparison}
+                    comparisonRange={comparisonRange}
+                />
+
                 {/* Export Button */}
                 {searchedCustomers.length > 0 && (
                     <button
@@ -565,6 +584,7 @@ const GestoresAnalysis = ({ data, isRestricted = false, restrictedUser = null })
                             <div className="w-12 h-12 rounded-xl bg-indigo-500 dark:bg-indigo-600 flex items-center justify-center shadow-lg">
                                 <Users size={24} className="text-white" />
                             </div>
+                            {showComparison && <DeltaBadge current={metrics.totalClientes} previous={previousMetrics.totalClientes} formatValue={formatCount} />}
                         </div>
                         <div className="text-3xl font-extrabold text-slate-900 dark:text-white mb-1">
                             {metrics.totalClientes.toLocaleString('es-HN')}
@@ -585,6 +605,7 @@ const GestoresAnalysis = ({ data, isRestricted = false, restrictedUser = null })
                             <div className="w-12 h-12 rounded-xl bg-emerald-500 dark:bg-emerald-600 flex items-center justify-center shadow-lg">
                                 <ShoppingCart size={24} className="text-white" />
                             </div>
+                            {showComparison && <DeltaBadge current={metrics.totalPedidos} previous={previousMetrics.totalPedidos} formatValue={formatCount} />}
                         </div>
                         <div className="text-3xl font-extrabold text-slate-900 dark:text-white mb-1">
                             {metrics.totalPedidos.toLocaleString('es-HN')}
@@ -605,6 +626,7 @@ const GestoresAnalysis = ({ data, isRestricted = false, restrictedUser = null })
                             <div className="w-12 h-12 rounded-xl bg-violet-500 dark:bg-violet-600 flex items-center justify-center shadow-lg">
                                 <DollarSign size={24} className="text-white" />
                             </div>
+                            {showComparison && <DeltaBadge current={metrics.totalVentas} previous={previousMetrics.totalVentas} formatValue={formatAmount} />}
                         </div>
                         <div className="text-3xl font-extrabold text-slate-900 dark:text-white mb-1">
                             L. {metrics.totalVentas.toLocaleString('es-HN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
@@ -625,6 +647,7 @@ const GestoresAnalysis = ({ data, isRestricted = false, restrictedUser = null })
                             <div className="w-12 h-12 rounded-xl bg-amber-500 dark:bg-amber-600 flex items-center justify-center shadow-lg">
                                 <TrendingUp size={24} className="text-white" />
                             </div>
+                            {showComparison && <DeltaBadge current={metrics.promedioCliente} previous={previousMetrics.promedioCliente} formatValue={formatAmount} />}
                         </div>
                         <div className="text-3xl font-extrabold text-slate-900 dark:text-white mb-1">
                             L. {metrics.promedioCliente.toLocaleString('es-HN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
@@ -635,12 +658,21 @@ const GestoresAnalysis = ({ data, isRestricted = false, restrictedUser = null })
                     </motion.div>
                 </div>
 
+                {/* Top SKUs against the period compared */}
+                {showComparison && searchedCustomers.length > 0 && (
+                    <TopSkusComparison
+                        currentOrders={searchedCustomers.flatMap(customer => customer.orders)}
+                        previousOrders={previousCustomers.flatMap(customer => customer.orders)}
+                        comparisonRange={comparisonRange}
+                    />
+                )}
+
                 {/* Customers Table */}
-                {isZoneLoading && selectedGestor === 'all' && selectedZone !== 'all' ? (
+                {isZoneLoading ? (
                     <div className="bg-white/40 dark:bg-slate-900/40 backdrop-blur-xl p-12 rounded-2xl border border-white/30 dark:border-slate-700/50 text-center">
                         <div className="mx-auto mb-4 w-10 h-10 border-2 border-indigo-200 dark:border-indigo-800 border-t-indigo-600 dark:border-t-indigo-400 rounded-full animate-spin"></div>
                         <h3 className="text-xl font-bold text-slate-700 dark:text-slate-300 mb-2">
-                            Cargando zona {selectedZone}...
+                            Cargando {selectedGestor !== 'all' ? selectedGestor : `zona ${selectedZone}`}...
                         </h3>
                         <p className="text-slate-500 dark:text-slate-400">
                             Procesando clientes y pedidos, espera un momento.
@@ -727,7 +759,7 @@ const GestoresAnalysis = ({ data, isRestricted = false, restrictedUser = null })
                                         <tbody className="divide-y divide-slate-50 dark:divide-slate-800/50">
                                             {currentCustomers.map((customer, idx) => {
                                                 // Check if shared
-                                                const allHistory = customerGestorHistory[customer.email || customer.phone || customer.name] || { gestores: {}, totalGestores: 0 };
+                                                const allHistory = customerGestorHistory[customer.customerId] || { gestores: {}, totalGestores: 0 };
                                                 const isShared = allHistory.totalGestores > 1;
 
                                                 // Calculate total orders with other gestores
@@ -846,16 +878,7 @@ const GestoresAnalysis = ({ data, isRestricted = false, restrictedUser = null })
 
                                                         <td className="px-6 py-6 align-top">
                                                             <button
-                                                                onClick={() => setSelectedCustomerHistory({
-                                                                    customer,
-                                                                    allHistory,
-                                                                    fullOrders: data.filter(order =>
-                                                                        (order.email && order.email === customer.email) ||
-                                                                        (order.phone && order.phone === customer.phone) ||
-                                                                        (order.name && order.name === customer.name) ||
-                                                                        (order.customerName && order.customerName === customer.name)
-                                                                    )
-                                                                })}
+                                                                onClick={() => handleOpenHistory(customer, allHistory)}
                                                                 className="shrink-0 w-8 h-8 rounded-lg bg-indigo-50 dark:bg-indigo-500/10 hover:bg-indigo-100 dark:hover:bg-indigo-500/20 text-indigo-600 dark:text-indigo-400 flex items-center justify-center transition-all hover:scale-110 hover:shadow-md mx-auto"
                                                                 title="Ver Historial Completo"
                                                             >
@@ -1075,7 +1098,7 @@ const GestoresAnalysis = ({ data, isRestricted = false, restrictedUser = null })
                                                     <span className="text-xs font-bold uppercase tracking-wider">Total Invertido</span>
                                                 </div>
                                                 <div className="text-2xl font-bold text-emerald-900 dark:text-emerald-300">
-                                                    L. {selectedCustomerHistory.fullOrders.reduce((s, o) => s + parseFloat(o.totalAmount || 0), 0).toLocaleString('es-HN', { minimumFractionDigits: 2 })}
+                                                    L. {selectedCustomerHistory.fullOrders.reduce((s, o) => s + getProductAmount(o), 0).toLocaleString('es-HN', { minimumFractionDigits: 2 })}
                                                 </div>
                                             </div>
                                             <div className="bg-gradient-to-br from-violet-50 to-violet-100 dark:from-violet-950/30 dark:to-violet-900/20 p-4 rounded-xl border border-violet-200 dark:border-violet-800">
@@ -1112,7 +1135,7 @@ const GestoresAnalysis = ({ data, isRestricted = false, restrictedUser = null })
                                             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                                                 {Object.entries(selectedCustomerHistory.allHistory.gestores).sort((a, b) => b[1] - a[1]).map(([gestor, count]) => {
                                                     const isCurrentGestor = gestor === selectedGestor;
-                                                    const total = selectedCustomerHistory.fullOrders.filter(o => o.gestorName === gestor).reduce((s, o) => s + parseFloat(o.totalAmount || 0), 0);
+                                                    const total = selectedCustomerHistory.fullOrders.filter(o => o.gestorName === gestor).reduce((s, o) => s + getProductAmount(o), 0);
                                                     return (
                                                         <div key={gestor} className={`p-4 rounded-lg border-2 transition-all ${isCurrentGestor ? 'bg-indigo-50 dark:bg-indigo-900/20 border-indigo-300 dark:border-indigo-700' : 'bg-slate-50 dark:bg-slate-800/30 border-slate-200 dark:border-slate-700'}`}>
                                                             <div className="flex items-center justify-between mb-2">
@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { History, Undo2, RotateCcw, Loader2, RefreshCw, FileSpreadsheet } from 'lucide-react';
+import { loadImportBatches, rollbackImportBatch, restoreBeforeImportBatch } from '../utils/importBatches';
+
+const STATUS_STYLES = {
+    completed: { label: 'Completada', className: 'bg-emerald-100 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-400' },
+    in_progress: { label: 'En curso', className: 'bg-indigo-100 dark:bg-indigo-900/30 text-indigo-700 dark:text-indigo-400' },
+    failed: { label: 'Fallida', className: 'bg-rose-100 dark:bg-rose-900/30 text-rose-700 dark:text-rose-400' },
+    rolled_back: { label: 'Revertida', className: 'bg-slate-100 dark:bg-slate-800 text-slate-500 dark:text-slate-400' }
+};
+
+const formatCount = (value) => (value || 0).toLocaleString('es-HN');
+
+const ImportHistory = ({ onDataChanged }) => {
+    const [batches, setBatches] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [busyId, setBusyId] = useState(null);
+
+    const applyResult = (result) => {
+        if (result.success) {
+            setBatches(result.batches);
+        }
+        setLoading(false);
+    };
+
+    const loadBatches = async () => {
+        setLoading(true);
+        applyResult(await loadImportBatches());
+    };
+
+    useEffect(() => {
+        loadImportBatches().then(applyResult);
+    }, []);
+
+    const handleRollback = async (batch) => {
+        if (!confirm(`¿Revertir la importación del ${new Date(batch.created_at).toLocaleString('es-HN')}? Se quitarán sus pedidos y se recuperarán los que reemplazó.`)) {
+            return;
+        }
+
+        setBusyId(batch.id);
+        const result = await rollbackImportBatch(batch);
+        setBusyId(null);
+
+        if (result.success) {
+            alert(`Importación revertida: ${formatCount(result.removedOrders)} pedidos quitados y ${formatCount(result.restoredOrders)} recuperados.`);
+            await loadBatches();
+            onDataChanged?.();
+        } else {
+            alert('Error al revertir la importación: ' + result.error);
+        }
+    };
+
+    const handleRestore = async (batch) => {
+        const laterCount = batches.findIndex(b => b.id === batch.id);
+        const warning = laterCount > 0 ? ` También se desharán ${laterCount} importaciones posteriores.` : '';
+        if (!confirm(`¿Restaurar los datos al estado anterior a la importación del ${new Date(batch.created_at).toLocaleString('es-HN')}?${warning}`)) {
+            return;
+        }
+
+        setBusyId(batch.id);
+        const result = await restoreBeforeImportBatch(batch, batches);
+        setBusyId(null);
+
+        if (result.success) {
+            alert(`Datos restaurados. Importaciones deshechas: ${result.undoneBatches}.`);
+            await loadBatches();
+            onDataChanged?.();
+        } else {
+            alert('Error al restaurar los datos: ' + result.error);
+        }
+    };
+
+    return (
+        <div className="mt-12">
+            <div className="flex items-center justify-between mb-6">
+                <div>
+                    <h2 className="text-2xl font-bold text-slate-900 dark:text-white flex items-center gap-3">
+                        <History size={26} strokeWidth={2.5} />
+                        Historial de Importaciones
+                    </h2>
+                    <p className="text-slate-500 dark:text-slate-400 mt-1 text-sm">
+                        Cada carga queda registrada y puede revertirse mientras tenga copia de seguridad
+                    </p>
+                </div>
+                <button
+                    onClick={loadBatches}
+                    disabled={loading}
+                    className="p-2 text-slate-400 hover:text-indigo-600 dark:hover:text-indigo-400 hover:bg-slate-100 dark:hover:bg-slate-800 rounded-lg transition-colors disabled:opacity-50"
+                    title="Recargar historial"
+                >
+                    <RefreshCw size={18} />
+                </button>
+            </div>
+
+            {loading ? (
+                <div className="flex items-center justify-center py-12">
+                    <Loader2 size={32} className="animate-spin text-indigo-600" />
+                </div>
+            ) : batches.length === 0 ? (
+                <div className="text-center py-12 text-slate-500 dark:text-slate-400">
+                    Aún no hay importaciones registradas
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 gap-4">
+                    {batches.map((batch) => {
+                        const status = STATUS_STYLES[batch.status] || STATUS_STYLES.completed;
+                        const canUndo = batch.snapshot_available && ['completed', 'failed'].includes(batch.status);
+                        const isBusy = busyId === batch.id;
+                        const result = batch.result || {};
+
+                        return (
+                            <motion.div
+                                key={batch.id}
+                                initial={{ opacity: 0, y: 20 }}
+                                animate={{ opacity: 1, y: 0 }}
+                                className="bg-white/70 dark:bg-slate-900/70 backdrop-blur-xl border border-white/50 dark:border-slate-800 rounded-2xl p-5 shadow-lg"
+                            >
+                                <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                                    <div className="min-w-0">
+                                        <div className="flex flex-wrap items-center gap-2">
+                                            <h3 className="text-lg font-semibold text-slate-900 dark:text-white">
+                                                {new Date(batch.created_at).toLocaleString('es-HN')}
+                                            </h3>
+                                            <span className={`px-2.5 py-0.5 rounded-full text-xs font-semibold ${status.className}`}>
+                                                {status.label}
+                                            </span>
+                                            <span className="px-2.5 py-0.5 rounded-full text-xs font-semibold bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-300">
+                                                {batch.mode === 'full' ? 'Carga completa' : 'Incremental'}
+                                            </span>
+                                        </div>
+                                        <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">
+                                            Por {batch.uploaded_by_name || batch.uploaded_by} (@{batch.uploaded_by})
+                                        </p>
+                                        <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-slate-500 dark:text-slate-400">
+                                            <span className="flex items-center gap-1.5">
+                                                <FileSpreadsheet size={12} />
+                                                {batch.file_names?.albatross} · {formatCount(batch.row_counts?.albatross)} filas
+                                            </span>
+                                            <span className="flex items-center gap-1.5">
+                                                <FileSpreadsheet size={12} />
+                                                {batch.file_names?.rms} · {formatCount(batch.row_counts?.rms)} filas
+                                            </span>
+                                            <span>{formatCount(batch.order_count)} pedidos</span>
+                                            {batch.mode === 'incremental' && result.inserted !== undefined && (
+                                                <span>
+                                                    {formatCount(result.inserted)} nuevos · {formatCount(result.updated)} actualizados · {formatCount(result.skipped)} sin cambios
+                                                </span>
+                                            )}
+                                            {!batch.snapshot_available && <span className="italic">Sin copia de seguridad</span>}
+                                        </div>
+                                    </div>
+
+                                    <div className="flex items-center gap-2 shrink-0">
+                                        {isBusy ? (
+                                            <Loader2 size={18} className="animate-spin text-indigo-600" />
+                                        ) : (
+                                            <>
+                                                <button
+                                                    onClick={() => handleRollback(batch)}
+                                                    disabled={!canUndo || busyId !== null}
+                                                    className="flex items-center gap-1.5 px-3 py-2 text-sm font-semibold text-rose-600 dark:text-rose-400 hover:bg-rose-50 dark:hover:bg-rose-900/30 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent"
+                                                    title="Quitar solo los pedidos de esta importación"
+                                                >
+                                                    <Undo2 size={16} />
+                                                    Revertir
+                                                </button>
+                                                <button
+                                                    onClick={() => handleRestore(batch)}
+                                                    disabled={!canUndo || busyId !== null}
+                                                    className="flex items-center gap-1.5 px-3 py-2 text-sm font-semibold text-indigo-600 dark:text-indigo-400 hover:bg-indigo-50 dark:hover:bg-indigo-900/30 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent"
+                                                    title="Volver al estado anterior a esta importación (deshace también las posteriores)"
+                                                >
+                                                    <RotateCcw size={16} />
+                                                    Restaurar anterior
+                                                </button>
+                                            </>
+                                        )}
+                                    </div>
+                                </div>
+                            </motion.div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ImportHistory;
@@ -0,0 +1,243 @@
+import React, { useMemo, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { X, Download, AlertTriangle, AlertCircle, CheckCircle, FileSpreadsheet } from 'lucide-react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { VALIDATION_ISSUE_TYPES, exportValidationReport } from '../utils/importValidation';
+import JoinDiagnosticsPanel from './JoinDiagnosticsPanel';
+
+const MAX_VISIBLE_ISSUES = 200;
+
+const SEVERITY_STYLES = {
+    blocking: 'bg-rose-100 dark:bg-rose-500/20 text-rose-700 dark:text-rose-300',
+    error: 'bg-rose-50 dark:bg-rose-500/10 text-rose-600 dark:text-rose-400',
+    warning: 'bg-amber-50 dark:bg-amber-500/10 text-amber-600 dark:text-amber-400'
+};
+
+const SEVERITY_LABELS = {
+    blocking: 'Bloqueante',
+    error: 'Error',
+    warning: 'Advertencia'
+};
+
+const ImportValidationReport = ({ report, diagnostics, fileNames, onConfirm, onCancel }) => {
+    const [typeFilter, setTypeFilter] = useState('all');
+    const [activeTab, setActiveTab] = useState('validation'); // 'validation' | 'join'
+
+    const visibleIssues = useMemo(() => {
+        if (!report) return [];
+        const filtered = typeFilter === 'all'
+            ? report.issues
+            : report.issues.filter(issue => issue.type === typeFilter);
+        return filtered.slice(0, MAX_VISIBLE_ISSUES);
+    }, [report, typeFilter]);
+
+    if (!report) return null;
+
+    const totalIssues = report.issues.length;
+    const filteredCount = typeFilter === 'all' ? totalIssues : (report.countsByType[typeFilter] || 0);
+    const hasSeveralRmsFiles = (report.sourceFiles?.rms?.length || 0) > 1;
+
+    return createPortal(
+        <AnimatePresence>
+            <div className="fixed inset-0 z-[9999] flex items-center justify-center p-4">
+                {/* Backdrop */}
+                <motion.div
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                    className="absolute inset-0 bg-slate-900/60 dark:bg-black/70 backdrop-blur-md"
+                />
+
+                <motion.div
+                    initial={{ opacity: 0, scale: 0.95, y: 20 }}
+                    animate={{ opacity: 1, scale: 1, y: 0 }}
+                    exit={{ opacity: 0, scale: 0.95, y: 20 }}
+                    className="relative bg-white dark:bg-slate-900 rounded-[2rem] shadow-2xl max-w-5xl w-full max-h-[85vh] overflow-hidden flex flex-col border border-white/20 dark:border-slate-800 text-slate-900 dark:text-slate-100"
+                >
+                    {/* Header */}
+                    <div className="px-8 py-6 border-b border-slate-100 dark:border-slate-800 flex items-start justify-between">
+                        <div>
+                            <span className="bg-indigo-50 dark:bg-indigo-500/20 text-indigo-600 dark:text-indigo-400 text-xs font-bold px-2 py-1 rounded-full uppercase tracking-wider">
+                                Validación previa
+                            </span>
+                            <h2 className="text-2xl font-bold text-slate-900 dark:text-white mt-2">
+                                Reporte de Importación
+                            </h2>
+                            <div className="flex flex-wrap gap-4 mt-2 text-sm text-slate-500 dark:text-slate-400">
+                                <span className="flex items-center gap-1.5">
+                                    <FileSpreadsheet size={14} />
+                                    {fileNames?.albatross} · {report.rowCounts.albatross.toLocaleString('es-HN')} filas
+                                </span>
+                                <span className="flex items-center gap-1.5">
+                                    <FileSpreadsheet size={14} />
+                                    {fileNames?.rms} · {report.rowCounts.rms.toLocaleString('es-HN')} filas
+                                </span>
+                            </div>
+                        </div>
+                        <button
+                            onClick={onCancel}
+                            className="w-10 h-10 flex items-center justify-center bg-slate-100 dark:bg-slate-800 text-slate-500 dark:text-slate-400 hover:bg-slate-200 dark:hover:bg-slate-700 rounded-full transition-all"
+                            aria-label="Cerrar"
+                        >
+                            <X size={20} />
+                        </button>
+                    </div>
+
+                    {/* Tabs */}
+                    {diagnostics && (
+                        <div className="px-8 pt-3 flex gap-1 border-b border-slate-100 dark:border-slate-800">
+                            {[
+                                { id: 'validation', label: `Validación (${totalIssues})` },
+                                { id: 'join', label: `Conciliación (${(diagnostics.matchRate * 100).toFixed(1)}%)` }
+                            ].map(tab => (
+                                <button
+                                    key={tab.id}
+                                    onClick={() => setActiveTab(tab.id)}
+                                    className={`px-4 py-2 text-sm font-semibold border-b-2 -mb-px transition-colors ${activeTab === tab.id
+                                        ? 'border-indigo-500 text-indigo-600 dark:text-indigo-400'
+                                        : 'border-transparent text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-200'
+                                        }`}
+                                >
+                                    {tab.label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    {activeTab === 'join' && diagnostics ? (
+                        <div className="flex-1 overflow-y-auto custom-scrollbar">
+                            <JoinDiagnosticsPanel diagnostics={diagnostics} />
+                        </div>
+                    ) : (
+                        <>
+                            {/* Summary */}
+                            <div className="px-8 py-4 bg-slate-50/50 dark:bg-slate-800/30 border-b border-slate-100 dark:border-slate-800 flex flex-wrap gap-2">
+                                {totalIssues === 0 ? (
+                                    <span className="flex items-center gap-2 text-sm font-semibold text-emerald-600 dark:text-emerald-400">
+                                        <CheckCircle size={16} />
+                                        No se encontraron problemas en los archivos.
+                                    </span>
+                                ) : (
+                                    <>
+                                        <button
+                                            onClick={() => setTypeFilter('all')}
+                                            className={`px-3 py-1.5 rounded-full text-xs font-semibold border transition-colors ${typeFilter === 'all'
+                                                ? 'bg-indigo-50 dark:bg-indigo-500/20 border-indigo-200 dark:border-indigo-500/30 text-indigo-700 dark:text-indigo-300'
+                                                : 'bg-white dark:bg-slate-900 border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-400'
+                                                }`}
+                                        >
+                                            Todos ({totalIssues})
+                                        </button>
+                                        {Object.entries(report.countsByType).map(([type, count]) => (
+                                            <button
+                                                key={type}
+                                                onClick={() => setTypeFilter(type)}
+                                                className={`px-3 py-1.5 rounded-full text-xs font-semibold border transition-colors ${typeFilter === type
+                                                    ? 'bg-indigo-50 dark:bg-indigo-500/20 border-indigo-200 dark:border-indigo-500/30 text-indigo-700 dark:text-indigo-300'
+                                                    : 'bg-white dark:bg-slate-900 border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-400'
+                                                    }`}
+                                            >
+                                                {VALIDATION_ISSUE_TYPES[type].label} ({count})
+                                            </button>
+                                        ))}
+                                    </>
+                                )}
+                            </div>
+
+                            {/* Issues */}
+                            <div className="flex-1 overflow-y-auto custom-scrollbar">
+                                {visibleIssues.length > 0 && (
+                                    <table className="w-full text-left text-sm">
+                                        <thead className="sticky top-0 bg-white dark:bg-slate-900">
+                                            <tr className="text-xs font-bold uppercase tracking-wider text-slate-500 dark:text-slate-400 border-b border-slate-100 dark:border-slate-800">
+                                                <th className="px-8 py-3">Archivo</th>
+                                                <th className="px-4 py-3">Fila</th>
+                                                <th className="px-4 py-3">Severidad</th>
+                                                <th className="px-4 py-3">Pedido</th>
+                                                <th className="px-4 py-3">Detalle</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y divide-slate-50 dark:divide-slate-800/50">
+                                            {visibleIssues.map((issue, idx) => (
+                                                <tr key={idx}>
+                                                    <td className="px-8 py-2 font-semibold">
+                                                        {issue.source === 'rms' ? 'RMS' : 'Albatross'}
+                                                        {hasSeveralRmsFiles && issue.source === 'rms' && issue.fileName && (
+                                                            <span className="block text-[10px] font-normal text-slate-400 truncate max-w-[10rem]">{issue.fileName}</span>
+                                                        )}
+                                                    </td>
+                                                    <td className="px-4 py-2 font-mono text-xs">{issue.row ?? '—'}</td>
+                                                    <td className="px-4 py-2">
+                                                        <span className={`px-2 py-0.5 rounded-full text-[10px] font-bold uppercase ${SEVERITY_STYLES[issue.severity]}`}>
+                                                            {SEVERITY_LABELS[issue.severity]}
+                                                        </span>
+                                                    </td>
+                                                    <td className="px-4 py-2 font-mono text-xs">{issue.orderId || '—'}</td>
+                                                    <td className="px-4 py-2 text-slate-600 dark:text-slate-300">
+                                                        {issue.message}
+                                                        {issue.value && issue.type !== 'UNKNOWN_POS_USER' && (
+                                                            <span className="ml-2 font-mono text-xs text-slate-400">"{issue.value}"</span>
+                                                        )}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                )}
+                                {filteredCount > MAX_VISIBLE_ISSUES && (
+                                    <p className="px-8 py-3 text-xs text-slate-400 dark:text-slate-500">
+                                        Mostrando {MAX_VISIBLE_ISSUES} de {filteredCount}. Descarga el reporte para ver todos.
+                                    </p>
+                                )}
+                            </div>
+                        </>
+                    )}
+
+                    {/* Footer */}
+                    <div className="px-8 py-5 border-t border-slate-100 dark:border-slate-800 flex flex-col md:flex-row items-center justify-between gap-4">
+                        <div className="text-sm text-slate-500 dark:text-slate-400">
+                            {!report.canImport ? (
+                                <span className="flex items-center gap-1.5 text-rose-600 dark:text-rose-400 font-semibold">
+                                    <AlertCircle size={16} />
+                                    Corrige las columnas faltantes antes de importar.
+                                </span>
+                            ) : totalIssues > 0 ? (
+                                <span className="flex items-center gap-1.5 text-amber-600 dark:text-amber-400 font-semibold">
+                                    <AlertTriangle size={16} />
+                                    {report.errorCount} errores y {report.warningCount} advertencias. Nada se ha guardado todavía.
+                                </span>
+                            ) : null}
+                        </div>
+                        <div className="flex items-center gap-3">
+                            {totalIssues > 0 && (
+                                <button
+                                    onClick={() => exportValidationReport(report)}
+                                    className="flex items-center gap-2 px-4 py-2.5 rounded-xl border border-slate-200 dark:border-slate-700 text-slate-700 dark:text-slate-200 text-sm font-semibold hover:bg-slate-50 dark:hover:bg-slate-800 transition-colors"
+                                >
+                                    <Download size={16} />
+                                    Descargar reporte
+                                </button>
+                            )}
+                            <button
+                                onClick={onCancel}
+                                className="px-4 py-2.5 rounded-xl text-slate-600 dark:text-slate-300 text-sm font-semibold hover:bg-slate-100 dark:hover:bg-slate-800 transition-colors"
+                            >
+                                Cancelar
+                            </button>
+                            <button
+                                onClick={onConfirm}
+                                disabled={!report.canImport}
+                                className="px-5 py-2.5 rounded-xl bg-slate-900 dark:bg-indigo-600 text-white text-sm font-bold shadow-lg hover:-translate-y-0.5 transition-all disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:translate-y-0"
+                            >
+                                Confirmar importación
+                            </button>
+                        </div>
+                    </div>
+                </motion.div>
+            </div>
+        </AnimatePresence>,
+        document.body
+    );
+};
+
+export default ImportValidationReport;
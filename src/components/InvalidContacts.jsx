@@ -0,0 +1,30 @@
+import React, { useMemo } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { getInvalidContacts } from '../utils/contactNormalization';
+
+/**
+ * Contact values a customer's files had but that were stored empty because they are invalid,
+ * shown as they came (see utils/contactNormalization.js)
+ */
+const InvalidContacts = ({ orders }) => {
+    const invalid = useMemo(() => getInvalidContacts(orders), [orders]);
+    if (invalid.length === 0) return null;
+
+    return (
+        <div className="flex flex-wrap gap-1 mt-1">
+            {invalid.map(({ field, label, original, reason }) => (
+                <span
+                    key={`${field}:${original}`}
+                    className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-[10px] font-semibold border bg-amber-50 dark:bg-amber-500/10 text-amber-700 dark:text-amber-400 border-amber-200 dark:border-amber-500/30 max-w-full"
+                    title={reason}
+                >
+                    <AlertTriangle size={10} className="shrink-0" />
+                    {label}:
+                    <span className="font-mono truncate">{original}</span>
+                </span>
+            ))}
+        </div>
+    );
+};
+
+export default InvalidContacts;
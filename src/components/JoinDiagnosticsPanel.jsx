@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { Download, Link2, Unlink, GitCompare } from 'lucide-react';
+import { exportJoinDiagnosticsList } from '../utils/joinDiagnostics';
+
+const MAX_VISIBLE_ROWS = 200;
+
+const LISTS = [
+    { id: 'unmatchedAlbatross', label: 'Albatross sin RMS', icon: Unlink },
+    { id: 'orphanRms', label: 'RMS sin Albatross', icon: Unlink },
+    { id: 'nearMisses', label: 'Coincidencias cercanas', icon: GitCompare }
+];
+
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+const formatAmount = (value) => `L. ${(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const JoinDiagnosticsPanel = ({ diagnostics }) => {
+    const [activeList, setActiveList] = useState('unmatchedAlbatross');
+
+    if (!diagnostics) return null;
+
+    const rows = diagnostics[activeList];
+
+    return (
+        <div className="flex flex-col">
+            {/* Match rates */}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 px-8 py-5">
+                <div className="bg-emerald-50 dark:bg-emerald-500/10 rounded-xl p-4 border border-emerald-100 dark:border-emerald-500/20">
+                    <div className="flex items-center gap-1.5 text-emerald-600 dark:text-emerald-400 text-xs font-bold uppercase tracking-wider mb-1">
+                        <Link2 size={14} />
+                        Albatross con RMS
+                    </div>
+                    <div className="text-2xl font-bold text-emerald-900 dark:text-emerald-300">{formatPercent(diagnostics.matchRate)}</div>
+                    <div className="text-xs text-emerald-700/70 dark:text-emerald-400/70">
+                        {diagnostics.matchedCount.toLocaleString('es-HN')} de {diagnostics.albatrossCount.toLocaleString('es-HN')} pedidos entregados
+                    </div>
+                </div>
+                <div className="bg-indigo-50 dark:bg-indigo-500/10 rounded-xl p-4 border border-indigo-100 dark:border-indigo-500/20">
+                    <div className="flex items-center gap-1.5 text-indigo-600 dark:text-indigo-400 text-xs font-bold uppercase tracking-wider mb-1">
+                        <Link2 size={14} />
+                        RMS con Albatross
+                    </div>
+                    <div className="text-2xl font-bold text-indigo-900 dark:text-indigo-300">{formatPercent(diagnostics.rmsMatchRate)}</div>
+                    <div className="text-xs text-indigo-700/70 dark:text-indigo-400/70">
+                        {diagnostics.rmsOrderCount.toLocaleString('es-HN')} pedidos RMS
+                    </div>
+                </div>
+                <div className="bg-rose-50 dark:bg-rose-500/10 rounded-xl p-4 border border-rose-100 dark:border-rose-500/20">
+                    <div className="text-rose-600 dark:text-rose-400 text-xs font-bold uppercase tracking-wider mb-1">Huérfanos RMS</div>
+                    <div className="text-2xl font-bold text-rose-900 dark:text-rose-300">{diagnostics.orphanRms.length.toLocaleString('es-HN')}</div>
+                    <div className="text-xs text-rose-700/70 dark:text-rose-400/70">Se descartan al unir</div>
+                </div>
+                <div className="bg-amber-50 dark:bg-amber-500/10 rounded-xl p-4 border border-amber-100 dark:border-amber-500/20">
+                    <div className="text-amber-600 dark:text-amber-400 text-xs font-bold uppercase tracking-wider mb-1">Coincidencias cercanas</div>
+                    <div className="text-2xl font-bold text-amber-900 dark:text-amber-300">{diagnostics.nearMisses.length.toLocaleString('es-HN')}</div>
+                    <div className="text-xs text-amber-700/70 dark:text-amber-400/70">Ceros, sufijo -I, espacios</div>
+                </div>
+            </div>
+
+            {/* List selector */}
+            <div className="px-8 pb-3 flex flex-wrap items-center gap-2">
+                {LISTS.map(list => (
+                    <button
+                        key={list.id}
+                        onClick={() => setActiveList(list.id)}
+                        className={`flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs font-semibold border transition-colors ${activeList === list.id
+                            ? 'bg-indigo-50 dark:bg-indigo-500/20 border-indigo-200 dark:border-indigo-500/30 text-indigo-700 dark:text-indigo-300'
+                            : 'bg-white dark:bg-slate-900 border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-400'
+                            }`}
+                    >
+                        <list.icon size={12} />
+                        {list.label} ({diagnostics[list.id].length})
+                    </button>
+                ))}
+                <button
+                    onClick={() => exportJoinDiagnosticsList(diagnostics, activeList)}
+                    disabled={rows.length === 0}
+                    className="ml-auto flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs font-semibold border border-slate-200 dark:border-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-50 dark:hover:bg-slate-800 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    <Download size={12} />
+                    Exportar lista
+                </button>
+            </div>
+
+            {/* Rows */}
+            {rows.length === 0 ? (
+                <p className="px-8 py-6 text-sm text-slate-400 dark:text-slate-500">Sin registros en esta lista.</p>
+            ) : (
+                <table className="w-full text-left text-sm">
+                    <thead className="bg-slate-50/50 dark:bg-slate-800/30">
+                        <tr className="text-xs font-bold uppercase tracking-wider text-slate-500 dark:text-slate-400">
+                            {activeList === 'unmatchedAlbatross' && (
+                                <>
+                                    <th className="px-8 py-2">Pedido</th>
+                                    <th className="px-4 py-2">Fecha</th>
+                                    <th className="px-4 py-2">Cliente</th>
+                                    <th className="px-4 py-2">Gestor</th>
+                                </>
+                            )}
+                            {activeList === 'orphanRms' && (
+                                <>
+                                    <th className="px-8 py-2">Pedido RMS</th>
+                                    <th className="px-4 py-2 text-right">Total</th>
+                                    <th className="px-4 py-2">Líneas</th>
+                                    <th className="px-4 py-2">Identidad</th>
+                                </>
+                            )}
+                            {activeList === 'nearMisses' && (
+                                <>
+                                    <th className="px-8 py-2">Pedido RMS</th>
+                                    <th className="px-4 py-2">Pedido Albatross</th>
+                                    <th className="px-4 py-2">Motivo</th>
+                                    <th className="px-4 py-2 text-right">Total RMS</th>
+                                </>
+                            )}
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-50 dark:divide-slate-800/50">
+                        {rows.slice(0, MAX_VISIBLE_ROWS).map((row, idx) => (
+                            <tr key={idx}>
+                                {activeList === 'unmatchedAlbatross' && (
+                                    <>
+                                        <td className="px-8 py-2 font-mono text-xs">
+                                            {row.rawId}
+                                            {row.nearMiss && <span className="ml-2 text-amber-500" title="Tiene una coincidencia cercana en RMS">●</span>}
+                                        </td>
+                                        <td className="px-4 py-2 text-xs">{row.orderDate || '—'}</td>
+                                        <td className="px-4 py-2">{row.customerName || '—'}</td>
+                                        <td className="px-4 py-2 text-xs">{row.gestorName || '—'}</td>
+                                    </>
+                                )}
+                                {activeList === 'orphanRms' && (
+                                    <>
+                                        <td className="px-8 py-2 font-mono text-xs">
+                                            {row.rmsId}
+                                            {row.nearMiss && <span className="ml-2 text-amber-500" title="Tiene una coincidencia cercana en Albatross">●</span>}
+                                        </td>
+                                        <td className="px-4 py-2 text-right">{formatAmount(row.totalAmount)}</td>
+                                        <td className="px-4 py-2 text-xs">{row.itemCount}</td>
+                                        <td className="px-4 py-2 font-mono text-xs">{row.identity || '—'}</td>
+                                    </>
+                                )}
+                                {activeList === 'nearMisses' && (
+                                    <>
+                                        <td className="px-8 py-2 font-mono text-xs">{row.rmsId}</td>
+                                        <td className="px-4 py-2 font-mono text-xs">{row.albatrossRawId}</td>
+                                        <td className="px-4 py-2 text-xs">{row.reason}</td>
+                                        <td className="px-4 py-2 text-right">{formatAmount(row.rmsTotal)}</td>
+                                    </>
+                                )}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            {rows.length > MAX_VISIBLE_ROWS && (
+                <p className="px-8 py-3 text-xs text-slate-400 dark:text-slate-500">
+                    Mostrando {MAX_VISIBLE_ROWS} de {rows.length}. Exporta la lista para verla completa.
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default JoinDiagnosticsPanel;
@@ -3,6 +3,7 @@ import { createPortal } from 'react-dom';
 import { format, eachMonthOfInterval, startOfMonth, endOfMonth, isWithinInterval } from 'date-fns';
 import { es } from 'date-fns/locale';
 import { motion, AnimatePresence } from 'framer-motion';
+import { groupOrdersByMonth } from '../utils/monthBuckets';
 
 
 
@@ -16,34 +17,7 @@ const MonthVisualizer = ({ orders, minDate, maxDate, onClick }) => {
         end: endOfMonth(maxDate || new Date())
     });
 
-    const monthData = {};
-    orders.forEach(order => {
-        const d = new Date(order.orderDate);
-        if (isNaN(d.getTime())) return; // Skip invalid dates
-
-        const key = format(d, 'yyyy-MM');
-        if (!monthData[key]) {
-            monthData[key] = {
-                count: 0,
-                items: [],
-                total: 0,
-                date: new Date(key + '-01'), // Add date for formatting
-                gestores: {} // Track gestores and their order counts
-            };
-        }
-        monthData[key].count++;
-        monthData[key].total += parseFloat(order.totalAmount || 0);
-
-        // Track gestor information
-        const gestor = order.gestorName || 'Sin Asignar';
-        if (!monthData[key].gestores[gestor]) {
-            monthData[key].gestores[gestor] = 0;
-        }
-        monthData[key].gestores[gestor]++;
-
-        // Add items if available
-        if (order.items) monthData[key].items.push(...order.items);
-    });
+    const monthData = groupOrdersByMonth(orders);
 
     // Helper for heatmap color
     const getIntensityClass = (count) => {
@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import { PackageX, Plus, Trash2, Loader2, RefreshCw } from 'lucide-react';
+import { NON_PRODUCT_KINDS } from '../config/nonProductSkus';
+import { loadNonProductSkus, saveNonProductSku, deleteNonProductSku } from '../utils/nonProductSkus';
+
+const EMPTY_FORM = { sku: '', label: '', kind: 'delivery' };
+
+const inputClassName = 'px-3 py-2 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm text-slate-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+/**
+ * Admin list of the SKUs that are not products (delivery fees, bags, service charges)
+ */
+const NonProductSkus = ({ currentUser, onDataChanged }) => {
+    const [entries, setEntries] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [loading, setLoading] = useState(true);
+    const [busySku, setBusySku] = useState(null);
+
+    const applyResult = (result) => {
+        setEntries(result.entries || []);
+        setLoading(false);
+    };
+
+    const loadAll = async () => {
+        setLoading(true);
+        applyResult(await loadNonProductSkus());
+    };
+
+    useEffect(() => {
+        loadNonProductSkus().then(applyResult);
+    }, []);
+
+    const handleSave = async (event) => {
+        event.preventDefault();
+        setBusySku(form.sku.trim());
+        const result = await saveNonProductSku(form, currentUser?.username);
+        setBusySku(null);
+
+        if (result.success) {
+            setEntries(result.entries);
+            setForm(EMPTY_FORM);
+            onDataChanged?.();
+        } else {
+            alert('Error al guardar el SKU: ' + result.error);
+        }
+    };
+
+    const handleDelete = async (entry) => {
+        if (!confirm(`¿Quitar el SKU ${entry.sku}? Volverá a contarse como producto en los totales y rankings.`)) {
+            return;
+        }
+
+        setBusySku(entry.sku);
+        const result = await deleteNonProductSku(entry.sku);
+        setBusySku(null);
+
+        if (result.success) {
+            setEntries(result.entries);
+            onDataChanged?.();
+        } else {
+            alert('Error al quitar el SKU: ' + result.error);
+        }
+    };
+
+    return (
+        <div className="mt-12">
+            <div className="flex items-center justify-between mb-6">
+                <div>
+                    <h2 className="text-2xl font-bold text-slate-900 dark:text-white flex items-center gap-3">
+                        <PackageX size={26} strokeWidth={2.5} />
+                        SKUs que no son Producto
+                    </h2>
+                    <p className="text-slate-500 dark:text-slate-400 mt-1 text-sm">
+                        Envíos, bolsas y cargos por servicio. No cuentan en los totales, rankings de SKUs, monto RFM ni exportaciones
+                    </p>
+                </div>
+                <button
+                    onClick={loadAll}
+                    disabled={loading}
+                    className="p-2 text-slate-400 hover:text-indigo-600 dark:hover:text-indigo-400 hover:bg-slate-100 dark:hover:bg-slate-800 rounded-lg transition-colors disabled:opacity-50"
+                    title="Recargar lista"
+                >
+                    <RefreshCw size={18} />
+                </button>
+            </div>
+
+            <form onSubmit={handleSave} className="flex flex-col md:flex-row gap-3 mb-6">
+                <input
+                    type="text"
+                    value={form.sku}
+                    onChange={(e) => setForm({ ...form, sku: e.target.value })}
+                    placeholder="SKU"
+                    required
+                    className={`${inputClassName} md:w-40 font-mono`}
+                />
+                <input
+                    type="text"
+                    value={form.label}
+                    onChange={(e) => setForm({ ...form, label: e.target.value })}
+                    placeholder="Descripción"
+                    className={`${inputClassName} flex-1`}
+                />
+                <select
+                    value={form.kind}
+                    onChange={(e) => setForm({ ...form, kind: e.target.value })}
+                    className={inputClassName}
+                >
+                    {Object.entries(NON_PRODUCT_KINDS).map(([kind, label]) => (
+                        <option key={kind} value={kind}>{label}</option>
+                    ))}
+                </select>
+                <button
+                    type="submit"
+                    disabled={busySku !== null}
+                    className="flex items-center justify-center gap-2 px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-xl text-sm font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    title="Si el SKU ya está en la lista, se actualiza"
+                >
+                    <Plus size={16} />
+                    Guardar
+                </button>
+            </form>
+
+            {loading ? (
+                <div className="flex items-center justify-center py-12">
+                    <Loader2 size={32} className="animate-spin text-indigo-600" />
+                </div>
+            ) : entries.length === 0 ? (
+                <div className="text-center py-12 text-slate-500 dark:text-slate-400">
+                    Todas las líneas cuentan como producto
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 gap-3">
+                    {entries.map((entry) => (
+                        <div
+                            key={entry.sku}
+                            className="flex flex-col md:flex-row md:items-center justify-between gap-3 bg-white/70 dark:bg-slate-900/70 border border-white/50 dark:border-slate-800 rounded-xl px-5 py-3"
+                        >
+                            <div className="min-w-0 text-sm">
+                                <p className="text-slate-900 dark:text-white truncate">
+                                    <span className="font-mono font-semibold">{entry.sku}</span>
+                                    {entry.label && <span className="text-slate-500 dark:text-slate-400"> · {entry.label}</span>}
+                                </p>
+                                <p className="text-xs text-slate-500 dark:text-slate-400 mt-0.5">
+                                    {NON_PRODUCT_KINDS[entry.kind] || entry.kind}
+                                    {entry.updated_by && ` · @${entry.updated_by}`}
+                                    {entry.updated_at && ` · ${new Date(entry.updated_at).toLocaleString('es-HN')}`}
+                                </p>
+                            </div>
+                            {busySku === entry.sku ? (
+                                <Loader2 size={18} className="animate-spin text-indigo-600" />
+                            ) : (
+                                <button
+                                    onClick={() => handleDelete(entry)}
+                                    disabled={busySku !== null}
+                                    className="flex items-center gap-1.5 px-3 py-2 text-sm font-semibold text-rose-600 dark:text-rose-400 hover:bg-rose-50 dark:hover:bg-rose-900/30 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent shrink-0"
+                                    title="Volver a contarlo como producto"
+                                >
+                                    <Trash2 size={16} />
+                                    Quitar
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NonProductSkus;
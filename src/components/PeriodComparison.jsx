@@ -0,0 +1,66 @@
+import React, { useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { Users, ShoppingCart, DollarSign, TrendingUp, Loader2 } from 'lucide-react';
+import DeltaBadge from './DeltaBadge';
+import TopSkusComparison from './TopSkusComparison';
+import { summarizePeriod, formatRange } from '../utils/periodComparison';
+
+const formatCount = (value) => Number(value || 0).toLocaleString('es-HN');
+const formatAmount = (value) => `L. ${Number(value || 0).toLocaleString('es-HN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const KPIS = [
+    { key: 'customerCount', label: 'Clientes', icon: <Users size={18} />, format: formatCount },
+    { key: 'orderCount', label: 'Pedidos', icon: <ShoppingCart size={18} />, format: formatCount },
+    { key: 'revenue', label: 'Ventas', icon: <DollarSign size={18} />, format: formatAmount },
+    { key: 'averagePerCustomer', label: 'Promedio por Cliente', icon: <TrendingUp size={18} />, format: formatAmount }
+];
+
+/**
+ * Dashboard KPIs of the searched orders in the current range against the range compared
+ * (see utils/periodComparison.js), with the top SKUs of both periods
+ */
+const PeriodComparison = ({ currentOrders, previousOrders, currentRange, comparisonRange, loading }) => {
+    const current = useMemo(() => summarizePeriod(currentOrders), [currentOrders]);
+    const previous = useMemo(() => summarizePeriod(previousOrders), [previousOrders]);
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="space-y-6 mb-8"
+        >
+            <div className="flex items-center gap-2 px-4 text-sm text-slate-500 dark:text-slate-400">
+                <span className="font-semibold text-slate-700 dark:text-slate-300">{formatRange(currentRange)}</span>
+                <span>frente a</span>
+                <span className="font-semibold text-slate-700 dark:text-slate-300">{formatRange(comparisonRange)}</span>
+                {loading && <Loader2 size={16} className="animate-spin text-indigo-600" />}
+            </div>
+
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                {KPIS.map(kpi => (
+                    <div key={kpi.key} className="bg-white/80 dark:bg-slate-900/80 backdrop-blur-xl rounded-2xl p-5 shadow-lg border border-white/60 dark:border-slate-800">
+                        <div className="flex items-center gap-2 text-xs font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider mb-2">
+                            <span className="text-indigo-500 dark:text-indigo-400">{kpi.icon}</span>
+                            {kpi.label}
+                        </div>
+                        <div className="text-2xl font-extrabold text-slate-900 dark:text-white truncate">{kpi.format(current[kpi.key])}</div>
+                        <div className="flex items-center gap-2 mt-2 text-xs text-slate-500 dark:text-slate-400">
+                            {!loading && <DeltaBadge current={current[kpi.key]} previous={previous[kpi.key]} formatValue={kpi.format} />}
+                            <span className="truncate">Antes: {loading ? '...' : kpi.format(previous[kpi.key])}</span>
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {!loading && (
+                <TopSkusComparison
+                    currentOrders={currentOrders}
+                    previousOrders={previousOrders}
+                    comparisonRange={comparisonRange}
+                />
+            )}
+        </motion.div>
+    );
+};
+
+export default PeriodComparison;
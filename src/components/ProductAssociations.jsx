@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { ShoppingBasket, Loader2, Plus, ArrowRight } from 'lucide-react';
+import { loadProductBaskets } from '../utils/orderQueries';
+import { getProductAssociations } from '../utils/associationRules';
+import { DEFAULT_BASKET_THRESHOLDS, BASKET_THRESHOLD_OPTIONS } from '../config/basketAnalysis';
+
+const MAX_RULES = 10;
+
+const formatCount = (value) => Number(value || 0).toLocaleString('es-HN');
+const formatShare = (share) => `${(share * 100).toLocaleString('es-HN', { maximumFractionDigits: 1 })}%`;
+const formatLift = (lift) => `×${lift.toLocaleString('es-HN', { maximumFractionDigits: 1 })}`;
+
+const THRESHOLD_SELECTS = [
+    { key: 'minOrders', label: 'Juntos en', format: value => `${value}+ pedidos` },
+    { key: 'minConfidence', label: 'Confianza', format: value => `${formatShare(value)}+` },
+    { key: 'minLift', label: 'Lift', format: value => `${formatLift(value)}+` }
+];
+
+/**
+ * "Customers who buy X also buy Y" for the product opened from the search suggestions
+ * (association rules over the delivered orders containing it, see utils/associationRules.js)
+ */
+const ProductAssociations = ({ sku, description, reloadKey, onOpenProduct }) => {
+    const [thresholds, setThresholds] = useState(DEFAULT_BASKET_THRESHOLDS);
+    const [result, setResult] = useState({ requestKey: null, baskets: null, error: null });
+
+    const requestKey = JSON.stringify({ sku, reloadKey });
+
+    useEffect(() => {
+        let cancelled = false;
+        loadProductBaskets(JSON.parse(requestKey).sku).then(response => {
+            if (cancelled) return;
+            setResult({ requestKey, baskets: response.success ? response : null, error: response.success ? null : response.error });
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [requestKey]);
+
+    const loading = result.requestKey !== requestKey;
+
+    const associations = useMemo(
+        () => (result.baskets ? getProductAssociations(result.baskets, sku, thresholds) : null),
+        [result.baskets, sku, thresholds]
+    );
+
+    const describe = (itemSku) => associations?.descriptions[itemSku] || itemSku;
+
+    const renderRule = (rule) => (
+        <li key={`${rule.antecedent.join('+')}>${rule.consequent}`} className="py-2 flex items-center justify-between gap-4">
+            <div className="min-w-0 flex items-center gap-2 text-sm">
+                {rule.antecedent.length > 1 && (
+                    <>
+                        {rule.antecedent.filter(item => item !== sku).map(item => (
+                            <span key={item} className="flex items-center gap-1 text-slate-500 dark:text-slate-400 truncate max-w-[180px]" title={describe(item)}>
+                                <Plus size={12} className="shrink-0" />
+                                {describe(item)}
+                            </span>
+                        ))}
+                        <ArrowRight size={12} className="shrink-0 text-slate-400" />
+                    </>
+                )}
+                <button
+                    onClick={() => onOpenProduct(rule.consequent, describe(rule.consequent))}
+                    className="min-w-0 text-left group"
+                    title="Ver este producto"
+                >
+                    <div className="font-semibold text-slate-800 dark:text-slate-200 truncate group-hover:text-indigo-600 dark:group-hover:text-indigo-400">
+                        {describe(rule.consequent)}
+                    </div>
+                    <div className="text-xs text-slate-500 dark:text-slate-400 font-mono">{rule.consequent}</div>
+                </button>
+            </div>
+            <div className="flex items-center gap-3 shrink-0 text-xs">
+                <span className="text-slate-500 dark:text-slate-400" title="Pedidos en que se compraron juntos">
+                    {formatCount(rule.count)} pedidos
+                </span>
+                <span className="font-bold text-indigo-600 dark:text-indigo-400 bg-indigo-50 dark:bg-indigo-500/10 px-2 py-1 rounded-full" title="Confianza: de los pedidos con este producto, parte que también lo lleva">
+                    {formatShare(rule.confidence)}
+                </span>
+                <span className="font-bold text-emerald-600 dark:text-emerald-400 bg-emerald-50 dark:bg-emerald-500/10 px-2 py-1 rounded-full" title="Lift: cuántas veces más se compra con este producto que en un pedido cualquiera">
+                    {formatLift(rule.lift)}
+                </span>
+            </div>
+        </li>
+    );
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-white/80 dark:bg-slate-900/80 backdrop-blur-xl rounded-[2rem] p-6 shadow-xl border border-white/60 dark:border-slate-800"
+        >
+            <div className="flex flex-col md:flex-row md:items-start justify-between gap-4 mb-4">
+                <div className="min-w-0">
+                    <h3 className="text-lg font-bold text-slate-800 dark:text-white flex items-center gap-2">
+                        <span className="w-8 h-8 rounded-lg bg-indigo-100 dark:bg-indigo-500/20 text-indigo-600 dark:text-indigo-400 flex items-center justify-center shrink-0">
+                            <ShoppingBasket size={16} />
+                        </span>
+                        <span className="truncate">Quienes compran {description || sku} también compran</span>
+                    </h3>
+                    {associations && (
+                        <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                            Según {formatCount(associations.basketCount)} pedidos entregados con {sku}
+                        </p>
+                    )}
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                    {THRESHOLD_SELECTS.map(({ key, label, format }) => (
+                        <label key={key} className="flex flex-col gap-1 text-[10px] font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider">
+                            {label}
+                            <select
+                                value={thresholds[key]}
+                                onChange={(e) => setThresholds(prev => ({ ...prev, [key]: Number(e.target.value) }))}
+                                className="px-2 py-1.5 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-lg text-xs font-semibold normal-case tracking-normal text-slate-700 dark:text-slate-200 outline-none focus:ring-2 focus:ring-indigo-500/50 cursor-pointer"
+                            >
+                                {BASKET_THRESHOLD_OPTIONS[key].map(value => (
+                                    <option key={value} value={value}>{format(value)}</option>
+                                ))}
+                            </select>
+                        </label>
+                    ))}
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="flex items-center justify-center py-6">
+                    <Loader2 size={24} className="animate-spin text-indigo-600" />
+                </div>
+            ) : result.error ? (
+                <p className="text-sm text-rose-600 dark:text-rose-400">No se pudieron cargar los pedidos: {result.error}</p>
+            ) : associations.pairs.length === 0 && associations.itemsets.length === 0 ? (
+                <p className="text-sm text-slate-500 dark:text-slate-400 py-4 text-center">
+                    Ningún producto se compra junto con este por encima de los umbrales
+                </p>
+            ) : (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    <div>
+                        <p className="text-xs font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider mb-1">También compran</p>
+                        {associations.pairs.length > 0 ? (
+                            <ul className="divide-y divide-slate-100 dark:divide-slate-800">
+                                {associations.pairs.slice(0, MAX_RULES).map(renderRule)}
+                            </ul>
+                        ) : (
+                            <p className="text-sm text-slate-500 dark:text-slate-400 py-2">Ningún producto por encima de los umbrales</p>
+                        )}
+                    </div>
+                    <div>
+                        <p className="text-xs font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider mb-1">Si además llevan...</p>
+                        {associations.itemsets.length > 0 ? (
+                            <ul className="divide-y divide-slate-100 dark:divide-slate-800">
+                                {associations.itemsets.slice(0, MAX_RULES).map(renderRule)}
+                            </ul>
+                        ) : (
+                            <p className="text-sm text-slate-500 dark:text-slate-400 py-2">Ninguna combinación por encima de los umbrales</p>
+                        )}
+                    </div>
+                </div>
+            )}
+        </motion.div>
+    );
+};
+
+export default ProductAssociations;
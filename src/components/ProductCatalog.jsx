@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import { BookOpen, Upload, Loader2, RefreshCw, Save, X } from 'lucide-react';
+import { PRODUCT_ATTRIBUTES } from '../config/productCatalog';
+import { parseExcel } from '../utils/dataProcessing';
+import { resolveColumnMapping } from '../utils/columnMapping';
+import { buildCatalogProducts } from '../utils/productCatalog';
+import { loadProductCatalog, saveProductCatalog } from '../utils/productCatalogStore';
+
+const formatCount = (value) => (value || 0).toLocaleString('es-HN');
+
+// How many products have each attribute filled in
+const countFilled = (products) => Object.fromEntries(Object.keys(PRODUCT_ATTRIBUTES).map(attribute => [
+    attribute,
+    products.filter(product => product[attribute]).length
+]));
+
+/**
+ * Admin import of the product catalog (category, brand, laboratory, therapeutic class, treatment per SKU)
+ */
+const ProductCatalog = ({ onDataChanged }) => {
+    const [catalog, setCatalog] = useState({ products: [], updatedAt: null });
+    const [loading, setLoading] = useState(true);
+    const [preview, setPreview] = useState(null); // { fileName, products, skippedRows, duplicateSkus }
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState(null);
+
+    const applyResult = (result) => {
+        setCatalog({ products: result.products || [], updatedAt: result.updatedAt || null });
+        setLoading(false);
+    };
+
+    const loadAll = async () => {
+        setLoading(true);
+        applyResult(await loadProductCatalog());
+    };
+
+    useEffect(() => {
+        loadProductCatalog().then(applyResult);
+    }, []);
+
+    const handleFile = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+
+        setError(null);
+        try {
+            const rows = await parseExcel(file);
+            const mapping = resolveColumnMapping(rows, 'catalog');
+            setPreview({ fileName: file.name, ...buildCatalogProducts(rows, mapping) });
+        } catch (parseError) {
+            setPreview(null);
+            setError(parseError.message);
+        }
+    };
+
+    const handleSave = async () => {
+        const removed = Math.max(catalog.products.length - preview.products.length, 0);
+        if (!confirm(`¿Reemplazar el catálogo con ${formatCount(preview.products.length)} productos de "${preview.fileName}"?${removed > 0 ? ` Los SKUs que no estén en el archivo se quitarán.` : ''}`)) {
+            return;
+        }
+
+        setProgress({ saved: 0, total: preview.products.length });
+        const result = await saveProductCatalog(preview.products, {
+            onProgress: (saved, total) => setProgress({ saved, total })
+        });
+        setProgress(null);
+
+        if (result.success) {
+            alert(`Catálogo guardado: ${formatCount(result.count)} productos${result.removed > 0 ? `, ${formatCount(result.removed)} quitados` : ''}.`);
+            setPreview(null);
+            await loadAll();
+            onDataChanged?.();
+        } else {
+            alert('Error al guardar el catálogo: ' + result.error);
+        }
+    };
+
+    const shown = preview ? preview.products : catalog.products;
+    const filled = countFilled(shown);
+
+    return (
+        <div className="mt-12">
+            <div className="flex items-center justify-between mb-6">
+                <div>
+                    <h2 className="text-2xl font-bold text-slate-900 dark:text-white flex items-center gap-3">
+                        <BookOpen size={26} strokeWidth={2.5} />
+                        Catálogo de Productos
+                    </h2>
+                    <p className="text-slate-500 dark:text-slate-400 mt-1 text-sm">
+                        Categoría, marca, laboratorio, clase terapéutica y tratamiento de cada SKU. Se usan para buscar (ej. "categoria:analgesicos") y agrupar las exportaciones
+                    </p>
+                </div>
+                <div className="flex items-center gap-2">
+                    <button
+                        onClick={loadAll}
+                        disabled={loading}
+                        className="p-2 text-slate-400 hover:text-indigo-600 dark:hover:text-indigo-400 hover:bg-slate-100 dark:hover:bg-slate-800 rounded-lg transition-colors disabled:opacity-50"
+                        title="Recargar catálogo"
+                    >
+                        <RefreshCw size={18} />
+                    </button>
+                    <label className={`flex items-center gap-2 px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-xl text-sm font-semibold transition-colors cursor-pointer ${progress ? 'opacity-50 pointer-events-none' : ''}`}>
+                        <Upload size={16} />
+                        Importar archivo
+                        <input type="file" accept=".xlsx,.xls,.csv" onChange={handleFile} className="hidden" />
+                    </label>
+                </div>
+            </div>
+
+            {error && (
+                <div className="mb-4 px-4 py-3 rounded-xl bg-rose-50 dark:bg-rose-900/20 text-sm text-rose-700 dark:text-rose-400">
+                    {error}
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex items-center justify-center py-12">
+                    <Loader2 size={32} className="animate-spin text-indigo-600" />
+                </div>
+            ) : (
+                <div className="bg-white/70 dark:bg-slate-900/70 backdrop-blur-xl border border-white/50 dark:border-slate-800 rounded-2xl p-5 shadow-lg">
+                    <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 mb-4">
+                        <div className="text-sm">
+                            {preview ? (
+                                <>
+                                    <p className="font-semibold text-slate-900 dark:text-white">
+                                        {preview.fileName}: {formatCount(preview.products.length)} productos
+                                    </p>
+                                    <p className="text-xs text-slate-500 dark:text-slate-400 mt-0.5">
+                                        {formatCount(preview.skippedRows)} filas sin SKU · {formatCount(preview.duplicateSkus)} SKUs repetidos (se usa la última fila)
+                                    </p>
+                                </>
+                            ) : (
+                                <>
+                                    <p className="font-semibold text-slate-900 dark:text-white">
+                                        {catalog.products.length > 0 ? `${formatCount(catalog.products.length)} productos en el catálogo` : 'Aún no se ha importado un catálogo'}
+                                    </p>
+                                    {catalog.updatedAt && (
+                                        <p className="text-xs text-slate-500 dark:text-slate-400 mt-0.5">
+                                            Última importación: {new Date(catalog.updatedAt).toLocaleString('es-HN')}
+                                        </p>
+                                    )}
+                                </>
+                            )}
+                        </div>
+                        {preview && (
+                            <div className="flex items-center gap-2">
+                                {progress ? (
+                                    <span className="flex items-center gap-2 text-sm text-slate-500 dark:text-slate-400">
+                                        <Loader2 size={16} className="animate-spin text-indigo-600" />
+                                        {formatCount(progress.saved)} / {formatCount(progress.total)}
+                                    </span>
+                                ) : (
+                                    <>
+                                        <button
+                                            onClick={() => setPreview(null)}
+                                            className="flex items-center gap-1.5 px-3 py-2 text-sm font-semibold text-slate-500 dark:text-slate-400 hover:bg-slate-100 dark:hover:bg-slate-800 rounded-lg transition-colors"
+                                        >
+                                            <X size={16} />
+                                            Descartar
+                                        </button>
+                                        <button
+                                            onClick={handleSave}
+                                            disabled={preview.products.length === 0}
+                                            className="flex items-center gap-1.5 px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg text-sm font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                        >
+                                            <Save size={16} />
+                                            Guardar catálogo
+                                        </button>
+                                    </>
+                                )}
+                            </div>
+                        )}
+                    </div>
+
+                    {shown.length > 0 && (
+                        <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                            {Object.entries(PRODUCT_ATTRIBUTES).map(([attribute, { label }]) => (
+                                <div key={attribute} className="rounded-xl border border-slate-200 dark:border-slate-700 px-4 py-3">
+                                    <p className="text-xs font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider">{label}</p>
+                                    <p className="text-lg font-bold text-slate-900 dark:text-white mt-1">
+                                        {Math.round((filled[attribute] / shown.length) * 100)}%
+                                    </p>
+                                    <p className="text-xs text-slate-500 dark:text-slate-400">{formatCount(filled[attribute])} productos</p>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ProductCatalog;
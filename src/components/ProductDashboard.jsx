@@ -0,0 +1,188 @@
+import React, { useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { ComposedChart, Bar, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from 'recharts';
+import { ArrowLeft, Package, DollarSign, Users, Repeat, Clock, MapPin, UserCheck, Loader2 } from 'lucide-react';
+import { useOrderQuery } from '../hooks/useOrderQuery';
+import { buildProductStats } from '../utils/productStats';
+import ProductAssociations from './ProductAssociations';
+
+const formatCount = (value) => Number(value || 0).toLocaleString('es-HN', { maximumFractionDigits: 1 });
+const formatAmount = (value) => `L. ${Number(value || 0).toLocaleString('es-HN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const formatShare = (share) => `${(share * 100).toLocaleString('es-HN', { maximumFractionDigits: 1 })}%`;
+
+const KPI_CLASSES = {
+    indigo: 'from-indigo-500 to-purple-600 dark:from-indigo-600 dark:to-purple-700',
+    emerald: 'from-emerald-500 to-teal-600 dark:from-emerald-600 dark:to-teal-700',
+    sky: 'from-sky-500 to-blue-600 dark:from-sky-600 dark:to-blue-700',
+    amber: 'from-amber-500 to-orange-600 dark:from-amber-600 dark:to-orange-700',
+    rose: 'from-rose-500 to-pink-600 dark:from-rose-600 dark:to-pink-700'
+};
+
+const KpiCard = ({ icon, value, label, color }) => (
+    <div className={`bg-gradient-to-br ${KPI_CLASSES[color]} rounded-2xl p-5 text-white shadow-lg`}>
+        <div className="flex items-center justify-between mb-2 gap-2">
+            {icon}
+            <span className="text-2xl font-bold truncate">{value}</span>
+        </div>
+        <p className="text-sm font-medium opacity-90">{label}</p>
+    </div>
+);
+
+const BreakdownTable = ({ icon, title, rows, columns, emptyText }) => (
+    <div className="bg-white/80 dark:bg-slate-900/80 backdrop-blur-xl rounded-[2rem] p-6 shadow-xl border border-white/60 dark:border-slate-800">
+        <h3 className="text-lg font-bold text-slate-800 dark:text-white flex items-center gap-2 mb-4">
+            <span className="w-8 h-8 rounded-lg bg-indigo-100 dark:bg-indigo-500/20 text-indigo-600 dark:text-indigo-400 flex items-center justify-center">
+                {icon}
+            </span>
+            {title}
+        </h3>
+        {rows.length === 0 ? (
+            <p className="text-sm text-slate-500 dark:text-slate-400 py-6 text-center">{emptyText}</p>
+        ) : (
+            <div className="max-h-[420px] overflow-y-auto custom-scrollbar">
+                <table className="w-full text-sm">
+                    <thead className="sticky top-0 bg-white dark:bg-slate-900">
+                        <tr className="text-left text-xs font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider">
+                            {columns.map(column => (
+                                <th key={column.label} className="py-2 pr-3">{column.label}</th>
+                            ))}
+                            <th className="py-2 pr-3 text-right">Unidades</th>
+                            <th className="py-2 pr-3 text-right">Clientes</th>
+                            <th className="py-2 text-right">Ventas</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-100 dark:divide-slate-800">
+                        {rows.map((row, index) => (
+                            <tr key={index} className="text-slate-700 dark:text-slate-300">
+                                {columns.map(column => (
+                                    <td key={column.label} className="py-2 pr-3 max-w-[220px] truncate" title={String(column.value(row) || '')}>
+                                        {column.value(row)}
+                                    </td>
+                                ))}
+                                <td className="py-2 pr-3 text-right font-mono">{formatCount(row.units)}</td>
+                                <td className="py-2 pr-3 text-right font-mono">{formatCount(row.buyerCount)}</td>
+                                <td className="py-2 text-right font-mono whitespace-nowrap">{formatAmount(row.revenue)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        )}
+    </div>
+);
+
+const CITY_COLUMNS = [{ label: 'Ciudad', value: row => row.city }];
+
+const GESTOR_COLUMNS = [
+    { label: 'Gestor', value: row => row.gestor },
+    { label: 'Zona', value: row => row.zone }
+];
+
+/**
+ * Product page for one SKU, opened from the search suggestions: sales over time, buyers,
+ * repurchases, cities and gestores (see utils/productStats.js), and what is bought with it
+ */
+const ProductDashboard = ({ sku, description, summary, onOpenProduct, onBack }) => {
+    const orderFilters = useMemo(() => ({ skus: [sku] }), [sku]);
+    const { orders, loading, error } = useOrderQuery(orderFilters, { reloadKey: summary?.loadedAt });
+
+    const stats = useMemo(() => buildProductStats(orders, sku), [orders, sku]);
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 px-4">
+                <div className="flex items-center gap-3 min-w-0">
+                    <button
+                        onClick={onBack}
+                        className="p-2 text-slate-500 dark:text-slate-400 hover:text-indigo-600 dark:hover:text-indigo-400 hover:bg-slate-100 dark:hover:bg-slate-800 rounded-lg transition-colors shrink-0"
+                        title="Volver a clientes"
+                    >
+                        <ArrowLeft size={20} />
+                    </button>
+                    <div className="min-w-0">
+                        <h2 className="text-2xl font-bold text-slate-900 dark:text-white truncate">
+                            {stats.description || description || sku}
+                        </h2>
+                        <p className="text-sm text-slate-500 dark:text-slate-400 font-mono">{sku}</p>
+                    </div>
+                </div>
+                {loading && <Loader2 size={20} className="animate-spin text-indigo-600" />}
+            </div>
+
+            {error && (
+                <div className="px-4 text-sm text-rose-600 dark:text-rose-400">
+                    No se pudieron cargar los pedidos: {error}
+                </div>
+            )}
+
+            <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-5 gap-4">
+                <KpiCard icon={<Package size={22} className="opacity-80" />} value={formatCount(stats.units)} label={`Unidades en ${formatCount(stats.orderCount)} pedidos`} color="indigo" />
+                <KpiCard icon={<DollarSign size={22} className="opacity-80" />} value={formatAmount(stats.revenue)} label="Ventas" color="emerald" />
+                <KpiCard icon={<Users size={22} className="opacity-80" />} value={formatCount(stats.buyerCount)} label="Clientes únicos" color="sky" />
+                <KpiCard icon={<Repeat size={22} className="opacity-80" />} value={formatShare(stats.repeatBuyerRate)} label="Lo compran más de una vez" color="amber" />
+                <KpiCard
+                    icon={<Clock size={22} className="opacity-80" />}
+                    value={stats.medianRepurchaseDays != null ? `${formatCount(stats.medianRepurchaseDays)} días` : '—'}
+                    label="Mediana entre recompras"
+                    color="rose"
+                />
+            </div>
+
+            <motion.div
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="bg-white/80 dark:bg-slate-900/80 backdrop-blur-xl rounded-[2rem] p-6 shadow-xl border border-white/60 dark:border-slate-800"
+            >
+                <h3 className="text-lg font-bold text-slate-800 dark:text-white mb-4">Unidades y ventas por mes</h3>
+                {stats.months.length === 0 ? (
+                    <p className="text-sm text-slate-500 dark:text-slate-400 py-12 text-center">
+                        {loading ? 'Cargando pedidos...' : 'No hay pedidos entregados de este producto'}
+                    </p>
+                ) : (
+                    <div className="h-72 w-full">
+                        <ResponsiveContainer width="100%" height="100%">
+                            <ComposedChart data={stats.months} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" vertical={false} />
+                                <XAxis dataKey="label" axisLine={false} tickLine={false} tick={{ fill: '#64748b', fontSize: 12 }} />
+                                <YAxis yAxisId="units" axisLine={false} tickLine={false} tick={{ fill: '#64748b', fontSize: 12 }} />
+                                <YAxis yAxisId="revenue" orientation="right" axisLine={false} tickLine={false} tick={{ fill: '#64748b', fontSize: 12 }} />
+                                <Tooltip
+                                    contentStyle={{ borderRadius: '12px', border: 'none', boxShadow: '0 4px 12px rgba(0,0,0,0.1)' }}
+                                    formatter={(value, name) => (name === 'Ventas' ? formatAmount(value) : formatCount(value))}
+                                />
+                                <Bar yAxisId="units" dataKey="units" name="Unidades" fill="#818cf8" radius={[6, 6, 0, 0]} />
+                                <Line yAxisId="revenue" type="monotone" dataKey="revenue" name="Ventas" stroke="#10b981" strokeWidth={2} dot={false} />
+                            </ComposedChart>
+                        </ResponsiveContainer>
+                    </div>
+                )}
+            </motion.div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <BreakdownTable
+                    icon={<MapPin size={16} />}
+                    title="Ciudades principales"
+                    rows={stats.cities}
+                    columns={CITY_COLUMNS}
+                    emptyText="Sin ventas"
+                />
+                <BreakdownTable
+                    icon={<UserCheck size={16} />}
+                    title="Gestores que más lo venden"
+                    rows={stats.gestores}
+                    columns={GESTOR_COLUMNS}
+                    emptyText="Sin ventas"
+                />
+            </div>
+
+            <ProductAssociations
+                sku={sku}
+                description={stats.description || description}
+                reloadKey={summary?.loadedAt}
+                onOpenProduct={onOpenProduct}
+            />
+        </div>
+    );
+};
+
+export default ProductDashboard;
@@ -4,6 +4,10 @@ import { performRFMAnalysis, getSegmentInfo } from '../utils/rfmAnalysis';
 import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip, ScatterChart, Scatter, XAxis, YAxis, ZAxis, CartesianGrid } from 'recharts';
 import { Users, TrendingUp, Target, DollarSign, Download, Filter, X, Maximize2, Info } from 'lucide-react';
 import * as XLSX from 'xlsx';
+import { PRODUCT_ATTRIBUTES } from '../config/productCatalog';
+import { getProductCatalog, getTopAttributeValue } from '../utils/productCatalog';
+import { getProductItems } from '../utils/productLines';
+import { CHURN_LEVELS } from '../utils/churnModel';
 import { format } from 'date-fns';
 import { es } from 'date-fns/locale';
 
@@ -21,7 +25,9 @@ const RFMAnalysis = ({ customers, searchQuery = '' }) => {
         frequencyMin: '',
         frequencyMax: '',
         monetaryMin: '',
-        monetaryMax: ''
+        monetaryMax: '',
+        churnMin: '',
+        churnMax: ''
     });
 
     // Perform RFM Analysis
@@ -45,6 +51,16 @@ const RFMAnalysis = ({ customers, searchQuery = '' }) => {
         }
     };
 
+    // What each customer spends the most on, per catalog attribute (only once a catalog is imported)
+    const catalogColumns = (customer) => {
+        if (getProductCatalog().length === 0) return {};
+        const items = getProductItems(customer.orders.flatMap(order => order.items || []));
+        return Object.fromEntries(Object.entries(PRODUCT_ATTRIBUTES).map(([attribute, { label }]) => [
+            `${label} principal`,
+            getTopAttributeValue(items, attribute)
+        ]));
+    };
+
     const exportCustomersToExcel = (customersToExport, sheetName, fileName) => {
         const exportData = customersToExport.map(c => ({
             'Nombre': c.name,
@@ -59,7 +75,12 @@ const RFMAnalysis = ({ customers, searchQuery = '' }) => {
             'Score F': c.rfm.frequencyScore,
             'Score M': c.rfm.monetaryScore,
             'Score Total': c.rfm.totalScore,
-            'Segmento': c.rfm.segment
+            'Segmento': c.rfm.segment,
+            'Prob. activo (%)': c.churn ? Math.round(c.churn.aliveProbability * 100) : '',
+            'Riesgo de abandono': c.churn ? CHURN_LEVELS[c.churn.level].label : '',
+            'Compras esperadas 12 meses': c.clv ? Number(c.clv.expectedPurchases.toFixed(1)) : '',
+            'Valor proyectado 12 meses (L.)': c.clv ? Number(c.clv.value.toFixed(2)) : '',
+            ...catalogColumns(c)
         }));
 
         const ws = XLSX.utils.json_to_sheet(exportData);
@@ -103,6 +124,7 @@ const RFMAnalysis = ({ customers, searchQuery = '' }) => {
             phone: c.phone || 'No disponible',
             lastPurchaseDate,
             monetaryScore: c.rfm.monetaryScore,
+            churn: c.churn,
             info: getSegmentInfo(c.rfm.segment)
         };
     });
@@ -122,7 +144,8 @@ const RFMAnalysis = ({ customers, searchQuery = '' }) => {
         const minMaxPairs = [
             ['Recencia', customDbFilters.recencyMin, customDbFilters.recencyMax],
             ['Frecuencia', customDbFilters.frequencyMin, customDbFilters.frequencyMax],
-            ['Monetario', customDbFilters.monetaryMin, customDbFilters.monetaryMax]
+            ['Monetario', customDbFilters.monetaryMin, customDbFilters.monetaryMax],
+            ['Riesgo de abandono', customDbFilters.churnMin, customDbFilters.churnMax]
         ];
 
         minMaxPairs.forEach(([label, min, max]) => {
@@ -137,6 +160,10 @@ const RFMAnalysis = ({ customers, searchQuery = '' }) => {
             }
         });
 
+        if (Number(customDbFilters.churnMax) > 100 || Number(customDbFilters.churnMin) > 100) {
+            errors.push('Riesgo de abandono: el porcentaje no puede ser mayor a 100');
+        }
+
         if (customDbFilters.filterBySegments && customDbSelectedSegments.length === 0) {
             errors.push('Selecciona al menos un segmento o desactiva el filtro por segmentos');
         }
@@ -158,6 +185,8 @@ const RFMAnalysis = ({ customers, searchQuery = '' }) => {
             if (!matchesRange(rfm.recency, customDbFilters.recencyMin, customDbFilters.recencyMax)) return false;
             if (!matchesRange(rfm.frequency, customDbFilters.frequencyMin, customDbFilters.frequencyMax)) return false;
             if (!matchesRange(rfm.monetary, customDbFilters.monetaryMin, customDbFilters.monetaryMax)) return false;
+            if ((customDbFilters.churnMin !== '' || customDbFilters.churnMax !== '') &&
+                (!customer.churn || !matchesRange(customer.churn.risk * 100, customDbFilters.churnMin, customDbFilters.churnMax))) return false;
 
             return true;
         });
@@ -179,7 +208,9 @@ const RFMAnalysis = ({ customers, searchQuery = '' }) => {
             frequencyMin: '',
             frequencyMax: '',
             monetaryMin: '',
-            monetaryMax: ''
+            monetaryMax: '',
+            churnMin: '',
+            churnMax: ''
         });
         setCustomDbSelectedSegments(availableSegments);
     };
@@ -226,6 +257,9 @@ const RFMAnalysis = ({ customers, searchQuery = '' }) => {
                     <p><span className="text-slate-400">Recencia:</span> <span className="font-bold text-white">{data.x} días</span></p>
                     <p><span className="text-slate-400">Frecuencia:</span> <span className="font-bold text-white">{data.y} pedidos</span></p>
                     <p><span className="text-slate-400">Monetario:</span> <span className="font-bold text-white">L. {data.z.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</span></p>
+                    {data.churn && (
+                        <p><span className="text-slate-400">Riesgo de abandono:</span> <span className="font-bold text-white">{CHURN_LEVELS[data.churn.level].label} ({Math.round(data.churn.risk * 100)}%)</span></p>
+                    )}
                     <p className="pt-1 border-t border-slate-600"><span className="text-slate-400">Segmento:</span> <span className="font-bold" style={{ color: data.info.color }}>{data.info.name}</span></p>
                 </div>
             </div>
@@ -501,6 +535,12 @@ const RFMAnalysis = ({ customers, searchQuery = '' }) => {
                                                 L. {data.totalRevenue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
                                             </span>
                                         </div>
+                                        <div className="flex items-center justify-between text-sm">
+                                            <span className="text-slate-600 dark:text-slate-700">Riesgo alto:</span>
+                                            <span className="font-bold" style={{ color: data.info.color }}>
+                                                {data.customers.filter(c => c.churn?.level === 'high').length}
+                                            </span>
+                                        </div>
                                     </div>
 
                                     <div className="text-xs text-slate-600 dark:text-slate-700 mb-2">
@@ -665,6 +705,12 @@ const RFMAnalysis = ({ customers, searchQuery = '' }) => {
                                     minKey: 'monetaryMin',
                                     maxKey: 'monetaryMax',
                                     help: 'Monto total comprado en lempiras. Te ayuda a filtrar por valor economico.'
+                                },
+                                {
+                                    label: 'Riesgo de abandono (%)',
+                                    minKey: 'churnMin',
+                                    maxKey: 'churnMax',
+                                    help: 'Probabilidad de que el cliente ya no vuelva a comprar, segun su propio ritmo de compra.'
                                 }
                             ].map(({ label, minKey, maxKey, help }) => (
                                 <div key={label} className="bg-white/45 dark:bg-slate-800/35 p-4 rounded-2xl border border-slate-200/80 dark:border-slate-700/70 shadow-[inset_0_1px_0_rgba(255,255,255,0.35)]">
@@ -0,0 +1,256 @@
+import React, { useState, useMemo } from 'react';
+import { BellRing, AlarmClock, Users, Pill, Download, Loader2, MapPin, Phone } from 'lucide-react';
+import { format } from 'date-fns';
+import { es } from 'date-fns/locale';
+import * as XLSX from 'xlsx';
+import { useOrderQuery } from '../hooks/useOrderQuery';
+import {
+    buildReplenishmentReminders,
+    groupRemindersByGestor,
+    toCallListRows,
+    getHistoryStartDate,
+    HISTORY_MONTHS,
+    DUE_SOON_DAYS
+} from '../utils/replenishment';
+
+const STATUS_FILTERS = [
+    { id: 'all', label: 'Todos' },
+    { id: 'overdue', label: 'Atrasados' },
+    { id: 'due', label: 'Por vencer' }
+];
+
+const formatCount = (value) => Number(value || 0).toLocaleString('es-HN');
+const formatDay = (date) => format(date, 'd MMM yyyy', { locale: es });
+
+const StatusBadge = ({ reminder }) => (
+    reminder.status === 'overdue' ? (
+        <span className="px-2 py-0.5 rounded-full text-xs font-bold bg-rose-100 dark:bg-rose-500/20 text-rose-700 dark:text-rose-300 whitespace-nowrap">
+            {reminder.daysLate} {reminder.daysLate === 1 ? 'día' : 'días'} de atraso
+        </span>
+    ) : (
+        <span className="px-2 py-0.5 rounded-full text-xs font-bold bg-amber-100 dark:bg-amber-500/20 text-amber-700 dark:text-amber-300 whitespace-nowrap">
+            {reminder.daysLate === 0 ? 'Vence hoy' : `Vence en ${-reminder.daysLate} ${reminder.daysLate === -1 ? 'día' : 'días'}`}
+        </span>
+    )
+);
+
+/**
+ * Customers whose next purchase of a SKU is due or late, by gestor, exportable as a call list
+ * (see utils/replenishment.js for how the purchase cycle is estimated)
+ */
+const ReplenishmentReminders = ({ summary, isRestricted = false, restrictedUser = null }) => {
+    const [selectedZone, setSelectedZone] = useState(null); // null = nothing loaded yet, 'all' = every zone
+    const [onlyChronic, setOnlyChronic] = useState(false);
+    const [statusFilter, setStatusFilter] = useState('all');
+
+    const zones = useMemo(
+        () => [...new Set((summary?.gestores || []).map(({ zone }) => zone))].sort(),
+        [summary]
+    );
+
+    // A gestora only sees her own sales; admins pick a zone (or all of them) first
+    const orderFilters = useMemo(() => {
+        const startDate = getHistoryStartDate();
+        if (isRestricted) return restrictedUser ? { gestor: restrictedUser, startDate } : null;
+        if (!selectedZone) return null;
+        return selectedZone === 'all' ? { startDate } : { zone: selectedZone, startDate };
+    }, [isRestricted, restrictedUser, selectedZone]);
+
+    const { orders, loading, error } = useOrderQuery(orderFilters, { reloadKey: summary?.loadedAt });
+
+    const reminders = useMemo(
+        () => buildReplenishmentReminders(orders, { onlyChronic }),
+        [orders, onlyChronic]
+    );
+
+    const groups = useMemo(
+        () => groupRemindersByGestor(statusFilter === 'all' ? reminders : reminders.filter(reminder => reminder.status === statusFilter)),
+        [reminders, statusFilter]
+    );
+
+    const overdueCount = reminders.filter(reminder => reminder.status === 'overdue').length;
+    const customerCount = new Set(reminders.map(reminder => reminder.customerKey)).size;
+
+    const handleExport = () => {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(toCallListRows(groups)), 'Llamadas');
+        XLSX.writeFile(workbook, `Recordatorios_Reposicion_${new Date().toISOString().split('T')[0]}.xlsx`);
+    };
+
+    return (
+        <div className="space-y-6">
+            {/* Filters */}
+            <div className="flex flex-col md:flex-row gap-4 items-start md:items-end justify-between px-4">
+                <div className="flex flex-col md:flex-row gap-4">
+                    {!isRestricted && (
+                        <div className="flex flex-col gap-2">
+                            <label className="text-xs font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider flex items-center gap-1.5">
+                                <MapPin size={12} />
+                                Zona
+                            </label>
+                            <select
+                                value={selectedZone || ''}
+                                onChange={(e) => setSelectedZone(e.target.value || null)}
+                                className="px-3 py-2 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm font-semibold text-slate-700 dark:text-slate-200 outline-none focus:ring-2 focus:ring-indigo-500/50 cursor-pointer min-w-[200px]"
+                            >
+                                <option value="">Selecciona una zona</option>
+                                <option value="all">Todas las zonas</option>
+                                {zones.map(zone => (
+                                    <option key={zone} value={zone}>{zone}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+                    <div className="flex flex-col gap-2">
+                        <label className="text-xs font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider flex items-center gap-1.5">
+                            <AlarmClock size={12} />
+                            Estado
+                        </label>
+                        <div className="flex gap-1 p-1 bg-slate-100 dark:bg-slate-950 rounded-xl">
+                            {STATUS_FILTERS.map(filter => (
+                                <button
+                                    key={filter.id}
+                                    onClick={() => setStatusFilter(filter.id)}
+                                    className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition-colors ${statusFilter === filter.id
+                                        ? 'bg-white dark:bg-slate-800 text-indigo-600 dark:text-indigo-400 shadow-sm'
+                                        : 'text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-300'}`}
+                                >
+                                    {filter.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                    <button
+                        onClick={() => setOnlyChronic(!onlyChronic)}
+                        className={`
+                            self-end flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-semibold transition-all border whitespace-nowrap
+                            ${onlyChronic
+                                ? 'bg-indigo-50 dark:bg-indigo-500/20 border-indigo-200 dark:border-indigo-500/30 text-indigo-700 dark:text-indigo-300 shadow-sm'
+                                : 'bg-white dark:bg-slate-900 border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-400 hover:bg-slate-50 dark:hover:bg-slate-800'}
+                        `}
+                        title="Solo productos que el catálogo marca como de uso crónico"
+                    >
+                        <Pill size={16} />
+                        Solo crónicos
+                    </button>
+                </div>
+                <div className="flex items-center gap-3">
+                    {loading && <Loader2 size={18} className="animate-spin text-indigo-600" />}
+                    <button
+                        onClick={handleExport}
+                        disabled={groups.length === 0}
+                        className="flex items-center gap-2 px-4 py-2 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm font-semibold text-slate-700 dark:text-slate-200 hover:border-indigo-300 dark:hover:border-indigo-500 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        <Download size={16} />
+                        Exportar lista de llamadas
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="px-4 text-sm text-rose-600 dark:text-rose-400">
+                    No se pudieron cargar los pedidos: {error}
+                </div>
+            )}
+
+            {!orderFilters ? (
+                <div className="text-center py-16 text-slate-500 dark:text-slate-400">
+                    Selecciona una zona para calcular los recordatorios
+                </div>
+            ) : (
+                <>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div className="bg-gradient-to-br from-indigo-500 to-purple-600 dark:from-indigo-600 dark:to-purple-700 rounded-2xl p-6 text-white shadow-lg">
+                            <div className="flex items-center justify-between mb-2">
+                                <Users size={24} className="opacity-80" />
+                                <span className="text-3xl font-bold">{formatCount(customerCount)}</span>
+                            </div>
+                            <p className="text-sm font-medium opacity-90">Clientes por contactar</p>
+                        </div>
+                        <div className="bg-gradient-to-br from-rose-500 to-pink-600 dark:from-rose-600 dark:to-pink-700 rounded-2xl p-6 text-white shadow-lg">
+                            <div className="flex items-center justify-between mb-2">
+                                <BellRing size={24} className="opacity-80" />
+                                <span className="text-3xl font-bold">{formatCount(overdueCount)}</span>
+                            </div>
+                            <p className="text-sm font-medium opacity-90">Reposiciones atrasadas</p>
+                        </div>
+                        <div className="bg-gradient-to-br from-amber-500 to-orange-600 dark:from-amber-600 dark:to-orange-700 rounded-2xl p-6 text-white shadow-lg">
+                            <div className="flex items-center justify-between mb-2">
+                                <AlarmClock size={24} className="opacity-80" />
+                                <span className="text-3xl font-bold">{formatCount(reminders.length - overdueCount)}</span>
+                            </div>
+                            <p className="text-sm font-medium opacity-90">Vencen en {DUE_SOON_DAYS} días</p>
+                        </div>
+                    </div>
+
+                    <p className="px-4 text-xs text-slate-500 dark:text-slate-400">
+                        Ciclo estimado con las compras de los últimos {HISTORY_MONTHS} meses (productos comprados al menos dos veces, según las unidades de cada compra)
+                    </p>
+
+                    {!loading && groups.length === 0 && (
+                        <div className="text-center py-12 text-slate-500 dark:text-slate-400">
+                            Ningún cliente tiene una reposición pendiente
+                        </div>
+                    )}
+
+                    {groups.map(group => (
+                        <div
+                            key={`${group.zone}|${group.gestor}`}
+                            className="bg-white/80 dark:bg-slate-900/80 backdrop-blur-xl rounded-[2rem] p-6 shadow-xl border border-white/60 dark:border-slate-800"
+                        >
+                            <div className="flex items-center justify-between mb-4">
+                                <h3 className="text-xl font-bold text-slate-800 dark:text-white">
+                                    {group.gestor}
+                                    <span className="ml-2 text-sm font-medium text-slate-500 dark:text-slate-400">{group.zone}</span>
+                                </h3>
+                                <span className="text-xs font-bold text-indigo-600 dark:text-indigo-400 bg-indigo-50 dark:bg-indigo-500/10 px-2.5 py-1 rounded-full">
+                                    {formatCount(group.customerCount)} {group.customerCount === 1 ? 'cliente' : 'clientes'}
+                                </span>
+                            </div>
+                            <div className="max-h-[420px] overflow-y-auto custom-scrollbar">
+                                <table className="w-full text-sm">
+                                    <thead className="sticky top-0 bg-white dark:bg-slate-900">
+                                        <tr className="text-left text-xs font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider">
+                                            <th className="py-2 pr-3">Cliente</th>
+                                            <th className="py-2 pr-3">Producto</th>
+                                            <th className="py-2 pr-3">Última compra</th>
+                                            <th className="py-2 pr-3 text-right">Ciclo</th>
+                                            <th className="py-2 text-right">Estado</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-slate-100 dark:divide-slate-800">
+                                        {group.reminders.map(reminder => (
+                                            <tr key={`${reminder.customerKey}|${reminder.sku}`} className="text-slate-700 dark:text-slate-300">
+                                                <td className="py-2 pr-3 max-w-[220px]">
+                                                    <div className="font-semibold truncate">{reminder.name}</div>
+                                                    {reminder.phone && (
+                                                        <div className="text-xs text-slate-500 dark:text-slate-400 font-mono flex items-center gap-1">
+                                                            <Phone size={10} />
+                                                            {reminder.phone}
+                                                        </div>
+                                                    )}
+                                                </td>
+                                                <td className="py-2 pr-3 max-w-[260px]">
+                                                    <div className="truncate" title={reminder.description}>{reminder.description || reminder.sku}</div>
+                                                    <div className="text-xs text-slate-500 dark:text-slate-400 font-mono">{reminder.sku}</div>
+                                                </td>
+                                                <td className="py-2 pr-3 whitespace-nowrap">
+                                                    {formatDay(reminder.lastPurchase)}
+                                                    <span className="text-xs text-slate-500 dark:text-slate-400"> · {formatCount(reminder.lastQuantity)} u.</span>
+                                                </td>
+                                                <td className="py-2 pr-3 text-right font-mono whitespace-nowrap">{reminder.intervalDays} días</td>
+                                                <td className="py-2 text-right"><StatusBadge reminder={reminder} /></td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    ))}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ReplenishmentReminders;
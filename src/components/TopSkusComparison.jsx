@@ -0,0 +1,72 @@
+import React, { useMemo } from 'react';
+import { Package } from 'lucide-react';
+import DeltaBadge from './DeltaBadge';
+import { compareTopSkus, formatRange } from '../utils/periodComparison';
+
+const formatCount = (value) => Number(value || 0).toLocaleString('es-HN', { maximumFractionDigits: 1 });
+const formatAmount = (value) => `L. ${Number(value || 0).toLocaleString('es-HN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Top SKUs of the current period against the period compared: units and sales with their change,
+ * and the position each one had before
+ */
+const TopSkusComparison = ({ currentOrders, previousOrders, comparisonRange }) => {
+    const rows = useMemo(() => compareTopSkus(currentOrders, previousOrders), [currentOrders, previousOrders]);
+
+    return (
+        <div className="bg-white/80 dark:bg-slate-900/80 backdrop-blur-xl rounded-[2rem] p-6 shadow-xl border border-white/60 dark:border-slate-800">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-2 mb-4">
+                <h3 className="text-lg font-bold text-slate-800 dark:text-white flex items-center gap-2">
+                    <span className="w-8 h-8 rounded-lg bg-indigo-100 dark:bg-indigo-500/20 text-indigo-600 dark:text-indigo-400 flex items-center justify-center">
+                        <Package size={16} />
+                    </span>
+                    SKUs principales
+                </h3>
+                <span className="text-xs text-slate-500 dark:text-slate-400">
+                    Frente a {formatRange(comparisonRange)}
+                </span>
+            </div>
+            {rows.length === 0 ? (
+                <p className="text-sm text-slate-500 dark:text-slate-400 py-6 text-center">Sin ventas en el período actual</p>
+            ) : (
+                <div className="overflow-x-auto custom-scrollbar">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-xs font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider">
+                                <th className="py-2 pr-3">#</th>
+                                <th className="py-2 pr-3">Producto</th>
+                                <th className="py-2 pr-3 text-right">Unidades</th>
+                                <th className="py-2 pr-3 text-right">Ventas</th>
+                                <th className="py-2 text-right">Antes</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-100 dark:divide-slate-800">
+                            {rows.map((row, index) => (
+                                <tr key={row.sku} className="text-slate-700 dark:text-slate-300">
+                                    <td className="py-2 pr-3 font-mono text-slate-400">{index + 1}</td>
+                                    <td className="py-2 pr-3 max-w-[260px]">
+                                        <div className="font-semibold truncate" title={row.description}>{row.description || row.sku}</div>
+                                        <div className="text-xs text-slate-500 dark:text-slate-400 font-mono">{row.sku}</div>
+                                    </td>
+                                    <td className="py-2 pr-3 text-right whitespace-nowrap">
+                                        <span className="font-mono mr-2">{formatCount(row.units)}</span>
+                                        <DeltaBadge current={row.units} previous={row.previous.units} formatValue={formatCount} />
+                                    </td>
+                                    <td className="py-2 pr-3 text-right whitespace-nowrap">
+                                        <span className="font-mono mr-2">{formatAmount(row.revenue)}</span>
+                                        <DeltaBadge current={row.revenue} previous={row.previous.revenue} formatValue={formatAmount} />
+                                    </td>
+                                    <td className="py-2 text-right text-xs text-slate-500 dark:text-slate-400 whitespace-nowrap">
+                                        {row.previous.rank ? `#${row.previous.rank}` : 'Sin ventas'}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TopSkusComparison;
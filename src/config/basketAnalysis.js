@@ -0,0 +1,22 @@
+// ============================================
+// Configuración del Análisis de Canasta
+// ============================================
+// "Clientes que compran X también compran Y": reglas de asociación entre los SKUs de un mismo
+// pedido (ver utils/associationRules.js). Solo se cuentan pedidos entregados y SKUs de producto.
+
+// Tamaño máximo de los conjuntos analizados: 3 = "X + Z → Y"
+export const MAX_ITEMSET_SIZE = 3;
+
+// Umbrales por defecto
+export const DEFAULT_BASKET_THRESHOLDS = {
+    minOrders: 3, // Pedidos en que aparecen juntos, como mínimo
+    minConfidence: 0.1, // De los pedidos con X, parte que también lleva Y
+    minLift: 1.2 // Cuántas veces más probable es Y con X que en un pedido cualquiera
+};
+
+// Opciones de los selectores de umbral
+export const BASKET_THRESHOLD_OPTIONS = {
+    minOrders: [2, 3, 5, 10, 20],
+    minConfidence: [0.05, 0.1, 0.2, 0.3, 0.5],
+    minLift: [1, 1.2, 1.5, 2, 3]
+};
@@ -0,0 +1,56 @@
+// ============================================
+// Configuración de Columnas de Importación
+// ============================================
+// Campos que el pipeline lee de cada archivo → encabezado esperado y alias conocidos.
+// `header` es el nombre que usan los exports actuales; `aliases` ayudan a la detección automática.
+
+export const ALBATROSS_FIELDS = {
+    orderId: { label: 'Número de Pedido', header: 'Número de Pedido', aliases: ['No. Pedido', 'Pedido', 'Order ID'], required: true },
+    status: { label: 'Estado', header: 'Estado', aliases: ['Estatus', 'Status'], required: true },
+    orderDate: { label: 'Fecha del pedido', header: 'Pedido Generado', aliases: ['Fecha', 'Fecha Pedido', 'Fecha de Pedido'], required: true },
+    posUser: { label: 'Usuario POS', header: 'Usuario POS', aliases: ['Usuario', 'Gestor', 'POS User'], required: false },
+    channel: { label: 'Canal', header: 'Canal', aliases: ['Channel'], required: false },
+    orderType: { label: 'Tipo de Pedido', header: 'Tipo de Pedido', aliases: ['Tipo Pedido'], required: false },
+    paymentType: { label: 'Tipo de pago', header: 'Tipo de pago o descuento', aliases: ['Tipo de pago', 'Forma de pago'], required: false },
+    customerName: { label: 'Cliente', header: 'Cliente', aliases: ['Nombre del cliente', 'Nombre'], required: false },
+    email: { label: 'Correo', header: 'Correo electrónico del cliente', aliases: ['Correo', 'Email', 'Correo electrónico'], required: false },
+    phone: { label: 'Celular', header: 'Celular del cliente', aliases: ['Celular', 'Teléfono', 'Telefono'], required: false },
+    city: { label: 'Ciudad', header: 'Ciudad', aliases: ['City'], required: false },
+    pharmacy: { label: 'Farmacia', header: 'Farmacia', aliases: ['Sucursal', 'Tienda'], required: false }
+};
+
+export const RMS_FIELDS = {
+    orderId: { label: 'Pedido', header: 'Pedido', aliases: ['Número de Pedido', 'No. Pedido', 'Referencia'], required: true },
+    sku: { label: 'Código (SKU)', header: 'Codigo', aliases: ['Código', 'SKU', 'Item'], required: true },
+    description: { label: 'Descripción', header: 'Descripcion', aliases: ['Descripción', 'Producto'], required: false },
+    quantity: { label: 'Cantidad', header: 'Cantidad', aliases: ['Unidades', 'Qty'], required: false },
+    total: { label: 'Total', header: 'Total', aliases: ['Total Linea', 'Monto', 'Importe'], required: true },
+    identity: { label: 'Identidad', header: 'Identidad', aliases: ['DNI', 'Identificación', 'Identificacion'], required: false }
+};
+
+// Catálogo de productos (lo importa un administrador; ver config/productCatalog.js)
+export const CATALOG_FIELDS = {
+    sku: { label: 'Código (SKU)', header: 'Codigo', aliases: ['Código', 'SKU', 'Item'], required: true },
+    description: { label: 'Descripción', header: 'Descripcion', aliases: ['Descripción', 'Producto', 'Nombre'], required: false },
+    category: { label: 'Categoría', header: 'Categoria', aliases: ['Categoría', 'Familia', 'Departamento'], required: false },
+    brand: { label: 'Marca', header: 'Marca', aliases: ['Brand'], required: false },
+    laboratory: { label: 'Laboratorio', header: 'Laboratorio', aliases: ['Fabricante', 'Proveedor'], required: false },
+    therapeuticClass: { label: 'Clase terapéutica', header: 'Clase Terapeutica', aliases: ['Clase terapéutica', 'Clase', 'ATC'], required: false },
+    treatment: { label: 'Crónico / Agudo', header: 'Tratamiento', aliases: ['Cronico', 'Crónico', 'Tipo de tratamiento'], required: false }
+};
+
+// Definiciones por tipo de archivo
+export const IMPORT_FIELDS = {
+    albatross: ALBATROSS_FIELDS,
+    rms: RMS_FIELDS,
+    catalog: CATALOG_FIELDS
+};
+
+// Similitud mínima (0-1) para aceptar un encabezado como coincidencia automática
+export const FUZZY_MATCH_THRESHOLD = 0.75;
+
+// Obtener el mapeo por defecto (campo → encabezado esperado)
+export const getDefaultMapping = (source) => {
+    const fields = IMPORT_FIELDS[source] || {};
+    return Object.fromEntries(Object.entries(fields).map(([field, def]) => [field, def.header]));
+};
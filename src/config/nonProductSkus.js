@@ -0,0 +1,17 @@
+// ============================================
+// Configuración de Líneas que no son Producto
+// ============================================
+// SKUs de RMS que no son productos (envío a domicilio, bolsas, cargos por servicio).
+// Se excluyen de los totales, rankings de SKUs, monto RFM y exportaciones.
+// Los administradores mantienen la lista en el panel; esta es la lista inicial.
+
+export const NON_PRODUCT_KINDS = {
+    delivery: 'Envío a domicilio',
+    bag: 'Bolsa',
+    service: 'Cargo por servicio',
+    other: 'Otro'
+};
+
+export const DEFAULT_NON_PRODUCT_SKUS = [
+    { sku: '20000025', label: 'Servicio a domicilio', kind: 'delivery' }
+];
@@ -0,0 +1,31 @@
+// ============================================
+// Configuración de Estados de Pedido
+// ============================================
+// El campo "Estado" de Albatross se agrupa en categorías. Las métricas cuentan solo los
+// pedidos entregados, salvo que el usuario active "Incluir cancelados/devueltos".
+
+export const ORDER_STATUS_CATEGORIES = {
+    delivered: { label: 'Entregado', patterns: [/entregad/] },
+    returned: { label: 'Devuelto', patterns: [/devuel/, /devoluci/, /reembols/] },
+    cancelled: { label: 'Cancelado', patterns: [/cancelad/, /anulad/, /rechazad/] },
+    pending: { label: 'En proceso', patterns: [] } // Cualquier otro estado (pendiente, en ruta, ...)
+};
+
+// Categorías que entran en las métricas por defecto y con el interruptor activado
+export const DEFAULT_STATUS_CATEGORIES = ['delivered'];
+export const WITH_CANCELLED_STATUS_CATEGORIES = ['delivered', 'cancelled', 'returned'];
+
+// Obtener la categoría de un Estado de Albatross ('Entregado' → 'delivered')
+export const getStatusCategory = (status) => {
+    const text = String(status || '').trim().toLowerCase();
+    const match = Object.entries(ORDER_STATUS_CATEGORIES)
+        .find(([, category]) => category.patterns.some(pattern => pattern.test(text)));
+    return match ? match[0] : 'pending';
+};
+
+// Categoría de un pedido guardado (los guardados antes de importar todos los estados eran entregados)
+export const getOrderStatusCategory = (order) => order.statusCategory || 'delivered';
+
+// Categorías que pide un filtro del dashboard
+export const getStatusCategories = (includeCancelled = false) =>
+    (includeCancelled ? WITH_CANCELLED_STATUS_CATEGORIES : DEFAULT_STATUS_CATEGORIES);
@@ -0,0 +1,24 @@
+// ============================================
+// Configuración de la Comparación de Períodos
+// ============================================
+// Modo comparar: el rango de fechas elegido (período actual) frente a otro período
+// (ver utils/periodComparison.js). Las variaciones se muestran en los KPIs del Dashboard,
+// las métricas de Gestores y los SKUs principales.
+
+// Contra qué período se compara el rango actual
+export const COMPARISON_PRESETS = {
+    previousPeriod: { label: 'Período anterior' }, // Mismos días, justo antes del rango actual
+    previousYear: { label: 'Mismo período del año anterior' },
+    custom: { label: 'Personalizado' }
+};
+
+export const DEFAULT_COMPARISON_PRESET = 'previousPeriod';
+
+// Atajos para el rango actual
+export const QUICK_RANGES = {
+    thisMonth: { label: 'Este mes' },
+    last30Days: { label: 'Últimos 30 días' }
+};
+
+// SKUs mostrados en la comparación de productos principales
+export const COMPARED_TOP_SKUS = 10;
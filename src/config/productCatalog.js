@@ -0,0 +1,27 @@
+// ============================================
+// Configuración del Catálogo de Productos
+// ============================================
+// Atributos que el catálogo asigna a cada SKU. En el buscador se filtran con
+// `prefijo:valor` (ej. "categoria:analgesicos", "tratamiento:cronico") y las
+// exportaciones pueden agruparse por cualquiera de ellos.
+
+export const PRODUCT_ATTRIBUTES = {
+    category: { label: 'Categoría', prefix: 'categoria', emptyLabel: 'Sin categoría' },
+    brand: { label: 'Marca', prefix: 'marca', emptyLabel: 'Sin marca' },
+    laboratory: { label: 'Laboratorio', prefix: 'laboratorio', emptyLabel: 'Sin laboratorio' },
+    therapeuticClass: { label: 'Clase terapéutica', prefix: 'clase', emptyLabel: 'Sin clase' },
+    treatment: { label: 'Tratamiento', prefix: 'tratamiento', emptyLabel: 'Sin clasificar' }
+};
+
+// Tratamiento: uso continuo (crónico) o puntual (agudo)
+export const TREATMENT_TYPES = {
+    chronic: { label: 'Crónico', patterns: [/^cron/, /^c$/, /^si$/, /^s$/, /^1$/, /^true$/] },
+    acute: { label: 'Agudo', patterns: [/^agud/, /^a$/, /^no$/, /^n$/, /^0$/, /^false$/] }
+};
+
+// Obtener el tratamiento de una celda del catálogo ('Crónico', 'Sí', 'A', ...) → 'chronic' | 'acute' | null
+export const getTreatmentType = (value) => {
+    const text = String(value ?? '').trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const match = Object.entries(TREATMENT_TYPES).find(([, type]) => type.patterns.some(pattern => pattern.test(text)));
+    return match ? match[0] : null;
+};
@@ -0,0 +1,5 @@
+// Storage backend for customers and their orders (see utils/customerRepository.js)
+// 'supabase' (default) | 'firestore' | 'pocketbase' | 'memory' (kept in the browser tab, nothing persisted)
+export const STORAGE_PROVIDER = import.meta.env?.VITE_STORAGE_PROVIDER || 'supabase'; // No import.meta.env outside Vite (tests)
+
+export default STORAGE_PROVIDER;
@@ -0,0 +1,68 @@
+import { useState, useEffect } from 'react';
+import { queryAllOrders, loadCustomerGestorHistory } from '../utils/orderQueries';
+
+const DEBOUNCE_MS = 300;
+const NO_ORDERS = [];
+const NO_HISTORY = {};
+
+/**
+ * Orders matching the filters, fetched from the server whenever the filters change (debounced).
+ * Keeps showing the previous result while the next one loads.
+ * @param {Object|null} filters - queryOrders filters; null skips the request (nothing to show yet)
+ * @param {Object} options - { reloadKey: changes force a refetch, withGestorHistory: also load customer_gestor_history }
+ * @returns {Object} { orders, gestorHistory, loading, error }
+ */
+export const useOrderQuery = (filters, { reloadKey = null, withGestorHistory = false } = {}) => {
+    const requestKey = filters ? JSON.stringify({ filters, reloadKey, withGestorHistory }) : null;
+    const [result, setResult] = useState({ requestKey: null, orders: NO_ORDERS, gestorHistory: NO_HISTORY, error: null });
+
+    useEffect(() => {
+        if (!requestKey) return;
+
+        let cancelled = false;
+        const request = JSON.parse(requestKey);
+
+        const run = async () => {
+            const response = await queryAllOrders(request.filters);
+            if (!response.success) {
+                return { requestKey, orders: NO_ORDERS, gestorHistory: NO_HISTORY, error: response.error };
+            }
+
+            let gestorHistory = NO_HISTORY;
+            if (request.withGestorHistory) {
+                try {
+                    gestorHistory = await loadCustomerGestorHistory(
+                        response.orders.map(order => order.customerId),
+                        { includeCancelled: request.filters.includeCancelled }
+                    );
+                } catch (error) {
+                    console.error('Error loading gestor history:', error);
+                }
+            }
+
+            return { requestKey, orders: response.orders, gestorHistory, error: null };
+        };
+
+        const timer = setTimeout(() => {
+            run().then(next => {
+                if (!cancelled) setResult(next);
+            });
+        }, DEBOUNCE_MS);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [requestKey]);
+
+    if (!requestKey) {
+        return { orders: NO_ORDERS, gestorHistory: NO_HISTORY, loading: false, error: null };
+    }
+
+    return {
+        orders: result.orders,
+        gestorHistory: result.gestorHistory,
+        loading: result.requestKey !== requestKey,
+        error: result.error
+    };
+};
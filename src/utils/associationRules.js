@@ -0,0 +1,120 @@
+import { DEFAULT_BASKET_THRESHOLDS, MAX_ITEMSET_SIZE } from '../config/basketAnalysis';
+
+// Association rules between the SKUs bought in the same order (Apriori over small itemsets):
+// - support: share of all orders containing the itemset
+// - confidence of A → y: share of the orders with A that also contain y
+// - lift of A → y: confidence / share of all orders containing y (above 1 = bought together more than by chance)
+
+const ITEMSET_SEPARATOR = '\u0000';
+const toKey = (skus) => [...skus].sort().join(ITEMSET_SEPARATOR);
+
+// Every k-item combination of a sorted list
+const combinations = (items, k, start = 0, prefix = [], result = []) => {
+    if (prefix.length === k) {
+        result.push(prefix);
+        return result;
+    }
+    for (let i = start; i <= items.length - (k - prefix.length); i++) {
+        combinations(items, k, i + 1, [...prefix, items[i]], result);
+    }
+    return result;
+};
+
+/**
+ * Mine association rules from order baskets
+ * @param {Array} baskets - One array of distinct product SKUs per order
+ * @param {Object} options - {
+ *   minOrders, minConfidence, minLift: thresholds (see config/basketAnalysis.js),
+ *   maxItemsetSize: largest itemset (antecedent + consequent),
+ *   anchor: only rules whose antecedent contains this SKU; the baskets can then be just the orders containing it,
+ *   itemCounts: { [sku]: orders containing it } over every order (default: counted from the baskets),
+ *   orderCount: every order (default: the number of baskets) }
+ * @returns {Array} [{ antecedent: [skus], consequent: sku, count, support, confidence, lift }], highest lift first
+ */
+export const mineAssociationRules = (baskets, {
+    minOrders = DEFAULT_BASKET_THRESHOLDS.minOrders,
+    minConfidence = DEFAULT_BASKET_THRESHOLDS.minConfidence,
+    minLift = DEFAULT_BASKET_THRESHOLDS.minLift,
+    maxItemsetSize = MAX_ITEMSET_SIZE,
+    anchor = null,
+    itemCounts = null,
+    orderCount = baskets.length
+} = {}) => {
+    const sets = baskets
+        .map(basket => [...new Set(basket.filter(Boolean))].sort())
+        .filter(basket => !anchor || basket.includes(anchor));
+
+    // Single items, counted in the baskets given (and everywhere when no counts are passed)
+    const counts = {};
+    sets.forEach(basket => basket.forEach(sku => {
+        counts[sku] = (counts[sku] || 0) + 1;
+    }));
+    const totals = itemCounts || counts;
+
+    // Larger itemsets level by level: only frequent items can be part of a frequent itemset,
+    // and only itemsets whose every subset was frequent are counted (with an anchor, every subset
+    // containing it: the others are never counted)
+    let frequent = new Set(Object.keys(counts).filter(sku => counts[sku] >= minOrders).map(sku => toKey([sku])));
+    const itemsets = [];
+    for (let size = 2; size <= maxItemsetSize && frequent.size > 0; size++) {
+        const levelCounts = {};
+        sets.forEach(basket => {
+            const items = basket.filter(sku => counts[sku] >= minOrders);
+            if (items.length < size) return;
+
+            combinations(items, size).forEach(itemset => {
+                if (anchor && !itemset.includes(anchor)) return;
+                const subsets = combinations(itemset, size - 1).filter(subset => !anchor || subset.includes(anchor));
+                if (!subsets.every(subset => frequent.has(toKey(subset)))) return;
+                const key = toKey(itemset);
+                levelCounts[key] = (levelCounts[key] || 0) + 1;
+            });
+        });
+
+        const levelFrequent = Object.entries(levelCounts).filter(([, count]) => count >= minOrders);
+        levelFrequent.forEach(([key, count]) => {
+            counts[key] = count;
+            itemsets.push({ skus: key.split(ITEMSET_SEPARATOR), count });
+        });
+        frequent = new Set(levelFrequent.map(([key]) => key));
+    }
+
+    const rules = [];
+    itemsets.forEach(({ skus, count }) => {
+        skus.forEach(consequent => {
+            if (consequent === anchor) return;
+            const antecedent = skus.filter(sku => sku !== consequent);
+            const antecedentCount = counts[toKey(antecedent)];
+            const consequentCount = totals[consequent];
+            if (!antecedentCount || !consequentCount || orderCount === 0) return;
+
+            const confidence = count / antecedentCount;
+            const lift = confidence / (consequentCount / orderCount);
+            if (confidence < minConfidence || lift < minLift) return;
+
+            rules.push({ antecedent, consequent, count, support: count / orderCount, confidence, lift });
+        });
+    });
+
+    return rules.sort((a, b) => b.lift - a.lift || b.confidence - a.confidence || b.count - a.count);
+};
+
+/**
+ * "Customers who buy X also buy Y" for one product: its pair rules (X → Y) and its
+ * small-itemset rules (X + Z → Y) apart
+ * @param {Object} baskets - loadProductBaskets result: { baskets, skus, orderCount }
+ * @param {string} sku - The product opened
+ * @param {Object} thresholds - { minOrders, minConfidence, minLift }
+ * @returns {Object} { pairs, itemsets, basketCount, descriptions: { [sku]: description } }
+ */
+export const getProductAssociations = ({ baskets, skus, orderCount }, sku, thresholds = DEFAULT_BASKET_THRESHOLDS) => {
+    const itemCounts = Object.fromEntries(skus.map(item => [item.sku, Number(item.orderCount)]));
+    const rules = mineAssociationRules(baskets, { ...thresholds, anchor: sku, itemCounts, orderCount });
+
+    return {
+        pairs: rules.filter(rule => rule.antecedent.length === 1),
+        itemsets: rules.filter(rule => rule.antecedent.length > 1),
+        basketCount: itemCounts[sku] || 0,
+        descriptions: Object.fromEntries(skus.map(item => [item.sku, item.description || '']))
+    };
+};
@@ -0,0 +1,240 @@
+import { differenceInCalendarDays, parseISO } from 'date-fns';
+
+// Churn score: the probability that a customer is still "alive" (will keep buying), from a
+// MBG/NBD model (a BG/NBD variant that also lets one-time buyers drop out):
+// - while alive, a customer buys at their own steady rate (gamma-distributed across customers: r, alpha)
+// - on each purchase, including the first, they may stop for good (beta-distributed: a, b)
+// The four parameters are fitted to the customers being analyzed, so "slipping away" is measured
+// against each customer's own buying rhythm: a monthly buyer 60 days out is at risk, a yearly one is not.
+// Time is in weeks.
+
+// Starting point for the fit and fallback for small lists (Batislam et al. style values, in weeks)
+const DEFAULT_PARAMS = { r: 0.25, alpha: 4.4, a: 0.8, b: 2.4 };
+const MIN_FIT_CUSTOMERS = 30; // Fewer customers than this keep the default parameters
+const MAX_ITERATIONS = 400;
+
+// Horizon of the expected purchases (customer lifetime value projection): 12 months, in weeks
+export const PROJECTION_WEEKS = 52;
+
+// Churn risk (1 - alive probability) levels, highest first
+export const CHURN_LEVELS = {
+    high: { label: 'Alto', min: 0.6 },
+    medium: { label: 'Medio', min: 0.3 },
+    low: { label: 'Bajo', min: 0 }
+};
+
+export const getChurnLevel = (risk) =>
+    Object.keys(CHURN_LEVELS).find(level => risk >= CHURN_LEVELS[level].min);
+
+// ============================================
+// Math helpers
+// ============================================
+
+const LANCZOS = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+const lnGamma = (z) => {
+    if (z < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * z)) - lnGamma(1 - z);
+    const shifted = z - 1;
+    let sum = LANCZOS[0];
+    for (let i = 1; i < LANCZOS.length; i++) sum += LANCZOS[i] / (shifted + i);
+    const t = shifted + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+const lnBeta = (p, q) => lnGamma(p) + lnGamma(q) - lnGamma(p + q);
+
+const logSumExp = (u, v) => {
+    const max = Math.max(u, v);
+    return max + Math.log(Math.exp(u - max) + Math.exp(v - max));
+};
+
+// Gauss hypergeometric function 2F1(p, q; c; z) for 0 <= z < 1, by its power series
+const hypergeometric = (p, q, c, z) => {
+    let term = 1;
+    let sum = 1;
+    for (let n = 0; n < 10000; n++) {
+        term *= ((p + n) * (q + n)) / ((c + n) * (n + 1)) * z;
+        sum += term;
+        if (Math.abs(term) < 1e-12 * Math.abs(sum)) break;
+    }
+    return sum;
+};
+
+// Nelder-Mead minimization of f over an n-dimensional point
+const nelderMead = (f, start, { maxIterations = MAX_ITERATIONS, tolerance = 1e-8 } = {}) => {
+    const n = start.length;
+    let simplex = [start, ...start.map((_, i) => start.map((value, j) => (i === j ? value + 0.5 : value)))]
+        .map(point => ({ point, value: f(point) }));
+
+    const combine = (a, b, weight) => a.map((value, i) => value + weight * (b[i] - value));
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        simplex.sort((p, q) => p.value - q.value);
+        const best = simplex[0];
+        const worst = simplex[n];
+        if (Math.abs(worst.value - best.value) < tolerance) break;
+
+        const centroid = start.map((_, i) => simplex.slice(0, n).reduce((sum, vertex) => sum + vertex.point[i], 0) / n);
+        const evaluate = (point) => ({ point, value: f(point) });
+
+        const reflected = evaluate(combine(centroid, worst.point, -1));
+        if (reflected.value < best.value) {
+            const expanded = evaluate(combine(centroid, worst.point, -2));
+            simplex[n] = expanded.value < reflected.value ? expanded : reflected;
+        } else if (reflected.value < simplex[n - 1].value) {
+            simplex[n] = reflected;
+        } else {
+            const contracted = evaluate(combine(centroid, worst.point, 0.5));
+            if (contracted.value < worst.value) {
+                simplex[n] = contracted;
+            } else {
+                simplex = simplex.map((vertex, i) => (i === 0 ? vertex : evaluate(combine(best.point, vertex.point, 0.5))));
+            }
+        }
+    }
+
+    simplex.sort((p, q) => p.value - q.value);
+    return simplex[0].point;
+};
+
+// ============================================
+// MBG/NBD
+// ============================================
+
+/**
+ * Model inputs of one customer: x repeat purchases, tx weeks from the first purchase to the last,
+ * T weeks from the first purchase to the reference date (one purchase per day at most)
+ * @returns {Object|null} { x, tx, T } or null without dated orders
+ */
+export const toChurnInputs = (orders, referenceDate = new Date()) => {
+    const days = [...new Set(orders
+        .map(order => new Date(order.orderDate))
+        .filter(date => !isNaN(date))
+        .map(date => date.toDateString()))]
+        .map(day => new Date(day))
+        .sort((a, b) => a - b);
+    if (days.length === 0) return null;
+
+    const first = days[0];
+    const last = days[days.length - 1];
+    return {
+        x: days.length - 1,
+        tx: differenceInCalendarDays(last, first) / 7,
+        T: Math.max(differenceInCalendarDays(referenceDate, first), 0) / 7
+    };
+};
+
+/**
+ * Model inputs from a customer's purchase history (loadCustomerPurchaseHistory in utils/orderQueries.js):
+ * the same x, tx and T as toChurnInputs, from the first and last purchase day and the number of purchase days
+ */
+export const toHistoryChurnInputs = ({ firstPurchase, lastPurchase, purchaseDays }, referenceDate = new Date()) => {
+    const first = parseISO(firstPurchase);
+    return {
+        x: purchaseDays - 1,
+        tx: differenceInCalendarDays(parseISO(lastPurchase), first) / 7,
+        T: Math.max(differenceInCalendarDays(referenceDate, first), 0) / 7
+    };
+};
+
+/**
+ * Log-likelihood of one customer's inputs under the given parameters
+ */
+export const logLikelihood = ({ r, alpha, a, b }, { x, tx, T }) => {
+    const common = lnGamma(r + x) - lnGamma(r) + r * Math.log(alpha) - lnBeta(a, b);
+    const stillAlive = lnBeta(a, b + x + 1) - (r + x) * Math.log(alpha + T);
+    const droppedAfterLast = lnBeta(a + 1, b + x) - (r + x) * Math.log(alpha + tx);
+    return common + logSumExp(stillAlive, droppedAfterLast);
+};
+
+/**
+ * Fit the model to a list of customer inputs (maximum likelihood)
+ * @returns {Object} { params: { r, alpha, a, b }, fitted }
+ */
+export const fitChurnModel = (inputs) => {
+    if (inputs.length < MIN_FIT_CUSTOMERS) return { params: DEFAULT_PARAMS, fitted: false };
+
+    // Customers with the same history share one likelihood term
+    const groups = {};
+    inputs.forEach(input => {
+        const key = `${input.x}|${input.tx}|${input.T}`;
+        if (!groups[key]) groups[key] = { input, count: 0 };
+        groups[key].count++;
+    });
+    const distinct = Object.values(groups);
+
+    const toParams = ([r, alpha, a, b]) => ({ r: Math.exp(r), alpha: Math.exp(alpha), a: Math.exp(a), b: Math.exp(b) });
+    const negativeLogLikelihood = (point) => {
+        const params = toParams(point);
+        const total = distinct.reduce((sum, { input, count }) => sum + count * logLikelihood(params, input), 0);
+        return Number.isFinite(total) ? -total : Infinity;
+    };
+
+    const start = [DEFAULT_PARAMS.r, DEFAULT_PARAMS.alpha, DEFAULT_PARAMS.a, DEFAULT_PARAMS.b].map(Math.log);
+    const params = toParams(nelderMead(negativeLogLikelihood, start));
+    const valid = Object.values(params).every(value => Number.isFinite(value) && value > 0);
+
+    return valid ? { params, fitted: true } : { params: DEFAULT_PARAMS, fitted: false };
+};
+
+/**
+ * Probability that a customer with these inputs is still buying
+ */
+export const getAliveProbability = ({ r, alpha, a, b }, { x, tx, T }) =>
+    1 / (1 + (a / (b + x)) * Math.pow((alpha + T) / (alpha + tx), r + x));
+
+/**
+ * Expected purchases of a customer with these inputs in the next `weeks` weeks
+ * (MBG/NBD conditional expectation, Batislam et al. 2007). Its 2F1(r+x, b+x+1; a+b+x; z) is taken
+ * through Euler's transformation, which converges fast for frequent buyers
+ */
+export const getExpectedPurchases = ({ r, alpha, b, ...params }, { x, tx, T }, weeks = PROJECTION_WEEKS) => {
+    // The expectation is continuous in a, but the closed form is 0/0 at a = 1
+    const a = Math.abs(params.a - 1) < 1e-4 ? 1 + 1e-4 : params.a;
+    const z = weeks / (alpha + T + weeks);
+    const hypergeometricTerm = Math.pow(1 - z, a - 1) * hypergeometric(a + b - r, a - 1, a + b + x, z);
+    const ifAlive = ((a + b + x) / (a - 1)) * (1 - hypergeometricTerm);
+    return ifAlive / (1 + (a / (b + x)) * Math.pow((alpha + T) / (alpha + tx), r + x));
+};
+
+// Churn score of each input, with the model fitted once over all of them (null inputs stay null)
+const scoreInputs = (inputs) => {
+    const { params } = fitChurnModel(inputs.filter(Boolean));
+
+    return inputs.map(input => {
+        if (!input) return null;
+
+        const aliveProbability = getAliveProbability(params, input);
+        const risk = 1 - aliveProbability;
+        return {
+            aliveProbability,
+            risk,
+            level: getChurnLevel(risk),
+            expectedPurchases: getExpectedPurchases(params, input)
+        };
+    });
+};
+
+/**
+ * Add a churn score to each customer: churn = { aliveProbability, risk, level, expectedPurchases }
+ * (null without dated orders), expectedPurchases being the purchase days expected in the next PROJECTION_WEEKS.
+ * The model is fitted to the customers given, so score the whole list at once
+ */
+export const scoreChurn = (customers, referenceDate = new Date()) => {
+    const scores = scoreInputs(customers.map(customer => toChurnInputs(customer.orders, referenceDate)));
+    return customers.map((customer, i) => ({ ...customer, churn: scores[i] }));
+};
+
+/**
+ * Churn score of every customer from their purchase history, fitted once over all of them:
+ * [{ key (customer id), ...history, churn }]. Views look customers up by key instead of
+ * scoring what a search or date range left of their orders
+ * @param {Array} histories - loadCustomerPurchaseHistory rows
+ */
+export const scorePurchaseHistories = (histories, referenceDate = new Date()) => {
+    const scores = scoreInputs(histories.map(history => toHistoryChurnInputs(history, referenceDate)));
+    return histories.map((history, i) => ({ ...history, key: history.customerId, churn: scores[i] }));
+};
@@ -0,0 +1,123 @@
+import { format } from 'date-fns';
+import { es } from 'date-fns/locale';
+import { getCustomerGroupKey } from './customerIdentity';
+import { getProductItems, getProductAmount } from './productLines';
+import { matchesItemTerm } from './productCatalog';
+import { getMonthKey, getMonthDate, getMonthOffset } from './monthBuckets';
+
+// Cohort retention: customers are grouped by the month of their first order (the cohort), and each
+// cohort is followed month by month: which share of it bought again in month 1, 2, 3... after the
+// first one, and how much it spent each month. Month 0 is the first-purchase month itself.
+// The cohort comes from the customer's first delivered order overall; filters (zone, city, SKUs)
+// only choose which customers and orders are counted, so a customer who first bought elsewhere
+// stays in their own cohort instead of showing up as new.
+
+export const getCohortLabel = (month) => format(getMonthDate(month), 'MMM yyyy', { locale: es });
+
+// Order amount: product lines only, or just the lines matching the SKU query when there is one
+const getOrderRevenue = (order, terms) => {
+    if (terms.length === 0) return getProductAmount(order);
+    return getProductItems(order.items)
+        .filter(item => terms.some(term => matchesItemTerm(item, term, ['sku', 'description'])))
+        .reduce((sum, item) => sum + (parseFloat(item.total) || 0), 0);
+};
+
+/**
+ * Build the cohort matrices
+ * @param {Array} orders - Flat orders (queryAllOrders) to count, already filtered
+ * @param {Object} options - { terms: lowercased SKU query terms (revenue only counts matching lines),
+ *   firstPurchases: { [customer key]: 'YYYY-MM-DD' } first delivered purchase of each customer over every order
+ *   (customers missing from it start at their first order in the list), referenceDate }
+ * @returns {Object} { cohorts, averageRetention, maxOffset, customerCount }
+ *   cohorts: [{ month, size, active: [customers per month], retention: [share per month], revenue: [L. per month],
+ *              totalRevenue }] oldest first; each array ends at the reference month.
+ *   averageRetention: [share per month] over the cohorts that reached that month, weighted by their size
+ */
+export const buildCohorts = (orders, { terms = [], firstPurchases = {}, referenceDate = new Date() } = {}) => {
+    // Every customer's purchase months and revenue per month
+    const customers = {};
+    let lastMonth = getMonthKey(referenceDate);
+
+    orders.forEach(order => {
+        const month = getMonthKey(order.orderDate);
+        if (!month) return;
+        if (month > lastMonth) lastMonth = month;
+
+        const key = getCustomerGroupKey(order);
+        if (!customers[key]) {
+            const firstPurchase = firstPurchases[key];
+            customers[key] = { firstMonth: firstPurchase ? getMonthKey(`${firstPurchase}T00:00:00`) : month, revenueByMonth: {} };
+        }
+        if (month < customers[key].firstMonth) customers[key].firstMonth = month;
+        customers[key].revenueByMonth[month] = (customers[key].revenueByMonth[month] || 0) + getOrderRevenue(order, terms);
+    });
+
+    const cohortsByMonth = {};
+    Object.values(customers).forEach(({ firstMonth, revenueByMonth }) => {
+        if (!cohortsByMonth[firstMonth]) {
+            const length = getMonthOffset(firstMonth, lastMonth) + 1;
+            cohortsByMonth[firstMonth] = {
+                month: firstMonth,
+                size: 0,
+                active: new Array(length).fill(0),
+                revenue: new Array(length).fill(0)
+            };
+        }
+
+        const cohort = cohortsByMonth[firstMonth];
+        cohort.size++;
+        Object.entries(revenueByMonth).forEach(([month, revenue]) => {
+            const offset = getMonthOffset(firstMonth, month);
+            cohort.active[offset]++;
+            cohort.revenue[offset] += revenue;
+        });
+    });
+
+    const cohorts = Object.values(cohortsByMonth)
+        .sort((a, b) => a.month.localeCompare(b.month))
+        .map(cohort => ({
+            ...cohort,
+            retention: cohort.active.map(count => count / cohort.size),
+            totalRevenue: cohort.revenue.reduce((sum, value) => sum + value, 0)
+        }));
+
+    const maxOffset = cohorts.reduce((max, cohort) => Math.max(max, cohort.active.length - 1), 0);
+    const averageRetention = Array.from({ length: cohorts.length > 0 ? maxOffset + 1 : 0 }, (_, offset) => {
+        const reached = cohorts.filter(cohort => offset < cohort.active.length);
+        const size = reached.reduce((sum, cohort) => sum + cohort.size, 0);
+        return size > 0 ? reached.reduce((sum, cohort) => sum + cohort.active[offset], 0) / size : null;
+    });
+
+    return {
+        cohorts,
+        averageRetention,
+        maxOffset,
+        customerCount: Object.keys(customers).length
+    };
+};
+
+const toPercent = (share) => Math.round(share * 1000) / 10;
+const toAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Export sheets: { retention: rows, revenue: rows }, one row per cohort and one column per month
+ */
+export const toCohortSheets = ({ cohorts, maxOffset }) => {
+    const monthColumns = (values, toValue) => Object.fromEntries(
+        Array.from({ length: maxOffset + 1 }, (_, offset) => [`Mes ${offset}`, offset < values.length ? toValue(values[offset]) : ''])
+    );
+
+    return {
+        retention: cohorts.map(cohort => ({
+            'Cohorte': cohort.month,
+            'Clientes': cohort.size,
+            ...monthColumns(cohort.retention, toPercent)
+        })),
+        revenue: cohorts.map(cohort => ({
+            'Cohorte': cohort.month,
+            'Clientes': cohort.size,
+            'Total (L.)': toAmount(cohort.totalRevenue),
+            ...monthColumns(cohort.revenue, toAmount)
+        }))
+    };
+};
@@ -0,0 +1,219 @@
+import { IMPORT_FIELDS, FUZZY_MATCH_THRESHOLD, getDefaultMapping } from '../config/columnMappings';
+
+const PROFILES_STORAGE_KEY = 'columnMappingProfiles';
+const ACTIVE_PROFILE_STORAGE_KEY = 'columnMappingActiveProfile';
+
+// How the missing-columns error names each file
+const FILE_LABELS = { albatross: 'Albatross', rms: 'RMS', catalog: 'de catálogo' };
+
+/**
+ * Normalize a header for comparison: no accents, lowercase, only letters and digits
+ */
+export const normalizeHeader = (header) => {
+    return String(header || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, '');
+};
+
+/**
+ * Levenshtein distance between two strings
+ */
+const levenshtein = (a, b) => {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * Similarity score (0-1) between a file header and an expected name
+ */
+export const headerSimilarity = (header, expected) => {
+    const a = normalizeHeader(header);
+    const b = normalizeHeader(expected);
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    // "Correo electrónico del cliente" vs "Correo electrónico" style renames
+    if (a.includes(b) || b.includes(a)) {
+        return 0.85 * (Math.min(a.length, b.length) / Math.max(a.length, b.length)) + 0.15;
+    }
+
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+/**
+ * Collect the header names present in parsed rows
+ * (sheet_to_json omits keys only when a row is shorter, so a few rows are enough)
+ */
+export const getHeadersFromRows = (rows, sampleSize = 20) => {
+    const headers = new Set();
+    rows.slice(0, sampleSize).forEach(row => {
+        Object.keys(row).forEach(key => headers.add(key));
+    });
+    return Array.from(headers);
+};
+
+/**
+ * Detect which file header corresponds to each pipeline field
+ * @param {Array<string>} headers - Headers found in the file
+ * @param {string} source - 'albatross' | 'rms' | 'catalog'
+ * @param {Object} preferred - Optional saved mapping (field → header) tried first
+ * @returns {Object} { mapping, scores, missing }
+ */
+export const detectColumnMapping = (headers, source, preferred = {}) => {
+    const fields = IMPORT_FIELDS[source];
+    if (!fields) throw new Error(`Tipo de archivo desconocido: ${source}`);
+
+    const mapping = {};
+    const scores = {};
+    const usedHeaders = new Set();
+
+    // Step 1: Saved profile / exact names win when the header is present
+    Object.entries(fields).forEach(([field, def]) => {
+        const candidates = [preferred[field], def.header].filter(Boolean);
+        const exact = candidates.find(name => headers.includes(name) && !usedHeaders.has(name));
+        if (exact) {
+            mapping[field] = exact;
+            scores[field] = 1;
+            usedHeaders.add(exact);
+        }
+    });
+
+    // Step 2: Fuzzy match the rest, best pairs first
+    const pairs = [];
+    Object.entries(fields).forEach(([field, def]) => {
+        if (mapping[field]) return;
+        const names = [def.header, ...(def.aliases || [])];
+        headers.forEach(header => {
+            if (usedHeaders.has(header)) return;
+            const score = Math.max(...names.map(name => headerSimilarity(header, name)));
+            if (score >= FUZZY_MATCH_THRESHOLD) {
+                pairs.push({ field, header, score });
+            }
+        });
+    });
+
+    pairs
+        .sort((a, b) => b.score - a.score)
+        .forEach(({ field, header, score }) => {
+            if (mapping[field] || usedHeaders.has(header)) return;
+            mapping[field] = header;
+            scores[field] = score;
+            usedHeaders.add(header);
+        });
+
+    const missing = Object.entries(fields)
+        .filter(([field, def]) => def.required && !mapping[field])
+        .map(([field]) => field);
+
+    return { mapping, scores, missing };
+};
+
+/**
+ * Resolve the mapping for parsed rows and stop if a required column is missing
+ * @param {Array} rows - Parsed rows (sheet_to_json output)
+ * @param {string} source - 'albatross' | 'rms' | 'catalog'
+ * @param {Object} mapping - Optional mapping chosen by the admin
+ * @returns {Object} Mapping field → header
+ */
+export const resolveColumnMapping = (rows, source, mapping = null) => {
+    const headers = getHeadersFromRows(rows);
+    const detected = detectColumnMapping(headers, source, mapping || {});
+    const resolved = { ...detected.mapping };
+
+    // An explicit choice from the editor is kept only if the file really has that header
+    if (mapping) {
+        Object.entries(mapping).forEach(([field, header]) => {
+            if (header && headers.includes(header)) resolved[field] = header;
+        });
+    }
+
+    const fields = IMPORT_FIELDS[source];
+    const missing = Object.keys(fields).filter(field => fields[field].required && !resolved[field]);
+
+    if (missing.length > 0) {
+        const labels = missing.map(field => `"${fields[field].label}"`).join(', ');
+        const fileLabel = FILE_LABELS[source] || source;
+        const error = new Error(`El archivo ${fileLabel} no tiene las columnas requeridas: ${labels}. Revisa el mapeo de columnas antes de importar.`);
+        error.code = 'MISSING_COLUMNS';
+        error.source = source;
+        error.missing = missing;
+        throw error;
+    }
+
+    return resolved;
+};
+
+/**
+ * Build a reader that returns a field's value from a row using a mapping
+ */
+export const createFieldReader = (mapping) => (row, field) => {
+    const header = mapping[field];
+    return header ? row[header] : undefined;
+};
+
+// ============================================
+// Saved mapping profiles (per browser)
+// ============================================
+
+/**
+ * Load saved mapping profiles
+ * @returns {Object} { [profileName]: { albatross, rms, updatedAt } }
+ */
+export const loadMappingProfiles = () => {
+    try {
+        const stored = localStorage.getItem(PROFILES_STORAGE_KEY);
+        return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+        console.error('Error loading column mapping profiles:', error);
+        return {};
+    }
+};
+
+/**
+ * Save (create or overwrite) a mapping profile
+ */
+export const saveMappingProfile = (name, { albatross, rms }) => {
+    const profiles = loadMappingProfiles();
+    profiles[name] = {
+        albatross: albatross || getDefaultMapping('albatross'),
+        rms: rms || getDefaultMapping('rms'),
+        updatedAt: new Date().toISOString()
+    };
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+    localStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, name);
+    return profiles;
+};
+
+/**
+ * Delete a mapping profile
+ */
+export const deleteMappingProfile = (name) => {
+    const profiles = loadMappingProfiles();
+    delete profiles[name];
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+    if (getActiveProfileName() === name) {
+        localStorage.removeItem(ACTIVE_PROFILE_STORAGE_KEY);
+    }
+    return profiles;
+};
+
+export const getActiveProfileName = () => localStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY) || '';
+
+export const setActiveProfileName = (name) => {
+    if (name) localStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, name);
+    else localStorage.removeItem(ACTIVE_PROFILE_STORAGE_KEY);
+};
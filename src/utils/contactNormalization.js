@@ -0,0 +1,93 @@
+// Normalization of the customer contact fields: Honduran phone numbers, emails and DNIs.
+// These are the only rules: imports normalize and validate with them, customer identity
+// (utils/customerIdentity.js) matches by their values and the SQL normalize_* functions in
+// supabase_setup.sql mirror them. Every normalizer returns { value, original, valid, reason }:
+// value is the normalized form ('' when missing or invalid), original the value as it came,
+// valid is false only for values that are present but unusable (reason says why).
+
+// Values the exports use for "no data"
+const PLACEHOLDERS = new Set(['', '0', 'N/A', 'NA', 'NO SE ENCONTRÓ', 'NO SE ENCONTRO', 'SIN DATO', 'NULL']);
+
+const isPlaceholder = (value) => PLACEHOLDERS.has(value.toUpperCase());
+
+const result = (original, value, reason = null) => ({ value: reason ? '' : value, original, valid: !reason, reason });
+
+/**
+ * Honduran phone → 8 digits ('+504 9999-9999', '(504) 99999999' and '9999 9999' → '99999999')
+ */
+export const normalizePhoneNumber = (input) => {
+    const original = String(input ?? '').trim();
+    if (isPlaceholder(original)) return result(original, '');
+
+    let digits = original.replace(/\D/g, '');
+    if (digits.length === 13 && digits.startsWith('00504')) digits = digits.slice(5);
+    if (digits.length === 11 && digits.startsWith('504')) digits = digits.slice(3);
+
+    if (digits.length !== 8) return result(original, '', 'Debe tener 8 dígitos (sin contar el 504)');
+    if (!/^[2-9]/.test(digits)) return result(original, '', 'Los números de Honduras empiezan con 2 a 9');
+
+    return result(original, digits);
+};
+
+/**
+ * Email → trimmed and lowercase
+ */
+export const normalizeEmailAddress = (input) => {
+    const original = String(input ?? '').trim();
+    if (isPlaceholder(original)) return result(original, '');
+
+    const email = original.toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return result(original, '', 'No es un correo válido');
+
+    return result(original, email);
+};
+
+/**
+ * DNI → letters and digits only ('0801-1990-12345' → '0801199012345').
+ * Accepts DNI (13 digits), RTN (14 digits) and passports (6 to 15 letters and digits)
+ */
+export const normalizeDni = (input) => {
+    const original = String(input ?? '').trim();
+    if (isPlaceholder(original)) return result(original, '');
+
+    const dni = original.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const isNumber = /^\d+$/.test(dni);
+
+    if (isNumber && dni.length !== 13 && dni.length !== 14) {
+        return result(original, '', 'Debe tener 13 dígitos (DNI) o 14 (RTN)');
+    }
+    if (!isNumber && (dni.length < 6 || dni.length > 15 || !/\d/.test(dni))) {
+        return result(original, '', 'No parece un DNI, RTN ni pasaporte');
+    }
+    if (/^0+$/.test(dni)) return result(original, '', 'Número de relleno');
+
+    return result(original, dni);
+};
+
+// Contact fields whose file value is kept next to the normalized one (emailOriginal, ...)
+const CONTACT_FIELDS = [
+    { field: 'phone', label: 'Celular inválido', normalize: normalizePhoneNumber },
+    { field: 'email', label: 'Correo inválido', normalize: normalizeEmailAddress },
+    { field: 'identity', label: 'Identidad inválida', normalize: normalizeDni }
+];
+
+/**
+ * Invalid contact values a customer's orders came with in the files, each distinct value once.
+ * They were stored empty, so only the original tells what the file had
+ * @param {Array} orders - Orders with emailOriginal / phoneOriginal / identityOriginal
+ * @returns {Array} [{ field, label, original, reason }]
+ */
+export const getInvalidContacts = (orders) => {
+    const invalid = new Map();
+    orders.forEach(order => {
+        CONTACT_FIELDS.forEach(({ field, label, normalize }) => {
+            const original = order[`${field}Original`];
+            const key = `${field}:${original}`;
+            if (!original || invalid.has(key)) return;
+
+            const { valid, reason } = normalize(original);
+            if (!valid) invalid.set(key, { field, label, original, reason });
+        });
+    });
+    return [...invalid.values()];
+};
@@ -0,0 +1,72 @@
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
+const DELIMITER_LABELS = {
+    ',': 'coma',
+    ';': 'punto y coma',
+    '\t': 'tabulador',
+    '|': 'barra vertical'
+};
+
+/**
+ * Whether a file should be read as delimited text instead of a workbook
+ */
+export const isCsvFile = (fileName) => /\.(csv|tsv|txt)$/i.test(String(fileName || ''));
+
+/**
+ * Decode raw CSV bytes: BOM first, then strict UTF-8, falling back to Windows-1252 (Latin-1 exports)
+ * @returns {Object} { text, encoding }
+ */
+export const decodeCsvBuffer = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'UTF-16' };
+    }
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'UTF-8' };
+    }
+
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+    } catch {
+        // Not valid UTF-8: Excel "CSV" exports on Spanish Windows are Windows-1252
+        return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'Latin-1' };
+    }
+};
+
+// Occurrences of a delimiter in one line, ignoring quoted values
+const countOutsideQuotes = (line, delimiter) => {
+    let count = 0;
+    let inQuotes = false;
+    for (const char of line) {
+        if (char === '"') inQuotes = !inQuotes;
+        else if (char === delimiter && !inQuotes) count++;
+    }
+    return count;
+};
+
+/**
+ * Pick the delimiter that splits the first lines into the same number of columns
+ */
+export const detectDelimiter = (text, sampleLines = 10) => {
+    const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, sampleLines);
+    if (lines.length === 0) return ',';
+
+    let best = ',';
+    let bestScore = 0;
+    DELIMITER_CANDIDATES.forEach(delimiter => {
+        const counts = lines.map(line => countOutsideQuotes(line, delimiter));
+        if (counts[0] === 0) return;
+
+        // Lines agreeing with the header count matter more than the raw number of separators
+        const consistent = counts.filter(count => count === counts[0]).length;
+        const score = consistent * 1000 + counts[0];
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    });
+    return best;
+};
+
+export const getDelimiterLabel = (delimiter) => DELIMITER_LABELS[delimiter] || delimiter;
@@ -0,0 +1,117 @@
+import { normalizePhoneNumber, normalizeEmailAddress, normalizeDni } from './contactNormalization';
+
+// Customer identity: how orders are grouped into customers, how a customer's id is built
+// and which normalized values (DNI, phone, email) point to the same person.
+// The values come from the import normalizers (utils/contactNormalization.js), so a value
+// flagged as invalid there is never used as a match key here.
+
+/**
+ * Email for matching (see normalizeEmailAddress); null when missing or invalid
+ */
+export const normalizeEmail = (value) => normalizeEmailAddress(value).value || null;
+
+/**
+ * Phone for matching: 8 digits without the Honduras country code (see normalizePhoneNumber);
+ * null when missing or invalid
+ */
+export const normalizePhone = (value) => normalizePhoneNumber(value).value || null;
+
+/**
+ * DNI for matching: letters and digits only, uppercase (0801-1990-12345 = 0801199012345;
+ * see normalizeDni); null when missing or invalid
+ */
+export const normalizeIdentity = (value) => normalizeDni(value).value || null;
+
+/**
+ * Normalized values that identify a customer (or order), e.g. ['identity:0801199012345', 'phone:99887766']
+ */
+export const getIdentityKeys = (customer) => [
+    ['identity', normalizeIdentity(customer.identity)],
+    ['phone', normalizePhone(customer.phone)],
+    ['email', normalizeEmail(customer.email)]
+]
+    .filter(([, value]) => value)
+    .map(([kind, value]) => `${kind}:${value}`);
+
+/**
+ * Identity values two customers share ('identity' | 'phone' | 'email')
+ */
+export const getSharedIdentityKinds = (a, b) => {
+    const keysOfB = new Set(getIdentityKeys(b));
+    return getIdentityKeys(a)
+        .filter(key => keysOfB.has(key))
+        .map(key => key.split(':')[0]);
+};
+
+/**
+ * Whether a search term is the customer's phone or DNI written another way
+ * ('+504 9999-9999' finds 99999999), like query_orders does on the server
+ */
+export const matchesContactTerm = (customer, term) => {
+    const phone = normalizePhone(term);
+    const identity = normalizeIdentity(term);
+    return Boolean(
+        (phone && normalizePhone(customer.phone) === phone) ||
+        (identity && normalizeIdentity(customer.identity) === identity)
+    );
+};
+
+/**
+ * Key that groups the orders of one customer in an upload:
+ * email, else phone, else DNI, else name
+ */
+export const getCustomerKey = (order) => {
+    if (order.email || order.phone) return order.email || order.phone;
+
+    const identity = normalizeIdentity(order.identity);
+    return identity ? `dni_${identity}` : `unknown_${order.customerName || order.name}`;
+};
+
+/**
+ * Id of a new customer record. Derived from the same values as getCustomerKey,
+ * so re-uploading a customer always yields the same id (no random fallback).
+ */
+export const toCustomerId = (customer) => {
+    const contact = customer.email || customer.phone;
+    if (contact) return contact.replace(/[^a-zA-Z0-9]/g, '_');
+
+    const identity = normalizeIdentity(customer.identity);
+    if (identity) return `customer_dni_${identity}`;
+
+    const name = String(customer.customerName || customer.name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '') // Accents
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_|_$/g, '');
+    return `customer_name_${name || 'sin_nombre'}`;
+};
+
+/**
+ * Keys a stored customer is found by when an upload comes in: its grouping key and its
+ * normalized phone and email (customers stored before imports normalized them, e.g. '+504 9999-9999')
+ */
+export const getCustomerLookupKeys = (customer) => [
+    getCustomerKey(customer),
+    ...getIdentityKeys(customer).filter(key => !key.startsWith('identity:'))
+];
+
+/**
+ * Key that groups flat orders by customer in the dashboards: the stored customer id
+ * (merged customers share it), else the upload key
+ */
+export const getCustomerGroupKey = (order) => order.customerId || getCustomerKey(order);
+
+/**
+ * Customer an id ends up in after admin merges, following chains (A → B → C)
+ * @param {Object} aliases - { [sourceCustomerId]: targetCustomerId }
+ */
+export const resolveCustomerId = (customerId, aliases = {}) => {
+    const seen = new Set();
+    let current = customerId;
+    while (aliases[current] && !seen.has(current)) {
+        seen.add(current);
+        current = aliases[current];
+    }
+    return current;
+};
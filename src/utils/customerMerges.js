@@ -0,0 +1,149 @@
+import { supabase } from '../config/supabase';
+import { fetchAllRows } from './customerTables';
+import { getSharedIdentityKinds } from './customerIdentity';
+
+// Duplicate customer review: suggested pairs (same normalized DNI, phone or email),
+// merges that can be split again and pairs marked as different people (see supabase_setup.sql)
+const CUSTOMERS_TABLE = 'customers';
+const MERGES_TABLE = 'customer_merges';
+const DISTINCT_PAIRS_TABLE = 'customer_distinct_pairs';
+
+const FILTER_BATCH_SIZE = 100; // ids per .in() filter, keeps the request URL short
+
+/**
+ * Merged customer ids and the customer each one went into
+ * @returns {Object} { [sourceCustomerId]: targetCustomerId }
+ */
+export const fetchCustomerAliases = async () => {
+    const rows = await fetchAllRows(() => supabase
+        .from(MERGES_TABLE)
+        .select('source_customer_id, target_customer_id')
+        .order('source_customer_id'));
+
+    return Object.fromEntries(rows.map(row => [row.source_customer_id, row.target_customer_id]));
+};
+
+/**
+ * Customers with their order count, by id
+ */
+const fetchCustomerSummaries = async (customerIds) => {
+    const ids = [...new Set(customerIds)];
+    const customers = {};
+
+    for (let i = 0; i < ids.length; i += FILTER_BATCH_SIZE) {
+        const { data, error } = await supabase
+            .from(CUSTOMERS_TABLE)
+            .select('customer_id, name, email, phone, city, identity, orders(count)')
+            .in('customer_id', ids.slice(i, i + FILTER_BATCH_SIZE));
+
+        if (error) throw error;
+        data.forEach(({ orders, ...customer }) => {
+            customers[customer.customer_id] = { ...customer, orderCount: orders?.[0]?.count || 0 };
+        });
+    }
+
+    return customers;
+};
+
+/**
+ * Pairs of customers that look like the same person, minus the ones already reviewed
+ * @returns {Object} { success, suggestions: [{ a, b, kinds }] } — kinds: shared 'identity' | 'phone' | 'email'
+ */
+export const loadDuplicateSuggestions = async (limit = 200) => {
+    try {
+        const { data, error } = await supabase.rpc('suggest_duplicate_customers', { p_limit: limit });
+        if (error) throw error;
+
+        const customers = await fetchCustomerSummaries(data.flatMap(pair => [pair.customer_a, pair.customer_b]));
+
+        const suggestions = data
+            .map(pair => ({ a: customers[pair.customer_a], b: customers[pair.customer_b] }))
+            .filter(pair => pair.a && pair.b)
+            .map(pair => ({ ...pair, kinds: getSharedIdentityKinds(pair.a, pair.b) }));
+
+        return { success: true, suggestions };
+    } catch (error) {
+        console.error('Error loading duplicate customers:', error);
+        return { success: false, error: error.message, suggestions: [] };
+    }
+};
+
+/**
+ * Merge one customer into another for good: its orders move to the target and later
+ * imports of the source customer land in the target too. Can be undone with splitCustomer.
+ * @returns {Object} { success, movedOrders }
+ */
+export const mergeCustomers = async (targetId, sourceId, mergedBy) => {
+    try {
+        const { data, error } = await supabase.rpc('merge_customers', {
+            p_target_id: targetId,
+            p_source_id: sourceId,
+            p_merged_by: mergedBy || null
+        });
+        if (error) throw error;
+
+        console.log(`🔗 Merged customer ${sourceId} into ${targetId} (${data} orders moved)`);
+        return { success: true, movedOrders: data };
+    } catch (error) {
+        console.error('Error merging customers:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Mark two customers as different people so they are not suggested again
+ */
+export const markNotDuplicates = async (customerIdA, customerIdB, decidedBy) => {
+    try {
+        const [customerA, customerB] = [customerIdA, customerIdB].sort();
+        const { error } = await supabase
+            .from(DISTINCT_PAIRS_TABLE)
+            .upsert({ customer_a: customerA, customer_b: customerB, decided_by: decidedBy || null });
+
+        if (error) throw error;
+        return { success: true };
+    } catch (error) {
+        console.error('Error dismissing duplicate customers:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Past merges, newest first
+ */
+export const loadCustomerMerges = async () => {
+    try {
+        const { data, error } = await supabase
+            .from(MERGES_TABLE)
+            .select('*')
+            .order('merged_at', { ascending: false })
+            .limit(100);
+
+        if (error) throw error;
+        return { success: true, merges: data };
+    } catch (error) {
+        console.error('Error loading customer merges:', error);
+        return { success: false, error: error.message, merges: [] };
+    }
+};
+
+/**
+ * Undo a merge: the source customer comes back with the orders it had and the pair
+ * is marked as different people, so imports and suggestions keep them apart
+ * @returns {Object} { success, movedOrders }
+ */
+export const splitCustomer = async (sourceId, decidedBy) => {
+    try {
+        const { data, error } = await supabase.rpc('split_customer', {
+            p_source_id: sourceId,
+            p_decided_by: decidedBy || null
+        });
+        if (error) throw error;
+
+        console.log(`✂️ Split customer ${sourceId} (${data} orders moved back)`);
+        return { success: true, movedOrders: data };
+    } catch (error) {
+        console.error('Error splitting customer:', error);
+        return { success: false, error: error.message };
+    }
+};
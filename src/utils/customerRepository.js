@@ -0,0 +1,94 @@
+import { STORAGE_PROVIDER } from '../config/storage';
+
+// One interface over every storage backend (supabaseUtils, firestoreUtils, pocketbaseUtils, memoryRepository).
+// Orders come in and go out flat (one entry per order with its customer fields), as produced by the import.
+//
+//   saveCustomers(orders, { batchId })                 → { success, count, timestamp }
+//   replaceCustomers(orders, { batchId, onProgress })  → { success, count, timestamp }  (FULL mode)
+//   saveCustomersIncremental(orders, { batchId })      → { success, count, inserted, updated, skipped, customerIds, timestamp }
+//   loadCustomers()                                    → { success, customers (flat orders), count, timestamp }
+//   clearAllData()                                     → { success, deletedCount }
+//   updateCustomer(customerId, data)                   → { success }
+//   getLatestOrderDate()                               → Date | null
+//
+// Failures resolve to { success: false, error } instead of throwing.
+// features lists what a backend offers beyond the interface:
+//   importHistory - import batches with snapshots and rollback (importBatches.js)
+//   serverQueries - filtered queries and the delta-synced local cache (orderQueries.js, orderCache.js)
+//   atomicReplace - a failed replaceCustomers leaves the previous data untouched
+//   customerMerging - duplicate customer review with merge/split that later imports respect (customerMerges.js)
+
+export const REPOSITORY_METHODS = [
+    'saveCustomers',
+    'replaceCustomers',
+    'saveCustomersIncremental',
+    'loadCustomers',
+    'clearAllData',
+    'updateCustomer',
+    'getLatestOrderDate'
+];
+
+const DEFAULT_FEATURES = { importHistory: false, serverQueries: false, atomicReplace: false, customerMerging: false };
+
+// Loaded on demand so only the selected backend's SDK ends up in use
+const PROVIDERS = {
+    supabase: () => import('./supabaseUtils').then(module => module.supabaseRepository),
+    firestore: () => import('./firestoreUtils').then(module => module.firestoreRepository),
+    pocketbase: () => import('./pocketbaseUtils').then(module => module.pocketbaseRepository),
+    memory: () => import('./memoryRepository').then(module => module.createMemoryRepository())
+};
+
+/**
+ * Check a backend against the interface and wrap it as a repository
+ * @param {Object} implementation - Object with every REPOSITORY_METHODS function and optional features
+ * @param {string} name - Provider name, used in errors and logs
+ */
+export const createCustomerRepository = (implementation, name) => {
+    const missing = REPOSITORY_METHODS.filter(method => typeof implementation?.[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`El almacenamiento "${name}" no implementa: ${missing.join(', ')}`);
+    }
+
+    const repository = {
+        name,
+        features: { ...DEFAULT_FEATURES, ...implementation.features }
+    };
+    REPOSITORY_METHODS.forEach(method => {
+        repository[method] = implementation[method];
+    });
+    return repository;
+};
+
+let repositoryPromise = null;
+
+/**
+ * Repository of the configured provider (VITE_STORAGE_PROVIDER)
+ * @returns {Promise<Object>} { name, features, ...REPOSITORY_METHODS }
+ */
+export const getCustomerRepository = () => {
+    if (!repositoryPromise) {
+        const load = PROVIDERS[STORAGE_PROVIDER];
+        if (!load) {
+            return Promise.reject(new Error(`Proveedor de almacenamiento desconocido: "${STORAGE_PROVIDER}"`));
+        }
+
+        repositoryPromise = load()
+            .then(implementation => {
+                console.log(`🗄️ Storage provider: ${STORAGE_PROVIDER}`);
+                return createCustomerRepository(implementation, STORAGE_PROVIDER);
+            })
+            .catch(error => {
+                repositoryPromise = null; // Let the next call try again (e.g. a chunk that failed to download)
+                throw error;
+            });
+    }
+    return repositoryPromise;
+};
+
+/**
+ * The configured repository's methods, callable without awaiting getCustomerRepository first
+ */
+export const customerRepository = Object.fromEntries(REPOSITORY_METHODS.map(method => [
+    method,
+    async (...args) => (await getCustomerRepository())[method](...args)
+]));
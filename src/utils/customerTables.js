@@ -0,0 +1,292 @@
+import { supabase } from '../config/supabase';
+import { toStoredOrderDate } from './orderDates';
+
+// Normalized layout: customers 1─n orders 1─n order_items (see supabase_setup.sql)
+const CUSTOMERS_TABLE = 'customers';
+const ORDERS_TABLE = 'orders';
+const STAGING_TABLE = 'customers_staging';
+
+const PAGE_SIZE = 1000; // Supabase caps a select at 1000 rows
+const WRITE_BATCH_SIZE = 100;
+const FILTER_BATCH_SIZE = 100; // ids per .in() filter, keeps the request URL short
+
+const ORDER_COLUMNS = 'order_id, raw_id, order_date, total_amount, channel, status, status_category, pos_user, gestor_name, gestor_zone, batch_id, email_original, phone_original, identity_original, order_items(line_number, sku, description, quantity, total)';
+const CUSTOMER_COLUMNS = 'customer_id, name, email, phone, city, identity, email_original, phone_original, identity_original';
+
+// One order with its items and customer embedded (the flat order rows the dashboards use)
+export const FLAT_ORDER_COLUMNS = `${ORDER_COLUMNS}, customers(${CUSTOMER_COLUMNS})`;
+
+/**
+ * Utility: Add delay between batches
+ */
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Page through a select until every row is read
+ */
+export const fetchAllRows = async (buildQuery) => {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) return rows;
+    }
+};
+
+/**
+ * orders row (with its order_items) → order object used across the app
+ */
+export const toAppOrder = (row) => ({
+    orderId: row.order_id,
+    rawId: row.raw_id,
+    orderDate: row.order_date,
+    totalAmount: Number(row.total_amount) || 0,
+    items: (row.order_items || [])
+        .slice()
+        .sort((a, b) => a.line_number - b.line_number)
+        .map(item => ({
+            sku: item.sku || '',
+            description: item.description || '',
+            quantity: Number(item.quantity) || 0,
+            total: Number(item.total) || 0
+        })),
+    channel: row.channel,
+    status: row.status || '',
+    statusCategory: row.status_category || 'delivered',
+    // Gestor information
+    posUser: row.pos_user || '',
+    gestorName: row.gestor_name || null,
+    gestorZone: row.gestor_zone || null,
+    batchId: row.batch_id || null,
+    // Contact values as this order's file row had them (see utils/contactNormalization.js)
+    emailOriginal: row.email_original || '',
+    phoneOriginal: row.phone_original || '',
+    identityOriginal: row.identity_original || ''
+});
+
+/**
+ * orders row with embedded customer and items → flat order with the customer fields on it
+ */
+export const toFlatOrder = (row) => {
+    const customer = row.customers || {};
+
+    return {
+        // Customer info
+        customerId: customer.customer_id || row.customer_id || null,
+        name: customer.name || 'Sin nombre',
+        email: customer.email || '',
+        phone: customer.phone || '',
+        city: customer.city || '',
+        identity: customer.identity || 'No se encontró',
+
+        // Order info
+        ...toAppOrder(row)
+    };
+};
+
+// customers row with embedded orders → { customer_id, ..., orders: [...] } (shape kept in snapshots)
+const toCustomerRow = (customer) => ({
+    customer_id: customer.customer_id,
+    name: customer.name,
+    email: customer.email,
+    phone: customer.phone,
+    city: customer.city,
+    identity: customer.identity,
+    email_original: customer.email_original,
+    phone_original: customer.phone_original,
+    identity_original: customer.identity_original,
+    orders: (customer.orders || []).map(toAppOrder)
+});
+
+/**
+ * Read customers with their orders and items
+ * @param {Array} customerIds - Ids to read
+ * @returns {Array} [{ customer_id, name, email, phone, city, identity, *_original, orders }]
+ */
+export const fetchCustomerRows = async (customerIds) => {
+    const ids = [...new Set(customerIds)];
+    const customers = [];
+
+    for (let i = 0; i < ids.length; i += FILTER_BATCH_SIZE) {
+        const { data, error } = await supabase
+            .from(CUSTOMERS_TABLE)
+            .select(`${CUSTOMER_COLUMNS}, orders(${ORDER_COLUMNS})`)
+            .in('customer_id', ids.slice(i, i + FILTER_BATCH_SIZE));
+
+        if (error) throw error;
+        customers.push(...data.map(toCustomerRow));
+    }
+
+    return customers;
+};
+
+/**
+ * Read every customer with their orders (backups before a full reload)
+ */
+export const fetchAllCustomerRows = async () => {
+    const customers = await fetchAllRows(() => supabase
+        .from(CUSTOMERS_TABLE)
+        .select(`${CUSTOMER_COLUMNS}, orders(${ORDER_COLUMNS})`)
+        .order('customer_id'));
+
+    return customers.map(toCustomerRow);
+};
+
+/**
+ * Ids of the customers holding at least one order written by an import batch
+ */
+export const fetchCustomerIdsForBatch = async (batchId) => {
+    const rows = await fetchAllRows(() => supabase
+        .from(ORDERS_TABLE)
+        .select('customer_id, order_id')
+        .eq('batch_id', batchId)
+        .order('order_id'));
+
+    return [...new Set(rows.map(row => row.customer_id))];
+};
+
+/**
+ * Server-side lookup of the stored customers an upload can touch:
+ * owners of matching orders (orderId/rawId) and customers matching by id, email, phone or name
+ * @returns {Array} customer ids
+ */
+export const findImportCustomerIds = async ({ orderIds = [], rawIds = [], customerIds = [], emails = [], phones = [], names = [] }) => {
+    const { data, error } = await supabase.rpc('find_import_customer_ids', {
+        p_order_ids: orderIds,
+        p_raw_ids: rawIds,
+        p_customer_ids: customerIds,
+        p_emails: emails,
+        p_phones: phones,
+        p_names: names
+    });
+
+    if (error) throw error;
+    return data.map(row => row.customer_id);
+};
+
+/**
+ * Write customers with their complete order lists. Each chunk is one database transaction
+ * (write_customer_rows): the customer is upserted and its orders/items are replaced by the given ones.
+ * @param {Array} rows - [{ customer_id, name, email, phone, city, identity, *_original, orders }]
+ * @param {Function} onChunk - Called with the number of customers written so far
+ */
+export const writeCustomerRows = async (rows, onChunk) => {
+    let written = 0;
+
+    for (let i = 0; i < rows.length; i += WRITE_BATCH_SIZE) {
+        const chunk = rows.slice(i, i + WRITE_BATCH_SIZE).map(customer => ({
+            ...customer,
+            orders: (customer.orders || []).map(order => ({
+                ...order,
+                orderDate: toStoredOrderDate(order.orderDate)
+            }))
+        }));
+
+        const { error } = await supabase.rpc('write_customer_rows', { p_rows: chunk });
+        if (error) {
+            console.error(`Error in batch ${Math.floor(i / WRITE_BATCH_SIZE) + 1}:`, error);
+            throw error;
+        }
+
+        written += chunk.length;
+        onChunk?.(written);
+
+        // Small delay between batches
+        if (i + WRITE_BATCH_SIZE < rows.length) {
+            await delay(100);
+        }
+    }
+
+    return written;
+};
+
+/**
+ * Delete customers; their orders and items go with them (ON DELETE CASCADE)
+ */
+export const deleteCustomerRows = async (customerIds) => {
+    for (let i = 0; i < customerIds.length; i += FILTER_BATCH_SIZE) {
+        const { error } = await supabase
+            .from(CUSTOMERS_TABLE)
+            .delete()
+            .in('customer_id', customerIds.slice(i, i + FILTER_BATCH_SIZE));
+        if (error) throw error;
+    }
+};
+
+/**
+ * Delete every customer, order and item
+ */
+export const deleteAllCustomerRows = async () => {
+    const { error } = await supabase
+        .from(CUSTOMERS_TABLE)
+        .delete()
+        .neq('customer_id', ''); // Delete all (workaround for "delete all")
+
+    if (error) throw error;
+};
+
+/**
+ * Replace every customer with the given rows without a half-empty window: the rows are staged
+ * in customers_staging and swapped in by publish_customers_staging in one database transaction.
+ * On any failure the staged rows are discarded, the current data stays live and the error is rethrown.
+ * @param {Array} rows - [{ customer_id, name, email, phone, city, identity, *_original, orders }]
+ * @param {Object} options - { stagingId, onChunk(staged), onPublish() }
+ * @returns {number} Customers published
+ */
+export const replaceAllCustomerRows = async (rows, { stagingId = crypto.randomUUID(), onChunk, onPublish } = {}) => {
+    // The publish function refuses an empty batch; an empty table is a single atomic delete
+    if (rows.length === 0) {
+        await deleteAllCustomerRows();
+        return 0;
+    }
+
+    try {
+        // Step 1: Stage every customer; nothing visible changes yet
+        let staged = 0;
+        for (let i = 0; i < rows.length; i += WRITE_BATCH_SIZE) {
+            const chunk = rows.slice(i, i + WRITE_BATCH_SIZE).map(customer => ({
+                ...customer,
+                batch_id: stagingId,
+                orders: (customer.orders || []).map(order => ({
+                    ...order,
+                    orderDate: toStoredOrderDate(order.orderDate)
+                }))
+            }));
+
+            const { error } = await supabase
+                .from(STAGING_TABLE)
+                .upsert(chunk, {
+                    onConflict: 'batch_id,customer_id',
+                    ignoreDuplicates: false
+                });
+            if (error) {
+                console.error(`Error staging batch ${Math.floor(i / WRITE_BATCH_SIZE) + 1}:`, error);
+                throw error;
+            }
+
+            staged += chunk.length;
+            onChunk?.(staged);
+
+            if (i + WRITE_BATCH_SIZE < rows.length) {
+                await delay(100);
+            }
+        }
+
+        // Step 2: Swap the staged rows in atomically
+        onPublish?.();
+        const { data: publishedCount, error: publishError } = await supabase
+            .rpc('publish_customers_staging', { p_batch_id: stagingId });
+        if (publishError) throw publishError;
+
+        return publishedCount;
+    } catch (error) {
+        const { error: discardError } = await supabase
+            .from(STAGING_TABLE)
+            .delete()
+            .eq('batch_id', stagingId);
+        if (discardError) console.warn('Could not discard staged rows:', discardError);
+
+        throw error;
+    }
+};
@@ -1,18 +1,100 @@
 import * as XLSX from 'xlsx';
 import { getGestorInfo } from '../config/gestores';
+import { getStatusCategory } from '../config/orderStatuses';
+import { resolveColumnMapping, createFieldReader } from './columnMapping';
+import { isCsvFile, decodeCsvBuffer, detectDelimiter } from './csvParsing';
+import { normalizePhoneNumber, normalizeEmailAddress, normalizeDni } from './contactNormalization';
+import { matchesContactTerm } from './customerIdentity';
+import { getProductItems, getProductAmount } from './productLines';
+import { matchesItemTerm, getProductAttributeValue } from './productCatalog';
+
+const PARSE_CHUNK_SIZE = 10000;
+
+// Header names as sheet_to_json builds them: blanks become __EMPTY, repeats get a _n suffix
+const buildSheetHeaders = (headerRow) => {
+    const seen = {};
+    return headerRow.map((cell) => {
+        const base = cell === null || cell === undefined ? '__EMPTY' : String(cell);
+        let name = base;
+        let counter = seen[base] || 0;
+        if (!counter) {
+            seen[base] = 1;
+        } else {
+            do {
+                name = `${base}_${counter++}`;
+            } while (seen[name]);
+            seen[base] = counter;
+            seen[name] = 1;
+        }
+        return name;
+    });
+};
+
+// Open a file buffer as a workbook. CSV is decoded and split here (SheetJS would guess
+// the encoding and turn ids like '0012' into numbers); everything else goes to XLSX.read
+export const readWorkbook = (buffer, { fileName = '', sheetRows = 0 } = {}) => {
+    if (isCsvFile(fileName)) {
+        const { text, encoding } = decodeCsvBuffer(buffer);
+        const delimiter = detectDelimiter(text);
+        const workbook = XLSX.read(text, { type: 'string', FS: delimiter, raw: true, sheetRows });
+        return { workbook, format: 'csv', encoding, delimiter };
+    }
+
+    const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array', sheetRows });
+    return { workbook, format: 'excel', encoding: null, delimiter: null };
+};
+
+// Parse one sheet of a file buffer to JSON rows (first sheet unless sheetName is given)
+// XLSX.read opens the whole workbook in one synchronous step and cannot report progress;
+// the rows are then read from the sheet PARSE_CHUNK_SIZE at a time and onProgress(readRows, totalRows)
+// is called after each range
+export const parseSheetRows = (buffer, { fileName = '', sheetName = null, onProgress = null } = {}) => {
+    const { workbook } = readWorkbook(buffer, { fileName });
+    const worksheet = workbook.Sheets[sheetName || workbook.SheetNames[0]];
+    if (sheetName && !worksheet) throw new Error(`La hoja "${sheetName}" no existe en ${fileName}`);
+    if (!worksheet || !worksheet['!ref']) return [];
+
+    const range = XLSX.utils.decode_range(worksheet['!ref']);
+    const width = range.e.c - range.s.c + 1;
+
+    // Header row without defval so missing cells (undefined) can be told apart from empty strings
+    const [headerRow = []] = XLSX.utils.sheet_to_json(worksheet, {
+        header: 1,
+        raw: false,
+        range: { s: range.s, e: { r: range.s.r, c: range.e.c } }
+    });
+    const headers = buildSheetHeaders(Array.from({ length: width }, (_, col) => headerRow[col]));
 
-// Helper to parse Excel file to JSON
-export const parseExcel = (file) => {
+    const totalRows = range.e.r - range.s.r;
+    const rows = [];
+    for (let start = range.s.r + 1; start <= range.e.r; start += PARSE_CHUNK_SIZE) {
+        const end = Math.min(start + PARSE_CHUNK_SIZE - 1, range.e.r);
+        const chunk = XLSX.utils.sheet_to_json(worksheet, {
+            header: 1,
+            defval: '',
+            raw: false,
+            blankrows: false,
+            range: { s: { r: start, c: range.s.c }, e: { r: end, c: range.e.c } }
+        });
+        chunk.forEach((values) => {
+            const row = {};
+            headers.forEach((header, col) => {
+                row[header] = values[col] ?? '';
+            });
+            rows.push(row);
+        });
+        if (onProgress) onProgress(end - range.s.r, totalRows);
+    }
+    return rows;
+};
+
+// Helper to parse Excel or CSV file to JSON
+export const parseExcel = (file, sheetName = null) => {
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
         reader.onload = (e) => {
             try {
-                const data = new Uint8Array(e.target.result);
-                const workbook = XLSX.read(data, { type: 'array' });
-                const firstSheetName = workbook.SheetNames[0];
-                const worksheet = workbook.Sheets[firstSheetName];
-                const jsonData = XLSX.utils.sheet_to_json(worksheet, { defval: '', raw: false });
-                resolve(jsonData);
+                resolve(parseSheetRows(e.target.result, { fileName: file.name, sheetName }));
             } catch (error) {
                 reject(error);
             }
@@ -22,64 +104,102 @@ export const parseExcel = (file) => {
     });
 };
 
+// Read sheet names and the header row of a file (used by the upload form and column mapping editor)
+// Returns { sheetNames, sheetName, headers, format, encoding, delimiter }
+export const readFileInfo = (file, sheetName = null) => {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const { workbook, ...details } = readWorkbook(e.target.result, { fileName: file.name, sheetRows: 1 });
+                const selectedSheet = workbook.SheetNames.includes(sheetName) ? sheetName : workbook.SheetNames[0];
+                const worksheet = workbook.Sheets[selectedSheet];
+                const [headerRow = []] = worksheet ? XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' }) : [];
+                resolve({
+                    ...details,
+                    sheetNames: workbook.SheetNames,
+                    sheetName: selectedSheet,
+                    headers: headerRow.map(h => String(h).trim()).filter(Boolean)
+                });
+            } catch (error) {
+                reject(error);
+            }
+        };
+        reader.onerror = (error) => reject(error);
+        reader.readAsArrayBuffer(file);
+    });
+};
+
+// Robust Date Parsing for 'Pedido Generado'
+export const parseOrderDate = (dateVal) => {
+    if (!dateVal) return null;
+    // If it's a number (Excel serial date) - though we use raw:false, sometimes it leaks or if changed later
+    if (typeof dateVal === 'number') {
+        return new Date(Math.round((dateVal - 25569) * 86400 * 1000));
+    }
+
+    // If string
+    if (typeof dateVal === 'string') {
+        // Try standard date first
+        let d = new Date(dateVal);
+        if (!isNaN(d.getTime())) return dateVal; // If standard parsing works (e.g. YYYY-MM-DD), keep it.
+
+        // Try DD/MM/YYYY format which is common in LATAM
+        const parts = dateVal.split('/');
+        if (parts.length === 3) {
+            // Swap to MM/DD/YYYY for JS parsing or YYYY-MM-DD
+            return `${parts[2]}-${parts[1]}-${parts[0]}`;
+        }
+    }
+    return dateVal;
+};
+
+// Normalize an Albatross order number: strip leading zeros and the '-I' suffix
+export const normalizeOrderId = (rawId) => {
+    return String(rawId || '').replace(/^0+/, '').replace(/-I$/, '');
+};
+
 // Clean Albatross Data
 // Requirement: Order ID starts with '00', remove it. May end with '-I', remove it.
-// NEW Requirement: Only 'Entregado' status.
+// Every status is kept; statusCategory groups it (see config/orderStatuses.js) so metrics can default to delivered orders
 // NEW: Extract 'Usuario POS' field and map to gestor info
-export const cleanAlbatrossData = (data) => {
+// Phone and email are normalized (see contactNormalization.js); invalid ones are left empty
+// and the file's value is kept in phoneOriginal / emailOriginal
+// Columns are read through the mapping (see config/columnMappings.js); throws if a required one is missing
+export const cleanAlbatrossData = (data, columnMapping = null) => {
+    const get = createFieldReader(resolveColumnMapping(data, 'albatross', columnMapping));
+
     return data
-        .filter(row => row['Estado'] === 'Entregado')
         .map((row) => {
-            let rawId = String(row['Número de Pedido'] || '');
+            let rawId = String(get(row, 'orderId') || '');
 
-            // Remove leading zeros
-            let cleanedId = rawId.replace(/^0+/, '');
-
-            // Remove '-I' suffix if present
-            cleanedId = cleanedId.replace(/-I$/, '');
+            // Remove leading zeros and '-I' suffix if present
+            const cleanedId = normalizeOrderId(rawId);
 
             // Extract POS User and map to gestor info
-            const posUserEmail = row['Usuario POS'] || '';
+            const posUserEmail = get(row, 'posUser') || '';
             const gestorInfo = getGestorInfo(posUserEmail);
 
-            // Keep only relevant fields, but keep originalRow for export
-            // Robust Date Parsing
-            const parseDate = (dateVal) => {
-                if (!dateVal) return null;
-                // If it's a number (Excel serial date) - though we use raw:false, sometimes it leaks or if changed later
-                if (typeof dateVal === 'number') {
-                    return new Date(Math.round((dateVal - 25569) * 86400 * 1000));
-                }
-
-                // If string
-                if (typeof dateVal === 'string') {
-                    // Try standard date first
-                    let d = new Date(dateVal);
-                    if (!isNaN(d.getTime())) return dateVal; // If standard parsing works (e.g. YYYY-MM-DD), keep it.
-
-                    // Try DD/MM/YYYY format which is common in LATAM
-                    const parts = dateVal.split('/');
-                    if (parts.length === 3) {
-                        // Swap to MM/DD/YYYY for JS parsing or YYYY-MM-DD
-                        return `${parts[2]}-${parts[1]}-${parts[0]}`;
-                    }
-                }
-                return dateVal;
-            };
+            const email = normalizeEmailAddress(get(row, 'email'));
+            const phone = normalizePhoneNumber(get(row, 'phone'));
 
+            // Keep only relevant fields, but keep originalRow for export
             return {
                 orderId: cleanedId,
                 rawId: rawId,
-                channel: row['Canal'],
-                orderType: row['Tipo de Pedido'],
-                paymentType: row['Tipo de pago o descuento'],
-                status: row['Estado'],
-                customerName: row['Cliente'],
-                email: row['Correo electrónico del cliente'],
-                phone: row['Celular del cliente'],
-                city: row['Ciudad'],
-                pharmacy: row['Farmacia'],
-                orderDate: parseDate(row['Pedido Generado']),
+                channel: get(row, 'channel'),
+                orderType: get(row, 'orderType'),
+                paymentType: get(row, 'paymentType'),
+                status: get(row, 'status'),
+                statusCategory: getStatusCategory(get(row, 'status')),
+                customerName: get(row, 'customerName'),
+                email: email.value,
+                emailOriginal: email.original,
+                phone: phone.value,
+                phoneOriginal: phone.original,
+                city: get(row, 'city'),
+                pharmacy: get(row, 'pharmacy'),
+                orderDate: parseOrderDate(get(row, 'orderDate')),
                 // POS User / Gestor Information
                 posUser: posUserEmail,
                 gestorName: gestorInfo?.gestor || null,
@@ -91,11 +211,12 @@ export const cleanAlbatrossData = (data) => {
 
 // Process RMS Data
 // Modified to keep detailed item info for filtering and tooltips
-export const processRMSData = (data) => {
+export const processRMSData = (data, columnMapping = null) => {
+    const get = createFieldReader(resolveColumnMapping(data, 'rms', columnMapping));
     const grouped = {};
 
     data.forEach((row) => {
-        const orderId = String(row['Pedido'] || '');
+        const orderId = String(get(row, 'orderId') || '');
         if (!orderId) return;
 
         if (!grouped[orderId]) {
@@ -103,25 +224,30 @@ export const processRMSData = (data) => {
                 totalAmount: 0,
                 // storage for detailed items
                 items: [],
-                identity: null
+                identity: null,
+                identityOriginal: null
             };
         }
 
         // Sum Total
-        const amount = parseFloat(row['Total']) || 0;
+        const amount = parseFloat(get(row, 'total')) || 0;
         grouped[orderId].totalAmount += amount;
 
         // Store Item Details
         grouped[orderId].items.push({
-            sku: String(row['Codigo'] || ''),
-            description: row['Descripcion'] || '',
-            quantity: parseFloat(row['Cantidad']) || 0,
+            sku: String(get(row, 'sku') || ''),
+            description: get(row, 'description') || '',
+            quantity: parseFloat(get(row, 'quantity')) || 0,
             total: amount
         });
 
-        // Collect Identity (Prefer non-zero)
-        if (row['Identidad'] && String(row['Identidad']) !== '0' && !grouped[orderId].identity) {
-            grouped[orderId].identity = String(row['Identidad']);
+        // Collect Identity (first valid one, without separators; see contactNormalization.js)
+        const identity = normalizeDni(get(row, 'identity'));
+        if (identity.value && !grouped[orderId].identity) {
+            grouped[orderId].identity = identity.value;
+            grouped[orderId].identityOriginal = identity.original;
+        } else if (identity.original && !grouped[orderId].identityOriginal) {
+            grouped[orderId].identityOriginal = identity.original;
         }
     });
 
@@ -138,14 +264,16 @@ export const joinDatasets = (albatrossData, rmsDataMap) => {
                 ...order,
                 totalAmount: rmsInfo.totalAmount,
                 items: rmsInfo.items,
-                identity: rmsInfo.identity || 'No se encontró'
+                identity: rmsInfo.identity || 'No se encontró',
+                identityOriginal: rmsInfo.identityOriginal || ''
             };
         } else {
             return {
                 ...order,
                 items: [],
                 totalAmount: 0,
-                identity: 'No se encontró'
+                identity: 'No se encontró',
+                identityOriginal: ''
             };
         }
     });
@@ -173,9 +301,9 @@ export const filterData = (data, query) => {
         const phone = item.phone ? String(item.phone).toLowerCase() : '';
         const identity = item.identity ? String(item.identity).toLowerCase() : '';
 
-        // SKU check: does this order contain ANY of the terms?
+        // SKU check: does this order contain ANY of the terms? ('categoria:...' style terms match the catalog)
         const hasSku = item.items && item.items.some(prod =>
-            terms.some(term => prod.sku.toLowerCase().includes(term))
+            terms.some(term => matchesItemTerm(prod, term))
         );
 
         // If the query looks like an exact SKU list (numbers), we might want strict matching?
@@ -183,34 +311,18 @@ export const filterData = (data, query) => {
 
         // Also check basic fields if terms is size 1 (standard search)
         if (terms.length === 1) {
-            return hasSku || name.includes(terms[0]) || email.includes(terms[0]) || phone.includes(terms[0]) || identity.includes(terms[0]);
+            return hasSku || name.includes(terms[0]) || email.includes(terms[0]) || phone.includes(terms[0]) || identity.includes(terms[0]) ||
+                matchesContactTerm(item, terms[0]);
         }
 
         return hasSku;
     });
 };
 
-// Filter data by date (for incremental uploads)
-// Returns only orders with orderDate AFTER the specified cutoff date
-export const filterDataByDate = (data, cutoffDate) => {
-    if (!cutoffDate) return data;
-
-    const cutoffTime = new Date(cutoffDate).getTime();
-
-    const filtered = data.filter(order => {
-        const orderDate = new Date(order.orderDate);
-        if (isNaN(orderDate)) return false;
-
-        return orderDate.getTime() > cutoffTime;
-    });
-
-    console.log(`📊 Filtered data: ${data.length} total → ${filtered.length} after ${cutoffDate.toLocaleDateString('es-HN')}`);
-
-    return filtered;
-};
-
 // Export to Excel with Monthly SKU Breakdown
-export const exportToExcel = (customers, activeQuery) => {
+// groupBy 'sku' makes a column per month and filtered SKU; a catalog attribute ('category', 'brand', ...,
+// see config/productCatalog.js) makes one per month and attribute value, with or without a filter
+export const exportToExcel = (customers, activeQuery, groupBy = 'sku') => {
     // Parse active query to get filtered SKUs
     const terms = activeQuery ? activeQuery.split(/[\n,]+/).map(t => t.trim().toLowerCase()).filter(Boolean) : [];
 
@@ -218,6 +330,7 @@ export const exportToExcel = (customers, activeQuery) => {
     let minTime = Infinity;
     let maxTime = -Infinity;
     const skuSet = new Set();
+    const columnKey = (item) => (groupBy === 'sku' ? item.sku : getProductAttributeValue(item.sku, groupBy));
 
     customers.forEach(customer => {
         customer.orders.forEach(order => {
@@ -228,11 +341,11 @@ export const exportToExcel = (customers, activeQuery) => {
                 if (t > maxTime) maxTime = t;
             }
 
-            // Collect SKUs that match the filter
-            if (terms.length > 0 && order.items) {
-                order.items.forEach(item => {
-                    if (terms.some(term => item.sku.toLowerCase().includes(term))) {
-                        skuSet.add(item.sku);
+            // Collect SKUs (or attribute values) that match the filter
+            if ((terms.length > 0 || groupBy !== 'sku') && order.items) {
+                getProductItems(order.items).forEach(item => {
+                    if (terms.length === 0 || terms.some(term => matchesItemTerm(item, term))) {
+                        skuSet.add(columnKey(item));
                     }
                 });
             }
@@ -278,10 +391,10 @@ export const exportToExcel = (customers, activeQuery) => {
             const monthKey = `${orderDate.getFullYear()}-${String(orderDate.getMonth() + 1).padStart(2, '0')}`;
 
             if (order.items) {
-                order.items.forEach(item => {
+                getProductItems(order.items).forEach(item => {
                     // Only count items that match the filter
-                    if (terms.length === 0 || terms.some(term => item.sku.toLowerCase().includes(term))) {
-                        const key = `${monthKey}-${item.sku}`;
+                    if (terms.length === 0 || terms.some(term => matchesItemTerm(item, term))) {
+                        const key = `${monthKey}-${columnKey(item)}`;
                         salesMap[key] = (salesMap[key] || 0) + (item.quantity || 0);
                     }
                 });
@@ -294,7 +407,9 @@ export const exportToExcel = (customers, activeQuery) => {
             'Correo electrónico del cliente': customer.email || '',
             'Celular del cliente': customer.phone || '',
             'Identidad': customer.identity || '',
-            'Total Gastado': customer.orders.reduce((acc, o) => acc + (parseFloat(o.totalAmount) || 0), 0).toFixed(2)
+            'Total Gastado': customer.orders.reduce((acc, o) => acc + getProductAmount(o), 0).toFixed(2),
+            'Riesgo de abandono (%)': customer.churn ? Math.round(customer.churn.risk * 100) : '',
+            'Valor proyectado 12 meses (L.)': customer.clv ? customer.clv.value.toFixed(2) : ''
         };
 
         // Add dynamic columns for each month-SKU combination
@@ -11,6 +11,9 @@ import {
     limit
 } from 'firebase/firestore';
 import { db } from '../config/firebase';
+import { groupOrdersByCustomer, createOrderMerge, pickOriginal } from './orderMerge';
+import { getCustomerLookupKeys, toCustomerId } from './customerIdentity';
+import { getOrderStatusCategory } from '../config/orderStatuses';
 
 const COLLECTION_NAME = 'customers';
 
@@ -23,42 +26,14 @@ const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
  * Save customers to Firestore (optimized for large datasets)
  * Groups orders by customer to reduce data size
  * Uses batch writes with size limits
+ * options.batchId tags every order with the import that wrote it
  */
-export const saveCustomersToFirestore = async (orders) => {
+export const saveCustomersToFirestore = async (orders, { batchId = null } = {}) => {
     try {
         console.log(`Starting Firestore save for ${orders.length} orders...`);
 
         // Step 1: Group orders by customer
-        const customerMap = {};
-        orders.forEach(order => {
-            const key = order.email || order.phone || `unknown_${order.customerName || order.name}`;
-
-            if (!customerMap[key]) {
-                customerMap[key] = {
-                    name: order.customerName || order.name,
-                    email: order.email,
-                    phone: order.phone,
-                    city: order.city,
-                    identity: order.identity,
-                    orders: []
-                };
-            }
-
-            customerMap[key].orders.push({
-                orderId: order.orderId,
-                rawId: order.rawId,
-                orderDate: order.orderDate,
-                totalAmount: order.totalAmount,
-                items: order.items || [],
-                channel: order.channel,
-                // Gestor information
-                posUser: order.posUser || '',
-                gestorName: order.gestorName || null,
-                gestorZone: order.gestorZone || null
-            });
-        });
-
-        const customers = Object.values(customerMap);
+        const customers = groupOrdersByCustomer(orders, batchId);
         console.log(`Grouped into ${customers.length} unique customers`);
 
         // Helper: Remove undefined values (Firestore doesn't allow them)
@@ -88,11 +63,7 @@ export const saveCustomersToFirestore = async (orders) => {
             const chunk = customers.slice(i, i + BATCH_SIZE);
 
             chunk.forEach((customer) => {
-                const docId = customer.email
-                    ? customer.email.replace(/[^a-zA-Z0-9]/g, '_')
-                    : customer.phone
-                        ? customer.phone.replace(/[^a-zA-Z0-9]/g, '_')
-                        : `customer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+                const docId = toCustomerId(customer);
 
                 const docRef = doc(db, COLLECTION_NAME, docId);
 
@@ -103,6 +74,9 @@ export const saveCustomersToFirestore = async (orders) => {
                     phone: customer.phone || '',
                     city: customer.city || '',
                     identity: customer.identity || '',
+                    emailOriginal: customer.emailOriginal || '',
+                    phoneOriginal: customer.phoneOriginal || '',
+                    identityOriginal: customer.identityOriginal || '',
                     orders: customer.orders || [],
                     lastUpdated: serverTimestamp()
                 });
@@ -154,6 +128,7 @@ export const loadCustomersFromFirestore = async () => {
                 customer.orders.forEach(order => {
                     orders.push({
                         // Customer info (with fallbacks to prevent undefined)
+                        customerId: doc.id,
                         name: customer.name || 'Sin nombre',
                         email: customer.email || '',
                         phone: customer.phone || '',
@@ -167,11 +142,18 @@ export const loadCustomersFromFirestore = async () => {
                         totalAmount: order.totalAmount,
                         items: order.items || [],
                         channel: order.channel,
+                        status: order.status || '',
+                        statusCategory: getOrderStatusCategory(order),
 
                         // Gestor information
                         posUser: order.posUser || '',
                         gestorName: order.gestorName || null,
-                        gestorZone: order.gestorZone || null
+                        gestorZone: order.gestorZone || null,
+
+                        // Contact values as the file row had them
+                        emailOriginal: order.emailOriginal || '',
+                        phoneOriginal: order.phoneOriginal || '',
+                        identityOriginal: order.identityOriginal || ''
                     });
                 });
             }
@@ -290,58 +272,36 @@ export const getLatestOrderDate = async () => {
 
 /**
  * Save customers to Firestore in INCREMENTAL mode
- * Merges new orders with existing customer data instead of replacing
+ * Merges new orders with existing customer data instead of replacing;
+ * only customers with new or changed orders are written
+ * @returns {Object} { success, count, inserted, updated, skipped, customerIds, timestamp }
  */
-export const saveCustomersToFirestoreIncremental = async (orders) => {
+export const saveCustomersToFirestoreIncremental = async (orders, { batchId = null } = {}) => {
     try {
         console.log(`Starting INCREMENTAL Firestore save for ${orders.length} orders...`);
 
         // Step 1: Get existing customers from Firestore
         const existingCustomersMap = {};
+        const storedCustomers = [];
         const querySnapshot = await getDocs(collection(db, COLLECTION_NAME));
 
         querySnapshot.forEach((doc) => {
-            const customer = doc.data();
-            const key = customer.email || customer.phone || doc.id;
-            existingCustomersMap[key] = {
-                ...customer,
-                docId: doc.id
-            };
+            const customer = { ...doc.data(), docId: doc.id };
+            existingCustomersMap[doc.id] = customer;
+            storedCustomers.push({ customerId: doc.id, orders: customer.orders });
+
+            // Also by lookup keys, for documents whose id predates toCustomerId or the normalized contact data
+            getCustomerLookupKeys(customer).forEach(key => {
+                if (!existingCustomersMap[key]) {
+                    existingCustomersMap[key] = customer;
+                }
+            });
         });
 
         console.log(`Found ${querySnapshot.size} existing customers in Firestore`);
 
         // Step 2: Group new orders by customer
-        const customerMap = {};
-        orders.forEach(order => {
-            const key = order.email || order.phone || `unknown_${order.customerName || order.name}`;
-
-            if (!customerMap[key]) {
-                customerMap[key] = {
-                    name: order.customerName || order.name,
-                    email: order.email,
-                    phone: order.phone,
-                    city: order.city,
-                    identity: order.identity,
-                    orders: []
-                };
-            }
-
-            customerMap[key].orders.push({
-                orderId: order.orderId,
-                rawId: order.rawId,
-                orderDate: order.orderDate,
-                totalAmount: order.totalAmount,
-                items: order.items || [],
-                channel: order.channel,
-                // Gestor information
-                posUser: order.posUser || '',
-                gestorName: order.gestorName || null,
-                gestorZone: order.gestorZone || null
-            });
-        });
-
-        const newCustomers = Object.entries(customerMap);
+        const newCustomers = groupOrdersByCustomer(orders, batchId);
         console.log(`Grouped into ${newCustomers.length} customers to update/add`);
 
         // Helper: Remove undefined values
@@ -362,51 +322,48 @@ export const saveCustomersToFirestoreIncremental = async (orders) => {
             return clean;
         };
 
-        // Step 3: Merge with existing data and save in batches
-        const BATCH_SIZE = 100;
-        let totalSaved = 0;
-
-        for (let i = 0; i < newCustomers.length; i += BATCH_SIZE) {
-            const batch = writeBatch(db);
-            const chunk = newCustomers.slice(i, i + BATCH_SIZE);
-
-            chunk.forEach(([key, newCustomer]) => {
-                const existingCustomer = existingCustomersMap[key];
-
-                let docId;
-                let mergedOrders;
-
-                if (existingCustomer) {
-                    // Customer exists - merge orders
-                    docId = existingCustomer.docId;
-
-                    // Create a map of existing orders by orderId to avoid duplicates
-                    const existingOrdersMap = {};
-                    (existingCustomer.orders || []).forEach(order => {
-                        existingOrdersMap[order.orderId] = order;
-                    });
-
-                    // Add new orders, replacing duplicates
-                    newCustomer.orders.forEach(order => {
-                        existingOrdersMap[order.orderId] = order;
-                    });
+        // Step 3: Merge with existing data (see orderMerge.js), keeping only the customers that changed
+        const merge = createOrderMerge(storedCustomers);
+        const contacts = {}; // docId → contact fields of the customers that got new orders
+
+        newCustomers.forEach(newCustomer => {
+            const existingCustomer = existingCustomersMap[toCustomerId(newCustomer)]
+                || getCustomerLookupKeys(newCustomer).map(lookupKey => existingCustomersMap[lookupKey]).find(Boolean);
+            const docId = existingCustomer?.docId || toCustomerId(newCustomer);
+
+            newCustomer.orders.forEach(order => {
+                if (merge.addOrder(docId, order).status !== 'inserted') return;
+                contacts[docId] = {
+                    name: newCustomer.name || existingCustomer?.name,
+                    email: newCustomer.email || existingCustomer?.email,
+                    phone: newCustomer.phone || existingCustomer?.phone,
+                    city: newCustomer.city || existingCustomer?.city,
+                    identity: newCustomer.identity || existingCustomer?.identity,
+                    emailOriginal: pickOriginal(newCustomer, existingCustomer?.emailOriginal, 'email'),
+                    phoneOriginal: pickOriginal(newCustomer, existingCustomer?.phoneOriginal, 'phone'),
+                    identityOriginal: pickOriginal(newCustomer, existingCustomer?.identityOriginal, 'identity')
+                };
+            });
+        });
 
-                    mergedOrders = Object.values(existingOrdersMap);
+        const { inserted, updated, skipped } = merge.counts;
+        const changedCustomers = [...merge.changedIds].map(docId => ({
+            docId,
+            newCustomer: { ...existingCustomersMap[docId], ...contacts[docId] },
+            mergedOrders: merge.getOrders(docId)
+        }));
 
-                    console.log(`🔄 Merging customer ${newCustomer.name}: ${existingCustomer.orders?.length || 0} existing + ${newCustomer.orders.length} new = ${mergedOrders.length} total orders`);
-                } else {
-                    // New customer - use new data
-                    docId = newCustomer.email
-                        ? newCustomer.email.replace(/[^a-zA-Z0-9]/g, '_')
-                        : newCustomer.phone
-                            ? newCustomer.phone.replace(/[^a-zA-Z0-9]/g, '_')
-                            : `customer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        console.log(`🔄 Merge result: ${inserted} new, ${updated} updated, ${skipped} unchanged orders`);
 
-                    mergedOrders = newCustomer.orders;
+        // Step 4: Save the changed customers in batches
+        const BATCH_SIZE = 100;
+        let totalSaved = 0;
 
-                    console.log(`➕ Adding new customer ${newCustomer.name}: ${mergedOrders.length} orders`);
-                }
+        for (let i = 0; i < changedCustomers.length; i += BATCH_SIZE) {
+            const batch = writeBatch(db);
+            const chunk = changedCustomers.slice(i, i + BATCH_SIZE);
 
+            chunk.forEach(({ docId, newCustomer, mergedOrders }) => {
                 const docRef = doc(db, COLLECTION_NAME, docId);
 
                 const cleanCustomer = sanitize({
@@ -415,6 +372,9 @@ export const saveCustomersToFirestoreIncremental = async (orders) => {
                     phone: newCustomer.phone || '',
                     city: newCustomer.city || '',
                     identity: newCustomer.identity || '',
+                    emailOriginal: newCustomer.emailOriginal || '',
+                    phoneOriginal: newCustomer.phoneOriginal || '',
+                    identityOriginal: newCustomer.identityOriginal || '',
                     orders: mergedOrders,
                     lastUpdated: serverTimestamp()
                 });
@@ -424,10 +384,10 @@ export const saveCustomersToFirestoreIncremental = async (orders) => {
 
             await batch.commit();
             totalSaved += chunk.length;
-            console.log(`✅ Batch ${Math.floor(i / BATCH_SIZE) + 1}: Saved ${totalSaved}/${newCustomers.length} customers`);
+            console.log(`✅ Batch ${Math.floor(i / BATCH_SIZE) + 1}: Saved ${totalSaved}/${changedCustomers.length} customers`);
 
             // Add delay between batches
-            if (i + BATCH_SIZE < newCustomers.length) {
+            if (i + BATCH_SIZE < changedCustomers.length) {
                 await delay(500);
             }
         }
@@ -437,6 +397,10 @@ export const saveCustomersToFirestoreIncremental = async (orders) => {
         return {
             success: true,
             count: totalSaved,
+            inserted,
+            updated,
+            skipped,
+            customerIds: changedCustomers.map(customer => customer.docId),
             timestamp: new Date()
         };
     } catch (error) {
@@ -468,3 +432,30 @@ export const updateCustomer = async (customerId, data) => {
         };
     }
 };
+
+/**
+ * Replace every customer (FULL mode)
+ * Firestore has no multi-batch transactions: the collection is cleared first,
+ * so a failed save leaves it partially loaded until the upload is repeated
+ * @param {Object} options - { batchId, onProgress({ stage, message }) }
+ */
+export const replaceCustomersInFirestore = async (orders, { batchId = null, onProgress } = {}) => {
+    onProgress?.({ stage: 'clear', message: 'Eliminando los datos anteriores...' });
+    const cleared = await clearAllData();
+    if (!cleared.success) return cleared;
+
+    onProgress?.({ stage: 'save', message: `Guardando ${orders.length.toLocaleString('es-HN')} pedidos...` });
+    return saveCustomersToFirestore(orders, { batchId });
+};
+
+// Customer repository implementation (see customerRepository.js)
+export const firestoreRepository = {
+    features: { importHistory: false, serverQueries: false, atomicReplace: false, customerMerging: false },
+    saveCustomers: saveCustomersToFirestore,
+    replaceCustomers: replaceCustomersInFirestore,
+    saveCustomersIncremental: saveCustomersToFirestoreIncremental,
+    loadCustomers: loadCustomersFromFirestore,
+    clearAllData,
+    updateCustomer,
+    getLatestOrderDate
+};
@@ -0,0 +1,295 @@
+import { supabase } from '../config/supabase';
+import {
+    fetchAllRows,
+    fetchAllCustomerRows,
+    fetchCustomerRows,
+    fetchCustomerIdsForBatch,
+    writeCustomerRows,
+    deleteCustomerRows,
+    replaceAllCustomerRows
+} from './customerTables';
+
+const BATCHES_TABLE = 'import_batches';
+const SNAPSHOTS_TABLE = 'import_snapshots';
+
+const BATCH_SIZE = 100;
+const PAGE_SIZE = 1000; // Supabase caps a select at 1000 rows
+
+// Snapshots duplicate customer rows, so only the most recent imports keep one
+export const MAX_SNAPSHOT_BATCHES = 10;
+
+// Snapshot rows keep the customer with its nested orders, so they can be written back as-is
+const toCustomerRow = ({ customer_id, name, email, phone, city, identity, email_original, phone_original, identity_original, orders }) => ({
+    customer_id, name, email, phone, city, identity, email_original, phone_original, identity_original, orders: orders || []
+});
+
+/**
+ * Register a new import before anything is written
+ * @param {Object} params - { uploadedBy, uploadedByName, mode, fileNames, rowCounts, orderCount }
+ * @returns {Object} { success, batch } or { success: false, error }
+ */
+export const createImportBatch = async ({ uploadedBy, uploadedByName, mode, fileNames, rowCounts, orderCount }) => {
+    try {
+        const batch = {
+            id: crypto.randomUUID(),
+            uploaded_by: uploadedBy,
+            uploaded_by_name: uploadedByName || null,
+            mode,
+            status: 'in_progress',
+            file_names: fileNames || {},
+            row_counts: rowCounts || {},
+            order_count: orderCount || 0
+        };
+
+        const { data, error } = await supabase
+            .from(BATCHES_TABLE)
+            .insert(batch)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        console.log(`📦 Import batch ${data.id} created (${mode})`);
+        return { success: true, batch: data };
+    } catch (error) {
+        console.error('Error creating import batch:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Store customer rows as they were before the batch wrote them
+ */
+export const saveBatchSnapshot = async (batchId, customerRows) => {
+    const rows = customerRows.map(customer => ({
+        batch_id: batchId,
+        customer_id: customer.customer_id,
+        data: toCustomerRow(customer)
+    }));
+
+    for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+        const { error } = await supabase.from(SNAPSHOTS_TABLE).insert(rows.slice(i, i + BATCH_SIZE));
+        if (error) throw error;
+    }
+
+    console.log(`📸 Snapshot for batch ${batchId}: ${rows.length} customers`);
+    return rows.length;
+};
+
+/**
+ * Snapshot the whole customers table (used before a full reload clears it)
+ */
+export const snapshotAllCustomers = async (batchId) => {
+    const customers = await fetchAllCustomerRows();
+    return saveBatchSnapshot(batchId, customers);
+};
+
+const loadBatchSnapshot = async (batchId) => {
+    const rows = await fetchAllRows(() => supabase
+        .from(SNAPSHOTS_TABLE)
+        .select('customer_id, data')
+        .eq('batch_id', batchId)
+        .order('id'));
+
+    const snapshot = {};
+    rows.forEach(row => {
+        snapshot[row.customer_id] = row.data;
+    });
+    return snapshot;
+};
+
+/**
+ * Drop snapshots of older imports, keeping the newest MAX_SNAPSHOT_BATCHES
+ */
+const pruneOldSnapshots = async () => {
+    const { data: stale, error } = await supabase
+        .from(BATCHES_TABLE)
+        .select('id')
+        .eq('snapshot_available', true)
+        .order('created_at', { ascending: false })
+        .range(MAX_SNAPSHOT_BATCHES, MAX_SNAPSHOT_BATCHES + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    if (stale.length === 0) return;
+
+    const ids = stale.map(batch => batch.id);
+    const { error: deleteError } = await supabase.from(SNAPSHOTS_TABLE).delete().in('batch_id', ids);
+    if (deleteError) throw deleteError;
+
+    const { error: updateError } = await supabase
+        .from(BATCHES_TABLE)
+        .update({ snapshot_available: false })
+        .in('id', ids);
+    if (updateError) throw updateError;
+
+    console.log(`🧹 Pruned snapshots of ${ids.length} old import batches`);
+};
+
+/**
+ * Close a batch with its outcome ('completed' | 'failed')
+ * @param {Object} outcome - { status, result, customerIds }
+ */
+export const finishImportBatch = async (batchId, { status, result = {}, customerIds = [] }) => {
+    try {
+        const { error } = await supabase
+            .from(BATCHES_TABLE)
+            .update({ status, result, customer_ids: customerIds })
+            .eq('id', batchId);
+
+        if (error) throw error;
+
+        await pruneOldSnapshots();
+        return { success: true };
+    } catch (error) {
+        console.error('Error finishing import batch:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * List past imports, newest first
+ */
+export const loadImportBatches = async () => {
+    try {
+        const { data, error } = await supabase
+            .from(BATCHES_TABLE)
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(100);
+
+        if (error) throw error;
+
+        return { success: true, batches: data };
+    } catch (error) {
+        console.error('Error loading import batches:', error);
+        return { success: false, error: error.message, batches: [] };
+    }
+};
+
+/**
+ * Roll back one batch: remove the orders it added and put back the versions it replaced.
+ * Orders written by other imports are left untouched.
+ */
+export const rollbackImportBatch = async (batch) => {
+    try {
+        if (!batch.snapshot_available) {
+            throw new Error('La copia de seguridad de esta importación ya no está disponible');
+        }
+
+        const snapshot = await loadBatchSnapshot(batch.id);
+        const isFull = batch.mode === 'full';
+
+        // Customers that currently hold orders of this batch
+        const tagged = await fetchCustomerRows(await fetchCustomerIdsForBatch(batch.id));
+
+        const current = {};
+        tagged.forEach(customer => {
+            current[customer.customer_id] = customer;
+        });
+
+        // A full reload replaced everything, so every snapshot customer is affected
+        if (isFull) {
+            const missing = await fetchCustomerRows(Object.keys(snapshot).filter(id => !current[id]));
+            missing.forEach(customer => {
+                current[customer.customer_id] = customer;
+            });
+        }
+
+        const affectedIds = new Set([...Object.keys(current), ...(isFull ? Object.keys(snapshot) : [])]);
+        const toUpsert = [];
+        const toDelete = [];
+        let removedOrders = 0;
+        let restoredOrders = 0;
+
+        affectedIds.forEach(customerId => {
+            const customer = current[customerId];
+            const previous = snapshot[customerId];
+            const currentOrders = customer?.orders || [];
+
+            const replacedIds = new Set();
+            const kept = currentOrders.filter(order => {
+                if (order.batchId !== batch.id) return true;
+                replacedIds.add(order.orderId);
+                removedOrders++;
+                return false;
+            });
+
+            // Bring back what the batch overwrote (full: everything it cleared)
+            const keptIds = new Set(kept.map(order => order.orderId));
+            (previous?.orders || []).forEach(order => {
+                if (keptIds.has(order.orderId)) return;
+                if (!isFull && !replacedIds.has(order.orderId)) return;
+                kept.push(order);
+                restoredOrders++;
+            });
+
+            if (kept.length === 0 && !previous) {
+                toDelete.push(customerId);
+            } else {
+                toUpsert.push({ ...toCustomerRow(customer || previous), orders: kept });
+            }
+        });
+
+        await writeCustomerRows(toUpsert);
+        await deleteCustomerRows(toDelete);
+
+        const { error } = await supabase
+            .from(BATCHES_TABLE)
+            .update({ status: 'rolled_back', rolled_back_at: new Date().toISOString() })
+            .eq('id', batch.id);
+        if (error) throw error;
+
+        console.log(`↩️ Rolled back batch ${batch.id}: ${removedOrders} orders removed, ${restoredOrders} restored`);
+        return { success: true, removedOrders, restoredOrders };
+    } catch (error) {
+        console.error('Error rolling back import batch:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Put the database back to the state right before a batch,
+ * undoing that batch and every later one (newest first)
+ * @param {Object} batch - Target batch
+ * @param {Array} batches - Full history, newest first (as returned by loadImportBatches)
+ */
+export const restoreBeforeImportBatch = async (batch, batches) => {
+    try {
+        const targetIndex = batches.findIndex(b => b.id === batch.id);
+        if (targetIndex === -1) throw new Error('Importación no encontrada');
+
+        // Rolled-back batches already have no effect on the data
+        const chain = batches.slice(0, targetIndex + 1).filter(b => b.status !== 'rolled_back');
+        const unavailable = chain.find(b => !b.snapshot_available);
+        if (unavailable) {
+            throw new Error(`La importación del ${new Date(unavailable.created_at).toLocaleString('es-HN')} ya no tiene copia de seguridad`);
+        }
+
+        for (const step of chain) {
+            const snapshot = await loadBatchSnapshot(step.id);
+
+            if (step.mode === 'full') {
+                // Staged and swapped in one transaction, so a failure keeps the current data
+                await replaceAllCustomerRows(Object.values(snapshot));
+            } else {
+                // Customers the batch created have no snapshot row
+                const created = (step.customer_ids || []).filter(id => !snapshot[id]);
+                await deleteCustomerRows(created);
+                await writeCustomerRows(Object.values(snapshot));
+            }
+
+            const { error } = await supabase
+                .from(BATCHES_TABLE)
+                .update({ status: 'rolled_back', rolled_back_at: new Date().toISOString() })
+                .eq('id', step.id);
+            if (error) throw error;
+
+            console.log(`⏪ Restored state before batch ${step.id} (${Object.keys(snapshot).length} customers)`);
+        }
+
+        return { success: true, undoneBatches: chain.length };
+    } catch (error) {
+        console.error('Error restoring import batch:', error);
+        return { success: false, error: error.message };
+    }
+};
@@ -0,0 +1,207 @@
+import * as XLSX from 'xlsx';
+import { isGestor } from '../config/gestores';
+import { resolveColumnMapping, createFieldReader } from './columnMapping';
+import { parseOrderDate, normalizeOrderId } from './dataProcessing';
+import { normalizePhoneNumber, normalizeEmailAddress, normalizeDni } from './contactNormalization';
+
+// Issue types shown in the report (label + severity)
+export const VALIDATION_ISSUE_TYPES = {
+    MISSING_COLUMNS: { label: 'Columnas requeridas faltantes', severity: 'blocking' },
+    INVALID_DATE: { label: 'Fecha de pedido inválida', severity: 'error' },
+    MISSING_ORDER_ID: { label: 'Pedido sin número', severity: 'error' },
+    DUPLICATE_ORDER_ID: { label: 'Número de pedido duplicado', severity: 'warning' },
+    INVALID_TOTAL: { label: 'Total no numérico', severity: 'error' },
+    NEGATIVE_TOTAL: { label: 'Total negativo', severity: 'warning' },
+    UNKNOWN_POS_USER: { label: 'Usuario POS desconocido', severity: 'warning' },
+    INVALID_PHONE: { label: 'Celular inválido', severity: 'warning' },
+    INVALID_EMAIL: { label: 'Correo inválido', severity: 'warning' },
+    INVALID_IDENTITY: { label: 'Identidad inválida', severity: 'warning' }
+};
+
+// Spreadsheet row number for a data row (header is row 1)
+const toSheetRow = (index) => index + 2;
+
+// Map an index in the combined rows back to its file and spreadsheet row
+// (several monthly RMS files are concatenated before validation)
+const createRowLocator = (files = []) => (index) => {
+    let offset = 0;
+    for (const file of files) {
+        if (index < offset + file.rowCount) {
+            return { row: toSheetRow(index - offset), fileName: file.name };
+        }
+        offset += file.rowCount;
+    }
+    return { row: toSheetRow(index), fileName: '' };
+};
+
+const createIssue = (type, source, location, details = {}) => ({
+    type,
+    severity: VALIDATION_ISSUE_TYPES[type].severity,
+    source,
+    row: location ? location.row : null,
+    fileName: location ? location.fileName : '',
+    orderId: details.orderId || '',
+    value: details.value === undefined ? '' : String(details.value),
+    message: details.message || VALIDATION_ISSUE_TYPES[type].label
+});
+
+/**
+ * Validate Albatross rows (every status is imported)
+ */
+const validateAlbatrossRows = (rows, mapping, locate) => {
+    const get = createFieldReader(mapping);
+    const issues = [];
+    const seenIds = {};
+
+    rows.forEach((row, index) => {
+        const rawId = String(get(row, 'orderId') || '').trim();
+        const orderId = normalizeOrderId(rawId);
+
+        if (!orderId) {
+            issues.push(createIssue('MISSING_ORDER_ID', 'albatross', locate(index), { value: rawId }));
+        } else if (seenIds[orderId] !== undefined) {
+            issues.push(createIssue('DUPLICATE_ORDER_ID', 'albatross', locate(index), {
+                orderId,
+                value: rawId,
+                message: `Pedido ${orderId} repetido (primera aparición en la fila ${locate(seenIds[orderId]).row})`
+            }));
+        } else {
+            seenIds[orderId] = index;
+        }
+
+        const rawDate = get(row, 'orderDate');
+        const parsedDate = parseOrderDate(rawDate);
+        if (!parsedDate || isNaN(new Date(parsedDate).getTime())) {
+            issues.push(createIssue('INVALID_DATE', 'albatross', locate(index), { orderId, value: rawDate }));
+        }
+
+        const posUser = String(get(row, 'posUser') || '').trim();
+        if (posUser && !isGestor(posUser)) {
+            issues.push(createIssue('UNKNOWN_POS_USER', 'albatross', locate(index), {
+                orderId,
+                value: posUser,
+                message: `"${posUser}" no está en config/gestores.js`
+            }));
+        }
+
+        // Invalid contact values are imported empty (see cleanAlbatrossData)
+        [['phone', normalizePhoneNumber, 'INVALID_PHONE'], ['email', normalizeEmailAddress, 'INVALID_EMAIL']].forEach(([field, normalize, type]) => {
+            const contact = normalize(get(row, field));
+            if (!contact.valid) {
+                issues.push(createIssue(type, 'albatross', locate(index), { orderId, value: contact.original, message: contact.reason }));
+            }
+        });
+    });
+
+    return issues;
+};
+
+/**
+ * Validate RMS line rows
+ */
+const validateRMSRows = (rows, mapping, locate) => {
+    const get = createFieldReader(mapping);
+    const issues = [];
+    const flaggedIdentities = new Set(); // Every line of an order repeats its identity: flag it once
+
+    rows.forEach((row, index) => {
+        const orderId = String(get(row, 'orderId') || '').trim();
+        if (!orderId) {
+            issues.push(createIssue('MISSING_ORDER_ID', 'rms', locate(index)));
+        }
+
+        const rawTotal = get(row, 'total');
+        // Must be a clean number: parseFloat would silently read "1,250.00" as 1
+        const total = Number(String(rawTotal ?? '').trim());
+        if (rawTotal === '' || rawTotal === undefined || rawTotal === null || isNaN(total)) {
+            issues.push(createIssue('INVALID_TOTAL', 'rms', locate(index), { orderId, value: rawTotal }));
+        } else if (total < 0) {
+            issues.push(createIssue('NEGATIVE_TOTAL', 'rms', locate(index), { orderId, value: rawTotal }));
+        }
+
+        const identity = normalizeDni(get(row, 'identity'));
+        const identityKey = `${orderId}|${identity.original}`;
+        if (!identity.valid && !flaggedIdentities.has(identityKey)) {
+            flaggedIdentities.add(identityKey);
+            issues.push(createIssue('INVALID_IDENTITY', 'rms', locate(index), { orderId, value: identity.original, message: identity.reason }));
+        }
+    });
+
+    return issues;
+};
+
+/**
+ * Run every pre-import check over the raw parsed rows
+ * @param {Object} params - { albatrossRows, rmsRows, columnMappings, sourceFiles }
+ * sourceFiles lists { name, rowCount } per source so row numbers point into the right file
+ * @returns {Object} Report with issues, per-type counts and whether the import can continue
+ */
+export const validateImport = ({ albatrossRows, rmsRows, columnMappings = {}, sourceFiles = {} }) => {
+    const issues = [];
+    const mappings = {};
+
+    [['albatross', albatrossRows], ['rms', rmsRows]].forEach(([source, rows]) => {
+        try {
+            mappings[source] = resolveColumnMapping(rows, source, columnMappings[source]);
+        } catch (error) {
+            if (error.code !== 'MISSING_COLUMNS') throw error;
+            issues.push(createIssue('MISSING_COLUMNS', source, null, { message: error.message }));
+        }
+    });
+
+    if (mappings.albatross) {
+        issues.push(...validateAlbatrossRows(albatrossRows, mappings.albatross, createRowLocator(sourceFiles.albatross)));
+    }
+    if (mappings.rms) {
+        issues.push(...validateRMSRows(rmsRows, mappings.rms, createRowLocator(sourceFiles.rms)));
+    }
+
+    const countsByType = {};
+    issues.forEach(issue => {
+        countsByType[issue.type] = (countsByType[issue.type] || 0) + 1;
+    });
+
+    return {
+        issues,
+        countsByType,
+        mappings,
+        rowCounts: {
+            albatross: albatrossRows.length,
+            rms: rmsRows.length
+        },
+        sourceFiles,
+        errorCount: issues.filter(i => i.severity === 'error').length,
+        warningCount: issues.filter(i => i.severity === 'warning').length,
+        canImport: !issues.some(i => i.severity === 'blocking'),
+        createdAt: new Date()
+    };
+};
+
+/**
+ * Download the validation report as Excel
+ */
+export const exportValidationReport = (report) => {
+    const severityLabels = { blocking: 'Bloqueante', error: 'Error', warning: 'Advertencia' };
+
+    const rows = report.issues.map(issue => ({
+        'Archivo': issue.source === 'rms' ? 'RMS' : 'Albatross',
+        'Nombre de archivo': issue.fileName,
+        'Fila': issue.row ?? '',
+        'Severidad': severityLabels[issue.severity],
+        'Tipo': VALIDATION_ISSUE_TYPES[issue.type].label,
+        'Pedido': issue.orderId,
+        'Valor': issue.value,
+        'Detalle': issue.message
+    }));
+
+    const summaryRows = Object.entries(report.countsByType).map(([type, count]) => ({
+        'Tipo': VALIDATION_ISSUE_TYPES[type].label,
+        'Severidad': severityLabels[VALIDATION_ISSUE_TYPES[type].severity],
+        'Cantidad': count
+    }));
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(summaryRows), 'Resumen');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Detalle');
+    XLSX.writeFile(workbook, `Validacion_Importacion_${new Date().toISOString().split('T')[0]}.xlsx`);
+};
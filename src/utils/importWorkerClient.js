@@ -0,0 +1,71 @@
+// File contents are transferred (not copied) to the worker
+const toWorkerSource = async ({ file, sheetName }) => ({
+    buffer: await file.arrayBuffer(),
+    fileName: file.name,
+    sheetName: sheetName || null
+});
+
+/**
+ * Promise wrapper around workers/importWorker.js
+ * One worker per import: analyze() → (admin reviews the report) → join() → terminate()
+ * cancel() kills the worker immediately, even in the middle of parsing
+ */
+export const createImportWorker = () => {
+    const worker = new Worker(new URL('../workers/importWorker.js', import.meta.url), { type: 'module' });
+    let pending = null; // { resolve, reject, onProgress }
+
+    const settle = (callback) => {
+        const current = pending;
+        pending = null;
+        if (current) callback(current);
+    };
+
+    worker.onmessage = (event) => {
+        const { type, payload, message, code, ...progress } = event.data;
+        if (type === 'progress') {
+            pending?.onProgress?.({ message, ...progress });
+        } else if (type === 'result') {
+            settle(({ resolve }) => resolve(payload));
+        } else if (type === 'error') {
+            const error = new Error(message);
+            error.code = code;
+            settle(({ reject }) => reject(error));
+        }
+    };
+
+    worker.onerror = (event) => {
+        event.preventDefault();
+        settle(({ reject }) => reject(new Error(event.message || 'Error en el proceso de importación')));
+    };
+
+    const request = (message, onProgress, transfer = []) => {
+        if (pending) return Promise.reject(new Error('Ya hay una importación en curso'));
+        return new Promise((resolve, reject) => {
+            pending = { resolve, reject, onProgress };
+            worker.postMessage(message, transfer);
+        });
+    };
+
+    return {
+        // Parse, validate, clean and diagnose the files → { report, diagnostics }
+        // Sources are { file, sheetName }: one for Albatross, one or more for RMS
+        analyze: async (albatrossSource, rmsSources, columnMappings, onProgress) => {
+            const albatross = await toWorkerSource(albatrossSource);
+            const rms = await Promise.all(rmsSources.map(toWorkerSource));
+            const buffers = [albatross.buffer, ...rms.map(source => source.buffer)];
+            return request({ type: 'analyze', albatross, rms, columnMappings }, onProgress, buffers);
+        },
+
+        // Join the analyzed data → array of joined orders
+        join: (onProgress) => request({ type: 'join' }, onProgress),
+
+        cancel: () => {
+            worker.terminate();
+            const error = new Error('Importación cancelada');
+            error.code = 'IMPORT_CANCELLED';
+            settle(({ reject }) => reject(error));
+        },
+
+        terminate: () => worker.terminate()
+    };
+};
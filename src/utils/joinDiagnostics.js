@@ -0,0 +1,164 @@
+import * as XLSX from 'xlsx';
+import { normalizeOrderId } from './dataProcessing';
+import { getOrderStatusCategory } from '../config/orderStatuses';
+
+// Ways an RMS 'Pedido' can differ from the cleaned Albatross order number
+const NEAR_MISS_RULES = [
+    {
+        reason: 'Ceros a la izquierda',
+        normalize: (id) => id.replace(/^0+/, '')
+    },
+    {
+        reason: 'Sufijo -I',
+        normalize: (id) => id.replace(/-I$/i, '')
+    },
+    {
+        reason: 'Ceros y sufijo -I',
+        normalize: (id) => normalizeOrderId(id.toUpperCase())
+    },
+    {
+        reason: 'Espacios o mayúsculas',
+        normalize: (id) => id.replace(/\s+/g, '').toUpperCase()
+    }
+];
+
+/**
+ * Reconcile cleaned Albatross orders against grouped RMS lines.
+ * Only delivered orders are expected in RMS: cancelled/returned ones may match an RMS id but never count as missing
+ * @param {Array} albatrossOrders - Output of cleanAlbatrossData
+ * @param {Object} rmsDataMap - Output of processRMSData (Pedido → { totalAmount, items, identity })
+ * @returns {Object} Match rates plus unmatched, orphan and near-miss lists
+ */
+export const diagnoseJoin = (albatrossOrders, rmsDataMap) => {
+    const rmsIds = Object.keys(rmsDataMap);
+    const matchedRmsIds = new Set();
+    const unmatchedAlbatross = [];
+    let deliveredCount = 0;
+
+    albatrossOrders.forEach(order => {
+        const isDelivered = getOrderStatusCategory(order) === 'delivered';
+        if (isDelivered) deliveredCount++;
+
+        if (rmsDataMap[order.orderId]) {
+            matchedRmsIds.add(order.orderId);
+        } else if (isDelivered) {
+            unmatchedAlbatross.push(order);
+        }
+    });
+
+    const orphanRmsIds = rmsIds.filter(id => !matchedRmsIds.has(id));
+
+    // Index unmatched Albatross orders so orphan RMS ids can be checked against each rule
+    const unmatchedById = {};
+    unmatchedAlbatross.forEach(order => {
+        unmatchedById[order.orderId] = order;
+        unmatchedById[String(order.orderId).toUpperCase()] = order;
+    });
+
+    const nearMisses = [];
+    const nearMissRmsIds = new Set();
+    const nearMissAlbatrossIds = new Set();
+    orphanRmsIds.forEach(rmsId => {
+        for (const rule of NEAR_MISS_RULES) {
+            const candidate = rule.normalize(rmsId);
+            const order = candidate !== rmsId ? unmatchedById[candidate] : null;
+            if (order) {
+                nearMisses.push({
+                    rmsId,
+                    albatrossId: order.orderId,
+                    albatrossRawId: order.rawId,
+                    reason: rule.reason,
+                    orderDate: order.orderDate,
+                    customerName: order.customerName || '',
+                    rmsTotal: rmsDataMap[rmsId].totalAmount
+                });
+                nearMissRmsIds.add(rmsId);
+                nearMissAlbatrossIds.add(order.orderId);
+                break;
+            }
+        }
+    });
+
+    const matchedCount = deliveredCount - unmatchedAlbatross.length;
+
+    return {
+        albatrossCount: deliveredCount,
+        rmsOrderCount: rmsIds.length,
+        matchedCount,
+        matchRate: deliveredCount > 0 ? matchedCount / deliveredCount : 0,
+        rmsMatchRate: rmsIds.length > 0 ? matchedRmsIds.size / rmsIds.length : 0,
+        unmatchedAlbatross: unmatchedAlbatross.map(order => ({
+            orderId: order.orderId,
+            rawId: order.rawId,
+            orderDate: order.orderDate,
+            customerName: order.customerName || '',
+            email: order.email || '',
+            pharmacy: order.pharmacy || '',
+            gestorName: order.gestorName || '',
+            nearMiss: nearMissAlbatrossIds.has(order.orderId)
+        })),
+        orphanRms: orphanRmsIds.map(id => ({
+            rmsId: id,
+            totalAmount: rmsDataMap[id].totalAmount,
+            itemCount: rmsDataMap[id].items.length,
+            identity: rmsDataMap[id].identity || '',
+            nearMiss: nearMissRmsIds.has(id)
+        })),
+        nearMisses
+    };
+};
+
+// Column layout for each exportable list
+const EXPORT_LAYOUTS = {
+    unmatchedAlbatross: {
+        sheet: 'Albatross sin RMS',
+        file: 'Albatross_sin_RMS',
+        toRow: (r) => ({
+            'Pedido (limpio)': r.orderId,
+            'Número de Pedido': r.rawId,
+            'Fecha': r.orderDate || '',
+            'Cliente': r.customerName,
+            'Correo': r.email,
+            'Farmacia': r.pharmacy,
+            'Gestor': r.gestorName,
+            'Posible coincidencia': r.nearMiss ? 'Sí' : 'No'
+        })
+    },
+    orphanRms: {
+        sheet: 'RMS sin Albatross',
+        file: 'RMS_huerfanos',
+        toRow: (r) => ({
+            'Pedido RMS': r.rmsId,
+            'Total': r.totalAmount,
+            'Líneas': r.itemCount,
+            'Identidad': r.identity,
+            'Posible coincidencia': r.nearMiss ? 'Sí' : 'No'
+        })
+    },
+    nearMisses: {
+        sheet: 'Coincidencias cercanas',
+        file: 'Coincidencias_cercanas',
+        toRow: (r) => ({
+            'Pedido RMS': r.rmsId,
+            'Pedido Albatross (limpio)': r.albatrossId,
+            'Número de Pedido Albatross': r.albatrossRawId,
+            'Motivo': r.reason,
+            'Fecha': r.orderDate || '',
+            'Cliente': r.customerName,
+            'Total RMS': r.rmsTotal
+        })
+    }
+};
+
+/**
+ * Export one diagnostics list ('unmatchedAlbatross' | 'orphanRms' | 'nearMisses') to Excel
+ */
+export const exportJoinDiagnosticsList = (diagnostics, listKey) => {
+    const layout = EXPORT_LAYOUTS[listKey];
+    if (!layout) throw new Error(`Lista desconocida: ${listKey}`);
+
+    const worksheet = XLSX.utils.json_to_sheet(diagnostics[listKey].map(layout.toRow));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, layout.sheet);
+    XLSX.writeFile(workbook, `${layout.file}_${new Date().toISOString().split('T')[0]}.xlsx`);
+};
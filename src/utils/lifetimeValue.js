@@ -0,0 +1,39 @@
+import { getProductAmount } from './productLines';
+
+// Projected 12-month customer lifetime value: the purchases the churn model expects in the next
+// 12 months (buying rhythm and chance of having stopped, see churnModel.js) times the customer's
+// average ticket. Purchases are counted per day, as in the churn model: same-day orders add up.
+
+/**
+ * Average product amount per purchase day (0 without dated orders)
+ */
+export const getAverageTicket = (orders) => {
+    const byDay = {};
+    orders.forEach(order => {
+        const date = new Date(order.orderDate);
+        if (isNaN(date)) return;
+        const day = date.toDateString();
+        byDay[day] = (byDay[day] || 0) + getProductAmount(order);
+    });
+
+    const totals = Object.values(byDay);
+    return totals.length > 0 ? totals.reduce((sum, total) => sum + total, 0) / totals.length : 0;
+};
+
+// Average ticket of a customer with its orders, or of a purchase history (scorePurchaseHistories)
+const getCustomerAverageTicket = (customer) => {
+    if (customer.orders) return getAverageTicket(customer.orders);
+    return customer.purchaseDays > 0 ? customer.productAmount / customer.purchaseDays : 0;
+};
+
+/**
+ * Add the projection to customers already scored by scoreChurn or scorePurchaseHistories:
+ * clv = { expectedPurchases, averageTicket, value } (null without a churn score)
+ */
+export const projectLifetimeValue = (customers) => customers.map(customer => {
+    if (!customer.churn) return { ...customer, clv: null };
+
+    const { expectedPurchases } = customer.churn;
+    const averageTicket = getCustomerAverageTicket(customer);
+    return { ...customer, clv: { expectedPurchases, averageTicket, value: expectedPurchases * averageTicket } };
+});
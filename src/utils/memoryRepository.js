@@ -0,0 +1,149 @@
+import { groupOrdersByCustomer, createOrderMerge, pickOriginal } from './orderMerge';
+import { getCustomerLookupKeys, toCustomerId } from './customerIdentity';
+
+/**
+ * Customer repository kept in memory (see customerRepository.js).
+ * Nothing is persisted: used for demos/offline trials and as the reference
+ * implementation of the repository contract.
+ * @param {Array} initialOrders - Flat orders to start with
+ */
+export const createMemoryRepository = (initialOrders = []) => {
+    const customers = new Map(); // customerId → { customerId, name, email, phone, city, identity, *Original, orders }
+
+    const findCustomer = (customer) => {
+        const lookupKeys = new Set(getCustomerLookupKeys(customer));
+        return customers.get(toCustomerId(customer))
+            || [...customers.values()].find(stored => getCustomerLookupKeys(stored).some(key => lookupKeys.has(key)));
+    };
+
+    const writeCustomers = (orders, batchId) => {
+        const grouped = groupOrdersByCustomer(orders, batchId);
+        grouped.forEach(customer => {
+            const existing = findCustomer(customer);
+            const customerId = existing?.customerId || toCustomerId(customer);
+            customers.set(customerId, {
+                customerId,
+                name: customer.name || 'Sin nombre',
+                email: customer.email || '',
+                phone: customer.phone || '',
+                city: customer.city || '',
+                identity: customer.identity || '',
+                emailOriginal: customer.emailOriginal || '',
+                phoneOriginal: customer.phoneOriginal || '',
+                identityOriginal: customer.identityOriginal || '',
+                orders: structuredClone(customer.orders)
+            });
+        });
+        return grouped.length;
+    };
+
+    writeCustomers(initialOrders, null);
+
+    const saveCustomers = async (orders, { batchId = null } = {}) => {
+        const count = writeCustomers(orders, batchId);
+        console.log(`🎉 Saved ${count} customers in memory`);
+        return { success: true, count, timestamp: new Date() };
+    };
+
+    const replaceCustomers = async (orders, { batchId = null, onProgress } = {}) => {
+        customers.clear();
+        onProgress?.({ stage: 'save', message: `Guardando ${orders.length.toLocaleString('es-HN')} pedidos...` });
+        return saveCustomers(orders, { batchId });
+    };
+
+    const saveCustomersIncremental = async (orders, { batchId = null } = {}) => {
+        const merge = createOrderMerge([...customers.values()]);
+        const contacts = {}; // customerId → contact fields of the customers that got new orders
+
+        groupOrdersByCustomer(structuredClone(orders), batchId).forEach(newCustomer => {
+            const existing = findCustomer(newCustomer);
+            const customerId = existing?.customerId || toCustomerId(newCustomer);
+
+            newCustomer.orders.forEach(order => {
+                if (merge.addOrder(customerId, order).status !== 'inserted') return;
+                contacts[customerId] = {
+                    name: newCustomer.name || existing?.name || 'Sin nombre',
+                    email: newCustomer.email || existing?.email || '',
+                    phone: newCustomer.phone || existing?.phone || '',
+                    city: newCustomer.city || existing?.city || '',
+                    identity: newCustomer.identity || existing?.identity || '',
+                    emailOriginal: pickOriginal(newCustomer, existing?.emailOriginal, 'email') || '',
+                    phoneOriginal: pickOriginal(newCustomer, existing?.phoneOriginal, 'phone') || '',
+                    identityOriginal: pickOriginal(newCustomer, existing?.identityOriginal, 'identity') || ''
+                };
+            });
+        });
+
+        const customerIds = [...merge.changedIds];
+        customerIds.forEach(customerId => {
+            customers.set(customerId, {
+                ...customers.get(customerId),
+                ...contacts[customerId],
+                customerId,
+                orders: merge.getOrders(customerId)
+            });
+        });
+
+        const { inserted, updated, skipped } = merge.counts;
+        console.log(`🔄 Merge result: ${inserted} new, ${updated} updated, ${skipped} unchanged orders`);
+        return { success: true, count: customerIds.length, inserted, updated, skipped, customerIds, timestamp: new Date() };
+    };
+
+    const loadCustomers = async () => {
+        const orders = [];
+        customers.forEach(customer => {
+            customer.orders.forEach(order => {
+                orders.push({
+                    customerId: customer.customerId,
+                    name: customer.name || 'Sin nombre',
+                    email: customer.email || '',
+                    phone: customer.phone || '',
+                    city: customer.city || '',
+                    identity: customer.identity || 'No se encontró',
+                    ...structuredClone(order)
+                });
+            });
+        });
+        return { success: true, customers: orders, count: orders.length, timestamp: new Date() };
+    };
+
+    const clearAllData = async () => {
+        const deletedCount = customers.size;
+        customers.clear();
+        return { success: true, deletedCount };
+    };
+
+    const updateCustomer = async (customerId, data) => {
+        const customer = customers.get(customerId);
+        if (!customer) return { success: false, error: `Cliente ${customerId} no encontrado` };
+
+        // Own columns only; orders are written through the save functions
+        const { orders: _orders, customerId: _customerId, ...fields } = data;
+        Object.assign(customer, fields);
+        return { success: true };
+    };
+
+    const getLatestOrderDate = async () => {
+        let latestDate = null;
+        customers.forEach(customer => {
+            customer.orders.forEach(order => {
+                const orderDate = new Date(order.orderDate);
+                if (!isNaN(orderDate) && (!latestDate || orderDate > latestDate)) {
+                    latestDate = orderDate;
+                }
+            });
+        });
+        return latestDate;
+    };
+
+    return {
+        features: { importHistory: false, serverQueries: false, atomicReplace: false, customerMerging: false },
+        saveCustomers,
+        replaceCustomers,
+        saveCustomersIncremental,
+        loadCustomers,
+        clearAllData,
+        updateCustomer,
+        getLatestOrderDate
+    };
+};
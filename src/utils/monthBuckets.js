@@ -0,0 +1,64 @@
+import { format } from 'date-fns';
+import { getProductItems, getProductAmount } from './productLines';
+
+// Calendar-month buckets of orders ('yyyy-MM' keys), shared by the month heatmap and the cohort analysis
+
+/**
+ * 'yyyy-MM' key of a date (null for invalid dates)
+ */
+export const getMonthKey = (value) => {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : format(date, 'yyyy-MM');
+};
+
+/**
+ * First day of a month key, in local time
+ */
+export const getMonthDate = (key) => {
+    const [year, month] = key.split('-').map(Number);
+    return new Date(year, month - 1, 1);
+};
+
+/**
+ * Whole months from one month key to another (0 for the same month)
+ */
+export const getMonthOffset = (fromKey, toKey) => {
+    const [fromYear, fromMonth] = fromKey.split('-').map(Number);
+    const [toYear, toMonth] = toKey.split('-').map(Number);
+    return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+};
+
+/**
+ * Orders per month: { 'yyyy-MM': { count, items, total, date, gestores: { name: orderCount } } }.
+ * Totals and items leave out non-product lines
+ */
+export const groupOrdersByMonth = (orders) => {
+    const monthData = {};
+    orders.forEach(order => {
+        const key = getMonthKey(order.orderDate);
+        if (!key) return; // Skip invalid dates
+
+        if (!monthData[key]) {
+            monthData[key] = {
+                count: 0,
+                items: [],
+                total: 0,
+                date: getMonthDate(key), // Add date for formatting
+                gestores: {} // Track gestores and their order counts
+            };
+        }
+        monthData[key].count++;
+        monthData[key].total += getProductAmount(order);
+
+        // Track gestor information
+        const gestor = order.gestorName || 'Sin Asignar';
+        if (!monthData[key].gestores[gestor]) {
+            monthData[key].gestores[gestor] = 0;
+        }
+        monthData[key].gestores[gestor]++;
+
+        // Add product lines if available (non-product SKUs are left out)
+        if (order.items) monthData[key].items.push(...getProductItems(order.items));
+    });
+    return monthData;
+};
@@ -0,0 +1,66 @@
+import { supabase } from '../config/supabase';
+import { getNonProductSkus, setNonProductSkus } from './productLines';
+
+// Admin-managed list of non-product SKUs (non_product_skus in supabase_setup.sql).
+// Everyone reads it at startup; only admins change it
+const TABLE_NAME = 'non_product_skus';
+
+/**
+ * Read the list from the server (keeps the last known one when offline)
+ * @returns {Object} { success, entries } or { success: false, error, entries }
+ */
+export const loadNonProductSkus = async () => {
+    try {
+        const { data, error } = await supabase
+            .from(TABLE_NAME)
+            .select('sku, label, kind, updated_by, updated_at')
+            .order('sku');
+
+        if (error) throw error;
+        setNonProductSkus(data);
+        return { success: true, entries: data };
+    } catch (error) {
+        console.error('Error loading non-product SKUs:', error);
+        return { success: false, error: error.message, entries: getNonProductSkus() };
+    }
+};
+
+/**
+ * Add or update a non-product SKU
+ * @param {Object} entry - { sku, label, kind } (kind: see config/nonProductSkus.js)
+ */
+export const saveNonProductSku = async ({ sku, label, kind }, updatedBy = null) => {
+    try {
+        const row = {
+            sku: String(sku || '').trim(),
+            label: label?.trim() || null,
+            kind,
+            updated_by: updatedBy,
+            updated_at: new Date().toISOString()
+        };
+        if (!row.sku) throw new Error('El SKU es obligatorio');
+
+        const { error } = await supabase.from(TABLE_NAME).upsert(row, { onConflict: 'sku' });
+        if (error) throw error;
+
+        return loadNonProductSkus();
+    } catch (error) {
+        console.error('Error saving non-product SKU:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Remove a SKU from the list; it counts as a product again
+ */
+export const deleteNonProductSku = async (sku) => {
+    try {
+        const { error } = await supabase.from(TABLE_NAME).delete().eq('sku', sku);
+        if (error) throw error;
+
+        return loadNonProductSkus();
+    } catch (error) {
+        console.error('Error deleting non-product SKU:', error);
+        return { success: false, error: error.message };
+    }
+};
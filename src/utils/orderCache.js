@@ -0,0 +1,153 @@
+import { openDB } from 'idb';
+import { supabase } from '../config/supabase';
+import { fetchAllRows, FLAT_ORDER_COLUMNS, toFlatOrder } from './customerTables';
+
+// Offline-first copy of the orders the user can see (IndexedDB), synced by deltas
+// against order_changes_since / deleted_order_ids_since (see supabase_setup.sql)
+const DB_NAME = 'gestion-clientes-cache';
+const DB_VERSION = 1;
+const ORDERS_STORE = 'orders';
+const META_STORE = 'meta';
+const META_KEY = 'sync';
+
+// Imports still running when a sync starts commit rows stamped slightly earlier
+const SYNC_OVERLAP_MS = 10 * 60 * 1000;
+// order_deletions keeps 30 days; an older cache could miss deletions, so it starts over
+const MAX_DELTA_AGE_MS = 25 * 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+let memoryOrders = null; // Orders of the open cache; the dashboards query these instead of the server
+
+const getDb = () => {
+    if (!dbPromise) {
+        dbPromise = openDB(DB_NAME, DB_VERSION, {
+            upgrade(db) {
+                db.createObjectStore(ORDERS_STORE, { keyPath: 'orderId' });
+                db.createObjectStore(META_STORE);
+            }
+        });
+    }
+    return dbPromise;
+};
+
+/**
+ * Orders of the open cache, or null when the app reads from the server
+ */
+export const getCachedOrders = () => memoryOrders;
+
+/**
+ * Serve the dashboards from orders loaded in full (storage providers without
+ * server-side queries, see customerRepository); null goes back to the server
+ */
+export const holdOrdersInMemory = (orders) => {
+    memoryOrders = orders;
+};
+
+/**
+ * Open the cached copy of a user (no network needed)
+ * @returns {Object} { success, hasCache, meta: { userId, syncedAt, orderCount } }
+ */
+export const openOrderCache = async (userId) => {
+    try {
+        const db = await getDb();
+        const meta = await db.get(META_STORE, META_KEY);
+
+        // Another user's copy (or none): nothing to show until the first sync
+        if (!meta || meta.userId !== userId) {
+            memoryOrders = null;
+            return { success: true, hasCache: false, meta: null };
+        }
+
+        memoryOrders = await db.getAll(ORDERS_STORE);
+        console.log(`💾 Opened local cache: ${memoryOrders.length} orders (synced ${meta.syncedAt})`);
+        return { success: true, hasCache: true, meta };
+    } catch (error) {
+        console.error('Error opening local cache:', error);
+        memoryOrders = null;
+        return { success: false, hasCache: false, error: error.message };
+    }
+};
+
+/**
+ * Bring the cache up to date: download the orders changed since the last sync
+ * (everything on the first one) and drop the deleted ones
+ * @param {string} userId - Owner of the cache (RLS decides which orders they see)
+ * @param {Object} options - { full: ignore the cached copy and download everything }
+ * @returns {Object} { success, full, changed, deleted, meta } or { success: false, error, offline }
+ */
+export const syncOrderCache = async (userId, { full = false } = {}) => {
+    try {
+        const db = await getDb();
+        const meta = await db.get(META_STORE, META_KEY);
+
+        const { data: state, error } = await supabase.rpc('order_sync_state');
+        if (error) throw error;
+
+        const canDelta = !full && meta && meta.userId === userId &&
+            Date.parse(state.serverTime) - Date.parse(meta.syncedAt) < MAX_DELTA_AGE_MS;
+        const since = canDelta ? new Date(Date.parse(meta.syncedAt) - SYNC_OVERLAP_MS).toISOString() : null;
+
+        const rows = await fetchAllRows(() => supabase
+            .rpc('order_changes_since', { p_since: since })
+            .select(FLAT_ORDER_COLUMNS)
+            .order('order_id'));
+        const changed = rows.map(toFlatOrder);
+
+        let deletedIds = [];
+        if (since) {
+            const { data, error: deletedError } = await supabase.rpc('deleted_order_ids_since', { p_since: since });
+            if (deletedError) throw deletedError;
+            deletedIds = data.map(row => row.order_id);
+        }
+
+        const tx = db.transaction([ORDERS_STORE, META_STORE], 'readwrite');
+        const store = tx.objectStore(ORDERS_STORE);
+        if (!since) await store.clear();
+
+        const changedIds = new Set(changed.map(order => order.orderId));
+        const removed = deletedIds.filter(id => !changedIds.has(id));
+        await Promise.all([
+            ...removed.map(id => store.delete(id)),
+            ...changed.map(order => store.put(order))
+        ]);
+
+        const orderCount = await store.count();
+        const nextMeta = { userId, syncedAt: state.serverTime, orderCount };
+        await tx.objectStore(META_STORE).put(nextMeta, META_KEY);
+        await tx.done;
+
+        // A delta that does not add up (e.g. an import landed mid-sync) is redone in full
+        if (since && orderCount !== state.orderCount) {
+            console.warn(`⚠️ Local cache has ${orderCount} orders, server ${state.orderCount}: full resync`);
+            return syncOrderCache(userId, { full: true });
+        }
+
+        memoryOrders = await db.getAll(ORDERS_STORE);
+        console.log(`🔄 Local cache synced (${since ? 'delta' : 'full'}): ${changed.length} changed, ${removed.length} deleted`);
+
+        return { success: true, full: !since, changed: changed.length, deleted: removed.length, meta: nextMeta };
+    } catch (error) {
+        console.error('Error syncing local cache:', error);
+        return {
+            success: false,
+            error: error.message,
+            offline: typeof navigator !== 'undefined' && !navigator.onLine
+        };
+    }
+};
+
+/**
+ * Forget the cached copy (the next sync downloads everything)
+ */
+export const clearOrderCache = async () => {
+    memoryOrders = null;
+    try {
+        const db = await getDb();
+        const tx = db.transaction([ORDERS_STORE, META_STORE], 'readwrite');
+        await Promise.all([tx.objectStore(ORDERS_STORE).clear(), tx.objectStore(META_STORE).clear(), tx.done]);
+        return { success: true };
+    } catch (error) {
+        console.error('Error clearing local cache:', error);
+        return { success: false, error: error.message };
+    }
+};
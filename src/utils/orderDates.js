@@ -0,0 +1,22 @@
+// Order dates as the storage backends keep them. No imports, so scripts/migrateData.js
+// can load this module with plain Node.
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Canonical form of an order date as stored in orders.order_date (TIMESTAMP, wall-clock time
+ * of the source file): 'YYYY-MM-DDTHH:mm:ss'. Used so re-uploaded dates compare equal to stored ones.
+ */
+export const toStoredOrderDate = (value) => {
+    if (!value) return null;
+
+    const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/);
+    if (match) {
+        const [, year, month, day, hours = '00', minutes = '00', seconds = '00'] = match;
+        return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`;
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
@@ -0,0 +1,168 @@
+import { getCustomerKey } from './customerIdentity';
+import { getOrderStatusCategory } from '../config/orderStatuses';
+import { toStoredOrderDate } from './orderDates';
+
+// Grouping and merge helpers for the storage backends: the incremental order merge is shared by
+// all of them (supabaseUtils, firestoreUtils, pocketbaseUtils, memoryRepository)
+
+/**
+ * Group flat orders by customer
+ * batchId tags every order with the import that wrote it
+ * @returns {Array} [{ key, name, email, phone, city, identity, emailOriginal, phoneOriginal, identityOriginal, orders }]
+ */
+export const groupOrdersByCustomer = (orders, batchId = null) => {
+    const customerMap = {};
+    orders.forEach(order => {
+        const key = getCustomerKey(order);
+
+        if (!customerMap[key]) {
+            customerMap[key] = {
+                key,
+                name: order.customerName || order.name,
+                email: order.email,
+                phone: order.phone,
+                city: order.city,
+                identity: order.identity,
+                emailOriginal: order.emailOriginal || '',
+                phoneOriginal: order.phoneOriginal || '',
+                identityOriginal: order.identityOriginal || '',
+                orders: []
+            };
+        }
+
+        customerMap[key].orders.push({
+            orderId: order.orderId,
+            rawId: order.rawId,
+            orderDate: order.orderDate,
+            totalAmount: order.totalAmount,
+            items: order.items || [],
+            channel: order.channel,
+            status: order.status || '',
+            statusCategory: getOrderStatusCategory(order),
+            // Gestor information
+            posUser: order.posUser || '',
+            gestorName: order.gestorName || null,
+            gestorZone: order.gestorZone || null,
+            batchId,
+            // Contact values as the file row had them (see contactNormalization.js)
+            emailOriginal: order.emailOriginal || '',
+            phoneOriginal: order.phoneOriginal || '',
+            identityOriginal: order.identityOriginal || ''
+        });
+    });
+
+    return Object.values(customerMap);
+};
+
+/**
+ * File value kept next to a contact field of a customer an incremental upload writes to:
+ * the upload's when it brought a usable value, else the stored one, else the upload's (invalid) one
+ * @param {Object} newCustomer - Customer of the upload (groupOrdersByCustomer)
+ * @param {string} storedOriginal - Original stored with the customer
+ * @param {string} field - 'email', 'phone' or 'identity'
+ */
+export const pickOriginal = (newCustomer, storedOriginal, field) => (newCustomer[field]
+    ? newCustomer[`${field}Original`]
+    : storedOriginal || newCustomer[`${field}Original`]) || null;
+
+/**
+ * Keys an order can be matched by: cleaned orderId and the raw Albatross number
+ */
+export const getOrderKeys = (order) => {
+    const keys = [];
+    if (order.orderId) keys.push(`id:${order.orderId}`);
+    if (order.rawId) keys.push(`raw:${order.rawId}`);
+    return keys;
+};
+
+/**
+ * Fields that decide whether a stored order changed
+ */
+export const getOrderFingerprint = (order) => JSON.stringify([
+    order.rawId || '',
+    toStoredOrderDate(order.orderDate) || '',
+    Number(order.totalAmount) || 0,
+    order.channel || '',
+    order.status || '',
+    order.posUser || '',
+    order.gestorName || null,
+    order.gestorZone || null,
+    (order.items || []).map(item => [item.sku, Number(item.quantity) || 0, Number(item.total) || 0])
+]);
+
+/**
+ * Incremental merge shared by every backend. Orders are matched by orderId/rawId across all
+ * stored customers (orders can live under any customer, e.g. an email added later):
+ * new ones are added to their customer, changed ones are replaced where they are stored and
+ * identical ones are skipped, as are repeats of an order within the same upload
+ * @param {Array} storedCustomers - [{ customerId, orders }] currently stored
+ * @returns {Object} {
+ *   addOrder(customerId, order) → { status: 'inserted' | 'updated' | 'skipped', customerId: where the order is },
+ *   getOrders(customerId) → merged orders of a customer,
+ *   changedIds: Set of the customers whose orders changed,
+ *   counts: { inserted, updated, skipped } }
+ */
+export const createOrderMerge = (storedCustomers) => {
+    const workingOrders = {}; // customerId → { [orderId]: order }, deduped
+    const storedIndex = {}; // order key → { customerId, orderId }
+    const seenIncoming = new Set();
+    const changedIds = new Set();
+    const counts = { inserted: 0, updated: 0, skipped: 0 };
+
+    const indexOrder = (customerId, order) => {
+        getOrderKeys(order).forEach(orderKey => {
+            storedIndex[orderKey] = { customerId, orderId: order.orderId };
+        });
+    };
+
+    storedCustomers.forEach(({ customerId, orders }) => {
+        const customerOrders = {};
+        (orders || []).forEach(order => {
+            // Later copies of the same order (older double uploads) replace earlier ones
+            customerOrders[order.orderId] = order;
+            indexOrder(customerId, order);
+        });
+        workingOrders[customerId] = customerOrders;
+    });
+
+    const addOrder = (customerId, order) => {
+        const orderKeys = getOrderKeys(order);
+        if (orderKeys.some(orderKey => seenIncoming.has(orderKey))) {
+            counts.skipped++; // Same order twice in the upload (overlapping files)
+            return { status: 'skipped', customerId };
+        }
+        orderKeys.forEach(orderKey => seenIncoming.add(orderKey));
+
+        const match = orderKeys.map(orderKey => storedIndex[orderKey]).find(Boolean);
+        if (!match) {
+            workingOrders[customerId] = workingOrders[customerId] || {};
+            workingOrders[customerId][order.orderId] = order;
+            changedIds.add(customerId);
+            counts.inserted++;
+            return { status: 'inserted', customerId };
+        }
+
+        const storedOrder = workingOrders[match.customerId][match.orderId];
+        if (getOrderFingerprint(storedOrder) === getOrderFingerprint(order)) {
+            counts.skipped++;
+            return { status: 'skipped', customerId: match.customerId };
+        }
+
+        // Update the order where it is stored, even if it sits under another customer
+        console.log(`✏️ Updating order ${order.orderId}: ${storedOrder.orderDate} / ${storedOrder.totalAmount} → ${order.orderDate} / ${order.totalAmount}`);
+        getOrderKeys(storedOrder).forEach(orderKey => delete storedIndex[orderKey]);
+        delete workingOrders[match.customerId][match.orderId];
+        workingOrders[match.customerId][order.orderId] = order;
+        indexOrder(match.customerId, order);
+        changedIds.add(match.customerId);
+        counts.updated++;
+        return { status: 'updated', customerId: match.customerId };
+    };
+
+    return {
+        addOrder,
+        getOrders: (customerId) => Object.values(workingOrders[customerId] || {}),
+        changedIds,
+        counts
+    };
+};
@@ -0,0 +1,447 @@
+import { supabase } from '../config/supabase';
+import { FLAT_ORDER_COLUMNS, toFlatOrder } from './customerTables';
+import { getCachedOrders } from './orderCache';
+import { matchesContactTerm } from './customerIdentity';
+import { getOrderStatusCategory, getStatusCategories } from '../config/orderStatuses';
+import { isNonProductSku, getProductItems, getProductAmount } from './productLines';
+
+// Server-side filtering for the dashboards (query_orders, order_summary, ... in supabase_setup.sql).
+// Row Level Security applies to every call, so gestoras only get their own customers.
+// When the local cache is open (see orderCache) the same filters run on the cached orders.
+
+export const DEFAULT_PAGE_SIZE = 500;
+const MAX_PAGE_SIZE = 1000; // Supabase caps a select at 1000 rows
+
+const nonEmpty = (values) => (values && values.length > 0 ? values : null);
+
+/**
+ * Dashboard filters → query_orders arguments.
+ * Dates are 'YYYY-MM-DD' days (inclusive); empty values mean "no filter".
+ * Only delivered orders are returned unless includeCancelled is set (see config/orderStatuses.js)
+ * @param {Object} filters - { startDate, endDate, skus, search, cities, gestor, zone, customerIds, includeCancelled }
+ */
+const toQueryArgs = ({ startDate, endDate, skus, search, cities, gestor, zone, customerIds, includeCancelled } = {}) => ({
+    p_start_date: startDate ? `${startDate}T00:00:00` : null,
+    p_end_date: endDate ? `${endDate}T23:59:59.999` : null,
+    p_skus: nonEmpty((skus || []).map(sku => String(sku).trim()).filter(Boolean)),
+    p_search: search?.trim() || null,
+    p_cities: nonEmpty(cities),
+    p_gestor: gestor || null,
+    p_zone: zone || null,
+    p_customer_ids: nonEmpty(customerIds),
+    p_statuses: getStatusCategories(includeCancelled)
+});
+
+const includesTerm = (value, term) => String(value || '').toLowerCase().includes(term);
+
+const byNewestOrder = (a, b) => {
+    if (a.orderDate !== b.orderDate) return (b.orderDate || '') < (a.orderDate || '') ? -1 : 1;
+    return a.orderId < b.orderId ? -1 : a.orderId > b.orderId ? 1 : 0;
+};
+
+// query_orders on the cached orders (order dates are 'YYYY-MM-DDTHH:mm:ss', so they compare as strings)
+const filterCachedOrders = (orders, filters) => {
+    const args = toQueryArgs(filters);
+    const skus = args.p_skus?.map(term => term.toLowerCase());
+    const search = args.p_search?.toLowerCase();
+
+    return orders
+        .filter(order => {
+            if (!args.p_statuses.includes(getOrderStatusCategory(order))) return false;
+            if (args.p_start_date && !(order.orderDate && order.orderDate >= args.p_start_date)) return false;
+            if (args.p_end_date && !(order.orderDate && order.orderDate <= args.p_end_date)) return false;
+            if (args.p_cities && !args.p_cities.includes(order.city)) return false;
+            if (args.p_gestor && order.gestorName !== args.p_gestor) return false;
+            if (args.p_zone && order.gestorZone !== args.p_zone) return false;
+            if (args.p_customer_ids && !args.p_customer_ids.includes(order.customerId)) return false;
+            if (skus && !order.items.some(item => skus.some(term => includesTerm(item.sku, term)))) return false;
+            if (search) {
+                return [order.name, order.email, order.phone, order.identity].some(value => includesTerm(value, search)) ||
+                    matchesContactTerm(order, search) ||
+                    order.items.some(item => includesTerm(item.sku, search));
+            }
+            return true;
+        })
+        .sort(byNewestOrder);
+};
+
+// order_summary on the cached orders (totals and SKUs count delivered orders only, SKUs skip non-product lines)
+const summarizeCachedOrders = (orders, topSkuCount = 20) => {
+    const customerIds = new Set();
+    const cities = new Set();
+    const gestores = new Map();
+    const skuMap = {};
+    let latestOrderDate = null;
+    let orderCount = 0;
+
+    orders.forEach(order => {
+        const isDelivered = getOrderStatusCategory(order) === 'delivered';
+        if (isDelivered) {
+            orderCount++;
+            customerIds.add(order.customerId);
+        }
+        if (order.city) cities.add(order.city);
+        if (order.orderDate && (!latestOrderDate || order.orderDate > latestOrderDate)) {
+            latestOrderDate = order.orderDate;
+        }
+        if (order.gestorName && order.gestorName !== 'Sin Asignar') {
+            const zone = order.gestorZone || 'Sin Zona';
+            gestores.set(`${zone}|${order.gestorName}`, { zone, gestor: order.gestorName });
+        }
+
+        if (!isDelivered) return;
+        getProductItems(order.items).forEach(item => {
+            const sku = item.sku || item.description;
+            if (!sku) return;
+
+            if (!skuMap[sku]) {
+                skuMap[sku] = { sku, description: item.description, totalQuantity: 0, totalRevenue: 0 };
+            }
+            skuMap[sku].totalQuantity += item.quantity || 0;
+            skuMap[sku].totalRevenue += item.total || 0;
+        });
+    });
+
+    return {
+        orderCount,
+        customerCount: customerIds.size,
+        latestOrderDate,
+        cities: [...cities].sort(),
+        gestores: [...gestores.values()].sort((a, b) => a.zone.localeCompare(b.zone) || a.gestor.localeCompare(b.gestor)),
+        topSkus: Object.values(skuMap)
+            .sort((a, b) => b.totalQuantity - a.totalQuantity)
+            .slice(0, topSkuCount)
+    };
+};
+
+/**
+ * One page of the orders matching the filters, newest first
+ * @param {Object} filters - See toQueryArgs
+ * @param {Object} options - { page (0-based), pageSize }
+ * @returns {Object} { success, orders, total, page, pageSize, hasMore } or { success: false, error }
+ */
+export const queryOrders = async (filters = {}, { page = 0, pageSize = DEFAULT_PAGE_SIZE } = {}) => {
+    try {
+        const size = Math.min(Math.max(1, pageSize), MAX_PAGE_SIZE);
+        const from = page * size;
+
+        const cached = getCachedOrders();
+        if (cached) {
+            const matches = filterCachedOrders(cached, filters);
+            return {
+                success: true,
+                orders: matches.slice(from, from + size),
+                total: matches.length,
+                page,
+                pageSize: size,
+                hasMore: from + size < matches.length
+            };
+        }
+
+        const { data, error, count } = await supabase
+            .rpc('query_orders', toQueryArgs(filters), { count: 'exact' })
+            .select(FLAT_ORDER_COLUMNS)
+            .order('order_date', { ascending: false })
+            .order('order_id')
+            .range(from, from + size - 1);
+
+        if (error) throw error;
+
+        return {
+            success: true,
+            orders: data.map(toFlatOrder),
+            total: count ?? data.length,
+            page,
+            pageSize: size,
+            hasMore: from + data.length < (count ?? 0)
+        };
+    } catch (error) {
+        console.error('Error querying orders:', error);
+        return { success: false, error: error.message, orders: [], total: 0 };
+    }
+};
+
+/**
+ * Every order matching the filters (pages through queryOrders)
+ * @returns {Object} { success, orders, total } or { success: false, error }
+ */
+export const queryAllOrders = async (filters = {}) => {
+    const orders = [];
+
+    for (let page = 0; ; page++) {
+        const result = await queryOrders(filters, { page, pageSize: MAX_PAGE_SIZE });
+        if (!result.success) return result;
+
+        orders.push(...result.orders);
+        if (!result.hasMore) {
+            console.log(`🔎 Loaded ${orders.length} filtered orders`);
+            return { success: true, orders, total: result.total };
+        }
+    }
+};
+
+/**
+ * Totals and filter options shown before any filter is applied
+ * @returns {Object} { success, summary: { orderCount, customerCount, latestOrderDate, cities, gestores, topSkus } }
+ */
+export const loadOrderSummary = async () => {
+    try {
+        const cached = getCachedOrders();
+        if (cached) {
+            return { success: true, summary: summarizeCachedOrders(cached), timestamp: new Date() };
+        }
+
+        const { data, error } = await supabase.rpc('order_summary');
+        if (error) throw error;
+
+        return { success: true, summary: data, timestamp: new Date() };
+    } catch (error) {
+        console.error('Error loading order summary:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+// customer_gestor_history rows, from the cache when it is open
+const fetchGestorHistoryRows = async (ids, statuses) => {
+    const cached = getCachedOrders();
+    if (cached) {
+        const wanted = new Set(ids);
+        const counts = {};
+        cached.forEach(order => {
+            if (!wanted.has(order.customerId) || !statuses.includes(getOrderStatusCategory(order))) return;
+            const key = JSON.stringify([order.customerId, order.gestorName || 'Sin Asignar']);
+            counts[key] = (counts[key] || 0) + 1;
+        });
+        return Object.entries(counts).map(([key, order_count]) => {
+            const [customer_id, gestor_name] = JSON.parse(key);
+            return { customer_id, gestor_name, order_count };
+        });
+    }
+
+    const { data, error } = await supabase.rpc('customer_gestor_history', { p_customer_ids: ids, p_statuses: statuses });
+    if (error) throw error;
+    return data;
+};
+
+/**
+ * Orders per gestor over the whole history of each customer
+ * @param {Array} customerIds
+ * @param {Object} options - { includeCancelled }
+ * @returns {Object} { [customerId]: { gestores: { [gestorName]: orderCount }, totalGestores } }
+ */
+export const loadCustomerGestorHistory = async (customerIds, { includeCancelled = false } = {}) => {
+    const ids = [...new Set(customerIds.filter(Boolean))];
+    const history = {};
+    if (ids.length === 0) return history;
+
+    const data = await fetchGestorHistoryRows(ids, getStatusCategories(includeCancelled));
+    data.forEach(({ customer_id, gestor_name, order_count }) => {
+        if (!history[customer_id]) {
+            history[customer_id] = { gestores: {}, totalGestores: 0 };
+        }
+        history[customer_id].gestores[gestor_name] = Number(order_count);
+        history[customer_id].totalGestores++;
+    });
+
+    return history;
+};
+
+const CANCELLATION_MIN_ORDERS = 3;
+const CANCELLATION_LIMIT = 50;
+
+const isCancellation = (category) => category === 'cancelled' || category === 'returned';
+
+// One cancellation_stats row: closed orders, cancelled, returned and their share
+const countStatuses = (categories) => {
+    const cancelled = categories.filter(category => category === 'cancelled').length;
+    const returned = categories.filter(category => category === 'returned').length;
+    return {
+        orderCount: categories.length,
+        cancelled,
+        returned,
+        rate: categories.length > 0 ? (cancelled + returned) / categories.length : 0
+    };
+};
+
+const byRate = (a, b) => b.rate - a.rate || b.orderCount - a.orderCount;
+
+// cancellation_stats on the cached orders
+const summarizeCachedCancellations = (orders, filters) => {
+    const args = toQueryArgs(filters);
+    const closed = orders.filter(order => {
+        const category = getOrderStatusCategory(order);
+        if (category !== 'delivered' && !isCancellation(category)) return false;
+        if (args.p_start_date && !(order.orderDate && order.orderDate >= args.p_start_date)) return false;
+        if (args.p_end_date && !(order.orderDate && order.orderDate <= args.p_end_date)) return false;
+        if (args.p_gestor && order.gestorName !== args.p_gestor) return false;
+        if (args.p_zone && order.gestorZone !== args.p_zone) return false;
+        return true;
+    });
+
+    const gestores = {};
+    const skus = {};
+    const customers = {};
+    closed.forEach(order => {
+        const category = getOrderStatusCategory(order);
+        const zone = order.gestorZone || 'Sin Zona';
+        const gestor = order.gestorName || 'Sin Asignar';
+
+        const gestorKey = `${zone}|${gestor}`;
+        if (!gestores[gestorKey]) gestores[gestorKey] = { zone, gestor, categories: [] };
+        gestores[gestorKey].categories.push(category);
+
+        if (!customers[order.customerId]) {
+            customers[order.customerId] = { customerId: order.customerId, name: order.name || 'Sin nombre', phone: order.phone || '', categories: [] };
+        }
+        customers[order.customerId].categories.push(category);
+
+        // Each SKU counts an order once, however many lines it has
+        new Set(order.items.map(item => item.sku).filter(sku => sku && !isNonProductSku(sku))).forEach(sku => {
+            if (!skus[sku]) {
+                skus[sku] = { sku, description: order.items.find(item => item.sku === sku).description, categories: [] };
+            }
+            skus[sku].categories.push(category);
+        });
+    });
+
+    const toRows = (groups, keep = () => true) => Object.values(groups)
+        .filter(({ categories }) => categories.length >= CANCELLATION_MIN_ORDERS)
+        .map(({ categories, ...group }) => ({ ...group, ...countStatuses(categories) }))
+        .filter(keep)
+        .sort(byRate);
+
+    return {
+        totals: countStatuses(closed.map(getOrderStatusCategory)),
+        byGestor: toRows(gestores),
+        bySku: toRows(skus).slice(0, CANCELLATION_LIMIT),
+        byCustomer: toRows(customers, row => row.cancelled + row.returned > 0).slice(0, CANCELLATION_LIMIT)
+    };
+};
+
+/**
+ * Cancellation rates (cancelled + returned out of every closed order) overall and per gestor, SKU and customer
+ * @param {Object} filters - { startDate, endDate, gestor, zone }
+ * @returns {Object} { success, stats: { totals, byGestor, bySku, byCustomer } } or { success: false, error }
+ */
+export const loadCancellationStats = async (filters = {}) => {
+    try {
+        const cached = getCachedOrders();
+        if (cached) {
+            return { success: true, stats: summarizeCachedCancellations(cached, filters) };
+        }
+
+        const args = toQueryArgs(filters);
+        const { data, error } = await supabase.rpc('cancellation_stats', {
+            p_start_date: args.p_start_date,
+            p_end_date: args.p_end_date,
+            p_gestor: args.p_gestor,
+            p_zone: args.p_zone,
+            p_min_orders: CANCELLATION_MIN_ORDERS,
+            p_limit: CANCELLATION_LIMIT
+        });
+        if (error) throw error;
+
+        return { success: true, stats: data };
+    } catch (error) {
+        console.error('Error loading cancellation stats:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+// Distinct product SKUs of an order
+const getBasketSkus = (order) => [...new Set(getProductItems(order.items).map(item => item.sku).filter(Boolean))];
+
+// product_baskets on the cached orders
+const summarizeCachedBaskets = (orders, sku) => {
+    const delivered = orders.filter(order => getOrderStatusCategory(order) === 'delivered');
+    const baskets = delivered.map(getBasketSkus).filter(basket => basket.includes(sku));
+    const wanted = new Set(baskets.flat());
+
+    const skus = {};
+    delivered.forEach(order => {
+        getProductItems(order.items).forEach(item => {
+            if (!wanted.has(item.sku)) return;
+            if (!skus[item.sku]) skus[item.sku] = { sku: item.sku, description: item.description || '', orderIds: new Set() };
+            skus[item.sku].orderIds.add(order.orderId);
+        });
+    });
+
+    return {
+        orderCount: delivered.length,
+        baskets,
+        skus: Object.values(skus).map(({ orderIds, ...item }) => ({ ...item, orderCount: orderIds.size }))
+    };
+};
+
+/**
+ * Market basket of one product, for the association rules (see utils/associationRules.js):
+ * the product SKUs of every delivered order containing it, in how many delivered orders each of
+ * those SKUs appears, and how many delivered orders there are
+ * @param {string} sku
+ * @returns {Object} { success, baskets: [[sku]], skus: [{ sku, description, orderCount }], orderCount } or { success: false, error }
+ */
+export const loadProductBaskets = async (sku) => {
+    try {
+        const cached = getCachedOrders();
+        if (cached) {
+            return { success: true, ...summarizeCachedBaskets(cached, sku) };
+        }
+
+        const { data, error } = await supabase.rpc('product_baskets', { p_sku: sku });
+        if (error) throw error;
+
+        return { success: true, baskets: data.baskets, skus: data.skus, orderCount: Number(data.orderCount) };
+    } catch (error) {
+        console.error('Error loading product baskets:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+// customer_purchase_history on the cached orders
+const summarizeCachedPurchaseHistory = (orders) => {
+    const customers = {};
+    orders.forEach(order => {
+        if (getOrderStatusCategory(order) !== 'delivered' || !order.orderDate) return;
+
+        const day = order.orderDate.slice(0, 10);
+        if (!customers[order.customerId]) {
+            customers[order.customerId] = { customerId: order.customerId, firstPurchase: day, lastPurchase: day, days: new Set(), productAmount: 0 };
+        }
+        const customer = customers[order.customerId];
+        if (day < customer.firstPurchase) customer.firstPurchase = day;
+        if (day > customer.lastPurchase) customer.lastPurchase = day;
+        customer.days.add(day);
+        customer.productAmount += getProductAmount(order);
+    });
+
+    return Object.values(customers).map(({ days, ...customer }) => ({ ...customer, purchaseDays: days.size }));
+};
+
+/**
+ * Purchase history of every customer over their delivered orders, one row each, for the churn
+ * model and the 12-month value (see utils/churnModel.js): days are 'YYYY-MM-DD'
+ * @returns {Object} { success, histories: [{ customerId, firstPurchase, lastPurchase, purchaseDays, productAmount }] } or { success: false, error }
+ */
+export const loadCustomerPurchaseHistory = async () => {
+    try {
+        const cached = getCachedOrders();
+        if (cached) {
+            return { success: true, histories: summarizeCachedPurchaseHistory(cached) };
+        }
+
+        const { data, error } = await supabase.rpc('customer_purchase_history');
+        if (error) throw error;
+
+        return {
+            success: true,
+            histories: data.map(history => ({
+                ...history,
+                purchaseDays: Number(history.purchaseDays),
+                productAmount: Number(history.productAmount)
+            }))
+        };
+    } catch (error) {
+        console.error('Error loading customer purchase history:', error);
+        return { success: false, error: error.message };
+    }
+};
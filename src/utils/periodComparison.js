@@ -0,0 +1,129 @@
+import { addDays, differenceInCalendarDays, format, isValid, parseISO, startOfMonth, subDays, subYears } from 'date-fns';
+import { getCustomerGroupKey } from './customerIdentity';
+import { getProductItems, getProductAmount } from './productLines';
+import { COMPARED_TOP_SKUS } from '../config/periodComparison';
+
+// Period-over-period comparison: the current date range against a previous one
+// (see config/periodComparison.js). Ranges are { start, end } 'yyyy-MM-dd' strings, both days included.
+
+const DAY_FORMAT = 'yyyy-MM-dd';
+
+const parseDay = (value) => {
+    if (!value) return null;
+    const date = parseISO(value);
+    return isValid(date) ? date : null;
+};
+
+const toRange = (start, end) => ({ start: format(start, DAY_FORMAT), end: format(end, DAY_FORMAT) });
+
+/**
+ * Current range of a quick range shortcut ('thisMonth', 'last30Days'), up to today
+ */
+export const getQuickRange = (id, today = new Date()) => {
+    if (id === 'thisMonth') return toRange(startOfMonth(today), today);
+    if (id === 'last30Days') return toRange(subDays(today, 29), today);
+    return null;
+};
+
+/**
+ * Range the current one is compared against
+ * @param {Object} range - Current { start, end }
+ * @param {string} preset - 'previousPeriod', 'previousYear' or 'custom'
+ * @param {Object} custom - { start, end } used by 'custom'
+ * @returns {Object|null} { start, end }, null until both ranges are complete
+ */
+export const getComparisonRange = (range, preset, custom) => {
+    const start = parseDay(range?.start);
+    const end = parseDay(range?.end);
+    if (!start || !end || start > end) return null;
+
+    if (preset === 'custom') {
+        const customStart = parseDay(custom?.start);
+        const customEnd = parseDay(custom?.end);
+        return customStart && customEnd && customStart <= customEnd ? toRange(customStart, customEnd) : null;
+    }
+
+    if (preset === 'previousYear') return toRange(subYears(start, 1), subYears(end, 1));
+
+    // Same number of days, ending the day before the current range starts
+    const days = differenceInCalendarDays(end, start) + 1;
+    const previousEnd = subDays(start, 1);
+    return toRange(addDays(previousEnd, 1 - days), previousEnd);
+};
+
+/**
+ * Absolute and relative change from the previous value
+ * @returns {Object} { delta, change } - change as a fraction (0.25 = +25%), null when previous is 0
+ */
+export const getDelta = (current, previous) => ({
+    delta: current - previous,
+    change: previous ? (current - previous) / Math.abs(previous) : null
+});
+
+/**
+ * KPIs of a set of orders: distinct customers, orders, product sales and average per customer
+ */
+export const summarizePeriod = (orders) => {
+    const customers = new Set(orders.map(getCustomerGroupKey));
+    const revenue = orders.reduce((sum, order) => sum + getProductAmount(order), 0);
+    return {
+        customerCount: customers.size,
+        orderCount: orders.length,
+        revenue,
+        averagePerCustomer: customers.size > 0 ? revenue / customers.size : 0
+    };
+};
+
+// Units, sales and orders per product SKU
+const countSkus = (orders) => {
+    const skus = {};
+    orders.forEach(order => {
+        getProductItems(order.items).forEach(item => {
+            const sku = String(item.sku || '').trim();
+            if (!sku) return;
+            if (!skus[sku]) skus[sku] = { sku, description: item.description || '', units: 0, revenue: 0, orderIds: new Set() };
+            skus[sku].units += parseFloat(item.quantity) || 0;
+            skus[sku].revenue += parseFloat(item.total) || 0;
+            skus[sku].orderIds.add(order.orderId);
+        });
+    });
+    return skus;
+};
+
+/**
+ * Top SKUs of the current period with their figures in the previous one
+ * @param {Array} currentOrders - Orders of the current range
+ * @param {Array} previousOrders - Orders of the range compared against
+ * @param {number} limit - SKUs kept, most units in the current period first
+ * @returns {Array} [{ sku, description, units, revenue, orderCount, previous: { units, revenue, orderCount, rank } }]
+ *   previous.rank is the position of the SKU in the previous period (null when it did not sell)
+ */
+export const compareTopSkus = (currentOrders, previousOrders, limit = COMPARED_TOP_SKUS) => {
+    const byUnits = (a, b) => b.units - a.units || b.revenue - a.revenue;
+    const current = Object.values(countSkus(currentOrders)).sort(byUnits);
+    const previous = Object.values(countSkus(previousOrders)).sort(byUnits);
+    const previousRanks = Object.fromEntries(previous.map((row, index) => [row.sku, { row, rank: index + 1 }]));
+
+    return current.slice(0, limit).map(({ orderIds, ...row }) => {
+        const before = previousRanks[row.sku];
+        return {
+            ...row,
+            orderCount: orderIds.size,
+            previous: {
+                units: before?.row.units || 0,
+                revenue: before?.row.revenue || 0,
+                orderCount: before?.row.orderIds.size || 0,
+                rank: before?.rank || null
+            }
+        };
+    });
+};
+
+/**
+ * 'dd/MM/yyyy - dd/MM/yyyy' label of a range
+ */
+export const formatRange = (range) => {
+    const start = parseDay(range?.start);
+    const end = parseDay(range?.end);
+    return start && end ? `${format(start, 'dd/MM/yyyy')} - ${format(end, 'dd/MM/yyyy')}` : '';
+};
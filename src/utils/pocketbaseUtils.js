@@ -1,4 +1,7 @@
 import { pb } from '../config/pocketbase';
+import { groupOrdersByCustomer, createOrderMerge, pickOriginal } from './orderMerge';
+import { getCustomerLookupKeys, toCustomerId } from './customerIdentity';
+import { getOrderStatusCategory } from '../config/orderStatuses';
 
 const COLLECTION_NAME = 'customers';
 
@@ -7,90 +10,78 @@ const COLLECTION_NAME = 'customers';
  */
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+/**
+ * Write customers (with their orders) in batches, updating the records that already exist
+ * @param {Array} customers - [{ customerId, name, email, phone, city, identity, *Original, orders, recordId? }]
+ * @returns {number} Customers written
+ */
+const writeCustomerRecords = async (customers) => {
+    let totalSaved = 0;
+    const BATCH_SIZE = 50; // Process in batches for progress updates
+
+    for (let i = 0; i < customers.length; i += BATCH_SIZE) {
+        const chunk = customers.slice(i, i + BATCH_SIZE);
+
+        // Save each customer in the batch
+        await Promise.all(chunk.map(async (customer) => {
+            const customerData = {
+                customerId: customer.customerId,
+                name: customer.name || 'Sin nombre',
+                email: customer.email || '',
+                phone: customer.phone || '',
+                city: customer.city || '',
+                identity: customer.identity || '',
+                // Contact values as the file had them (text fields next to the normalized ones)
+                emailOriginal: customer.emailOriginal || '',
+                phoneOriginal: customer.phoneOriginal || '',
+                identityOriginal: customer.identityOriginal || '',
+                orders: JSON.stringify(customer.orders || []) // Store as JSON string
+            };
+
+            try {
+                // Try to update first, if not exists, create
+                const existing = customer.recordId
+                    ? { id: customer.recordId }
+                    : await pb.collection(COLLECTION_NAME).getFirstListItem(`customerId="${customer.customerId}"`, { $autoCancel: false }).catch(() => null);
+
+                if (existing) {
+                    await pb.collection(COLLECTION_NAME).update(existing.id, customerData, { $autoCancel: false });
+                } else {
+                    await pb.collection(COLLECTION_NAME).create(customerData, { $autoCancel: false });
+                }
+            } catch (error) {
+                console.error(`Error saving customer ${customer.customerId}:`, error);
+            }
+        }));
+
+        totalSaved += chunk.length;
+        console.log(`✅ Saved ${totalSaved}/${customers.length} customers`);
+
+        // Small delay between batches
+        if (i + BATCH_SIZE < customers.length) {
+            await delay(100);
+        }
+    }
+
+    return totalSaved;
+};
+
 /**
  * Save customers to PocketBase (optimized for large datasets)
  * Groups orders by customer to reduce data size
+ * options.batchId tags every order with the import that wrote it
  */
-export const saveCustomersToPocketBase = async (orders) => {
+export const saveCustomersToPocketBase = async (orders, { batchId = null } = {}) => {
     try {
         console.log(`Starting PocketBase save for ${orders.length} orders...`);
 
         // Step 1: Group orders by customer
-        const customerMap = {};
-        orders.forEach(order => {
-            const key = order.email || order.phone || `unknown_${order.customerName || order.name}`;
-
-            if (!customerMap[key]) {
-                customerMap[key] = {
-                    name: order.customerName || order.name,
-                    email: order.email,
-                    phone: order.phone,
-                    city: order.city,
-                    identity: order.identity,
-                    orders: []
-                };
-            }
-
-            customerMap[key].orders.push({
-                orderId: order.orderId,
-                rawId: order.rawId,
-                orderDate: order.orderDate,
-                totalAmount: order.totalAmount,
-                items: order.items || [],
-                channel: order.channel
-            });
-        });
-
-        const customers = Object.values(customerMap);
+        const customers = groupOrdersByCustomer(orders, batchId)
+            .map(customer => ({ ...customer, customerId: toCustomerId(customer) }));
         console.log(`Grouped into ${customers.length} unique customers`);
 
         // Step 2: Save customers one by one (PocketBase handles this efficiently)
-        let totalSaved = 0;
-        const BATCH_SIZE = 50; // Process in batches for progress updates
-
-        for (let i = 0; i < customers.length; i += BATCH_SIZE) {
-            const chunk = customers.slice(i, i + BATCH_SIZE);
-
-            // Save each customer in the batch
-            await Promise.all(chunk.map(async (customer) => {
-                const customerId = customer.email
-                    ? customer.email.replace(/[^a-zA-Z0-9]/g, '_')
-                    : customer.phone
-                        ? customer.phone.replace(/[^a-zA-Z0-9]/g, '_')
-                        : `customer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-                const customerData = {
-                    customerId: customerId,
-                    name: customer.name || 'Sin nombre',
-                    email: customer.email || '',
-                    phone: customer.phone || '',
-                    city: customer.city || '',
-                    identity: customer.identity || '',
-                    orders: JSON.stringify(customer.orders || []) // Store as JSON string
-                };
-
-                try {
-                    // Try to update first, if not exists, create
-                    const existing = await pb.collection(COLLECTION_NAME).getFirstListItem(`customerId="${customerId}"`, { $autoCancel: false }).catch(() => null);
-
-                    if (existing) {
-                        await pb.collection(COLLECTION_NAME).update(existing.id, customerData, { $autoCancel: false });
-                    } else {
-                        await pb.collection(COLLECTION_NAME).create(customerData, { $autoCancel: false });
-                    }
-                } catch (error) {
-                    console.error(`Error saving customer ${customerId}:`, error);
-                }
-            }));
-
-            totalSaved += chunk.length;
-            console.log(`✅ Saved ${totalSaved}/${customers.length} customers`);
-
-            // Small delay between batches
-            if (i + BATCH_SIZE < customers.length) {
-                await delay(100);
-            }
-        }
+        const totalSaved = await writeCustomerRecords(customers);
 
         console.log(`🎉 Successfully saved ${totalSaved} customers to PocketBase`);
 
@@ -129,6 +120,7 @@ export const loadCustomersFromPocketBase = async () => {
                 customerOrders.forEach(order => {
                     orders.push({
                         // Customer info
+                        customerId: customer.customerId,
                         name: customer.name || 'Sin nombre',
                         email: customer.email || '',
                         phone: customer.phone || '',
@@ -141,7 +133,19 @@ export const loadCustomersFromPocketBase = async () => {
                         orderDate: order.orderDate,
                         totalAmount: order.totalAmount,
                         items: order.items || [],
-                        channel: order.channel
+                        channel: order.channel,
+                        status: order.status || '',
+                        statusCategory: getOrderStatusCategory(order),
+
+                        // Gestor information
+                        posUser: order.posUser || '',
+                        gestorName: order.gestorName || null,
+                        gestorZone: order.gestorZone || null,
+
+                        // Contact values as the file row had them
+                        emailOriginal: order.emailOriginal || '',
+                        phoneOriginal: order.phoneOriginal || '',
+                        identityOriginal: order.identityOriginal || ''
                     });
                 });
             }
@@ -225,3 +229,150 @@ export const updateCustomer = async (customerId, data) => {
         };
     }
 };
+
+/**
+ * Get the latest order date from PocketBase
+ * Returns null if no orders exist
+ */
+export const getLatestOrderDate = async () => {
+    try {
+        const records = await pb.collection(COLLECTION_NAME).getFullList({ fields: 'orders', $autoCancel: false });
+
+        let latestDate = null;
+        records.forEach((customer) => {
+            JSON.parse(customer.orders || '[]').forEach(order => {
+                const orderDate = new Date(order.orderDate);
+                if (!isNaN(orderDate) && (!latestDate || orderDate > latestDate)) {
+                    latestDate = orderDate;
+                }
+            });
+        });
+
+        console.log(`📅 Latest order date in PocketBase: ${latestDate || 'No data'}`);
+        return latestDate;
+    } catch (error) {
+        console.error('Error getting latest order date:', error);
+        return null;
+    }
+};
+
+/**
+ * Save customers to PocketBase in INCREMENTAL mode
+ * Merges new orders into the stored customers by orderId/rawId (see orderMerge.js); only
+ * customers with new or changed orders are written
+ * @returns {Object} { success, count, inserted, updated, skipped, customerIds, timestamp }
+ */
+export const saveCustomersToPocketBaseIncremental = async (orders, { batchId = null } = {}) => {
+    try {
+        console.log(`Starting INCREMENTAL PocketBase save for ${orders.length} orders...`);
+
+        // Step 1: Get existing customers, by customerId and by their lookup keys
+        const records = await pb.collection(COLLECTION_NAME).getFullList({ $autoCancel: false });
+        const storedCustomers = records.map(record => ({ ...record, recordId: record.id, orders: JSON.parse(record.orders || '[]') }));
+        const existingCustomersMap = {};
+        storedCustomers.forEach(customer => {
+            existingCustomersMap[customer.customerId] = customer;
+
+            getCustomerLookupKeys(customer).forEach(key => {
+                if (!existingCustomersMap[key]) {
+                    existingCustomersMap[key] = customer;
+                }
+            });
+        });
+
+        console.log(`Found ${records.length} existing customers in PocketBase`);
+
+        // Step 2: Merge the new orders into them (see orderMerge.js)
+        const merge = createOrderMerge(storedCustomers);
+        const contacts = {}; // customerId → contact fields of the customers that got new orders
+
+        groupOrdersByCustomer(orders, batchId).forEach(newCustomer => {
+            const existingCustomer = existingCustomersMap[toCustomerId(newCustomer)]
+                || getCustomerLookupKeys(newCustomer).map(key => existingCustomersMap[key]).find(Boolean);
+            const customerId = existingCustomer?.customerId || toCustomerId(newCustomer);
+
+            newCustomer.orders.forEach(order => {
+                if (merge.addOrder(customerId, order).status !== 'inserted') return;
+                contacts[customerId] = {
+                    name: newCustomer.name || existingCustomer?.name,
+                    email: newCustomer.email || existingCustomer?.email,
+                    phone: newCustomer.phone || existingCustomer?.phone,
+                    city: newCustomer.city || existingCustomer?.city,
+                    identity: newCustomer.identity || existingCustomer?.identity,
+                    emailOriginal: pickOriginal(newCustomer, existingCustomer?.emailOriginal, 'email'),
+                    phoneOriginal: pickOriginal(newCustomer, existingCustomer?.phoneOriginal, 'phone'),
+                    identityOriginal: pickOriginal(newCustomer, existingCustomer?.identityOriginal, 'identity')
+                };
+            });
+        });
+
+        const { inserted, updated, skipped } = merge.counts;
+        const changedCustomers = [...merge.changedIds].map(customerId => {
+            const existingCustomer = existingCustomersMap[customerId];
+            return {
+                customerId,
+                recordId: existingCustomer?.recordId,
+                name: existingCustomer?.name,
+                email: existingCustomer?.email,
+                phone: existingCustomer?.phone,
+                city: existingCustomer?.city,
+                identity: existingCustomer?.identity,
+                emailOriginal: existingCustomer?.emailOriginal,
+                phoneOriginal: existingCustomer?.phoneOriginal,
+                identityOriginal: existingCustomer?.identityOriginal,
+                ...contacts[customerId],
+                orders: merge.getOrders(customerId)
+            };
+        });
+
+        console.log(`🔄 Merge result: ${inserted} new, ${updated} updated, ${skipped} unchanged orders`);
+
+        // Step 3: Write only the customers that changed
+        const totalSaved = await writeCustomerRecords(changedCustomers);
+
+        console.log(`🎉 Successfully saved ${totalSaved} customers in INCREMENTAL mode`);
+
+        return {
+            success: true,
+            count: totalSaved,
+            inserted,
+            updated,
+            skipped,
+            customerIds: changedCustomers.map(customer => customer.customerId),
+            timestamp: new Date()
+        };
+    } catch (error) {
+        console.error('❌ Error in incremental PocketBase save:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Replace every customer (FULL mode)
+ * The collection is cleared first, so a failed save leaves it partially loaded
+ * until the upload is repeated
+ * @param {Object} options - { batchId, onProgress({ stage, message }) }
+ */
+export const replaceCustomersInPocketBase = async (orders, { batchId = null, onProgress } = {}) => {
+    onProgress?.({ stage: 'clear', message: 'Eliminando los datos anteriores...' });
+    const cleared = await clearAllData();
+    if (!cleared.success) return cleared;
+
+    onProgress?.({ stage: 'save', message: `Guardando ${orders.length.toLocaleString('es-HN')} pedidos...` });
+    return saveCustomersToPocketBase(orders, { batchId });
+};
+
+// Customer repository implementation (see customerRepository.js)
+export const pocketbaseRepository = {
+    features: { importHistory: false, serverQueries: false, atomicReplace: false, customerMerging: false },
+    saveCustomers: saveCustomersToPocketBase,
+    replaceCustomers: replaceCustomersInPocketBase,
+    saveCustomersIncremental: saveCustomersToPocketBaseIncremental,
+    loadCustomers: loadCustomersFromPocketBase,
+    clearAllData,
+    updateCustomer,
+    getLatestOrderDate
+};
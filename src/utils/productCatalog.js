@@ -0,0 +1,177 @@
+import { PRODUCT_ATTRIBUTES, TREATMENT_TYPES, getTreatmentType } from '../config/productCatalog';
+import { createFieldReader } from './columnMapping';
+
+// Product catalog: SKU → category, brand, laboratory, therapeutic class and treatment.
+// Search terms written as `prefix:value` (see config/productCatalog.js) match order lines by
+// these attributes instead of by SKU text. The catalog comes from the server
+// (see productCatalogStore.js); the last one read is kept in localStorage for offline use.
+const STORAGE_KEY = 'productCatalog';
+
+const readStoredProducts = () => {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        return stored ? JSON.parse(stored) : [];
+    } catch {
+        return [];
+    }
+};
+
+// Accent-insensitive, lowercase, single-spaced text for comparisons
+const normalizeText = (value) => String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+let products = readStoredProducts();
+let productsBySku = new Map(products.map(product => [product.sku, product]));
+
+/**
+ * Current catalog: [{ sku, description, category, brand, laboratory, therapeuticClass, treatment }]
+ */
+export const getProductCatalog = () => products;
+
+/**
+ * Replace the catalog (and remember it for the next offline start)
+ */
+export const setProductCatalog = (next) => {
+    products = next;
+    productsBySku = new Map(next.map(product => [product.sku, product]));
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    } catch (error) {
+        console.error('Error storing product catalog:', error);
+    }
+};
+
+export const getCatalogProduct = (sku) => productsBySku.get(String(sku ?? '').trim()) || null;
+
+// Attribute value as shown to the user ('' when the catalog has none)
+const readAttribute = (product, attribute) => {
+    if (!product) return '';
+    if (attribute === 'treatment') return TREATMENT_TYPES[product.treatment]?.label || '';
+    return product[attribute] || '';
+};
+
+/**
+ * Attribute value of a SKU, or the attribute's empty label ('Sin categoría') when unknown
+ */
+export const getProductAttributeValue = (sku, attribute) =>
+    readAttribute(getCatalogProduct(sku), attribute) || PRODUCT_ATTRIBUTES[attribute].emptyLabel;
+
+/**
+ * 'categoria:Analgésicos' → { attribute: 'category', value: 'analgesicos' }; null for any other term
+ */
+export const parseCatalogTerm = (term) => {
+    const match = /^([^:\s]+)\s*:\s*(.+)$/.exec(String(term || '').trim());
+    if (!match) return null;
+
+    const prefix = normalizeText(match[1]);
+    const attribute = Object.keys(PRODUCT_ATTRIBUTES).find(key => PRODUCT_ATTRIBUTES[key].prefix === prefix);
+    return attribute ? { attribute, value: normalizeText(match[2]) } : null;
+};
+
+const skuMatchesCatalogTerm = (sku, { attribute, value }) => {
+    const attributeValue = readAttribute(getCatalogProduct(sku), attribute);
+    return Boolean(attributeValue) && normalizeText(attributeValue).includes(value);
+};
+
+/**
+ * Does an order line match a search term? Catalog terms compare the line's product attribute;
+ * any other term is looked for in the given line fields (lowercase terms)
+ */
+export const matchesItemTerm = (item, term, fields = ['sku']) => {
+    const catalogTerm = parseCatalogTerm(term);
+    if (catalogTerm) return skuMatchesCatalogTerm(item.sku, catalogTerm);
+    return fields.some(field => String(item[field] || '').toLowerCase().includes(term));
+};
+
+/**
+ * Replace catalog terms by the SKUs they match, so the server can filter on SKUs.
+ * A catalog term that matches no product just disappears
+ */
+export const expandCatalogTerms = (terms) => terms.flatMap(term => {
+    const catalogTerm = parseCatalogTerm(term);
+    if (!catalogTerm) return [term];
+    return products.filter(product => skuMatchesCatalogTerm(product.sku, catalogTerm)).map(product => product.sku);
+});
+
+/**
+ * Catalog values containing the query, most products first
+ * ('categoria:anal' only looks at categories)
+ * @returns {Array} [{ attribute, label, value, term, productCount }]
+ */
+export const suggestCatalogValues = (query, limit = 10) => {
+    const catalogTerm = parseCatalogTerm(query);
+    const needle = catalogTerm ? catalogTerm.value : normalizeText(query);
+    const attributes = catalogTerm ? [catalogTerm.attribute] : Object.keys(PRODUCT_ATTRIBUTES);
+    if (!needle) return [];
+
+    const counts = new Map();
+    products.forEach(product => {
+        attributes.forEach(attribute => {
+            const value = readAttribute(product, attribute);
+            if (!value || !normalizeText(value).includes(needle)) return;
+
+            const key = `${attribute}|${value}`;
+            if (!counts.has(key)) {
+                const { label, prefix } = PRODUCT_ATTRIBUTES[attribute];
+                counts.set(key, { attribute, label, value, term: `${prefix}:${value}`, productCount: 0 });
+            }
+            counts.get(key).productCount++;
+        });
+    });
+
+    return [...counts.values()]
+        .sort((a, b) => b.productCount - a.productCount || a.value.localeCompare(b.value))
+        .slice(0, limit);
+};
+
+/**
+ * Attribute value a set of order lines spent the most on ('' when the catalog knows none of them)
+ */
+export const getTopAttributeValue = (items, attribute) => {
+    const spent = {};
+    (items || []).forEach(item => {
+        const value = readAttribute(getCatalogProduct(item.sku), attribute);
+        if (value) spent[value] = (spent[value] || 0) + (parseFloat(item.total) || 0);
+    });
+    const [top] = Object.entries(spent).sort((a, b) => b[1] - a[1]);
+    return top ? top[0] : '';
+};
+
+/**
+ * Catalog file rows → products (a SKU listed twice keeps its last row)
+ * @param {Array} rows - Parsed rows (see parseExcel)
+ * @param {Object} mapping - Field → header (see resolveColumnMapping(rows, 'catalog'))
+ * @returns {Object} { products, skippedRows, duplicateSkus }
+ */
+export const buildCatalogProducts = (rows, mapping) => {
+    const read = createFieldReader(mapping);
+    const text = (row, field) => String(read(row, field) ?? '').trim();
+    const bySku = new Map();
+    let skippedRows = 0;
+    let duplicateSkus = 0;
+
+    rows.forEach(row => {
+        const sku = text(row, 'sku');
+        if (!sku) {
+            skippedRows++;
+            return;
+        }
+        if (bySku.has(sku)) duplicateSkus++;
+
+        bySku.set(sku, {
+            sku,
+            description: text(row, 'description'),
+            category: text(row, 'category'),
+            brand: text(row, 'brand'),
+            laboratory: text(row, 'laboratory'),
+            therapeuticClass: text(row, 'therapeuticClass'),
+            treatment: getTreatmentType(read(row, 'treatment'))
+        });
+    });
+
+    return { products: [...bySku.values()], skippedRows, duplicateSkus };
+};
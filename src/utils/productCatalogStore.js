@@ -0,0 +1,94 @@
+import { supabase } from '../config/supabase';
+import { getProductCatalog, setProductCatalog } from './productCatalog';
+
+// Product catalog on the server (products in supabase_setup.sql).
+// Everyone reads it at startup; only admins import it
+const TABLE_NAME = 'products';
+const PAGE_SIZE = 1000; // Supabase caps a select at 1000 rows
+const WRITE_BATCH_SIZE = 500;
+
+const toRow = (product, updatedAt) => ({
+    sku: product.sku,
+    description: product.description || null,
+    category: product.category || null,
+    brand: product.brand || null,
+    laboratory: product.laboratory || null,
+    therapeutic_class: product.therapeuticClass || null,
+    treatment: product.treatment || null,
+    updated_at: updatedAt
+});
+
+const toProduct = (row) => ({
+    sku: row.sku,
+    description: row.description || '',
+    category: row.category || '',
+    brand: row.brand || '',
+    laboratory: row.laboratory || '',
+    therapeuticClass: row.therapeutic_class || '',
+    treatment: row.treatment || null
+});
+
+/**
+ * Read the whole catalog from the server (keeps the last known one when offline)
+ * @returns {Object} { success, products, updatedAt } or { success: false, error, products }
+ */
+export const loadProductCatalog = async () => {
+    try {
+        const rows = [];
+        for (let from = 0; ; from += PAGE_SIZE) {
+            const { data, error } = await supabase
+                .from(TABLE_NAME)
+                .select('*')
+                .order('sku')
+                .range(from, from + PAGE_SIZE - 1);
+
+            if (error) throw error;
+            rows.push(...data);
+            if (data.length < PAGE_SIZE) break;
+        }
+
+        const products = rows.map(toProduct);
+        setProductCatalog(products);
+
+        const updatedAt = rows.reduce((latest, row) => (row.updated_at > latest ? row.updated_at : latest), '');
+        return { success: true, products, updatedAt: updatedAt || null };
+    } catch (error) {
+        console.error('Error loading product catalog:', error);
+        return { success: false, error: error.message, products: getProductCatalog() };
+    }
+};
+
+/**
+ * Replace the catalog with an imported file: its SKUs are written, SKUs missing from it are removed
+ * @param {Array} products - See buildCatalogProducts
+ * @param {Object} options - { onProgress(saved, total) }
+ * @returns {Object} { success, count, removed } or { success: false, error }
+ */
+export const saveProductCatalog = async (products, { onProgress } = {}) => {
+    try {
+        const updatedAt = new Date().toISOString();
+
+        for (let i = 0; i < products.length; i += WRITE_BATCH_SIZE) {
+            const chunk = products.slice(i, i + WRITE_BATCH_SIZE).map(product => toRow(product, updatedAt));
+            const { error } = await supabase.from(TABLE_NAME).upsert(chunk, { onConflict: 'sku' });
+            if (error) throw error;
+            onProgress?.(Math.min(i + WRITE_BATCH_SIZE, products.length), products.length);
+        }
+
+        // Every row this import wrote carries its timestamp; anything older left the catalog
+        const { data: removedRows, error: deleteError } = await supabase
+            .from(TABLE_NAME)
+            .delete()
+            .lt('updated_at', updatedAt)
+            .select('sku');
+        if (deleteError) throw deleteError;
+
+        setProductCatalog(products);
+        console.log(`📦 Product catalog saved: ${products.length} products, ${removedRows.length} removed`);
+
+        return { success: true, count: products.length, removed: removedRows.length };
+    } catch (error) {
+        console.error('Error saving product catalog:', error);
+        return { success: false, error: error.message };
+    }
+};
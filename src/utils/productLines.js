@@ -0,0 +1,53 @@
+import { DEFAULT_NON_PRODUCT_SKUS } from '../config/nonProductSkus';
+
+// Product vs non-product order lines (delivery, bags, service fees). Non-product lines are left
+// out of product totals, top-SKU rankings, RFM monetary and the exports. The list comes from
+// the server (see nonProductSkus.js); the last one read is kept in localStorage for offline use.
+const STORAGE_KEY = 'nonProductSkus';
+
+const readStoredEntries = () => {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        return stored ? JSON.parse(stored) : DEFAULT_NON_PRODUCT_SKUS;
+    } catch {
+        return DEFAULT_NON_PRODUCT_SKUS;
+    }
+};
+
+let entries = readStoredEntries();
+let skuSet = new Set(entries.map(entry => String(entry.sku).trim()));
+
+/**
+ * Current list: [{ sku, label, kind }]
+ */
+export const getNonProductSkus = () => entries;
+
+/**
+ * Replace the list (and remember it for the next offline start)
+ */
+export const setNonProductSkus = (next) => {
+    entries = next;
+    skuSet = new Set(next.map(entry => String(entry.sku).trim()));
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    } catch (error) {
+        console.error('Error storing non-product SKUs:', error);
+    }
+};
+
+export const isNonProductSku = (sku) => skuSet.has(String(sku ?? '').trim());
+
+/**
+ * Order lines that are products
+ */
+export const getProductItems = (items) => (items || []).filter(item => !isNonProductSku(item.sku));
+
+/**
+ * Order total without its non-product lines
+ */
+export const getProductAmount = (order) => {
+    const nonProductTotal = (order.items || [])
+        .filter(item => isNonProductSku(item.sku))
+        .reduce((sum, item) => sum + (parseFloat(item.total) || 0), 0);
+    return (parseFloat(order.totalAmount) || 0) - nonProductTotal;
+};
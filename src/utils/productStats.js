@@ -0,0 +1,118 @@
+import { differenceInCalendarDays, format } from 'date-fns';
+import { es } from 'date-fns/locale';
+import { getCustomerGroupKey } from './customerIdentity';
+import { getMonthKey, getMonthDate, getMonthOffset } from './monthBuckets';
+
+// Product page: how one SKU sells over time, who buys it, how often they come back for it,
+// where and through which gestores. Everything is counted from the RMS lines of that SKU.
+
+const TOP_CITIES = 10;
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Add a line to a { key: { units, revenue, orderIds, buyers } } group
+const addTo = (groups, key, fields, { orderId, customerKey, units, revenue }) => {
+    if (!groups[key]) groups[key] = { ...fields, units: 0, revenue: 0, orderIds: new Set(), buyers: new Set() };
+    groups[key].units += units;
+    groups[key].revenue += revenue;
+    groups[key].orderIds.add(orderId);
+    groups[key].buyers.add(customerKey);
+};
+
+const toRows = (groups) => Object.values(groups).map(({ orderIds, buyers, ...group }) => ({
+    ...group,
+    orderCount: orderIds.size,
+    buyerCount: buyers.size
+}));
+
+/**
+ * Sales figures of one SKU
+ * @param {Array} orders - Flat orders (queryAllOrders) containing the SKU
+ * @param {string} sku
+ * @returns {Object} {
+ *   description, units, revenue, orderCount, buyerCount,
+ *   repeatBuyerRate: share of buyers who bought it on more than one day,
+ *   medianRepurchaseDays: median days between two purchases of the same buyer (null without repurchases),
+ *   months: [{ month, label, units, revenue, orderCount }] from the first sale to the last, empty months included,
+ *   cities: [{ city, units, revenue, orderCount, buyerCount }] top cities by revenue,
+ *   gestores: [{ zone, gestor, units, revenue, orderCount, buyerCount }] most units first }
+ */
+export const buildProductStats = (orders, sku) => {
+    const target = String(sku).trim();
+    const months = {};
+    const cities = {};
+    const gestores = {};
+    const purchaseDays = {}; // customer → Set of 'yyyy-MM-dd'
+    let description = '';
+
+    orders.forEach(order => {
+        const date = new Date(order.orderDate);
+        const month = getMonthKey(order.orderDate);
+        if (!month) return;
+
+        const lines = (order.items || []).filter(item => String(item.sku || '').trim() === target);
+        if (lines.length === 0) return;
+
+        const customerKey = getCustomerGroupKey(order);
+        const line = {
+            orderId: order.orderId,
+            customerKey,
+            units: lines.reduce((sum, item) => sum + (parseFloat(item.quantity) || 0), 0),
+            revenue: lines.reduce((sum, item) => sum + (parseFloat(item.total) || 0), 0)
+        };
+        if (!description) description = lines.find(item => item.description)?.description || '';
+
+        addTo(months, month, { month }, line);
+        const city = order.city || 'Sin ciudad';
+        addTo(cities, city, { city }, line);
+        const zone = order.gestorZone || 'Sin Zona';
+        const gestor = order.gestorName || 'Sin Asignar';
+        addTo(gestores, `${zone}|${gestor}`, { zone, gestor }, line);
+
+        if (!purchaseDays[customerKey]) purchaseDays[customerKey] = new Set();
+        purchaseDays[customerKey].add(format(date, 'yyyy-MM-dd'));
+    });
+
+    const buyers = Object.values(purchaseDays);
+    const gaps = buyers.flatMap(days => {
+        const sorted = [...days].sort();
+        return sorted.slice(1).map((day, i) => differenceInCalendarDays(new Date(`${day}T00:00:00`), new Date(`${sorted[i]}T00:00:00`)));
+    });
+
+    // Monthly series without gaps, so quiet months show up as zero
+    const monthRows = toRows(months);
+    const byMonth = Object.fromEntries(monthRows.map(row => [row.month, row]));
+    const monthKeys = Object.keys(byMonth).sort();
+    const start = monthKeys.length > 0 ? getMonthDate(monthKeys[0]) : null;
+    const series = monthKeys.length === 0 ? [] : Array.from(
+        { length: getMonthOffset(monthKeys[0], monthKeys[monthKeys.length - 1]) + 1 },
+        (_, offset) => {
+            const date = new Date(start.getFullYear(), start.getMonth() + offset, 1);
+            const row = byMonth[getMonthKey(date)];
+            return {
+                month: getMonthKey(date),
+                label: format(date, 'MMM yyyy', { locale: es }),
+                units: row?.units || 0,
+                revenue: row?.revenue || 0,
+                orderCount: row?.orderCount || 0
+            };
+        }
+    );
+
+    return {
+        description,
+        units: monthRows.reduce((sum, row) => sum + row.units, 0),
+        revenue: monthRows.reduce((sum, row) => sum + row.revenue, 0),
+        orderCount: monthRows.reduce((sum, row) => sum + row.orderCount, 0),
+        buyerCount: buyers.length,
+        repeatBuyerRate: buyers.length > 0 ? buyers.filter(days => days.size > 1).length / buyers.length : 0,
+        medianRepurchaseDays: gaps.length > 0 ? median(gaps) : null,
+        months: series,
+        cities: toRows(cities).sort((a, b) => b.revenue - a.revenue).slice(0, TOP_CITIES),
+        gestores: toRows(gestores).sort((a, b) => b.units - a.units || b.revenue - a.revenue)
+    };
+};
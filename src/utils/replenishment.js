@@ -0,0 +1,144 @@
+import { differenceInCalendarDays, addDays, subMonths, format } from 'date-fns';
+import { getCustomerGroupKey } from './customerIdentity';
+import { getProductItems } from './productLines';
+import { getCatalogProduct } from './productCatalog';
+
+// Replenishment reminders: for every customer and SKU bought more than once, the usual time a unit
+// lasts is estimated from the purchase history (a 30-day box bought two at a time lasts 60 days),
+// and customers whose next purchase is due soon or already late are listed for their gestor to call.
+
+export const HISTORY_MONTHS = 12; // Purchase history the estimate looks at
+export const DUE_SOON_DAYS = 7; // Purchases due within this many days are listed as "due"
+const MIN_INTERVAL_DAYS = 7; // Shorter repurchase intervals are not a treatment cycle
+const LAPSED_INTERVALS = 3; // Late by more than this many cycles: probably stopped, not listed
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * First day of the history the estimate needs ('YYYY-MM-DD', for the order query)
+ */
+export const getHistoryStartDate = (referenceDate = new Date()) =>
+    format(subMonths(referenceDate, HISTORY_MONTHS), 'yyyy-MM-dd');
+
+// Purchases of one SKU by one customer, one per day (same-day orders add up), oldest first
+const toPurchases = (lines) => {
+    const byDay = {};
+    lines.forEach(({ date, quantity }) => {
+        const day = format(date, 'yyyy-MM-dd');
+        if (!byDay[day]) byDay[day] = { date, quantity: 0 };
+        byDay[day].quantity += quantity;
+    });
+    return Object.values(byDay).sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Estimate when each customer will buy each SKU again
+ * @param {Array} orders - Flat orders (queryAllOrders) covering at least HISTORY_MONTHS
+ * @param {Object} options - { referenceDate, onlyChronic: skip SKUs the catalog does not mark chronic
+ *                            (by default only SKUs marked acute are skipped) }
+ * @returns {Array} Due and overdue reminders, most overdue first:
+ *   [{ customerKey, name, phone, email, city, gestor, zone, sku, description, purchases, lastPurchase,
+ *      lastQuantity, daysPerUnit, intervalDays, dueDate, daysLate, status: 'due' | 'overdue' }]
+ */
+export const buildReplenishmentReminders = (orders, { referenceDate = new Date(), onlyChronic = false } = {}) => {
+    const pairs = {};
+
+    orders.forEach(order => {
+        const date = new Date(order.orderDate);
+        if (isNaN(date)) return;
+        const customerKey = getCustomerGroupKey(order);
+
+        getProductItems(order.items).forEach(item => {
+            if (!item.sku) return;
+            const treatment = getCatalogProduct(item.sku)?.treatment || null;
+            if (onlyChronic ? treatment !== 'chronic' : treatment === 'acute') return;
+
+            const key = `${customerKey}|${item.sku}`;
+            if (!pairs[key]) pairs[key] = { customerKey, sku: item.sku, description: item.description, lines: [], latestOrder: order };
+            pairs[key].lines.push({ date, quantity: Math.max(parseFloat(item.quantity) || 1, 1) });
+            if (order.orderDate > pairs[key].latestOrder.orderDate) pairs[key].latestOrder = order;
+        });
+    });
+
+    const reminders = [];
+    Object.values(pairs).forEach(({ customerKey, sku, description, lines, latestOrder }) => {
+        const purchases = toPurchases(lines);
+        if (purchases.length < 2) return;
+
+        // Days each unit lasted: gap to the next purchase / units bought
+        const daysPerUnit = median(purchases.slice(1).map((purchase, i) =>
+            differenceInCalendarDays(purchase.date, purchases[i].date) / purchases[i].quantity
+        ));
+
+        const last = purchases[purchases.length - 1];
+        const intervalDays = Math.round(daysPerUnit * last.quantity);
+        if (intervalDays < MIN_INTERVAL_DAYS) return;
+
+        const dueDate = addDays(last.date, intervalDays);
+        const daysLate = differenceInCalendarDays(referenceDate, dueDate);
+        if (daysLate < -DUE_SOON_DAYS || daysLate > intervalDays * LAPSED_INTERVALS) return;
+
+        reminders.push({
+            customerKey,
+            name: latestOrder.name || 'Sin nombre',
+            phone: latestOrder.phone || '',
+            email: latestOrder.email || '',
+            city: latestOrder.city || '',
+            gestor: latestOrder.gestorName || 'Sin Asignar',
+            zone: latestOrder.gestorZone || 'Sin Zona',
+            sku,
+            description: description || '',
+            purchases: purchases.length,
+            lastPurchase: last.date,
+            lastQuantity: last.quantity,
+            daysPerUnit,
+            intervalDays,
+            dueDate,
+            daysLate,
+            status: daysLate > 0 ? 'overdue' : 'due'
+        });
+    });
+
+    return reminders.sort((a, b) => b.daysLate - a.daysLate);
+};
+
+/**
+ * Reminders grouped by gestor: [{ zone, gestor, reminders, customerCount }], gestores with the most customers first
+ */
+export const groupRemindersByGestor = (reminders) => {
+    const groups = {};
+    reminders.forEach(reminder => {
+        const key = `${reminder.zone}|${reminder.gestor}`;
+        if (!groups[key]) groups[key] = { zone: reminder.zone, gestor: reminder.gestor, reminders: [] };
+        groups[key].reminders.push(reminder);
+    });
+
+    return Object.values(groups)
+        .map(group => ({ ...group, customerCount: new Set(group.reminders.map(reminder => reminder.customerKey)).size }))
+        .sort((a, b) => b.customerCount - a.customerCount || a.gestor.localeCompare(b.gestor));
+};
+
+/**
+ * Call list rows for the XLSX export (grouped by gestor, most overdue first)
+ */
+export const toCallListRows = (groups) => groups.flatMap(group => group.reminders.map(reminder => ({
+    'Zona': group.zone,
+    'Gestor': group.gestor,
+    'Cliente': reminder.name,
+    'Celular': reminder.phone,
+    'Correo': reminder.email,
+    'Ciudad': reminder.city,
+    'SKU': reminder.sku,
+    'Producto': reminder.description,
+    'Compras': reminder.purchases,
+    'Última compra': format(reminder.lastPurchase, 'yyyy-MM-dd'),
+    'Cantidad': reminder.lastQuantity,
+    'Ciclo (días)': reminder.intervalDays,
+    'Próxima compra': format(reminder.dueDate, 'yyyy-MM-dd'),
+    'Días de atraso': Math.max(reminder.daysLate, 0),
+    'Estado': reminder.status === 'overdue' ? 'Atrasado' : 'Por vencer'
+})));
@@ -1,4 +1,8 @@
 import { differenceInDays } from 'date-fns';
+import { getProductItems, getProductAmount } from './productLines';
+import { matchesItemTerm } from './productCatalog';
+import { scoreChurn } from './churnModel';
+import { projectLifetimeValue } from './lifetimeValue';
 
 /**
  * Calculate RFM (Recency, Frequency, Monetary) values for customers
@@ -32,12 +36,9 @@ export const calculateRFM = (customers, referenceDate = new Date(), searchQuery
         if (terms.length > 0) {
             customer.orders.forEach(order => {
                 if (order.items) {
-                    order.items.forEach(item => {
-                        // Check if this item matches any search term
-                        const matches = terms.some(term =>
-                            (item.sku && item.sku.toLowerCase().includes(term)) ||
-                            (item.description && item.description.toLowerCase().includes(term))
-                        );
+                    getProductItems(order.items).forEach(item => {
+                        // Check if this item matches any search term (SKU, description or catalog attribute)
+                        const matches = terms.some(term => matchesItemTerm(item, term, ['sku', 'description']));
 
                         if (matches) {
                             monetary += (item.total || 0);
@@ -46,9 +47,9 @@ export const calculateRFM = (customers, referenceDate = new Date(), searchQuery
                 }
             });
         } else {
-            // No search query: use total investment
+            // No search query: use total investment (product lines only)
             monetary = customer.totalInvestment || customer.orders.reduce((sum, order) => {
-                return sum + (parseFloat(order.totalAmount) || 0);
+                return sum + getProductAmount(order);
             }, 0);
         }
 
@@ -400,7 +401,16 @@ export const performRFMAnalysis = (customers, referenceDate = new Date(), search
     // Step 3: Segment customers
     analyzedCustomers = segmentCustomers(analyzedCustomers);
 
-    // Step 4: Get statistics
+    // Step 4: Churn score and projected 12-month value next to the segment
+    // (the dashboard passes customers already scored on their full history)
+    if (!analyzedCustomers.every(customer => customer.churn !== undefined)) {
+        analyzedCustomers = scoreChurn(analyzedCustomers, referenceDate);
+    }
+    if (!analyzedCustomers.every(customer => customer.clv !== undefined)) {
+        analyzedCustomers = projectLifetimeValue(analyzedCustomers);
+    }
+
+    // Step 5: Get statistics
     const segmentStats = getSegmentStats(analyzedCustomers);
 
     return {
@@ -1,10 +1,18 @@
-/**
- * Get search suggestions based on query
- * Returns SKUs, Customers, and Identities that match the query
- */
-export const getSuggestions = (data, query) => {
-    if (!query || query.length < 2) return null;
+import { supabase } from '../config/supabase';
+import { getCachedOrders } from './orderCache';
+import { getOrderStatusCategory } from '../config/orderStatuses';
+import { suggestCatalogValues } from './productCatalog';
 
+const MAX_RESULTS = 10;
+
+// Null when nothing matched
+const toSuggestions = ({ skus, customers, identities, catalog }) => {
+    const totalResults = skus.length + customers.length + identities.length + catalog.length;
+    return totalResults > 0 ? { skus, customers, identities, catalog, totalResults } : null;
+};
+
+// Suggestions from the cached orders (offline cache open)
+const suggestFromOrders = (data, query) => {
     const normalizedQuery = query.toLowerCase().trim();
 
     const skuMatches = new Map(); // Map to avoid duplicates
@@ -13,8 +21,8 @@ export const getSuggestions = (data, query) => {
 
     // Search through all orders
     data.forEach(order => {
-        // Search in SKUs
-        if (order.items && order.items.length > 0) {
+        // Search in SKUs (counting delivered orders, like search_suggestions)
+        if (order.items && order.items.length > 0 && getOrderStatusCategory(order) === 'delivered') {
             order.items.forEach(item => {
                 const sku = item.sku || '';
                 const description = item.description || '';
@@ -94,8 +102,6 @@ export const getSuggestions = (data, query) => {
     });
 
     // Convert to arrays and limit results
-    const MAX_RESULTS = 10;
-
     const skus = Array.from(skuMatches.values())
         .sort((a, b) => b.count - a.count) // Sort by count (most popular first)
         .slice(0, MAX_RESULTS);
@@ -106,15 +112,32 @@ export const getSuggestions = (data, query) => {
     const identities = Array.from(identityMatches.values())
         .slice(0, MAX_RESULTS);
 
-    // Return null if no matches found
-    if (skus.length === 0 && customers.length === 0 && identities.length === 0) {
+    return toSuggestions({ skus, customers, identities, catalog: suggestCatalogValues(query, MAX_RESULTS) });
+};
+
+/**
+ * Get search suggestions based on query
+ * Returns SKUs, Customers, and Identities that match the query (searched on the server,
+ * see search_suggestions in supabase_setup.sql, or in the local cache when it is open)
+ * and the product catalog values containing it (categories, brands, ...)
+ */
+export const getSuggestions = async (query) => {
+    if (!query || query.trim().length < 2) return null;
+
+    const cached = getCachedOrders();
+    if (cached) return suggestFromOrders(cached, query);
+
+    const { data, error } = await supabase.rpc('search_suggestions', {
+        p_query: query.trim(),
+        p_limit: MAX_RESULTS
+    });
+
+    if (error) {
+        console.error('Error loading search suggestions:', error);
         return null;
     }
 
-    return {
-        skus,
-        customers,
-        identities,
-        totalResults: skus.length + customers.length + identities.length
-    };
+    const { skus, customers, identities } = data;
+
+    return toSuggestions({ skus, customers, identities, catalog: suggestCatalogValues(query, MAX_RESULTS) });
 };
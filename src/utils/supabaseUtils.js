@@ -1,109 +1,124 @@
 import { supabase } from '../config/supabase';
+import { saveBatchSnapshot } from './importBatches';
+import { fetchCustomerAliases } from './customerMerges';
+import { getCustomerLookupKeys, toCustomerId, resolveCustomerId } from './customerIdentity';
+import {
+    fetchAllRows,
+    FLAT_ORDER_COLUMNS,
+    toFlatOrder,
+    fetchCustomerRows,
+    findImportCustomerIds,
+    writeCustomerRows,
+    deleteAllCustomerRows,
+    replaceAllCustomerRows
+} from './customerTables';
+import { groupOrdersByCustomer, createOrderMerge, pickOriginal } from './orderMerge';
 
 const TABLE_NAME = 'customers';
+const ORDERS_TABLE_NAME = 'orders';
 
 /**
- * Utility: Add delay between batches
+ * Group orders by customer into rows of the customers table
+ * batchId tags every order with the import batch that wrote it;
+ * aliases sends orders of merged customers to the customer they went into,
+ * so groups that end up under the same customer_id become one row
  */
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const buildCustomerRows = (orders, batchId, aliases) => {
+    const rowsById = {};
+    groupOrdersByCustomer(orders, batchId).forEach(customer => {
+        const customerId = resolveCustomerId(toCustomerId(customer), aliases);
+
+        if (rowsById[customerId]) {
+            rowsById[customerId].orders.push(...customer.orders);
+            return;
+        }
+
+        rowsById[customerId] = {
+            customer_id: customerId,
+            name: customer.name || 'Sin nombre',
+            email: customer.email || null,
+            phone: customer.phone || null,
+            city: customer.city || null,
+            identity: customer.identity || null,
+            email_original: customer.emailOriginal || null,
+            phone_original: customer.phoneOriginal || null,
+            identity_original: customer.identityOriginal || null,
+            orders: customer.orders // Stored in the orders/order_items tables
+        };
+    });
+
+    return Object.values(rowsById);
+};
 
 /**
  * Save customers to Supabase (optimized for large datasets)
+ * Each customer's stored orders are replaced by the ones in the upload.
+ * options.batchId tags every order with the import batch that wrote it
  */
-export const saveCustomersToSupabase = async (orders) => {
+export const saveCustomersToSupabase = async (orders, { batchId = null } = {}) => {
     try {
         console.log(`Starting Supabase save for ${orders.length} orders...`);
 
         // Step 1: Group orders by customer
-        const customerMap = {};
-        orders.forEach(order => {
-            const key = order.email || order.phone || `unknown_${order.customerName || order.name}`;
-
-            if (!customerMap[key]) {
-                customerMap[key] = {
-                    name: order.customerName || order.name,
-                    email: order.email,
-                    phone: order.phone,
-                    city: order.city,
-                    identity: order.identity,
-                    orders: []
-                };
-            }
+        const customers = buildCustomerRows(orders, batchId, await fetchCustomerAliases());
+        console.log(`Grouped into ${customers.length} unique customers`);
 
-            customerMap[key].orders.push({
-                orderId: order.orderId,
-                rawId: order.rawId,
-                orderDate: order.orderDate,
-                totalAmount: order.totalAmount,
-                items: order.items || [],
-                channel: order.channel,
-                // Gestor information
-                posUser: order.posUser || '',
-                gestorName: order.gestorName || null,
-                gestorZone: order.gestorZone || null
-            });
+        // Step 2: Save customers with their orders in batches
+        const totalSaved = await writeCustomerRows(customers, (saved) => {
+            console.log(`✅ Saved ${saved}/${customers.length} customers`);
         });
 
-        const customers = Object.values(customerMap);
-        console.log(`Grouped into ${customers.length} unique customers`);
+        console.log(`🎉 Successfully saved ${totalSaved} customers to Supabase`);
 
-        // Step 2: Save customers in batches
-        let totalSaved = 0;
-        const BATCH_SIZE = 100; // Supabase can handle larger batches
-
-        for (let i = 0; i < customers.length; i += BATCH_SIZE) {
-            const chunk = customers.slice(i, i + BATCH_SIZE);
-
-            // Prepare data for upsert
-            const customerData = chunk.map(customer => {
-                const customerId = customer.email
-                    ? customer.email.replace(/[^a-zA-Z0-9]/g, '_')
-                    : customer.phone
-                        ? customer.phone.replace(/[^a-zA-Z0-9]/g, '_')
-                        : `customer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-                return {
-                    customer_id: customerId,
-                    name: customer.name || 'Sin nombre',
-                    email: customer.email || null,
-                    phone: customer.phone || null,
-                    city: customer.city || null,
-                    identity: customer.identity || null,
-                    orders: customer.orders || [] // JSONB field in Supabase
-                };
-            });
+        return {
+            success: true,
+            count: totalSaved,
+            timestamp: new Date()
+        };
+    } catch (error) {
+        console.error('❌ Error saving to Supabase:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
 
-            // Upsert (insert or update if exists)
-            const { data, error } = await supabase
-                .from(TABLE_NAME)
-                .upsert(customerData, {
-                    onConflict: 'customer_id',
-                    ignoreDuplicates: false
-                });
-
-            if (error) {
-                console.error(`Error in batch ${Math.floor(i / BATCH_SIZE) + 1}:`, error);
-                throw error;
-            }
+/**
+ * Replace the whole customers table (FULL mode) without a half-empty window:
+ * rows are written to a staging table first and only swapped in, in a single
+ * database transaction, once every batch was stored. On any failure the staged
+ * rows are discarded and the current data stays live.
+ * @param {Object} options - { batchId, onProgress({ stage, message, current, total }) }
+ * @returns {Object} { success, count, timestamp } or { success: false, error }
+ */
+export const replaceCustomersInSupabase = async (orders, { batchId = null, onProgress } = {}) => {
+    try {
+        console.log(`Starting staged Supabase reload for ${orders.length} orders...`);
 
-            totalSaved += chunk.length;
-            console.log(`✅ Batch ${Math.floor(i / BATCH_SIZE) + 1}: Saved ${totalSaved}/${customers.length} customers`);
+        const customers = buildCustomerRows(orders, batchId, await fetchCustomerAliases());
+        console.log(`Grouped into ${customers.length} unique customers`);
 
-            // Small delay between batches
-            if (i + BATCH_SIZE < customers.length) {
-                await delay(100);
-            }
-        }
+        const publishedCount = await replaceAllCustomerRows(customers, {
+            stagingId: batchId || crypto.randomUUID(),
+            onChunk: (staged) => onProgress?.({
+                stage: 'save',
+                message: `Guardando ${staged.toLocaleString('es-HN')}/${customers.length.toLocaleString('es-HN')} clientes`,
+                current: staged,
+                total: customers.length
+            }),
+            onPublish: () => onProgress?.({ stage: 'publish', message: 'Publicando los datos nuevos...' })
+        });
 
-        console.log(`🎉 Successfully saved ${totalSaved} customers to Supabase`);
+        console.log(`🎉 Published ${publishedCount} staged customers to Supabase`);
 
         return {
             success: true,
-            count: totalSaved,
+            count: publishedCount,
             timestamp: new Date()
         };
     } catch (error) {
-        console.error('❌ Error saving to Supabase:', error);
+        console.error('❌ Error in staged Supabase reload (current data kept):', error);
         return {
             success: false,
             error: error.message
@@ -112,50 +127,21 @@ export const saveCustomersToSupabase = async (orders) => {
 };
 
 /**
- * Load all customers from Supabase
+ * Load all orders (with their customer) from Supabase
  */
 export const loadCustomersFromSupabase = async () => {
     try {
-        // Fetch all customers
-        const { data: customers, error } = await supabase
-            .from(TABLE_NAME)
-            .select('*')
-            .order('created_at', { ascending: false });
+        // One row per order with its customer and items embedded; paged past the 1000-row cap
+        const rows = await fetchAllRows(() => supabase
+            .from(ORDERS_TABLE_NAME)
+            .select(FLAT_ORDER_COLUMNS)
+            .order('order_date', { ascending: false })
+            .order('order_id'));
 
-        if (error) throw error;
+        const orders = rows.map(toFlatOrder);
+        const customerIds = new Set(orders.map(order => order.customerId));
 
-        // Transform to orders format
-        const orders = [];
-        customers.forEach((customer) => {
-            const customerOrders = customer.orders || [];
-
-            if (customerOrders.length > 0) {
-                customerOrders.forEach(order => {
-                    orders.push({
-                        // Customer info
-                        name: customer.name || 'Sin nombre',
-                        email: customer.email || '',
-                        phone: customer.phone || '',
-                        city: customer.city || '',
-                        identity: customer.identity || 'No se encontró',
-
-                        // Order info
-                        orderId: order.orderId,
-                        rawId: order.rawId,
-                        orderDate: order.orderDate,
-                        totalAmount: order.totalAmount,
-                        items: order.items || [],
-                        channel: order.channel,
-                        // Gestor information
-                        posUser: order.posUser || '',
-                        gestorName: order.gestorName || null,
-                        gestorZone: order.gestorZone || null
-                    });
-                });
-            }
-        });
-
-        console.log(`✅ Loaded ${orders.length} orders from ${customers.length} customers`);
+        console.log(`✅ Loaded ${orders.length} orders from ${customerIds.size} customers`);
 
         return {
             success: true,
@@ -178,13 +164,8 @@ export const loadCustomersFromSupabase = async () => {
  */
 export const clearAllData = async () => {
     try {
-        // Delete all records
-        const { error } = await supabase
-            .from(TABLE_NAME)
-            .delete()
-            .neq('customer_id', ''); // Delete all (workaround for "delete all")
-
-        if (error) throw error;
+        // Orders and items are removed with their customer (ON DELETE CASCADE)
+        await deleteAllCustomerRows();
 
         console.log(`✅ All data cleared from Supabase`);
 
@@ -202,7 +183,7 @@ export const clearAllData = async () => {
 };
 
 /**
- * Update a single customer
+ * Update a single customer's own columns (name, email, phone, city, identity)
  */
 export const updateCustomer = async (customerId, data) => {
     try {
@@ -228,28 +209,17 @@ export const updateCustomer = async (customerId, data) => {
  */
 export const getLatestOrderDate = async () => {
     try {
-        // We need to fetch customers to check their order dates
-        // Since order dates are inside the JSONB 'orders' column, we have to fetch and parse
-        // For performance, we could select only the orders column
-        const { data: customers, error } = await supabase
-            .from(TABLE_NAME)
-            .select('orders');
+        // Answered by the order_date index, no need to read the orders themselves
+        const { data, error } = await supabase
+            .from(ORDERS_TABLE_NAME)
+            .select('order_date')
+            .not('order_date', 'is', null)
+            .order('order_date', { ascending: false })
+            .limit(1);
 
         if (error) throw error;
 
-        let latestDate = null;
-
-        customers.forEach(customer => {
-            const customerOrders = customer.orders || [];
-            customerOrders.forEach(order => {
-                const orderDate = new Date(order.orderDate);
-                if (!isNaN(orderDate)) {
-                    if (!latestDate || orderDate > latestDate) {
-                        latestDate = orderDate;
-                    }
-                }
-            });
-        });
+        const latestDate = data.length > 0 ? new Date(data[0].order_date) : null;
 
         console.log(`📅 Latest order date in Supabase: ${latestDate || 'No data'}`);
         return latestDate;
@@ -261,155 +231,136 @@ export const getLatestOrderDate = async () => {
 
 /**
  * Save customers to Supabase in INCREMENTAL mode
- * This fetches existing customers, merges orders, and updates/inserts
+ * Orders are matched by orderId/rawId across all stored customers (looked up on the server):
+ * new ones are inserted, changed ones are updated in place and identical ones are skipped,
+ * so uploading the same (or an overlapping) file twice does not duplicate anything.
+ * With options.batchId, orders are tagged and the touched customers are snapshotted first (for rollback).
+ * @returns {Object} { success, count, inserted, updated, skipped, customerIds, timestamp }
  */
-export const saveCustomersToSupabaseIncremental = async (orders) => {
+export const saveCustomersToSupabaseIncremental = async (orders, { batchId = null } = {}) => {
     try {
         console.log(`Starting INCREMENTAL Supabase save for ${orders.length} orders...`);
 
-        // Step 1: Fetch all existing customers and build a map
-        // Note: For very large datasets, this might be heavy. 
-        // A more scalable approach would be to query only relevant customers, 
-        // but since we're processing a file that could contain anyone, fetching all is often simplest for now.
-        const { data: existingData, error } = await supabase
-            .from(TABLE_NAME)
-            .select('*');
+        // Step 1: Read only the stored customers this upload can touch, looked up on the server:
+        // owners of the incoming orders (orders can live under any customer, e.g. an email added later)
+        // and customers matching by id (after merges), email, phone or name
+        const aliases = await fetchCustomerAliases();
+        const lookup = { orderIds: new Set(), rawIds: new Set(), customerIds: new Set(), emails: new Set(), phones: new Set(), names: new Set() };
+        orders.forEach(order => {
+            if (order.orderId) lookup.orderIds.add(String(order.orderId));
+            if (order.rawId) lookup.rawIds.add(String(order.rawId));
+            lookup.customerIds.add(resolveCustomerId(toCustomerId(order), aliases));
+            if (order.email) {
+                lookup.emails.add(order.email);
+            } else if (order.phone) {
+                lookup.phones.add(order.phone);
+            } else if (order.customerName || order.name) {
+                // Customers stored before ids were derived from the DNI/name have a random id
+                lookup.names.add(order.customerName || order.name);
+            }
+        });
 
-        if (error) throw error;
+        const candidateIds = await findImportCustomerIds(Object.fromEntries(
+            Object.entries(lookup).map(([key, values]) => [key, [...values]])
+        ));
+        const existingData = await fetchCustomerRows(candidateIds);
 
         const existingCustomersMap = {};
         existingData.forEach(customer => {
             // customer_id is the unique key in Supabase
             existingCustomersMap[customer.customer_id] = customer;
 
-            // Also map by email/phone/name keys to match incoming data logic
-            const legacyKey = customer.email || customer.phone || `unknown_${customer.name}`;
-            if (!existingCustomersMap[legacyKey]) {
-                existingCustomersMap[legacyKey] = customer;
-            }
-        });
-
-        console.log(`Found ${existingData.length} existing customers in Supabase`);
-
-        // Step 2: Group new orders by customer
-        const customerMap = {};
-        orders.forEach(order => {
-            const key = order.email || order.phone || `unknown_${order.customerName || order.name}`;
-
-            if (!customerMap[key]) {
-                customerMap[key] = {
-                    name: order.customerName || order.name,
-                    email: order.email,
-                    phone: order.phone,
-                    city: order.city,
-                    identity: order.identity,
-                    orders: []
-                };
-            }
-
-            customerMap[key].orders.push({
-                orderId: order.orderId,
-                rawId: order.rawId,
-                orderDate: order.orderDate,
-                totalAmount: order.totalAmount,
-                items: order.items || [],
-                channel: order.channel,
-                // Gestor information
-                posUser: order.posUser || '',
-                gestorName: order.gestorName || null,
-                gestorZone: order.gestorZone || null
+            // Also map by lookup keys, for customers whose id predates toCustomerId or the normalized contact data
+            getCustomerLookupKeys(customer).forEach(lookupKey => {
+                if (!existingCustomersMap[lookupKey]) {
+                    existingCustomersMap[lookupKey] = customer;
+                }
             });
         });
 
-        // Step 3: Merge and Prepare for Upsert
-        const customersToUpsert = [];
-        const newCustomerKeys = Object.keys(customerMap);
+        console.log(`Found ${existingData.length} existing customers related to this upload`);
 
-        // Sanitize helper similar to firestoreUtils
-        const sanitize = (obj) => {
-            const clean = {};
-            Object.keys(obj).forEach(key => {
-                if (obj[key] !== undefined) clean[key] = obj[key];
-            });
-            return clean;
-        };
+        // Step 2: Merge the new orders into the stored ones (see orderMerge.js)
+        const merge = createOrderMerge(existingData.map(customer => ({ customerId: customer.customer_id, orders: customer.orders })));
+        const changedCustomers = {}; // customer_id → row to upsert
 
-        newCustomerKeys.forEach(key => {
-            const newCustomer = customerMap[key];
-
-            // Determine ID
-            const customerId = newCustomer.email
-                ? newCustomer.email.replace(/[^a-zA-Z0-9]/g, '_')
-                : newCustomer.phone
-                    ? newCustomer.phone.replace(/[^a-zA-Z0-9]/g, '_')
-                    : `customer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-            let mergedOrders = [];
-
-            // Check if exists by ID or key
-            const existingCustomer = existingCustomersMap[customerId] || existingCustomersMap[key];
-
-            if (existingCustomer) {
-                // Merge logic
-                const existingOrdersMap = {};
-                (existingCustomer.orders || []).forEach(order => {
-                    existingOrdersMap[order.orderId] = order;
-                });
-
-                newCustomer.orders.forEach(order => {
-                    // Check if we are overwriting an existing order
-                    if (existingOrdersMap[order.orderId]) {
-                        console.log(`⚠️ Overwriting duplicate order! Customer: ${newCustomer.name || newCustomer.email || newCustomer.phone}`);
-                        console.log(`   - Order ID: ${order.orderId}`);
-                        console.log(`   - Old Date: ${existingOrdersMap[order.orderId].orderDate} | Old Total: ${existingOrdersMap[order.orderId].totalAmount}`);
-                        console.log(`   - New Date: ${order.orderDate} | New Total: ${order.totalAmount}`);
-                    }
-                    existingOrdersMap[order.orderId] = order;
-                });
-
-                mergedOrders = Object.values(existingOrdersMap);
-            } else {
-                mergedOrders = newCustomer.orders;
+        const markChanged = (customerId, fallbackRow) => {
+            if (!changedCustomers[customerId]) {
+                const existing = existingCustomersMap[customerId];
+                changedCustomers[customerId] = existing ? { ...existing } : fallbackRow;
             }
+            return changedCustomers[customerId];
+        };
 
-            customersToUpsert.push({
-                customer_id: customerId, // Important: keep ID consistent
-                name: newCustomer.name || 'Sin nombre',
-                email: newCustomer.email || null,
-                phone: newCustomer.phone || null,
-                city: newCustomer.city || null,
-                identity: newCustomer.identity || null,
-                orders: mergedOrders
+        groupOrdersByCustomer(orders, batchId).forEach(newCustomer => {
+            const derivedId = resolveCustomerId(toCustomerId(newCustomer), aliases);
+            const existingCustomer = existingCustomersMap[derivedId]
+                || getCustomerLookupKeys(newCustomer).map(lookupKey => existingCustomersMap[lookupKey]).find(Boolean);
+
+            // Reuse the stored id so customers stored with an older (random) id are not duplicated
+            const customerId = existingCustomer?.customer_id || derivedId;
+
+            const customerRow = {
+                customer_id: customerId,
+                name: newCustomer.name || existingCustomer?.name || 'Sin nombre',
+                email: newCustomer.email || existingCustomer?.email || null,
+                phone: newCustomer.phone || existingCustomer?.phone || null,
+                city: newCustomer.city || existingCustomer?.city || null,
+                identity: newCustomer.identity || existingCustomer?.identity || null,
+                // The file's value goes with the normalized one it produced
+                email_original: pickOriginal(newCustomer, existingCustomer?.email_original, 'email'),
+                phone_original: pickOriginal(newCustomer, existingCustomer?.phone_original, 'phone'),
+                identity_original: pickOriginal(newCustomer, existingCustomer?.identity_original, 'identity')
+            };
+
+            newCustomer.orders.forEach(order => {
+                const result = merge.addOrder(customerId, order);
+                if (result.status === 'inserted') {
+                    Object.assign(markChanged(customerId, customerRow), customerRow);
+                } else if (result.status === 'updated') {
+                    markChanged(result.customerId, customerRow);
+                }
             });
         });
 
-        // Step 4: Batch Upsert
-        let totalSaved = 0;
-        const BATCH_SIZE = 100;
-
-        for (let i = 0; i < customersToUpsert.length; i += BATCH_SIZE) {
-            const chunk = customersToUpsert.slice(i, i + BATCH_SIZE);
-
-            const { error: upsertError } = await supabase
-                .from(TABLE_NAME)
-                .upsert(chunk, {
-                    onConflict: 'customer_id',
-                    ignoreDuplicates: false
-                });
-
-            if (upsertError) throw upsertError;
-
-            totalSaved += chunk.length;
-            console.log(`✅ Incremental Batch ${Math.floor(i / BATCH_SIZE) + 1}: Saved ${chunk.length} customers`);
-
-            if (i + BATCH_SIZE < customersToUpsert.length) await delay(100);
+        const { inserted, updated, skipped } = merge.counts;
+        const customersToUpsert = Object.values(changedCustomers).map(customer => ({
+            customer_id: customer.customer_id,
+            name: customer.name || 'Sin nombre',
+            email: customer.email || null,
+            phone: customer.phone || null,
+            city: customer.city || null,
+            identity: customer.identity || null,
+            email_original: customer.email_original || null,
+            phone_original: customer.phone_original || null,
+            identity_original: customer.identity_original || null,
+            orders: merge.getOrders(customer.customer_id)
+        }));
+
+        console.log(`🔄 Merge result: ${inserted} new, ${updated} updated, ${skipped} unchanged orders`);
+
+        // Keep the rows as they are now so this import can be rolled back
+        if (batchId) {
+            const previousRows = customersToUpsert
+                .map(customer => existingCustomersMap[customer.customer_id])
+                .filter(Boolean);
+            await saveBatchSnapshot(batchId, previousRows);
         }
 
+        // Step 3: Write only the customers whose orders changed
+        const totalSaved = await writeCustomerRows(customersToUpsert, (saved) => {
+            console.log(`✅ Incremental: Saved ${saved}/${customersToUpsert.length} customers`);
+        });
+
         console.log(`🎉 Successfully synced ${totalSaved} customers to Supabase (Incremental)`);
 
         return {
             success: true,
             count: totalSaved,
+            inserted,
+            updated,
+            skipped,
+            customerIds: customersToUpsert.map(customer => customer.customer_id),
             timestamp: new Date()
         };
 
@@ -422,7 +373,14 @@ export const saveCustomersToSupabaseIncremental = async (orders) => {
     }
 };
 
-// Export with Firebase-compatible aliases
-export const saveCustomersToFirestore = saveCustomersToSupabase;
-export const saveCustomersToFirestoreIncremental = saveCustomersToSupabaseIncremental;
-export const loadCustomersFromFirestore = loadCustomersFromSupabase;
+// Customer repository implementation (see customerRepository.js)
+export const supabaseRepository = {
+    features: { importHistory: true, serverQueries: true, atomicReplace: true, customerMerging: true },
+    saveCustomers: saveCustomersToSupabase,
+    replaceCustomers: replaceCustomersInSupabase,
+    saveCustomersIncremental: saveCustomersToSupabaseIncremental,
+    loadCustomers: loadCustomersFromSupabase,
+    clearAllData,
+    updateCustomer,
+    getLatestOrderDate
+};
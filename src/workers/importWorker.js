@@ -0,0 +1,101 @@
+import { parseSheetRows, cleanAlbatrossData, processRMSData, joinDatasets } from '../utils/dataProcessing';
+import { validateImport } from '../utils/importValidation';
+import { diagnoseJoin } from '../utils/joinDiagnostics';
+
+// Runs the heavy import steps off the main thread so the UI keeps responding.
+// Messages in:  { type: 'analyze', albatross, rms, columnMappings } | { type: 'join' }
+//   albatross is one { buffer, fileName, sheetName }; rms is a list of them (monthly files are combined)
+// Messages out: { type: 'progress', stage, message, current, total } | { type: 'result', payload } | { type: 'error', message }
+
+const JOIN_CHUNK_SIZE = 5000;
+
+// Cleaned data stays here between 'analyze' and 'join' so it is only cloned once
+let prepared = null;
+
+const formatCount = (value) => value.toLocaleString('es-HN');
+
+const reportProgress = (stage, message, current = null, total = null) => {
+    self.postMessage({ type: 'progress', stage, message, current, total });
+};
+
+// Opening the workbook is one step without progress; the rows are then read in ranges
+const parseSource = ({ buffer, fileName, sheetName }, label) => {
+    reportProgress('read', `Abriendo ${label}...`);
+    return parseSheetRows(buffer, {
+        fileName,
+        sheetName,
+        onProgress: (current, total) => {
+            reportProgress('parse', `Leyendo ${label}: ${formatCount(current)}/${formatCount(total)} filas`, current, total);
+        }
+    });
+};
+
+const analyze = ({ albatross, rms, columnMappings }) => {
+    prepared = null;
+
+    const rawAlbatross = parseSource(albatross, 'Albatross');
+
+    let rawRMS = [];
+    const rmsFiles = [];
+    rms.forEach((source, index) => {
+        const label = rms.length > 1 ? `RMS ${index + 1}/${rms.length} (${source.fileName})` : 'RMS';
+        const rows = parseSource(source, label);
+        rmsFiles.push({ name: source.fileName, rowCount: rows.length });
+        rawRMS = rawRMS.concat(rows);
+    });
+
+    reportProgress('validate', 'Validando archivos...');
+    const report = validateImport({
+        albatrossRows: rawAlbatross,
+        rmsRows: rawRMS,
+        columnMappings,
+        sourceFiles: {
+            albatross: [{ name: albatross.fileName, rowCount: rawAlbatross.length }],
+            rms: rmsFiles
+        }
+    });
+    if (!report.canImport) {
+        return { report, diagnostics: null };
+    }
+
+    reportProgress('clean', `Limpiando ${formatCount(rawAlbatross.length)} pedidos de Albatross...`);
+    const cleanedAlbatross = cleanAlbatrossData(rawAlbatross, report.mappings.albatross);
+
+    reportProgress('group', `Agrupando ${formatCount(rawRMS.length)} líneas de RMS...`);
+    const processedRMS = processRMSData(rawRMS, report.mappings.rms);
+
+    reportProgress('diagnose', 'Conciliando pedidos...');
+    const diagnostics = diagnoseJoin(cleanedAlbatross, processedRMS);
+
+    prepared = { cleanedAlbatross, processedRMS };
+    return { report, diagnostics };
+};
+
+const join = () => {
+    if (!prepared) throw new Error('No hay archivos analizados para unir');
+    const { cleanedAlbatross, processedRMS } = prepared;
+
+    const joined = [];
+    for (let start = 0; start < cleanedAlbatross.length; start += JOIN_CHUNK_SIZE) {
+        const end = Math.min(start + JOIN_CHUNK_SIZE, cleanedAlbatross.length);
+        joined.push(...joinDatasets(cleanedAlbatross.slice(start, end), processedRMS));
+        reportProgress('join', `Unidos ${formatCount(end)}/${formatCount(cleanedAlbatross.length)} pedidos`, end, cleanedAlbatross.length);
+    }
+
+    prepared = null;
+    return joined;
+};
+
+self.onmessage = (event) => {
+    const { type, ...params } = event.data;
+    try {
+        let payload;
+        if (type === 'analyze') payload = analyze(params);
+        else if (type === 'join') payload = join();
+        else throw new Error(`Mensaje desconocido: ${type}`);
+
+        self.postMessage({ type: 'result', payload });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message, code: error.code });
+    }
+};
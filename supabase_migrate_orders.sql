@@ -0,0 +1,62 @@
+-- ============================================
+-- Migrate customers.orders (JSONB) to the orders / order_items tables
+-- ============================================
+-- Execute this SQL in Supabase SQL Editor AFTER supabase_setup.sql
+-- (which creates the orders/order_items tables and write_customer_rows).
+-- Safe to re-run: once customers.orders is renamed to legacy_orders it does nothing.
+
+DO $$
+DECLARE
+  chunk JSONB;
+  source_orders INTEGER;
+  migrated_orders INTEGER;
+  migrated_items INTEGER;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'customers' AND column_name = 'orders'
+  ) THEN
+    RAISE NOTICE 'customers.orders not found: nothing to migrate';
+    RETURN;
+  END IF;
+
+  -- Distinct order ids in the JSONB layout (older double uploads stored some twice)
+  SELECT COUNT(DISTINCT o->>'orderId') INTO source_orders
+  FROM customers c,
+       jsonb_array_elements(CASE WHEN jsonb_typeof(c.orders) = 'array' THEN c.orders ELSE '[]'::jsonb END) AS o
+  WHERE COALESCE(o->>'orderId', '') <> '';
+
+  -- 1000 customers per call; write_customer_rows keeps one copy per order id (the last one)
+  FOR chunk IN
+    SELECT jsonb_agg(jsonb_build_object(
+      'customer_id', customer_id,
+      'name', name,
+      'email', email,
+      'phone', phone,
+      'city', city,
+      'identity', identity,
+      'orders', orders
+    ) ORDER BY customer_id)
+    FROM (
+      SELECT c.*, (ROW_NUMBER() OVER (ORDER BY c.customer_id) - 1) / 1000 AS chunk_number
+      FROM customers c
+    ) numbered
+    GROUP BY chunk_number
+    ORDER BY chunk_number
+  LOOP
+    PERFORM write_customer_rows(chunk);
+  END LOOP;
+
+  SELECT COUNT(*) INTO migrated_orders FROM orders;
+  SELECT COUNT(*) INTO migrated_items FROM order_items;
+
+  IF migrated_orders < source_orders THEN
+    RAISE EXCEPTION 'Only % of % orders were migrated, nothing was changed', migrated_orders, source_orders;
+  END IF;
+
+  -- Kept (renamed) until the new tables are verified; the app no longer reads it
+  ALTER TABLE customers RENAME COLUMN orders TO legacy_orders;
+
+  RAISE NOTICE '✅ Migrated % orders and % items', migrated_orders, migrated_items;
+  RAISE NOTICE 'Once the dashboard looks right: ALTER TABLE customers DROP COLUMN legacy_orders;';
+END $$;
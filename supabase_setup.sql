@@ -73,23 +73,240 @@ CREATE POLICY "Only admins can delete users"
   );
 
 -- ============================================
--- PART 2: RLS for customers table (data isolation)
+-- PART 2: Customers, orders and order items (data isolation)
 -- ============================================
 
--- 6. Drop existing public policies on customers
+-- 6. Customers. Their orders live in the orders table (older installs kept them in a
+--    customers.orders JSONB column: run supabase_migrate_orders.sql once to move them)
+CREATE TABLE IF NOT EXISTS customers (
+  customer_id TEXT PRIMARY KEY,
+  name TEXT,
+  email TEXT,
+  phone TEXT,
+  city TEXT,
+  identity TEXT,
+  -- Contact values as they came in the file; email/phone/identity hold the normalized ones
+  -- (empty when invalid, see utils/contactNormalization.js)
+  email_original TEXT,
+  phone_original TEXT,
+  identity_original TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Older installs: updated_at lets the offline cache pick up edited customers
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS email_original TEXT;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS phone_original TEXT;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS identity_original TEXT;
+
+-- 7. One row per order, whatever its status. status is Albatross' 'Estado' and
+--    status_category groups it (delivered, cancelled, returned, pending; see
+--    config/orderStatuses.js): the dashboards count delivered orders unless asked otherwise.
+--    order_date is the wall-clock time of the source file (no time zone), the way the dashboards read it.
+--    *_original keep the customer's contact values as this order's file row had them
+CREATE TABLE IF NOT EXISTS orders (
+  order_id TEXT PRIMARY KEY,
+  raw_id TEXT,
+  customer_id TEXT NOT NULL REFERENCES customers(customer_id) ON DELETE CASCADE,
+  order_date TIMESTAMP,
+  total_amount NUMERIC(14, 2) DEFAULT 0,
+  channel TEXT,
+  status TEXT,
+  status_category TEXT NOT NULL DEFAULT 'delivered',
+  pos_user TEXT,
+  gestor_name TEXT,
+  gestor_zone TEXT,
+  batch_id UUID,
+  email_original TEXT,
+  phone_original TEXT,
+  identity_original TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Older installs only imported delivered orders
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'Entregado';
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS status_category TEXT NOT NULL DEFAULT 'delivered';
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS email_original TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS phone_original TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS identity_original TEXT;
+
+-- 8. RMS lines of each order
+CREATE TABLE IF NOT EXISTS order_items (
+  id BIGSERIAL PRIMARY KEY,
+  order_id TEXT NOT NULL REFERENCES orders(order_id) ON DELETE CASCADE,
+  line_number INTEGER NOT NULL,
+  sku TEXT,
+  description TEXT,
+  quantity NUMERIC(14, 3) DEFAULT 0,
+  total NUMERIC(14, 2) DEFAULT 0
+);
+
+-- 9. SKUs that are not products (delivery, bags, service fees; see utils/nonProductSkus.js).
+--    Product totals, top-SKU rankings and exports leave them out. Everyone reads the list,
+--    only admins change it
+CREATE TABLE IF NOT EXISTS non_product_skus (
+  sku TEXT PRIMARY KEY,
+  label TEXT,
+  kind TEXT NOT NULL DEFAULT 'other' CHECK (kind IN ('delivery', 'bag', 'service', 'other')),
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- The delivery service line the dashboards always subtracted
+INSERT INTO non_product_skus (sku, label, kind)
+VALUES ('20000025', 'Servicio a domicilio', 'delivery')
+ON CONFLICT (sku) DO NOTHING;
+
+ALTER TABLE non_product_skus ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users can read non-product SKUs" ON non_product_skus;
+DROP POLICY IF EXISTS "Only admins can manage non-product SKUs" ON non_product_skus;
+
+CREATE POLICY "Authenticated users can read non-product SKUs"
+  ON non_product_skus FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Only admins can manage non-product SKUs"
+  ON non_product_skus FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+    )
+  );
+
+-- 10. Product catalog (see utils/productCatalogStore.js): category, brand, laboratory,
+--     therapeutic class and treatment ('chronic' or 'acute') of each SKU. An import replaces
+--     it whole. Everyone reads it, only admins change it
+CREATE TABLE IF NOT EXISTS products (
+  sku TEXT PRIMARY KEY,
+  description TEXT,
+  category TEXT,
+  brand TEXT,
+  laboratory TEXT,
+  therapeutic_class TEXT,
+  treatment TEXT CHECK (treatment IN ('chronic', 'acute')),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE products ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users can read products" ON products;
+DROP POLICY IF EXISTS "Only admins can manage products" ON products;
+
+CREATE POLICY "Authenticated users can read products"
+  ON products FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Only admins can manage products"
+  ON products FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+    )
+  );
+
+-- 11. Indexes for server-side filters (date ranges, SKU, gestor) and import lookups
+CREATE INDEX IF NOT EXISTS idx_customers_email ON customers(email);
+CREATE INDEX IF NOT EXISTS idx_customers_phone ON customers(phone);
+CREATE INDEX IF NOT EXISTS idx_customers_city ON customers(city);
+CREATE INDEX IF NOT EXISTS idx_orders_order_date ON orders(order_date DESC);
+CREATE INDEX IF NOT EXISTS idx_orders_customer ON orders(customer_id);
+CREATE INDEX IF NOT EXISTS idx_orders_raw_id ON orders(raw_id);
+CREATE INDEX IF NOT EXISTS idx_orders_gestor ON orders(gestor_name);
+CREATE INDEX IF NOT EXISTS idx_orders_zone ON orders(gestor_zone);
+CREATE INDEX IF NOT EXISTS idx_orders_batch ON orders(batch_id);
+CREATE INDEX IF NOT EXISTS idx_orders_status_category ON orders(status_category);
+CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_items_sku ON order_items(sku);
+
+ALTER TABLE customers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_items ENABLE ROW LEVEL SECURITY;
+
+-- 12. Values customers are matched by (import lookups, search, duplicate review), mirroring
+--     utils/contactNormalization.js. NULL when the value is missing or invalid
+CREATE OR REPLACE FUNCTION normalize_email(p_value TEXT)
+RETURNS TEXT AS $$
+  SELECT CASE WHEN v ~ '^[^\s@]+@[^\s@]+\.[^\s@]+$' THEN v END
+  FROM (SELECT regexp_replace(lower(COALESCE(p_value, '')), '^\s+|\s+$', '', 'g') AS v) AS trimmed
+$$ LANGUAGE sql IMMUTABLE;
+
+-- 8 digits starting with 2 to 9, without the Honduras country code (504 or 00504)
+CREATE OR REPLACE FUNCTION normalize_phone(p_value TEXT)
+RETURNS TEXT AS $$
+  SELECT CASE WHEN v ~ '^[2-9][0-9]{7}$' THEN v END
+  FROM (
+    SELECT CASE
+      WHEN length(digits) = 13 AND digits LIKE '00504%' THEN substr(digits, 6)
+      WHEN length(digits) = 11 AND digits LIKE '504%' THEN substr(digits, 4)
+      ELSE digits
+    END AS v
+    FROM (SELECT regexp_replace(COALESCE(p_value, ''), '\D', '', 'g') AS digits) AS raw
+  ) AS local
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Letters and digits only, uppercase (0801-1990-12345 = 0801199012345): a DNI (13 digits),
+-- an RTN (14 digits) or a passport (6 to 15 letters and digits, at least one digit)
+CREATE OR REPLACE FUNCTION normalize_identity(p_value TEXT)
+RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN v ~ '^[0-9]+$' THEN CASE WHEN length(v) IN (13, 14) AND v ~ '[1-9]' THEN v END
+    WHEN length(v) BETWEEN 6 AND 15 AND v ~ '[0-9]' THEN v
+  END
+  FROM (SELECT regexp_replace(upper(COALESCE(p_value, '')), '[^A-Z0-9]', '', 'g') AS v) AS cleaned
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS idx_customers_normalized_identity ON customers(normalize_identity(identity));
+CREATE INDEX IF NOT EXISTS idx_customers_normalized_phone ON customers(normalize_phone(phone));
+CREATE INDEX IF NOT EXISTS idx_customers_normalized_email ON customers(normalize_email(email));
+-- Rebuilt so databases set up with older normalize_* rules match the current ones
+REINDEX INDEX idx_customers_normalized_identity;
+REINDEX INDEX idx_customers_normalized_phone;
+REINDEX INDEX idx_customers_normalized_email;
+
+-- 13. Customers the current gestora has at least one order with.
+--    SECURITY DEFINER so the customers/orders policies can share it without recursing
+CREATE OR REPLACE FUNCTION gestora_customer_ids()
+RETURNS SETOF TEXT AS $$
+  SELECT DISTINCT o.customer_id
+  FROM orders o
+  JOIN users u ON u.id = auth.uid() AND u.role = 'gestora'
+  WHERE o.gestor_name = u.display_name
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- 14. Drop existing public policies on customers
 DROP POLICY IF EXISTS "Allow public read access" ON customers;
 DROP POLICY IF EXISTS "Allow public insert access" ON customers;
 DROP POLICY IF EXISTS "Allow public update access" ON customers;
 DROP POLICY IF EXISTS "Allow public delete access" ON customers;
 
--- 7. Drop new policies if they exist (for re-run safety)
+-- 15. Drop new policies if they exist (for re-run safety)
 DROP POLICY IF EXISTS "Admins can view all customers" ON customers;
 DROP POLICY IF EXISTS "Gestoras can view own customers" ON customers;
 DROP POLICY IF EXISTS "Only admins can insert customers" ON customers;
 DROP POLICY IF EXISTS "Only admins can update customers" ON customers;
 DROP POLICY IF EXISTS "Only admins can delete customers" ON customers;
+DROP POLICY IF EXISTS "Only admins can manage orders" ON orders;
+DROP POLICY IF EXISTS "Gestoras can view orders of own customers" ON orders;
+DROP POLICY IF EXISTS "Only admins can manage order items" ON order_items;
+DROP POLICY IF EXISTS "Gestoras can view items of visible orders" ON order_items;
 
--- 8. RLS Policies for customers table
+-- 16. RLS Policies for customers table
 
 -- Admins can see everything
 CREATE POLICY "Admins can view all customers"
@@ -102,22 +319,12 @@ CREATE POLICY "Admins can view all customers"
   );
 
 -- Gestoras can only see their own customers
--- (orders JSONB array contains gestorName that matches user's display_name)
+-- (customers with an order whose gestor_name matches the user's display_name)
 CREATE POLICY "Gestoras can view own customers"
   ON customers FOR SELECT
   TO authenticated
   USING (
-    EXISTS (
-      SELECT 1 
-      FROM users 
-      WHERE id = auth.uid() 
-        AND role = 'gestora'
-        AND EXISTS (
-          SELECT 1 
-          FROM jsonb_array_elements(customers.orders) AS order_item
-          WHERE order_item->>'gestorName' = users.display_name
-        )
-    )
+    customer_id IN (SELECT gestora_customer_ids())
   );
 
 -- Only admins can insert customers
@@ -150,8 +357,908 @@ CREATE POLICY "Only admins can delete customers"
     )
   );
 
+-- 17. RLS Policies for orders and order_items
+
+-- Admins manage everything (imports write through write_customer_rows)
+CREATE POLICY "Only admins can manage orders"
+  ON orders FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+    )
+  );
+
+-- Gestoras see every order of their customers, as they did with the JSONB layout
+CREATE POLICY "Gestoras can view orders of own customers"
+  ON orders FOR SELECT
+  TO authenticated
+  USING (
+    customer_id IN (SELECT gestora_customer_ids())
+  );
+
+CREATE POLICY "Only admins can manage order items"
+  ON order_items FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+    )
+  );
+
+-- Items follow their order (the orders policies decide what is visible)
+CREATE POLICY "Gestoras can view items of visible orders"
+  ON order_items FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM orders WHERE orders.order_id = order_items.order_id
+    )
+  );
+
+-- 18. Write customers with their complete order lists in one transaction: each customer is
+--    upserted and its orders/items are replaced by the given ones. p_rows is a JSON array of
+--    { customer_id, name, email, phone, city, identity, email_original, phone_original, identity_original,
+--    orders: [{ orderId, rawId, orderDate, totalAmount, channel, status, statusCategory, posUser, gestorName,
+--    gestorZone, batchId, emailOriginal, phoneOriginal, identityOriginal, items: [{ sku, description, quantity, total }] }] }.
+--    Runs with the caller's rights, so only admins can write.
+CREATE OR REPLACE FUNCTION write_customer_rows(p_rows JSONB)
+RETURNS INTEGER AS $$
+DECLARE
+  written INTEGER;
+BEGIN
+  INSERT INTO customers (customer_id, name, email, phone, city, identity, email_original, phone_original, identity_original)
+  SELECT DISTINCT ON (c->>'customer_id')
+    c->>'customer_id', c->>'name', c->>'email', c->>'phone', c->>'city', c->>'identity',
+    c->>'email_original', c->>'phone_original', c->>'identity_original'
+  FROM jsonb_array_elements(p_rows) WITH ORDINALITY AS r(c, position)
+  ORDER BY c->>'customer_id', position DESC
+  ON CONFLICT (customer_id) DO UPDATE SET
+    name = EXCLUDED.name,
+    email = EXCLUDED.email,
+    phone = EXCLUDED.phone,
+    city = EXCLUDED.city,
+    identity = EXCLUDED.identity,
+    email_original = EXCLUDED.email_original,
+    phone_original = EXCLUDED.phone_original,
+    identity_original = EXCLUDED.identity_original;
+  GET DIAGNOSTICS written = ROW_COUNT;
+
+  -- One copy per order id; a later copy in the payload wins
+  DROP TABLE IF EXISTS pg_temp.incoming_orders;
+  CREATE TEMP TABLE incoming_orders ON COMMIT DROP AS
+  SELECT DISTINCT ON (o->>'orderId') c->>'customer_id' AS customer_id, o AS data
+  FROM jsonb_array_elements(p_rows) WITH ORDINALITY AS r(c, customer_position),
+       jsonb_array_elements(CASE WHEN jsonb_typeof(c->'orders') = 'array' THEN c->'orders' ELSE '[]'::jsonb END)
+         WITH ORDINALITY AS e(o, order_position)
+  WHERE COALESCE(o->>'orderId', '') <> ''
+  ORDER BY o->>'orderId', customer_position DESC, order_position DESC;
+
+  -- Items go with their orders (ON DELETE CASCADE); an order moving between customers is replaced too
+  DELETE FROM orders
+  WHERE customer_id IN (SELECT c->>'customer_id' FROM jsonb_array_elements(p_rows) AS c)
+     OR order_id IN (SELECT data->>'orderId' FROM incoming_orders);
+
+  INSERT INTO orders (order_id, raw_id, customer_id, order_date, total_amount, channel, status, status_category, pos_user, gestor_name, gestor_zone, batch_id,
+                      email_original, phone_original, identity_original)
+  SELECT
+    data->>'orderId',
+    data->>'rawId',
+    customer_id,
+    NULLIF(data->>'orderDate', '')::timestamp,
+    COALESCE(NULLIF(data->>'totalAmount', '')::numeric, 0),
+    data->>'channel',
+    NULLIF(data->>'status', ''),
+    COALESCE(NULLIF(data->>'statusCategory', ''), 'delivered'),
+    data->>'posUser',
+    data->>'gestorName',
+    data->>'gestorZone',
+    NULLIF(data->>'batchId', '')::uuid,
+    NULLIF(data->>'emailOriginal', ''),
+    NULLIF(data->>'phoneOriginal', ''),
+    NULLIF(data->>'identityOriginal', '')
+  FROM incoming_orders;
+
+  INSERT INTO order_items (order_id, line_number, sku, description, quantity, total)
+  SELECT
+    data->>'orderId',
+    line_number,
+    item->>'sku',
+    item->>'description',
+    COALESCE(NULLIF(item->>'quantity', '')::numeric, 0),
+    COALESCE(NULLIF(item->>'total', '')::numeric, 0)
+  FROM incoming_orders,
+       jsonb_array_elements(CASE WHEN jsonb_typeof(data->'items') = 'array' THEN data->'items' ELSE '[]'::jsonb END)
+         WITH ORDINALITY AS i(item, line_number);
+
+  RETURN written;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 19. Stored customers an incremental upload can touch: owners of the incoming orders
+--    and customers matching by id, email, phone or name (the client does the exact matching).
+--    Email and phone compare normalized, so values stored before imports normalized them still match
+CREATE OR REPLACE FUNCTION find_import_customer_ids(
+  p_order_ids TEXT[],
+  p_raw_ids TEXT[],
+  p_customer_ids TEXT[],
+  p_emails TEXT[],
+  p_phones TEXT[],
+  p_names TEXT[]
+)
+RETURNS TABLE (customer_id TEXT) AS $$
+  SELECT o.customer_id FROM orders o
+  WHERE o.order_id = ANY(p_order_ids) OR o.raw_id = ANY(p_raw_ids)
+  UNION
+  SELECT c.customer_id FROM customers c
+  WHERE c.customer_id = ANY(p_customer_ids)
+     OR normalize_email(c.email) IN (SELECT normalize_email(value) FROM unnest(p_emails) AS value)
+     OR normalize_phone(c.phone) IN (SELECT normalize_phone(value) FROM unnest(p_phones) AS value)
+     OR c.name = ANY(p_names)
+$$ LANGUAGE sql STABLE;
+
 -- ============================================
--- PART 3: Utility Functions
+-- PART 3: Import history (batches + rollback snapshots)
+-- ============================================
+
+-- 20. One row per upload. Every stored order carries it in orders.batch_id
+CREATE TABLE IF NOT EXISTS import_batches (
+  id UUID PRIMARY KEY,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  uploaded_by TEXT NOT NULL,
+  uploaded_by_name TEXT,
+  mode TEXT NOT NULL CHECK (mode IN ('full', 'incremental')),
+  status TEXT NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed', 'failed', 'rolled_back')),
+  file_names JSONB DEFAULT '{}'::jsonb,
+  row_counts JSONB DEFAULT '{}'::jsonb,
+  order_count INTEGER DEFAULT 0,
+  result JSONB DEFAULT '{}'::jsonb,
+  customer_ids JSONB DEFAULT '[]'::jsonb,
+  snapshot_available BOOLEAN DEFAULT TRUE,
+  rolled_back_at TIMESTAMPTZ
+);
+
+-- 21. Customer rows as they were right before a batch touched them
+CREATE TABLE IF NOT EXISTS import_snapshots (
+  id BIGSERIAL PRIMARY KEY,
+  batch_id UUID REFERENCES import_batches(id) ON DELETE CASCADE,
+  customer_id TEXT NOT NULL,
+  data JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_batches_created_at ON import_batches(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_import_snapshots_batch ON import_snapshots(batch_id);
+
+ALTER TABLE import_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE import_snapshots ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Only admins can manage import batches" ON import_batches;
+DROP POLICY IF EXISTS "Only admins can manage import snapshots" ON import_snapshots;
+
+-- Only admins upload, so only admins can see or change the history
+CREATE POLICY "Only admins can manage import batches"
+  ON import_batches FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+    )
+  );
+
+CREATE POLICY "Only admins can manage import snapshots"
+  ON import_snapshots FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+    )
+  );
+
+-- ============================================
+-- PART 4: Staged full reloads
+-- ============================================
+
+-- 22. A full upload is written here first (orders nested as JSONB) and swapped into
+--    customers/orders/order_items in one transaction, so a failed upload never leaves them half-empty
+CREATE TABLE IF NOT EXISTS customers_staging (
+  batch_id UUID NOT NULL,
+  customer_id TEXT NOT NULL,
+  name TEXT,
+  email TEXT,
+  phone TEXT,
+  city TEXT,
+  identity TEXT,
+  email_original TEXT,
+  phone_original TEXT,
+  identity_original TEXT,
+  orders JSONB DEFAULT '[]'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (batch_id, customer_id)
+);
+
+ALTER TABLE customers_staging ADD COLUMN IF NOT EXISTS email_original TEXT;
+ALTER TABLE customers_staging ADD COLUMN IF NOT EXISTS phone_original TEXT;
+ALTER TABLE customers_staging ADD COLUMN IF NOT EXISTS identity_original TEXT;
+
+ALTER TABLE customers_staging ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Only admins can manage staged customers" ON customers_staging;
+
+CREATE POLICY "Only admins can manage staged customers"
+  ON customers_staging FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+    )
+  );
+
+-- 23. Replace customers with one staged upload. A function body runs as a single
+--     transaction: if anything fails, the previous customers stay untouched.
+--     The rows are copied set-based straight from customers_staging (no JSON array of the
+--     whole upload is built). Runs with the caller's rights, so the admin-only customers policies still apply.
+CREATE OR REPLACE FUNCTION publish_customers_staging(p_batch_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+  staged_count INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO staged_count FROM customers_staging WHERE batch_id = p_batch_id;
+  IF staged_count = 0 THEN
+    RAISE EXCEPTION 'No staged customers for batch %', p_batch_id;
+  END IF;
+
+  -- Orders and items go with their customers (ON DELETE CASCADE)
+  DELETE FROM customers WHERE customer_id IS NOT NULL;
+
+  INSERT INTO customers (customer_id, name, email, phone, city, identity, email_original, phone_original, identity_original)
+  SELECT customer_id, name, email, phone, city, identity, email_original, phone_original, identity_original
+  FROM customers_staging
+  WHERE batch_id = p_batch_id;
+
+  -- One copy per order id, as in write_customer_rows
+  DROP TABLE IF EXISTS pg_temp.staged_orders;
+  CREATE TEMP TABLE staged_orders ON COMMIT DROP AS
+  SELECT DISTINCT ON (o->>'orderId') s.customer_id, o AS data
+  FROM customers_staging s,
+       jsonb_array_elements(CASE WHEN jsonb_typeof(s.orders) = 'array' THEN s.orders ELSE '[]'::jsonb END)
+         WITH ORDINALITY AS e(o, order_position)
+  WHERE s.batch_id = p_batch_id
+    AND COALESCE(o->>'orderId', '') <> ''
+  ORDER BY o->>'orderId', s.customer_id DESC, order_position DESC;
+
+  INSERT INTO orders (order_id, raw_id, customer_id, order_date, total_amount, channel, status, status_category, pos_user, gestor_name, gestor_zone, batch_id,
+                      email_original, phone_original, identity_original)
+  SELECT
+    data->>'orderId',
+    data->>'rawId',
+    customer_id,
+    NULLIF(data->>'orderDate', '')::timestamp,
+    COALESCE(NULLIF(data->>'totalAmount', '')::numeric, 0),
+    data->>'channel',
+    NULLIF(data->>'status', ''),
+    COALESCE(NULLIF(data->>'statusCategory', ''), 'delivered'),
+    data->>'posUser',
+    data->>'gestorName',
+    data->>'gestorZone',
+    NULLIF(data->>'batchId', '')::uuid,
+    NULLIF(data->>'emailOriginal', ''),
+    NULLIF(data->>'phoneOriginal', ''),
+    NULLIF(data->>'identityOriginal', '')
+  FROM staged_orders;
+
+  INSERT INTO order_items (order_id, line_number, sku, description, quantity, total)
+  SELECT
+    data->>'orderId',
+    line_number,
+    item->>'sku',
+    item->>'description',
+    COALESCE(NULLIF(item->>'quantity', '')::numeric, 0),
+    COALESCE(NULLIF(item->>'total', '')::numeric, 0)
+  FROM staged_orders,
+       jsonb_array_elements(CASE WHEN jsonb_typeof(data->'items') = 'array' THEN data->'items' ELSE '[]'::jsonb END)
+         WITH ORDINALITY AS i(item, line_number);
+
+  -- This upload's rows, plus leftovers of uploads that never got published (an upload
+  -- still being staged by someone else is newer than a day and stays)
+  DELETE FROM customers_staging
+  WHERE batch_id = p_batch_id
+     OR created_at < NOW() - INTERVAL '1 day';
+
+  RETURN staged_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- PART 5: Server-side queries for the dashboards
+-- ============================================
+-- All of them run with the caller's rights, so a gestora only ever gets rows of her own customers.
+
+-- 24. ILIKE pattern matching p_term anywhere, with %, _ and \ taken literally
+CREATE OR REPLACE FUNCTION like_contains(p_term TEXT)
+RETURNS TEXT AS $$
+  SELECT '%' || replace(replace(replace(p_term, '\', '\\'), '%', '\%'), '_', '\_') || '%'
+$$ LANGUAGE sql IMMUTABLE;
+
+-- 25. Orders matching the dashboard filters. Every filter is optional (NULL = no filter):
+--     p_skus matches orders with an item whose SKU contains any of the terms,
+--     p_search matches SKU, name, email, phone or identity (single-term search box);
+--     phone and identity also match written another way ('+504 9999-9999' finds 99999999).
+--     p_statuses lists the status categories to return (NULL = delivered only)
+--     Call it through supabase.rpc(...).select('*, order_items(...), customers(...)')
+--     to embed items and customer, and page it with .range()
+-- Older installs: drop the signature without p_statuses so the calls are not ambiguous
+DROP FUNCTION IF EXISTS query_orders(TIMESTAMP, TIMESTAMP, TEXT[], TEXT, TEXT[], TEXT, TEXT, TEXT[]);
+CREATE OR REPLACE FUNCTION query_orders(
+  p_start_date TIMESTAMP DEFAULT NULL,
+  p_end_date TIMESTAMP DEFAULT NULL,
+  p_skus TEXT[] DEFAULT NULL,
+  p_search TEXT DEFAULT NULL,
+  p_cities TEXT[] DEFAULT NULL,
+  p_gestor TEXT DEFAULT NULL,
+  p_zone TEXT DEFAULT NULL,
+  p_customer_ids TEXT[] DEFAULT NULL,
+  p_statuses TEXT[] DEFAULT NULL
+)
+RETURNS SETOF orders AS $$
+  SELECT o.*
+  FROM orders o
+  JOIN customers c ON c.customer_id = o.customer_id
+  WHERE o.status_category = ANY(COALESCE(p_statuses, ARRAY['delivered']))
+    AND (p_start_date IS NULL OR o.order_date >= p_start_date)
+    AND (p_end_date IS NULL OR o.order_date <= p_end_date)
+    AND (p_cities IS NULL OR c.city = ANY(p_cities))
+    AND (p_gestor IS NULL OR o.gestor_name = p_gestor)
+    AND (p_zone IS NULL OR o.gestor_zone = p_zone)
+    AND (p_customer_ids IS NULL OR o.customer_id = ANY(p_customer_ids))
+    AND (p_skus IS NULL OR EXISTS (
+      SELECT 1 FROM order_items i, unnest(p_skus) AS term
+      WHERE i.order_id = o.order_id AND i.sku ILIKE like_contains(term)
+    ))
+    AND (p_search IS NULL
+      OR c.name ILIKE like_contains(p_search)
+      OR c.email ILIKE like_contains(p_search)
+      OR c.phone ILIKE like_contains(p_search)
+      OR c.identity ILIKE like_contains(p_search)
+      OR normalize_phone(c.phone) = normalize_phone(p_search)
+      OR normalize_identity(c.identity) = normalize_identity(p_search)
+      OR EXISTS (
+        SELECT 1 FROM order_items i
+        WHERE i.order_id = o.order_id AND i.sku ILIKE like_contains(p_search)
+      ))
+$$ LANGUAGE sql STABLE;
+
+-- 26. Search box suggestions: SKUs (most ordered first, counting delivered orders), customers and identities
+CREATE OR REPLACE FUNCTION search_suggestions(p_query TEXT, p_limit INTEGER DEFAULT 10)
+RETURNS JSONB AS $$
+  SELECT jsonb_build_object(
+    'skus', COALESCE((
+      SELECT jsonb_agg(s ORDER BY s.count DESC, s.sku)
+      FROM (
+        SELECT i.sku, MIN(i.description) AS description, COUNT(*) AS count
+        FROM order_items i
+        JOIN orders o ON o.order_id = i.order_id
+        WHERE o.status_category = 'delivered'
+          AND (i.sku ILIKE like_contains(p_query) OR i.description ILIKE like_contains(p_query))
+        GROUP BY i.sku
+        ORDER BY count DESC, i.sku
+        LIMIT p_limit
+      ) s
+    ), '[]'::jsonb),
+    'customers', COALESCE((
+      SELECT jsonb_agg(c)
+      FROM (
+        SELECT DISTINCT ON (LOWER(COALESCE(name, '')))
+          COALESCE(name, 'Sin nombre') AS name,
+          COALESCE(email, '') AS email,
+          COALESCE(phone, '') AS phone,
+          COALESCE(identity, '') AS identity
+        FROM customers
+        WHERE name ILIKE like_contains(p_query)
+           OR email ILIKE like_contains(p_query)
+           OR phone ILIKE like_contains(p_query)
+        ORDER BY LOWER(COALESCE(name, '')), customer_id
+        LIMIT p_limit
+      ) c
+    ), '[]'::jsonb),
+    'identities', COALESCE((
+      SELECT jsonb_agg(d)
+      FROM (
+        SELECT DISTINCT ON (LOWER(identity))
+          identity,
+          COALESCE(name, '') AS name,
+          COALESCE(phone, '') AS phone
+        FROM customers
+        WHERE identity <> 'No se encontró' AND identity ILIKE like_contains(p_query)
+        ORDER BY LOWER(identity), customer_id
+        LIMIT p_limit
+      ) d
+    ), '[]'::jsonb)
+  )
+$$ LANGUAGE sql STABLE;
+
+-- 27. What the dashboards need before any filter is applied: totals, latest order,
+--     filter options (cities, gestores by zone) and the best-selling products by quantity
+--     (non-product SKUs left out). Totals and SKUs count delivered orders; the latest order
+--     and the filter options use every order
+CREATE OR REPLACE FUNCTION order_summary(p_top_skus INTEGER DEFAULT 20)
+RETURNS JSONB AS $$
+  SELECT jsonb_build_object(
+    'orderCount', (SELECT COUNT(*) FROM orders WHERE status_category = 'delivered'),
+    'customerCount', (SELECT COUNT(DISTINCT customer_id) FROM orders WHERE status_category = 'delivered'),
+    'latestOrderDate', (SELECT MAX(order_date) FROM orders),
+    'cities', COALESCE((
+      SELECT jsonb_agg(DISTINCT city ORDER BY city)
+      FROM customers
+      WHERE COALESCE(city, '') <> ''
+    ), '[]'::jsonb),
+    'gestores', COALESCE((
+      SELECT jsonb_agg(g ORDER BY g.zone, g.gestor)
+      FROM (
+        SELECT DISTINCT COALESCE(NULLIF(gestor_zone, ''), 'Sin Zona') AS zone, gestor_name AS gestor
+        FROM orders
+        WHERE COALESCE(gestor_name, '') NOT IN ('', 'Sin Asignar')
+      ) g
+    ), '[]'::jsonb),
+    'topSkus', COALESCE((
+      SELECT jsonb_agg(t ORDER BY t."totalQuantity" DESC, t.sku)
+      FROM (
+        SELECT
+          COALESCE(NULLIF(i.sku, ''), i.description) AS sku,
+          MIN(i.description) AS description,
+          SUM(i.quantity) AS "totalQuantity",
+          SUM(i.total) AS "totalRevenue"
+        FROM order_items i
+        JOIN orders o ON o.order_id = i.order_id
+        WHERE o.status_category = 'delivered'
+          AND COALESCE(NULLIF(i.sku, ''), i.description) IS NOT NULL
+          AND NOT EXISTS (SELECT 1 FROM non_product_skus n WHERE n.sku = i.sku)
+        GROUP BY 1
+        ORDER BY 3 DESC, 1
+        LIMIT p_top_skus
+      ) t
+    ), '[]'::jsonb)
+  )
+$$ LANGUAGE sql STABLE;
+
+-- 28. Orders per gestor of each customer over their whole history (shared-customer badge).
+--     p_statuses as in query_orders (NULL = delivered only)
+DROP FUNCTION IF EXISTS customer_gestor_history(TEXT[]);
+CREATE OR REPLACE FUNCTION customer_gestor_history(p_customer_ids TEXT[], p_statuses TEXT[] DEFAULT NULL)
+RETURNS TABLE (customer_id TEXT, gestor_name TEXT, order_count BIGINT) AS $$
+  SELECT o.customer_id, COALESCE(NULLIF(o.gestor_name, ''), 'Sin Asignar'), COUNT(*)
+  FROM orders o
+  WHERE o.customer_id = ANY(p_customer_ids)
+    AND o.status_category = ANY(COALESCE(p_statuses, ARRAY['delivered']))
+  GROUP BY 1, 2
+$$ LANGUAGE sql STABLE;
+
+-- 29. Cancellation rates: cancelled and returned orders out of every closed order (delivered,
+--     cancelled or returned; orders still in process are left out), overall and per gestor,
+--     SKU and customer. SKUs only see orders with RMS lines and skip non-product SKUs. Groups with fewer than
+--     p_min_orders closed orders are skipped; SKUs and customers keep the p_limit highest rates
+CREATE OR REPLACE FUNCTION cancellation_stats(
+  p_start_date TIMESTAMP DEFAULT NULL,
+  p_end_date TIMESTAMP DEFAULT NULL,
+  p_gestor TEXT DEFAULT NULL,
+  p_zone TEXT DEFAULT NULL,
+  p_min_orders INTEGER DEFAULT 3,
+  p_limit INTEGER DEFAULT 50
+)
+RETURNS JSONB AS $$
+  WITH closed AS (
+    SELECT
+      o.order_id,
+      o.customer_id,
+      o.status_category,
+      COALESCE(NULLIF(o.gestor_zone, ''), 'Sin Zona') AS zone,
+      COALESCE(NULLIF(o.gestor_name, ''), 'Sin Asignar') AS gestor
+    FROM orders o
+    WHERE o.status_category IN ('delivered', 'cancelled', 'returned')
+      AND (p_start_date IS NULL OR o.order_date >= p_start_date)
+      AND (p_end_date IS NULL OR o.order_date <= p_end_date)
+      AND (p_gestor IS NULL OR o.gestor_name = p_gestor)
+      AND (p_zone IS NULL OR o.gestor_zone = p_zone)
+  )
+  SELECT jsonb_build_object(
+    'totals', (
+      SELECT jsonb_build_object(
+        'orderCount', COUNT(*),
+        'cancelled', COUNT(*) FILTER (WHERE status_category = 'cancelled'),
+        'returned', COUNT(*) FILTER (WHERE status_category = 'returned'),
+        'rate', COALESCE(AVG((status_category <> 'delivered')::int), 0)
+      )
+      FROM closed
+    ),
+    'byGestor', COALESCE((
+      SELECT jsonb_agg(g ORDER BY g.rate DESC, g."orderCount" DESC)
+      FROM (
+        SELECT
+          zone,
+          gestor,
+          COUNT(*) AS "orderCount",
+          COUNT(*) FILTER (WHERE status_category = 'cancelled') AS cancelled,
+          COUNT(*) FILTER (WHERE status_category = 'returned') AS returned,
+          AVG((status_category <> 'delivered')::int) AS rate
+        FROM closed
+        GROUP BY zone, gestor
+        HAVING COUNT(*) >= p_min_orders
+      ) g
+    ), '[]'::jsonb),
+    'bySku', COALESCE((
+      SELECT jsonb_agg(s ORDER BY s.rate DESC, s."orderCount" DESC)
+      FROM (
+        SELECT
+          i.sku,
+          MIN(i.description) AS description,
+          COUNT(DISTINCT c.order_id) AS "orderCount",
+          COUNT(DISTINCT c.order_id) FILTER (WHERE c.status_category = 'cancelled') AS cancelled,
+          COUNT(DISTINCT c.order_id) FILTER (WHERE c.status_category = 'returned') AS returned,
+          COUNT(DISTINCT c.order_id) FILTER (WHERE c.status_category <> 'delivered')::numeric
+            / COUNT(DISTINCT c.order_id) AS rate
+        FROM closed c
+        JOIN order_items i ON i.order_id = c.order_id
+        WHERE COALESCE(i.sku, '') <> ''
+          AND NOT EXISTS (SELECT 1 FROM non_product_skus n WHERE n.sku = i.sku)
+        GROUP BY i.sku
+        HAVING COUNT(DISTINCT c.order_id) >= p_min_orders
+        ORDER BY rate DESC, "orderCount" DESC, i.sku
+        LIMIT p_limit
+      ) s
+    ), '[]'::jsonb),
+    'byCustomer', COALESCE((
+      SELECT jsonb_agg(r ORDER BY r.rate DESC, r."orderCount" DESC)
+      FROM (
+        SELECT
+          c.customer_id AS "customerId",
+          COALESCE(MIN(cu.name), 'Sin nombre') AS name,
+          COALESCE(MIN(cu.phone), '') AS phone,
+          COUNT(*) AS "orderCount",
+          COUNT(*) FILTER (WHERE c.status_category = 'cancelled') AS cancelled,
+          COUNT(*) FILTER (WHERE c.status_category = 'returned') AS returned,
+          AVG((c.status_category <> 'delivered')::int) AS rate
+        FROM closed c
+        JOIN customers cu ON cu.customer_id = c.customer_id
+        GROUP BY c.customer_id
+        HAVING COUNT(*) >= p_min_orders AND COUNT(*) FILTER (WHERE c.status_category <> 'delivered') > 0
+        ORDER BY rate DESC, "orderCount" DESC, c.customer_id
+        LIMIT p_limit
+      ) r
+    ), '[]'::jsonb)
+  )
+$$ LANGUAGE sql STABLE;
+
+-- 30. Market basket of one product (see utils/associationRules.js): the product SKUs of every
+--     delivered order containing p_sku, in how many delivered orders each of those SKUs appears,
+--     and how many delivered orders there are. Non-product SKUs are left out
+CREATE OR REPLACE FUNCTION product_baskets(p_sku TEXT)
+RETURNS JSONB AS $$
+  WITH baskets AS (
+    SELECT i.order_id, jsonb_agg(DISTINCT i.sku) AS skus
+    FROM order_items i
+    JOIN orders o ON o.order_id = i.order_id
+    WHERE o.status_category = 'delivered'
+      AND COALESCE(i.sku, '') <> ''
+      AND NOT EXISTS (SELECT 1 FROM non_product_skus n WHERE n.sku = i.sku)
+      AND EXISTS (SELECT 1 FROM order_items a WHERE a.order_id = i.order_id AND a.sku = p_sku)
+    GROUP BY i.order_id
+  ),
+  basket_skus AS (
+    SELECT DISTINCT jsonb_array_elements_text(skus) AS sku FROM baskets
+  )
+  SELECT jsonb_build_object(
+    'orderCount', (SELECT COUNT(*) FROM orders WHERE status_category = 'delivered'),
+    'baskets', COALESCE((SELECT jsonb_agg(skus) FROM baskets), '[]'::jsonb),
+    'skus', COALESCE((
+      SELECT jsonb_agg(s)
+      FROM (
+        SELECT i.sku, MIN(i.description) AS description, COUNT(DISTINCT i.order_id) AS "orderCount"
+        FROM order_items i
+        JOIN orders o ON o.order_id = i.order_id
+        WHERE o.status_category = 'delivered'
+          AND i.sku IN (SELECT sku FROM basket_skus)
+        GROUP BY i.sku
+      ) s
+    ), '[]'::jsonb)
+  )
+$$ LANGUAGE sql STABLE;
+
+-- 31. Purchase history of every customer for the churn model and the 12-month value
+--     (see utils/churnModel.js, utils/lifetimeValue.js): first and last purchase day, distinct
+--     purchase days and the product amount of their delivered orders (non-product lines left out).
+--     One row per customer, so the model is fitted without downloading their orders
+CREATE OR REPLACE FUNCTION customer_purchase_history()
+RETURNS JSONB AS $$
+  SELECT COALESCE(jsonb_agg(h), '[]'::jsonb)
+  FROM (
+    SELECT
+      o.customer_id AS "customerId",
+      MIN(o.order_date)::date AS "firstPurchase",
+      MAX(o.order_date)::date AS "lastPurchase",
+      COUNT(DISTINCT o.order_date::date) AS "purchaseDays",
+      SUM(o.total_amount - COALESCE(np.total, 0)) AS "productAmount"
+    FROM orders o
+    LEFT JOIN LATERAL (
+      SELECT SUM(i.total) AS total
+      FROM order_items i
+      WHERE i.order_id = o.order_id
+        AND EXISTS (SELECT 1 FROM non_product_skus n WHERE n.sku = i.sku)
+    ) np ON true
+    WHERE o.status_category = 'delivered'
+      AND o.order_date IS NOT NULL
+    GROUP BY o.customer_id
+  ) h
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- PART 6: Offline cache sync
+-- ============================================
+-- The app keeps the orders it can see in IndexedDB and only downloads what changed
+-- since its last sync. Imports rewrite orders (delete + insert), so a changed order
+-- always has a newer created_at, and a removed one leaves a row in order_deletions.
+
+-- 32. Ids of deleted orders (kept 30 days; older caches download everything again)
+CREATE TABLE IF NOT EXISTS order_deletions (
+  order_id TEXT NOT NULL,
+  deleted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_deletions_deleted_at ON order_deletions(deleted_at);
+
+ALTER TABLE order_deletions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users can view order deletions" ON order_deletions;
+
+-- Only ids: nothing about the order or its customer is kept
+CREATE POLICY "Authenticated users can view order deletions"
+  ON order_deletions FOR SELECT
+  TO authenticated
+  USING (true);
+
+-- 33. Log deleted orders (one statement at a time, so a full reload is a single insert)
+CREATE OR REPLACE FUNCTION log_order_deletions()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO order_deletions (order_id) SELECT order_id FROM deleted_orders;
+  DELETE FROM order_deletions WHERE deleted_at < NOW() - INTERVAL '30 days';
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS log_order_deletions ON orders;
+CREATE TRIGGER log_order_deletions
+  AFTER DELETE ON orders
+  REFERENCING OLD TABLE AS deleted_orders
+  FOR EACH STATEMENT
+  EXECUTE FUNCTION log_order_deletions();
+
+-- 34. Server clock (the next sync starts from it) and how many orders the caller can see
+--     (the cache checks its own count against it)
+CREATE OR REPLACE FUNCTION order_sync_state()
+RETURNS JSONB AS $$
+  SELECT jsonb_build_object('serverTime', NOW(), 'orderCount', (SELECT COUNT(*) FROM orders))
+$$ LANGUAGE sql STABLE;
+
+-- 35. Orders written after p_since, or whose customer was edited after it (NULL = every order).
+--     Embed items/customer and page it like query_orders
+CREATE OR REPLACE FUNCTION order_changes_since(p_since TIMESTAMPTZ DEFAULT NULL)
+RETURNS SETOF orders AS $$
+  SELECT o.*
+  FROM orders o
+  JOIN customers c ON c.customer_id = o.customer_id
+  WHERE p_since IS NULL OR o.created_at > p_since OR c.updated_at > p_since
+$$ LANGUAGE sql STABLE;
+
+-- 36. Orders deleted after p_since that the caller can no longer see
+CREATE OR REPLACE FUNCTION deleted_order_ids_since(p_since TIMESTAMPTZ)
+RETURNS TABLE (order_id TEXT) AS $$
+  SELECT DISTINCT d.order_id
+  FROM order_deletions d
+  WHERE d.deleted_at > p_since
+    AND NOT EXISTS (SELECT 1 FROM orders o WHERE o.order_id = d.order_id)
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- PART 7: Customer identity (duplicate review, merge and split)
+-- ============================================
+-- Normalized DNI, phone and email (normalize_*, see 12.) point out customers that are probably the same person.
+-- An admin merges them (or marks them as different people); merges survive full reloads
+-- because imports send a merged customer's orders to the customer it went into.
+
+-- 37. Customers merged into another one. The source row and the ids of the orders it had
+--     are kept so the merge can be undone. No foreign keys: a full reload deletes every
+--     customer, but the merges must outlive it
+CREATE TABLE IF NOT EXISTS customer_merges (
+  source_customer_id TEXT PRIMARY KEY,
+  target_customer_id TEXT NOT NULL,
+  source_data JSONB NOT NULL,
+  order_ids JSONB DEFAULT '[]'::jsonb,
+  merged_by TEXT,
+  merged_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- 38. Pairs an admin marked as different people (customer_a < customer_b), never suggested again
+CREATE TABLE IF NOT EXISTS customer_distinct_pairs (
+  customer_a TEXT NOT NULL,
+  customer_b TEXT NOT NULL,
+  decided_by TEXT,
+  decided_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (customer_a, customer_b),
+  CHECK (customer_a < customer_b)
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_merges_target ON customer_merges(target_customer_id);
+
+ALTER TABLE customer_merges ENABLE ROW LEVEL SECURITY;
+ALTER TABLE customer_distinct_pairs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Only admins can manage customer merges" ON customer_merges;
+DROP POLICY IF EXISTS "Only admins can manage distinct customer pairs" ON customer_distinct_pairs;
+
+CREATE POLICY "Only admins can manage customer merges"
+  ON customer_merges FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+    )
+  );
+
+CREATE POLICY "Only admins can manage distinct customer pairs"
+  ON customer_distinct_pairs FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+    )
+  );
+
+-- 39. Pairs of customers sharing a normalized DNI, phone or email, minus the reviewed ones
+CREATE OR REPLACE FUNCTION suggest_duplicate_customers(p_limit INTEGER DEFAULT 200)
+RETURNS TABLE (customer_a TEXT, customer_b TEXT) AS $$
+  WITH identity_keys AS (
+    SELECT customer_id, 'identity:' || normalize_identity(identity) AS key FROM customers
+    UNION
+    SELECT customer_id, 'phone:' || normalize_phone(phone) FROM customers
+    UNION
+    SELECT customer_id, 'email:' || normalize_email(email) FROM customers
+  )
+  SELECT DISTINCT a.customer_id, b.customer_id
+  FROM identity_keys a
+  JOIN identity_keys b ON b.key = a.key AND b.customer_id > a.customer_id
+  WHERE a.key IS NOT NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM customer_distinct_pairs p
+      WHERE p.customer_a = a.customer_id AND p.customer_b = b.customer_id
+    )
+  ORDER BY 1, 2
+  LIMIT p_limit
+$$ LANGUAGE sql STABLE;
+
+-- 40. Merge p_source_id into p_target_id in one transaction: its orders move over, its row is
+--     kept in customer_merges and deleted. Returns the number of orders moved.
+--     Runs with the caller's rights, so only admins can merge.
+CREATE OR REPLACE FUNCTION merge_customers(p_target_id TEXT, p_source_id TEXT, p_merged_by TEXT DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+  source_row customers%ROWTYPE;
+  moved_count INTEGER;
+BEGIN
+  IF p_target_id = p_source_id THEN
+    RAISE EXCEPTION 'A customer cannot be merged into itself';
+  END IF;
+
+  SELECT * INTO source_row FROM customers WHERE customer_id = p_source_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Customer % not found', p_source_id;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM customers WHERE customer_id = p_target_id) THEN
+    RAISE EXCEPTION 'Customer % not found', p_target_id;
+  END IF;
+
+  INSERT INTO customer_merges (source_customer_id, target_customer_id, source_data, order_ids, merged_by)
+  SELECT
+    p_source_id,
+    p_target_id,
+    to_jsonb(source_row) - 'created_at' - 'updated_at',
+    COALESCE((SELECT jsonb_agg(order_id) FROM orders WHERE customer_id = p_source_id), '[]'::jsonb),
+    p_merged_by
+  ON CONFLICT (source_customer_id) DO UPDATE SET
+    target_customer_id = EXCLUDED.target_customer_id,
+    source_data = EXCLUDED.source_data,
+    order_ids = EXCLUDED.order_ids,
+    merged_by = EXCLUDED.merged_by,
+    merged_at = NOW();
+
+  UPDATE orders SET customer_id = p_target_id WHERE customer_id = p_source_id;
+  GET DIAGNOSTICS moved_count = ROW_COUNT;
+
+  -- Touch the target so offline caches download the orders it received
+  UPDATE customers SET updated_at = NOW() WHERE customer_id = p_target_id;
+  DELETE FROM customers WHERE customer_id = p_source_id;
+
+  RETURN moved_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 41. Undo a merge: the source customer is recreated, the orders it had come back to it
+--     (wherever they are now) and the pair is marked as different people.
+--     Returns the number of orders moved back.
+CREATE OR REPLACE FUNCTION split_customer(p_source_id TEXT, p_decided_by TEXT DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+  merge_row customer_merges%ROWTYPE;
+  moved_count INTEGER;
+BEGIN
+  SELECT * INTO merge_row FROM customer_merges WHERE source_customer_id = p_source_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Customer % was not merged', p_source_id;
+  END IF;
+
+  INSERT INTO customers (customer_id, name, email, phone, city, identity, email_original, phone_original, identity_original)
+  VALUES (
+    p_source_id,
+    merge_row.source_data->>'name',
+    merge_row.source_data->>'email',
+    merge_row.source_data->>'phone',
+    merge_row.source_data->>'city',
+    merge_row.source_data->>'identity',
+    merge_row.source_data->>'email_original',
+    merge_row.source_data->>'phone_original',
+    merge_row.source_data->>'identity_original'
+  )
+  ON CONFLICT (customer_id) DO NOTHING;
+
+  UPDATE orders SET customer_id = p_source_id
+  WHERE order_id IN (SELECT jsonb_array_elements_text(merge_row.order_ids));
+  GET DIAGNOSTICS moved_count = ROW_COUNT;
+
+  DELETE FROM customer_merges WHERE source_customer_id = p_source_id;
+
+  INSERT INTO customer_distinct_pairs (customer_a, customer_b, decided_by)
+  VALUES (LEAST(p_source_id, merge_row.target_customer_id), GREATEST(p_source_id, merge_row.target_customer_id), p_decided_by)
+  ON CONFLICT (customer_a, customer_b) DO NOTHING;
+
+  RETURN moved_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- PART 8: Utility Functions
 -- ============================================
 
 -- Function to update updated_at timestamp
@@ -170,6 +1277,13 @@ CREATE TRIGGER update_users_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+-- Create trigger for customers table (edits reach the offline caches)
+DROP TRIGGER IF EXISTS update_customers_updated_at ON customers;
+CREATE TRIGGER update_customers_updated_at
+    BEFORE UPDATE ON customers
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
 -- ============================================
 -- Success message
 -- ============================================
@@ -180,9 +1294,17 @@ BEGIN
   RAISE NOTICE '📋 Next steps:';
   RAISE NOTICE '   1. Run: node scripts/setupAuth.js (to create admin user)';
   RAISE NOTICE '   2. Configure Supabase credentials in .env.local';
+  RAISE NOTICE '   3. Existing install with customers.orders JSONB? Run supabase_migrate_orders.sql';
   RAISE NOTICE '';
   RAISE NOTICE '🔒 Security enabled:';
   RAISE NOTICE '   - Row Level Security active on users table';
-  RAISE NOTICE '   - Row Level Security active on customers table';
+  RAISE NOTICE '   - Row Level Security active on customers, orders and order_items';
   RAISE NOTICE '   - Gestoras can only see their own customers';
+  RAISE NOTICE '   - Import history (import_batches, import_snapshots) is admin-only';
+  RAISE NOTICE '   - Full uploads are staged in customers_staging and published atomically';
+  RAISE NOTICE '   - Dashboard queries (query_orders, order_summary, ...) follow the same policies';
+  RAISE NOTICE '   - order_deletions only exposes ids of deleted orders (offline cache sync)';
+  RAISE NOTICE '   - Customer merges and duplicate reviews are admin-only';
+  RAISE NOTICE '   - Non-product SKUs are readable by everyone, editable by admins';
+  RAISE NOTICE '   - The product catalog is readable by everyone, imported by admins';
 END $$;
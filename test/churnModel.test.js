@@ -0,0 +1,156 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    logLikelihood,
+    fitChurnModel,
+    getAliveProbability,
+    toChurnInputs,
+    toHistoryChurnInputs,
+    scorePurchaseHistories
+} from '../src/utils/churnModel.js';
+
+const PARAMS = { r: 0.5, alpha: 6, a: 0.7, b: 2.5 };
+const REFERENCE_DATE = new Date(2025, 5, 30);
+
+const assertClose = (actual, expected, message, tolerance = 1e-9) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} ≠ ${expected}`);
+};
+
+// Deterministic customers drawn from the MBG/NBD process itself (seeded, so the fit is repeatable)
+const simulateCustomers = (count, { r, alpha, a, b }) => {
+    let seed = 12345;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return (seed + 0.5) / 2147483648;
+    };
+    // Gamma(shape, 1) by Marsaglia-Tsang (boosted for shape < 1)
+    const gamma = (shape) => {
+        if (shape < 1) return gamma(shape + 1) * Math.pow(random(), 1 / shape);
+        const d = shape - 1 / 3;
+        const c = 1 / Math.sqrt(9 * d);
+        for (;;) {
+            const u1 = random();
+            const u2 = random();
+            const normal = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+            const v = Math.pow(1 + c * normal, 3);
+            if (v > 0 && Math.log(random()) < 0.5 * normal * normal + d - d * v + d * Math.log(v)) return d * v;
+        }
+    };
+
+    return Array.from({ length: count }, (_, i) => {
+        const rate = gamma(r) / alpha;
+        const x1 = gamma(a);
+        const dropout = x1 / (x1 + gamma(b));
+        const T = 20 + (i % 60);
+
+        let x = 0;
+        let tx = 0;
+        let time = 0;
+        // Each purchase, the first one included, may be the last
+        while (random() >= dropout) {
+            time += -Math.log(random()) / rate;
+            if (time > T) break;
+            x++;
+            tx = time;
+        }
+        return { x, tx, T };
+    });
+};
+
+describe('logLikelihood', () => {
+    it('matches the closed form of a one-time buyer', () => {
+        const { r, alpha, a, b } = PARAMS;
+        const T = 10;
+        const expected = a / (a + b) + (b / (a + b)) * Math.pow(alpha / (alpha + T), r);
+
+        assertClose(logLikelihood(PARAMS, { x: 0, tx: 0, T }), Math.log(expected), 'x = 0');
+    });
+
+    it('matches the closed form of a customer with one repeat purchase', () => {
+        const { r, alpha, a, b } = PARAMS;
+        const tx = 4;
+        const T = 12;
+        const scale = (a + b) * (a + b + 1);
+        const expected = r * Math.pow(alpha, r) * (
+            (b * (b + 1) / scale) * Math.pow(alpha + T, -(r + 1)) +
+            (a * b / scale) * Math.pow(alpha + tx, -(r + 1))
+        );
+
+        assertClose(logLikelihood(PARAMS, { x: 1, tx, T }), Math.log(expected), 'x = 1');
+    });
+
+    it('is 0 for a customer observed for no time at all', () => {
+        assertClose(logLikelihood(PARAMS, { x: 0, tx: 0, T: 0 }), 0, 'T = 0');
+    });
+});
+
+describe('fitChurnModel', () => {
+    it('keeps the default parameters for too few customers', () => {
+        const { fitted, params } = fitChurnModel(simulateCustomers(10, PARAMS));
+
+        assert.equal(fitted, false);
+        assert.ok(Object.values(params).every(value => value > 0));
+    });
+
+    it('finds a maximum of the likelihood', () => {
+        const inputs = simulateCustomers(400, PARAMS);
+        const total = (params) => inputs.reduce((sum, input) => sum + logLikelihood(params, input), 0);
+
+        const { fitted, params } = fitChurnModel(inputs);
+        assert.equal(fitted, true);
+
+        const best = total(params);
+        assert.ok(best >= total(fitChurnModel([]).params), 'better than the defaults');
+        assert.ok(best >= total(PARAMS) - 1e-6, 'at least as good as the simulated parameters');
+
+        // No nudge of a single parameter improves it
+        Object.keys(params).forEach(name => {
+            [0.95, 1.05].forEach(factor => {
+                assert.ok(total({ ...params, [name]: params[name] * factor }) <= best + 1e-6, `${name} × ${factor}`);
+            });
+        });
+    });
+});
+
+describe('getAliveProbability', () => {
+    it('is b / (a + b) for a one-time buyer seen on their first day', () => {
+        const { a, b } = PARAMS;
+        assertClose(getAliveProbability(PARAMS, { x: 0, tx: 0, T: 0 }), b / (a + b), 'x = 0, T = 0');
+    });
+
+    it('does not depend on the buying rate when the last purchase is today (T = tx)', () => {
+        const { a, b } = PARAMS;
+        [{ x: 0, tx: 8, T: 8 }, { x: 3, tx: 26, T: 26 }].forEach(input => {
+            assertClose(getAliveProbability(PARAMS, input), (b + input.x) / (a + b + input.x), `x = ${input.x}`);
+        });
+    });
+
+    it('falls as time goes by without a purchase', () => {
+        const probabilities = [0, 10, 50, 200].map(T => getAliveProbability(PARAMS, { x: 2, tx: 0, T }));
+        probabilities.slice(1).forEach((probability, i) => assert.ok(probability < probabilities[i]));
+    });
+});
+
+describe('purchase histories', () => {
+    const orders = [
+        { orderDate: '2025-01-06T09:00:00' },
+        { orderDate: '2025-01-06T17:30:00' },
+        { orderDate: '2025-02-03T10:00:00' },
+        { orderDate: '2025-03-31T12:00:00' }
+    ];
+
+    it('give the same model inputs as the orders they summarize', () => {
+        const history = { firstPurchase: '2025-01-06', lastPurchase: '2025-03-31', purchaseDays: 3 };
+        assert.deepEqual(toHistoryChurnInputs(history, REFERENCE_DATE), toChurnInputs(orders, REFERENCE_DATE));
+    });
+
+    it('are scored by customer id', () => {
+        const [scored] = scorePurchaseHistories([
+            { customerId: 'ana', firstPurchase: '2025-01-06', lastPurchase: '2025-03-31', purchaseDays: 3, productAmount: 300 }
+        ], REFERENCE_DATE);
+
+        assert.equal(scored.key, 'ana');
+        assert.ok(scored.churn.aliveProbability > 0 && scored.churn.aliveProbability < 1);
+        assertClose(scored.churn.risk, 1 - scored.churn.aliveProbability, 'risk');
+    });
+});
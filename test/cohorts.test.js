@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCohorts } from '../src/utils/cohorts.js';
+
+const REFERENCE_DATE = new Date(2025, 3, 15);
+
+const order = (customerId, orderDate, totalAmount = 100) => ({ customerId, orderDate, totalAmount, items: [] });
+
+describe('buildCohorts', () => {
+    it('puts customers in the month of their first order in the list', () => {
+        const { cohorts } = buildCohorts([
+            order('ana', '2025-01-10T10:00:00'),
+            order('ana', '2025-02-03T10:00:00'),
+            order('beto', '2025-02-20T10:00:00')
+        ], { referenceDate: REFERENCE_DATE });
+
+        assert.deepEqual(cohorts.map(({ month, size }) => ({ month, size })), [
+            { month: '2025-01', size: 1 },
+            { month: '2025-02', size: 1 }
+        ]);
+        assert.deepEqual(cohorts[0].active, [1, 1, 0, 0]);
+    });
+
+    it('takes the cohort from the first purchase overall when the orders are filtered', () => {
+        // Ana first bought in January somewhere else; only her March order is in the filter
+        const { cohorts, customerCount } = buildCohorts([
+            order('ana', '2025-03-05T10:00:00', 80),
+            order('beto', '2025-03-01T10:00:00', 50)
+        ], {
+            firstPurchases: { ana: '2025-01-01', beto: '2025-03-01' },
+            referenceDate: REFERENCE_DATE
+        });
+
+        assert.equal(customerCount, 2);
+        assert.deepEqual(cohorts.map(({ month, size }) => ({ month, size })), [
+            { month: '2025-01', size: 1 },
+            { month: '2025-03', size: 1 }
+        ]);
+        assert.deepEqual(cohorts[0].active, [0, 0, 1, 0]);
+        assert.deepEqual(cohorts[0].revenue, [0, 0, 80, 0]);
+        assert.deepEqual(cohorts[1].active, [1, 0]);
+    });
+});
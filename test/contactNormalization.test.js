@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePhoneNumber, normalizeEmailAddress, normalizeDni, getInvalidContacts } from '../src/utils/contactNormalization.js';
+import { normalizePhone, normalizeEmail, normalizeIdentity, getIdentityKeys } from '../src/utils/customerIdentity.js';
+
+describe('normalizePhoneNumber', () => {
+    it('strips separators and the Honduras country code', () => {
+        ['+504 9999-8888', '(504) 99998888', '00504 9999 8888', '9999 8888'].forEach(input => {
+            assert.equal(normalizePhoneNumber(input).value, '99998888', input);
+        });
+    });
+
+    it('rejects numbers that are not 8 digits starting with 2 to 9', () => {
+        ['9999-888', '504999988', '09998888', '00000000'].forEach(input => {
+            const phone = normalizePhoneNumber(input);
+            assert.equal(phone.valid, false, input);
+            assert.equal(phone.value, '');
+        });
+    });
+
+    it('treats placeholders as missing, not invalid', () => {
+        assert.deepEqual(normalizePhoneNumber('N/A'), { value: '', original: 'N/A', valid: true, reason: null });
+    });
+});
+
+describe('normalizeEmailAddress', () => {
+    it('trims and lowercases', () => {
+        assert.equal(normalizeEmailAddress('  Ana@Example.COM ').value, 'ana@example.com');
+    });
+
+    it('rejects values that are not an email', () => {
+        ['ana@example', 'ana example@x.com', 'sin correo'].forEach(input => {
+            assert.equal(normalizeEmailAddress(input).valid, false, input);
+        });
+    });
+});
+
+describe('normalizeDni', () => {
+    it('keeps letters and digits of a DNI, RTN or passport', () => {
+        assert.equal(normalizeDni('0801-1990-12345').value, '0801199012345');
+        assert.equal(normalizeDni('08011990123456').value, '08011990123456');
+        assert.equal(normalizeDni('ab 123456').value, 'AB123456');
+    });
+
+    it('rejects numbers of another length, fillers and text without digits', () => {
+        ['080119', '0000000000000', 'No se sabe'].forEach(input => {
+            assert.equal(normalizeDni(input).valid, false, input);
+        });
+    });
+});
+
+describe('customer identity and the invalid-contact report', () => {
+    // Values the import, the dashboard flag and the matching used to disagree on
+    const CONTACTS = [
+        { phone: '9999-888', email: 'ana@example', identity: '080119' },
+        { phone: '+504 9999-8888', email: 'Ana@Example.com', identity: '0801-1990-12345' },
+        { phone: '504999988', email: 'ana example@x.com', identity: '0000000000000' }
+    ];
+
+    it('match by a value only when the import accepts it', () => {
+        CONTACTS.forEach(({ phone, email, identity }) => {
+            assert.equal(normalizePhone(phone), normalizePhoneNumber(phone).value || null, phone);
+            assert.equal(normalizeEmail(email), normalizeEmailAddress(email).value || null, email);
+            assert.equal(normalizeIdentity(identity), normalizeDni(identity).value || null, identity);
+        });
+    });
+
+    it('never flag a value that is used as a match key', () => {
+        CONTACTS.forEach(contact => {
+            const flagged = getInvalidContacts([{
+                phoneOriginal: contact.phone,
+                emailOriginal: contact.email,
+                identityOriginal: contact.identity
+            }]).map(({ field }) => field);
+            const matched = getIdentityKeys(contact).map(key => key.split(':')[0]);
+
+            assert.deepEqual(flagged.filter(field => matched.includes(field)), []);
+            assert.equal(flagged.length + matched.length, 3);
+        });
+    });
+});
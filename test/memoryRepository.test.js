@@ -0,0 +1,6 @@
+import { runRepositoryContract } from './repositoryContract.js';
+import { createMemoryRepository } from '../src/utils/memoryRepository.js';
+
+// The only provider that runs without a server; supabase, firestore and pocketbase
+// need their backend and are not covered here
+runRepositoryContract('memory', () => createMemoryRepository());
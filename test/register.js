@@ -0,0 +1,4 @@
+import { register } from 'node:module';
+
+// Loaded with --import before the tests (see the "test" script in package.json)
+register('./resolveHooks.js', import.meta.url);
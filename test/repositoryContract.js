@@ -0,0 +1,249 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { REPOSITORY_METHODS, createCustomerRepository } from '../src/utils/customerRepository.js';
+
+// Contract every storage backend must meet (see src/utils/customerRepository.js).
+// Each provider's test file runs it with a factory that returns an empty repository.
+
+// Flat orders as the import produces them
+const order = (fields) => ({
+    customerName: 'Ana López',
+    email: 'ana@example.com',
+    phone: '',
+    city: 'Tegucigalpa',
+    identity: '0801199012345',
+    rawId: '',
+    orderDate: '2025-03-10T10:00:00',
+    totalAmount: 100,
+    channel: 'Tienda',
+    status: 'Entregado',
+    items: [{ sku: 'A1', description: 'Producto A', quantity: 1, total: 100 }],
+    ...fields
+});
+
+const ana = (fields) => order(fields);
+const beto = (fields) => order({
+    customerName: 'Beto Díaz',
+    email: 'beto@example.com',
+    city: 'San Pedro Sula',
+    identity: '0501198554321',
+    ...fields
+});
+
+const INITIAL_ORDERS = [
+    ana({ orderId: 'P-1', rawId: 'R-1', orderDate: '2025-01-15T09:30:00', totalAmount: 150 }),
+    ana({ orderId: 'P-2', rawId: 'R-2', orderDate: '2025-02-20T16:00:00', totalAmount: 80 }),
+    beto({ orderId: 'P-3', rawId: 'R-3', orderDate: '2025-03-05T11:15:00', totalAmount: 220 })
+];
+
+const loadOrders = async (repository) => {
+    const result = await repository.loadCustomers();
+    assert.equal(result.success, true);
+    return result.customers;
+};
+
+const findOrder = (orders, orderId) => orders.find(stored => stored.orderId === orderId);
+
+/**
+ * Run the repository contract against one provider
+ * @param {string} name - Provider name shown in the test report
+ * @param {Function} createRepository - Returns (or resolves to) a new, empty backend implementation
+ */
+export const runRepositoryContract = (name, createRepository) => {
+    describe(`${name} repository contract`, () => {
+        let repository;
+
+        beforeEach(async () => {
+            repository = createCustomerRepository(await createRepository(), name);
+            await repository.clearAllData();
+        });
+
+        it('implements every repository method', () => {
+            REPOSITORY_METHODS.forEach(method => {
+                assert.equal(typeof repository[method], 'function', method);
+            });
+        });
+
+        describe('saveCustomers', () => {
+            it('counts the customers written and stores every order', async () => {
+                const result = await repository.saveCustomers(INITIAL_ORDERS);
+
+                assert.equal(result.success, true);
+                assert.equal(result.count, 2);
+                assert.ok(result.timestamp instanceof Date);
+                assert.deepEqual((await loadOrders(repository)).map(stored => stored.orderId).sort(), ['P-1', 'P-2', 'P-3']);
+            });
+
+            it('writes a known customer under its stored id with the orders given', async () => {
+                await repository.saveCustomers(INITIAL_ORDERS);
+                const { customerId } = findOrder(await loadOrders(repository), 'P-1');
+                await repository.saveCustomers([ana({ orderId: 'P-4', rawId: 'R-4' })]);
+
+                const orders = (await loadOrders(repository)).filter(stored => stored.customerId === customerId);
+                assert.deepEqual(orders.map(stored => stored.orderId), ['P-4']);
+            });
+        });
+
+        describe('replaceCustomers', () => {
+            it('replaces every stored customer and counts the ones written', async () => {
+                await repository.saveCustomers(INITIAL_ORDERS);
+                const result = await repository.replaceCustomers([beto({ orderId: 'P-9', rawId: 'R-9' })]);
+
+                assert.equal(result.success, true);
+                assert.equal(result.count, 1);
+                assert.ok(result.timestamp instanceof Date);
+                assert.deepEqual((await loadOrders(repository)).map(stored => stored.orderId), ['P-9']);
+            });
+        });
+
+        describe('saveCustomersIncremental', () => {
+            beforeEach(async () => {
+                await repository.saveCustomers(INITIAL_ORDERS);
+            });
+
+            it('inserts new orders, updates changed ones and skips identical ones', async () => {
+                const result = await repository.saveCustomersIncremental([
+                    ana({ orderId: 'P-1', rawId: 'R-1', orderDate: '2025-01-15T09:30:00', totalAmount: 150 }),
+                    ana({ orderId: 'P-2', rawId: 'R-2', orderDate: '2025-02-20T16:00:00', totalAmount: 95 }),
+                    beto({ orderId: 'P-4', rawId: 'R-4', orderDate: '2025-04-01T08:00:00', totalAmount: 60 })
+                ]);
+
+                assert.equal(result.success, true);
+                assert.deepEqual(
+                    { inserted: result.inserted, updated: result.updated, skipped: result.skipped },
+                    { inserted: 1, updated: 1, skipped: 1 }
+                );
+                assert.equal(result.count, 2);
+                assert.equal(result.customerIds.length, 2);
+                assert.ok(result.timestamp instanceof Date);
+
+                const orders = await loadOrders(repository);
+                assert.equal(orders.length, 4);
+                assert.equal(Number(findOrder(orders, 'P-2').totalAmount), 95);
+                assert.deepEqual(
+                    [...result.customerIds].sort(),
+                    [findOrder(orders, 'P-2').customerId, findOrder(orders, 'P-4').customerId].sort()
+                );
+            });
+
+            it('counts repeats of an order within the upload once', async () => {
+                const repeated = beto({ orderId: 'P-5', rawId: 'R-5' });
+                const result = await repository.saveCustomersIncremental([repeated, { ...repeated }]);
+
+                assert.deepEqual(
+                    { inserted: result.inserted, updated: result.updated, skipped: result.skipped },
+                    { inserted: 1, updated: 0, skipped: 1 }
+                );
+                assert.equal((await loadOrders(repository)).filter(stored => stored.orderId === 'P-5').length, 1);
+            });
+
+            it('matches an order stored under another customer instead of duplicating it', async () => {
+                const result = await repository.saveCustomersIncremental([
+                    beto({ orderId: 'P-1', rawId: 'R-1', orderDate: '2025-01-15T09:30:00', totalAmount: 175 })
+                ]);
+
+                assert.equal(result.inserted, 0);
+                assert.equal(result.updated, 1);
+
+                const copies = (await loadOrders(repository)).filter(stored => stored.orderId === 'P-1');
+                assert.equal(copies.length, 1);
+                assert.equal(Number(copies[0].totalAmount), 175);
+            });
+
+            it('changes nothing when every order is already stored', async () => {
+                const result = await repository.saveCustomersIncremental(INITIAL_ORDERS);
+
+                assert.equal(result.success, true);
+                assert.equal(result.count, 0);
+                assert.deepEqual(result.customerIds, []);
+                assert.equal(result.skipped, INITIAL_ORDERS.length);
+            });
+        });
+
+        describe('loadCustomers', () => {
+            it('returns nothing for an empty store', async () => {
+                const result = await repository.loadCustomers();
+
+                assert.equal(result.success, true);
+                assert.deepEqual(result.customers, []);
+                assert.equal(result.count, 0);
+            });
+
+            it('returns one flat order per stored order with its customer fields', async () => {
+                await repository.saveCustomers(INITIAL_ORDERS);
+                const result = await repository.loadCustomers();
+
+                assert.equal(result.count, 3);
+                assert.ok(result.timestamp instanceof Date);
+
+                const stored = findOrder(result.customers, 'P-3');
+                assert.ok(stored.customerId);
+                assert.equal(stored.name, 'Beto Díaz');
+                assert.equal(stored.email, 'beto@example.com');
+                assert.equal(stored.city, 'San Pedro Sula');
+                assert.equal(stored.rawId, 'R-3');
+                assert.equal(Number(stored.totalAmount), 220);
+                assert.equal(stored.items.length, 1);
+                assert.equal(stored.items[0].sku, 'A1');
+            });
+
+            it('keeps the file contact values next to the normalized ones', async () => {
+                await repository.saveCustomers([
+                    beto({ orderId: 'P-6', rawId: 'R-6', emailOriginal: ' Beto@Example.com', phone: '', phoneOriginal: '9999-999', identityOriginal: '0501-1985-54321' })
+                ]);
+                await repository.saveCustomersIncremental([
+                    beto({ orderId: 'P-7', rawId: 'R-7', phone: '', phoneOriginal: 'sin celular' })
+                ]);
+
+                const orders = await loadOrders(repository);
+                const saved = findOrder(orders, 'P-6');
+                assert.equal(saved.emailOriginal, ' Beto@Example.com');
+                assert.equal(saved.phoneOriginal, '9999-999');
+                assert.equal(saved.identityOriginal, '0501-1985-54321');
+                assert.equal(findOrder(orders, 'P-7').phoneOriginal, 'sin celular');
+            });
+        });
+
+        describe('clearAllData', () => {
+            it('deletes every customer and order', async () => {
+                await repository.saveCustomers(INITIAL_ORDERS);
+                const result = await repository.clearAllData();
+
+                assert.equal(result.success, true);
+                assert.notEqual(result.deletedCount, undefined);
+                assert.deepEqual(await loadOrders(repository), []);
+            });
+        });
+
+        describe('updateCustomer', () => {
+            it('changes the customer fields and keeps the orders', async () => {
+                await repository.saveCustomers(INITIAL_ORDERS);
+                const { customerId } = findOrder(await loadOrders(repository), 'P-1');
+
+                const result = await repository.updateCustomer(customerId, { name: 'Ana María López', city: 'Choluteca' });
+                assert.equal(result.success, true);
+
+                const orders = (await loadOrders(repository)).filter(stored => stored.customerId === customerId);
+                assert.equal(orders.length, 2);
+                orders.forEach(stored => {
+                    assert.equal(stored.name, 'Ana María López');
+                    assert.equal(stored.city, 'Choluteca');
+                });
+            });
+        });
+
+        describe('getLatestOrderDate', () => {
+            it('is null for an empty store', async () => {
+                assert.equal(await repository.getLatestOrderDate(), null);
+            });
+
+            it('returns the most recent order date', async () => {
+                await repository.saveCustomers(INITIAL_ORDERS);
+                const latest = await repository.getLatestOrderDate();
+
+                assert.ok(latest instanceof Date);
+                assert.equal(latest.getTime(), new Date('2025-03-05T11:15:00').getTime());
+            });
+        });
+    });
+};
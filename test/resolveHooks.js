@@ -0,0 +1,10 @@
+// Module resolution hooks for the tests: the app imports its modules without an extension,
+// as Vite resolves them; Node needs the '.js' spelled out
+export const resolve = async (specifier, context, nextResolve) => {
+    try {
+        return await nextResolve(specifier, context);
+    } catch (error) {
+        if (error.code !== 'ERR_MODULE_NOT_FOUND' || !/^\.{1,2}\//.test(specifier)) throw error;
+        return nextResolve(`${specifier}.js`, context);
+    }
+};